@@ -19,7 +19,7 @@ module.exports = {
     'no-underscore-dangle': ['error', { allow: ['_id', '_doc'] }],
     'import/extensions': ['error', 'ignorePackages'],
     'node/no-unsupported-features/es-syntax': ['error', {
-      ignores: ['modules'],
+      ignores: ['modules', 'dynamicImport'],
     }],
     'node/no-missing-import': 'off',
     'class-methods-use-this': 'off',
@@ -12,6 +12,8 @@ import logger from './utils/logger.js';
 import errorHandler from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
 import apiRoutes from './routes/index.js';
+import verifyRoutes from './routes/verify.routes.js';
+import healthService from './services/health.service.js';
 
 const app = express();
 
@@ -69,6 +71,21 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Liveness probe: the process is up and serving requests
+app.get('/livez', (req, res) => {
+  res.status(200).json({ status: 'alive', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness probe: MongoDB and Redis are reachable
+app.get('/readyz', async (req, res, next) => {
+  try {
+    const readiness = await healthService.getReadiness();
+    res.status(readiness.status === 'ready' ? 200 : 503).json(readiness);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // API version info
 app.get('/api', (req, res) => {
   res.status(200).json({
@@ -82,6 +99,9 @@ app.get('/api', (req, res) => {
 // API routes
 app.use(`/api/${config.apiVersion}`, apiRoutes);
 
+// Public certificate verification page
+app.use('/verify', verifyRoutes);
+
 // Swagger documentation (development only)
 if (config.isDevelopment) {
   // We'll generate this dynamically
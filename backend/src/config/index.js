@@ -82,6 +82,7 @@ const config = {
     uploadDir: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
     certificateDir: process.env.CERTIFICATE_DIR || path.join(__dirname, '..', 'certificates'),
     templateDir: process.env.TEMPLATE_DIR || path.join(__dirname, '..', 'templates'),
+    exportDir: process.env.EXPORT_DIR || path.join(__dirname, '..', 'exports'), // Not publicly served
     
     // AWS S3
     s3: {
@@ -119,6 +120,7 @@ const config = {
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
     authMax: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 5,
     scanMax: parseInt(process.env.SCAN_RATE_LIMIT_MAX, 10) || 100,
+    verifyMax: parseInt(process.env.VERIFY_RATE_LIMIT_MAX, 10) || 30, // Public certificate lookups per 15 minutes
   },
 
   // Frontend URLs
@@ -127,9 +129,49 @@ const config = {
     adminUrl: process.env.FRONTEND_ADMIN_URL || 'http://localhost:5174',
   },
 
+  // Public URLs used in emails, QR codes and calendar feeds
+  app: {
+    backendUrl: process.env.BACKEND_URL || `http://localhost:${parseInt(process.env.PORT, 10) || 3000}`,
+    frontendUrl: process.env.FRONTEND_USER_URL || 'http://localhost:5173',
+  },
+
+  // Data Export
+  export: {
+    syncRowLimit: parseInt(process.env.EXPORT_SYNC_ROW_LIMIT, 10) || 5000, // Larger exports run in the background
+    retentionHours: parseInt(process.env.EXPORT_RETENTION_HOURS, 10) || 24,
+  },
+
+  // Audit Log
+  audit: {
+    retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 365,
+  },
+
+  // Event Registration
+  registration: {
+    waitlistOfferWindowHours: parseInt(process.env.WAITLIST_OFFER_WINDOW_HOURS, 10) || 24,
+    ticketGraceHours: parseInt(process.env.TICKET_GRACE_HOURS, 10) || 12, // Ticket validity after the event ends
+  },
+
   // Certificate
   certificate: {
     signatureKey: process.env.CERTIFICATE_SIGNATURE_KEY,
+    expiryReminderDays: parseInt(process.env.CERTIFICATE_EXPIRY_REMINDER_DAYS, 10) || 30,
+    credentialSigningKey: process.env.CREDENTIAL_SIGNING_KEY, // Ed25519 PKCS#8 PEM
+    issuerName: process.env.CREDENTIAL_ISSUER_NAME || 'CITAD',
+    // Hosts template images and fonts may be fetched from; any other URL is refused
+    assetHosts:
+      process.env.CERTIFICATE_ASSET_HOSTS?.split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean) || [],
+  },
+
+  // Feedback
+  feedback: {
+    // Comments scoring at or below this (-1 to 1) are flagged for review
+    // (0 is a valid threshold, so only a missing or unparsable value falls back)
+    sentimentFlagThreshold: Number.isNaN(parseFloat(process.env.SENTIMENT_FLAG_THRESHOLD))
+      ? -0.7
+      : parseFloat(process.env.SENTIMENT_FLAG_THRESHOLD),
   },
 
   // Logging
@@ -138,6 +180,13 @@ const config = {
     file: process.env.LOG_FILE || path.join(__dirname, '..', 'logs', 'app.log'),
   },
 
+  // Health checks
+  health: {
+    checkTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000,
+    maxBacklog: parseInt(process.env.HEALTH_QUEUE_MAX_BACKLOG, 10) || 1000, // waiting + delayed jobs per queue
+    maxFailed: parseInt(process.env.HEALTH_QUEUE_MAX_FAILED, 10) || 100,
+  },
+
   // Monitoring
   monitoring: {
     sentryDsn: process.env.SENTRY_DSN,
@@ -1,4 +1,11 @@
-import { Admin, User, Event, Certificate, Feedback } from '../models/index.js';
+import { Admin, User, Event, Registration, Certificate, Feedback } from '../models/index.js';
+import exportService, { EXPORT_FORMATS } from '../services/export.service.js';
+import healthService from '../services/health.service.js';
+import twoFactorService from '../services/twoFactor.service.js';
+import auditService from '../services/audit.service.js';
+import { analyticsQueue } from '../queues/index.js';
+import { queueAnalytics, ANALYTICS_JOB_TYPES } from '../queues/processors/analytics.processor.js';
+import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 
@@ -37,7 +44,7 @@ class AdminController {
         permissions,
       });
 
-      await currentAdmin.logAction('create', 'admin', admin._id, 'Created new admin', req.ip);
+      res.locals.audit = { action: 'create', resource: 'admin', resourceId: admin._id, after: admin };
 
       logger.info(`New admin created: ${admin.email} by ${currentAdmin.email}`);
 
@@ -136,6 +143,8 @@ class AdminController {
         throw new AppError('Only super admins can update roles and permissions', 403);
       }
 
+      const before = admin.toObject();
+
       if (firstName) admin.firstName = firstName;
       if (lastName) admin.lastName = lastName;
       if (role) admin.role = role;
@@ -144,7 +153,7 @@ class AdminController {
 
       await admin.save();
 
-      await currentAdmin.logAction('update', 'admin', admin._id, 'Updated admin details', req.ip);
+      res.locals.audit = { action: 'update', resource: 'admin', resourceId: admin._id, before, after: admin };
 
       logger.info(`Admin updated: ${admin.email} by ${currentAdmin.email}`);
 
@@ -184,7 +193,7 @@ class AdminController {
 
       await admin.deleteOne();
 
-      await currentAdmin.logAction('delete', 'admin', id, 'Deleted admin', req.ip);
+      res.locals.audit = { action: 'delete', resource: 'admin', resourceId: id, before: admin };
 
       logger.info(`Admin deleted: ${admin.email} by ${currentAdmin.email}`);
 
@@ -197,6 +206,40 @@ class AdminController {
     }
   }
 
+  /**
+   * Reset Admin 2FA
+   * DELETE /api/v1/admin/:id/2fa
+   */
+  async resetAdminTwoFactor(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      // Only super_admin can reset another admin's 2FA
+      const currentAdmin = await Admin.findById(req.user.id);
+      if (currentAdmin.role !== 'super_admin') {
+        throw new AppError('Only super admins can reset two-factor authentication', 403);
+      }
+
+      if (id === req.user.id) {
+        throw new AppError('Use your own 2FA settings to change your two-factor authentication', 400);
+      }
+
+      const admin = await twoFactorService.loadAccount(id, 'admin');
+      await twoFactorService.disable(admin, 'admin');
+
+      res.locals.audit = { action: 'reset_2fa', resource: 'admin', resourceId: id };
+
+      logger.info(`2FA reset for admin ${admin.email} by ${currentAdmin.email}`);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication reset. The admin can enrol again after logging in.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get All Users
    * GET /api/v1/admin/users
@@ -247,9 +290,13 @@ class AdminController {
     try {
       const { id } = req.params;
 
-      const user = await User.findById(id)
-        .select('-password')
-        .populate('registeredEvents.event', 'title date venue');
+      const [user, registrations] = await Promise.all([
+        User.findById(id).select('-password'),
+        Registration.find({ userId: id })
+          .select('-qrSignature')
+          .populate('event', 'title startDateTime venue')
+          .sort({ registeredAt: -1 }),
+      ]);
 
       if (!user) {
         throw new AppError('User not found', 404);
@@ -257,7 +304,7 @@ class AdminController {
 
       res.json({
         success: true,
-        data: { user },
+        data: { user, registrations },
       });
     } catch (error) {
       next(error);
@@ -278,11 +325,11 @@ class AdminController {
         throw new AppError('User not found', 404);
       }
 
+      const before = user.toObject();
       user.status = status;
       await user.save();
 
-      const admin = await Admin.findById(req.user.id);
-      await admin.logAction('update', 'user', id, `Changed user status to ${status}`, req.ip);
+      res.locals.audit = { action: 'update_status', resource: 'user', resourceId: id, before, after: user };
 
       logger.info(`User status updated: ${user.email} to ${status} by admin ${req.user.id}`);
 
@@ -310,11 +357,11 @@ class AdminController {
       }
 
       // Soft delete
+      const before = user.toObject();
       user.status = 'deleted';
       await user.save();
 
-      const admin = await Admin.findById(req.user.id);
-      await admin.logAction('delete', 'user', id, 'Deleted user', req.ip);
+      res.locals.audit = { action: 'delete', resource: 'user', resourceId: id, before, after: user };
 
       logger.info(`User deleted: ${user.email} by admin ${req.user.id}`);
 
@@ -350,7 +397,7 @@ class AdminController {
         Certificate.countDocuments({ status: 'issued' }),
         Feedback.countDocuments(),
         User.find().select('firstName lastName email createdAt').sort('-createdAt').limit(5),
-        Event.find().select('title date registeredCount attendedCount').sort('-createdAt').limit(5),
+        Event.find().select('title startDateTime registrationCount attendanceCount').sort('-createdAt').limit(5),
       ]);
 
       // Get registration trend (last 7 days)
@@ -429,12 +476,13 @@ class AdminController {
       ]);
 
       // Attendance analytics
-      const totalEventAttendance = await Event.aggregate([
+      const totalEventAttendance = await Registration.aggregate([
+        { $match: { status: 'confirmed' } },
         {
           $group: {
             _id: null,
-            totalRegistrations: { $sum: '$registeredCount' },
-            totalAttendance: { $sum: '$attendedCount' },
+            totalRegistrations: { $sum: 1 },
+            totalAttendance: { $sum: { $cond: [{ $ifNull: ['$checkInTime', false] }, 1, 0] } },
           },
         },
       ]);
@@ -486,50 +534,130 @@ class AdminController {
 
   /**
    * Get Audit Log
-   * GET /api/v1/admin/audit-log
+   * GET /api/v1/admin/audit
+   * Query: page, limit, from, to, actor (admin ID or email), action, resource, resourceId, format=csv
    */
   async getAuditLog(req, res, next) {
     try {
-      const { page = 1, limit = 50, adminId, action, resource } = req.query;
+      const { page, limit, from, to, actor, action, resource, resourceId, format } = req.query;
+      const filters = { from, to, actor, action, resource, resourceId };
+
+      if (format === 'csv') {
+        await auditService.streamCSV(res, filters);
+      } else {
+        const result = await auditService.find(filters, { page, limit });
+
+        res.json({
+          success: true,
+          data: result,
+        });
+      }
+    } catch (error) {
+      if (res.headersSent) {
+        logger.error('Audit export stream failed:', error);
+        res.destroy(error);
+      } else {
+        next(error);
+      }
+    }
+  }
 
-      const query = {};
-      if (adminId) query._id = adminId;
-
-      const admins = await Admin.find(query).select('email actionsLog').lean();
-
-      let allActions = [];
-      admins.forEach((admin) => {
-        const actions = admin.actionsLog.map((log) => ({
-          ...log,
-          adminEmail: admin.email,
-          adminId: admin._id,
-        }));
-        allActions = allActions.concat(actions);
-      });
+  /**
+   * Export Data
+   * GET /api/v1/admin/export/:type
+   * Query: format (csv|xlsx), columns, from, to, eventId, async
+   */
+  async exportData(req, res, next) {
+    try {
+      const { type } = req.params;
+      const { format = 'csv', columns, from, to, eventId } = req.query;
 
-      // Filter by action and resource
-      if (action) {
-        allActions = allActions.filter((log) => log.action === action);
-      }
-      if (resource) {
-        allActions = allActions.filter((log) => log.resource === resource);
+      if (!EXPORT_FORMATS.includes(format)) {
+        throw new AppError(`Invalid export format. Use one of: ${EXPORT_FORMATS.join(', ')}`, 400);
       }
 
-      // Sort by timestamp (newest first)
-      allActions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      const options = {
+        type,
+        format,
+        // Accepts ?columns=a,b as well as ?columns=a&columns=b
+        columns: [columns]
+          .flat()
+          .filter(Boolean)
+          .join(',')
+          .split(',')
+          .map(column => column.trim())
+          .filter(Boolean),
+        filters: { from, to, eventId },
+      };
 
-      // Pagination
-      const startIndex = (parseInt(page) - 1) * parseInt(limit);
-      const endIndex = startIndex + parseInt(limit);
-      const paginatedActions = allActions.slice(startIndex, endIndex);
+      // Validate columns and filters before committing to a response
+      exportService.resolveColumns(type, options.columns);
+      const totalRows = await exportService.countRows(type, options.filters);
+      const runInBackground = req.query.async === 'true' || totalRows > exportService.syncRowLimit;
+
+      if (runInBackground) {
+        const job = await queueAnalytics(
+          ANALYTICS_JOB_TYPES.EXPORT_DATA,
+          { ...options, totalRows, adminId: String(req.user._id) },
+          { attempts: 1, removeOnComplete: false }
+        );
+
+        res.locals.audit = {
+          action: 'export',
+          resource: type,
+          details: `Queued ${format} export of ${totalRows} ${type}`,
+        };
+        res.status(202).json({
+          success: true,
+          message: 'Export is being prepared. Check the job status to download it',
+          data: {
+            jobId: job.id,
+            totalRows,
+            statusUrl: `/api/${config.apiVersion}/admin/export/jobs/${job.id}`,
+          },
+        });
+      } else {
+        // Recorded by the audit trail only once the whole file has been sent
+        res.locals.audit = {
+          action: 'export',
+          resource: type,
+          details: `Exported ${totalRows} ${type} as ${format}`,
+        };
+        await exportService.streamToResponse(res, options);
+      }
+    } catch (error) {
+      if (res.headersSent) {
+        logger.error('Export stream failed:', error);
+        res.destroy(error);
+      } else {
+        next(error);
+      }
+    }
+  }
+
+  /**
+   * Get Export Job Status
+   * GET /api/v1/admin/export/jobs/:jobId
+   */
+  async getExportJob(req, res, next) {
+    try {
+      const job = await this.findExportJob(req);
+      const state = await job.getState();
 
       res.json({
         success: true,
         data: {
-          logs: paginatedActions,
-          total: allActions.length,
-          page: parseInt(page),
-          totalPages: Math.ceil(allActions.length / parseInt(limit)),
+          jobId: job.id,
+          type: job.data.data.type,
+          format: job.data.data.format,
+          state,
+          progress: job.progress(),
+          totalRows: job.data.data.totalRows,
+          failedReason: job.failedReason || null,
+          downloadUrl:
+            state === 'completed'
+              ? `/api/${config.apiVersion}/admin/export/jobs/${job.id}/download`
+              : null,
         },
       });
     } catch (error) {
@@ -538,80 +666,61 @@ class AdminController {
   }
 
   /**
-   * Export Data
-   * GET /api/v1/admin/export/:type
+   * Download Finished Export
+   * GET /api/v1/admin/export/jobs/:jobId/download
    */
-  async exportData(req, res, next) {
+  async downloadExport(req, res, next) {
     try {
-      const { type } = req.params;
-      const { format = 'json' } = req.query;
-
-      let data;
-      let filename;
-
-      switch (type) {
-        case 'users':
-          data = await User.find().select('-password').lean();
-          filename = 'users-export';
-          break;
-        case 'events':
-          data = await Event.find().lean();
-          filename = 'events-export';
-          break;
-        case 'certificates':
-          data = await Certificate.find().populate('user event').lean();
-          filename = 'certificates-export';
-          break;
-        case 'feedback':
-          data = await Feedback.find().populate('user event').lean();
-          filename = 'feedback-export';
-          break;
-        default:
-          throw new AppError('Invalid export type', 400);
-      }
+      const job = await this.findExportJob(req);
+      const state = await job.getState();
 
-      // TODO: Implement CSV/Excel export based on format
-      // For now, return JSON
+      if (state !== 'completed') {
+        throw new AppError(`Export is not ready (state: ${state})`, 409);
+      }
 
-      const admin = await Admin.findById(req.user.id);
-      await admin.logAction('export', type, null, `Exported ${type} data`, req.ip);
+      const { type, format } = job.data.data;
+      const filePath = exportService.getFilePath(job.returnvalue.fileName);
 
-      res.json({
-        success: true,
-        data: {
-          type,
-          count: data.length,
-          data,
-        },
+      res.download(filePath, exportService.getFileName(type, format), error => {
+        if (error && !res.headersSent) {
+          next(new AppError('Export file has expired. Please run the export again', 410));
+        }
       });
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * Load an export job owned by the requesting admin
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} - Bull job
+   */
+  async findExportJob(req) {
+    const job = await analyticsQueue.getJob(req.params.jobId);
+
+    const isOwner = job?.data?.data?.adminId === req.user.id;
+    if (
+      !job ||
+      job.data.type !== ANALYTICS_JOB_TYPES.EXPORT_DATA ||
+      (!isOwner && req.user.role !== 'super_admin')
+    ) {
+      throw new AppError('Export job not found', 404);
+    }
+
+    return job;
+  }
+
   /**
    * Get System Health
    * GET /api/v1/admin/health
    */
   async getSystemHealth(req, res, next) {
     try {
-      const health = {
-        status: 'healthy',
-        timestamp: new Date(),
-        database: {
-          status: 'connected',
-          // TODO: Add database connection check
-        },
-        services: {
-          email: 'operational',
-          sms: 'operational',
-          storage: 'operational',
-          // TODO: Add actual service health checks
-        },
-      };
+      const health = await healthService.getHealth();
 
-      res.json({
-        success: true,
+      res.status(health.status === 'unhealthy' ? 503 : 200).json({
+        success: health.status !== 'unhealthy',
         data: { health },
       });
     } catch (error) {
@@ -1,8 +1,17 @@
-import { User, Event } from '../models/index.js';
-import { qrService, notificationService } from '../services/index.js';
+import { User, Event, Registration } from '../models/index.js';
+import {
+  qrService,
+  registrationService,
+  attendanceService,
+  eventSessionService,
+  offlineCheckInService,
+} from '../services/index.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 
+// Match the search text literally, not as a pattern
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 /**
  * Attendance Controller
  * Handles QR code scanning and attendance tracking
@@ -12,16 +21,22 @@ class AttendanceController {
   /**
    * Scan QR Code for Check-in
    * POST /api/v1/attendance/scan
+   * Body: qrData, sessionId (events with sessions; defaults to the session running now)
    */
   async scanQRCode(req, res, next) {
     try {
-      const { qrData } = req.body;
+      const { qrData, sessionId } = req.body;
 
       // Verify QR code
       const verification = qrService.verifyQRCode(qrData);
 
       if (!verification.valid) {
-        throw new AppError(verification.message || 'Invalid QR code', 400);
+        throw new AppError(verification.error || 'Invalid QR code', 400);
+      }
+
+      // Event QR codes and other signed payloads name no attendee
+      if (verification.data.type !== 'ticket') {
+        throw new AppError('QR code is not a ticket', 400);
       }
 
       const { userId, eventId } = verification.data;
@@ -40,57 +55,30 @@ class AttendanceController {
         throw new AppError('Event not found', 404);
       }
 
-      // Check if user is registered for this event
-      const registrationIndex = user.registeredEvents.findIndex(
-        (reg) => reg.event.toString() === eventId
-      );
-
-      if (registrationIndex === -1) {
-        throw new AppError('User is not registered for this event', 400);
-      }
-
-      const registration = user.registeredEvents[registrationIndex];
-
-      // Check if already checked in
-      if (registration.attended) {
-        return res.json({
-          success: true,
-          message: 'User already checked in',
-          data: {
-            user: {
-              id: user._id,
-              name: `${user.firstName} ${user.lastName}`,
-              email: user.email,
-            },
-            event: {
-              id: event._id,
-              title: event.title,
-            },
-            checkInTime: registration.checkInTime,
-            alreadyCheckedIn: true,
-          },
-        });
+      // Expired or replaced tickets are refused
+      const registration = await registrationService.findConfirmed(event._id, userId);
+      const ticket = qrService.checkTicket(event, registration, verification);
+      if (!ticket.valid) {
+        throw new AppError(ticket.error, 400);
       }
 
-      // Mark as attended
-      user.registeredEvents[registrationIndex].attended = true;
-      user.registeredEvents[registrationIndex].checkInTime = new Date();
-      user.registeredEvents[registrationIndex].status = 'attended';
-      await user.save();
-
-      // Update event attendance count
-      event.attendedCount += 1;
-      await event.save();
+      const result = await attendanceService.checkIn(event, userId, {
+        method: 'qr',
+        adminId: req.user.id,
+        sessionId,
+      });
 
-      logger.info(`User ${user.email} checked in for event: ${event.title}`);
+      if (!result.alreadyCheckedIn) {
+        logger.info(`User ${user.email} checked in for event: ${event.title}`);
+      }
 
       res.json({
         success: true,
-        message: 'Check-in successful',
+        message: result.alreadyCheckedIn ? 'User already checked in' : 'Check-in successful',
         data: {
           user: {
             id: user._id,
-            name: `${user.firstName} ${user.lastName}`,
+            name: user.fullname,
             email: user.email,
             phone: user.phone,
             profilePicture: user.profilePicture,
@@ -98,10 +86,11 @@ class AttendanceController {
           event: {
             id: event._id,
             title: event.title,
-            date: event.date,
+            date: event.startDateTime,
           },
-          checkInTime: user.registeredEvents[registrationIndex].checkInTime,
-          alreadyCheckedIn: false,
+          session: result.session,
+          checkInTime: result.checkInTime,
+          alreadyCheckedIn: result.alreadyCheckedIn,
         },
       });
     } catch (error) {
@@ -112,10 +101,11 @@ class AttendanceController {
   /**
    * Manual Check-in
    * POST /api/v1/attendance/manual-checkin
+   * Body: userId, eventId, sessionId (events with sessions; defaults to the session running now)
    */
   async manualCheckIn(req, res, next) {
     try {
-      const { userId, eventId } = req.body;
+      const { userId, eventId, sessionId } = req.body;
 
       const [user, event] = await Promise.all([
         User.findById(userId),
@@ -130,32 +120,16 @@ class AttendanceController {
         throw new AppError('Event not found', 404);
       }
 
-      // Check if user is registered for this event
-      const registrationIndex = user.registeredEvents.findIndex(
-        (reg) => reg.event.toString() === eventId
-      );
-
-      if (registrationIndex === -1) {
-        throw new AppError('User is not registered for this event', 400);
-      }
-
-      const registration = user.registeredEvents[registrationIndex];
+      const result = await attendanceService.checkIn(event, userId, {
+        method: 'manual',
+        adminId: req.user.id,
+        sessionId,
+      });
 
-      // Check if already checked in
-      if (registration.attended) {
+      if (result.alreadyCheckedIn) {
         throw new AppError('User already checked in', 400);
       }
 
-      // Mark as attended
-      user.registeredEvents[registrationIndex].attended = true;
-      user.registeredEvents[registrationIndex].checkInTime = new Date();
-      user.registeredEvents[registrationIndex].status = 'attended';
-      await user.save();
-
-      // Update event attendance count
-      event.attendedCount += 1;
-      await event.save();
-
       logger.info(`Manual check-in for user ${user.email} at event: ${event.title} by admin ${req.user.id}`);
 
       res.json({
@@ -164,14 +138,15 @@ class AttendanceController {
         data: {
           user: {
             id: user._id,
-            name: `${user.firstName} ${user.lastName}`,
+            name: user.fullname,
             email: user.email,
           },
           event: {
             id: event._id,
             title: event.title,
           },
-          checkInTime: user.registeredEvents[registrationIndex].checkInTime,
+          session: result.session,
+          checkInTime: result.checkInTime,
         },
       });
     } catch (error) {
@@ -182,10 +157,11 @@ class AttendanceController {
   /**
    * Bulk Check-in
    * POST /api/v1/attendance/bulk-checkin
+   * Body: userIds, eventId, sessionId (events with sessions; defaults to the session running now)
    */
   async bulkCheckIn(req, res, next) {
     try {
-      const { userIds, eventId } = req.body;
+      const { userIds, eventId, sessionId } = req.body;
 
       if (!Array.isArray(userIds) || userIds.length === 0) {
         throw new AppError('User IDs array is required', 400);
@@ -196,52 +172,42 @@ class AttendanceController {
         throw new AppError('Event not found', 404);
       }
 
+      const users = await User.find({ _id: { $in: userIds } }).select('fullname email');
+      const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
       const results = {
         success: [],
         failed: [],
       };
 
-      for (const userId of userIds) {
-        try {
-          const user = await User.findById(userId);
-          if (!user) {
-            results.failed.push({ userId, reason: 'User not found' });
-            continue;
-          }
-
-          const registrationIndex = user.registeredEvents.findIndex(
-            (reg) => reg.event.toString() === eventId
-          );
-
-          if (registrationIndex === -1) {
-            results.failed.push({ userId, reason: 'Not registered for event' });
-            continue;
-          }
-
-          const registration = user.registeredEvents[registrationIndex];
-          if (registration.attended) {
-            results.failed.push({ userId, reason: 'Already checked in' });
-            continue;
-          }
-
-          user.registeredEvents[registrationIndex].attended = true;
-          user.registeredEvents[registrationIndex].checkInTime = new Date();
-          user.registeredEvents[registrationIndex].status = 'attended';
-          await user.save();
-
-          results.success.push({
-            userId,
-            name: `${user.firstName} ${user.lastName}`,
-            email: user.email,
-          });
-        } catch (error) {
-          results.failed.push({ userId, reason: error.message });
-        }
-      }
-
-      // Update event attendance count
-      event.attendedCount += results.success.length;
-      await event.save();
+      // One at a time, since every check-in also counts on the same event document
+      await userIds.reduce(
+        (chain, userId) =>
+          chain.then(async () => {
+            const user = usersById.get(String(userId));
+            if (!user) {
+              results.failed.push({ userId, reason: 'User not found' });
+              return;
+            }
+
+            try {
+              const result = await attendanceService.checkIn(event, userId, {
+                method: 'manual',
+                adminId: req.user.id,
+                sessionId,
+              });
+
+              if (result.alreadyCheckedIn) {
+                results.failed.push({ userId, reason: 'Already checked in' });
+              } else {
+                results.success.push({ userId, name: user.fullname, email: user.email });
+              }
+            } catch (error) {
+              results.failed.push({ userId, reason: error.message });
+            }
+          }),
+        Promise.resolve()
+      );
 
       logger.info(`Bulk check-in: ${results.success.length} users for event: ${event.title}`);
 
@@ -281,34 +247,177 @@ class AttendanceController {
         throw new AppError('Event not found', 404);
       }
 
-      const registrationIndex = user.registeredEvents.findIndex(
-        (reg) => reg.event.toString() === eventId
-      );
+      await attendanceService.undoCheckIn(event, userId);
+
+      logger.info(`Check-in undone for user ${user.email} at event: ${event.title} by admin ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Check-in undone successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Scan QR Code for Check-out
+   * POST /api/v1/attendance/check-out
+   */
+  async scanCheckOut(req, res, next) {
+    try {
+      const { qrData } = req.body;
+
+      const verification = qrService.verifyQRCode(qrData);
 
-      if (registrationIndex === -1) {
-        throw new AppError('User is not registered for this event', 400);
+      if (!verification.valid) {
+        throw new AppError(verification.error || 'Invalid QR code', 400);
       }
 
-      const registration = user.registeredEvents[registrationIndex];
-      if (!registration.attended) {
-        throw new AppError('User has not checked in yet', 400);
+      if (verification.data.type !== 'ticket') {
+        throw new AppError('QR code is not a ticket', 400);
       }
 
-      // Undo check-in
-      user.registeredEvents[registrationIndex].attended = false;
-      user.registeredEvents[registrationIndex].checkInTime = null;
-      user.registeredEvents[registrationIndex].status = 'registered';
-      await user.save();
+      const { userId, eventId } = verification.data;
 
-      // Update event attendance count
-      event.attendedCount = Math.max(0, event.attendedCount - 1);
-      await event.save();
+      const [user, event] = await Promise.all([
+        User.findById(userId).select('fullname email'),
+        Event.findById(eventId),
+      ]);
 
-      logger.info(`Check-in undone for user ${user.email} at event: ${event.title} by admin ${req.user.id}`);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+
+      const registration = await registrationService.findConfirmed(event._id, userId);
+      const ticket = qrService.checkTicket(event, registration, verification);
+      if (!ticket.valid) {
+        throw new AppError(ticket.error, 400);
+      }
+
+      const result = await attendanceService.checkOut(event, userId, {
+        method: 'qr',
+        adminId: req.user.id,
+      });
 
       res.json({
         success: true,
-        message: 'Check-in undone successfully',
+        message: result.alreadyCheckedOut ? 'User already checked out' : 'Check-out successful',
+        data: {
+          user: {
+            id: user._id,
+            name: user.fullname,
+            email: user.email,
+          },
+          event: {
+            id: event._id,
+            title: event.title,
+          },
+          ...result,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Manual Check-out
+   * POST /api/v1/attendance/manual-checkout
+   */
+  async manualCheckOut(req, res, next) {
+    try {
+      const { userId, eventId, checkOutTime } = req.body;
+
+      const [user, event] = await Promise.all([
+        User.findById(userId).select('fullname email'),
+        Event.findById(eventId),
+      ]);
+
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+
+      const result = await attendanceService.checkOut(event, userId, {
+        method: 'manual',
+        at: checkOutTime || new Date(),
+        adminId: req.user.id,
+      });
+
+      logger.info(`Manual check-out for user ${user.email} at event: ${event.title} by admin ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Manual check-out successful',
+        data: {
+          user: {
+            id: user._id,
+            name: user.fullname,
+            email: user.email,
+          },
+          event: {
+            id: event._id,
+            title: event.title,
+          },
+          ...result,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download Offline Check-in Roster
+   * GET /api/v1/attendance/offline/:eventId/roster
+   */
+  async getOfflineRoster(req, res, next) {
+    try {
+      const { eventId } = req.params;
+
+      const data = await offlineCheckInService.getRoster(eventId);
+
+      logger.info(`Offline roster for event ${eventId} downloaded by admin ${req.user.id}`);
+
+      res.json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sync Offline Check-ins
+   * POST /api/v1/attendance/offline/:eventId/sync
+   */
+  async syncOfflineCheckIns(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      const { deviceId, checkIns } = req.body;
+
+      const result = await offlineCheckInService.sync(eventId, { deviceId, checkIns }, req.user.id);
+
+      res.locals.audit = {
+        action: 'sync_offline_checkins',
+        resource: 'event',
+        resourceId: eventId,
+        details: { deviceId, ...result.summary },
+      };
+
+      res.json({
+        success: true,
+        message: 'Offline check-ins synced',
+        data: result,
       });
     } catch (error) {
       next(error);
@@ -329,28 +438,34 @@ class AttendanceController {
         throw new AppError('Event not found', 404);
       }
 
-      // Get all registered users
+      // Get all confirmed registrants
+      const registrations = await Registration.find({ eventId: event._id, status: 'confirmed' });
       const users = await User.find({
-        'registeredEvents.event': eventId,
-      }).select('firstName lastName email phone registeredEvents.$');
+        _id: { $in: registrations.map((reg) => reg.userId) },
+      }).select('fullname email phone');
+      const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+      const attendanceData = registrations.map((registration) => {
+        const user = usersById.get(registration.userId.toString());
 
-      const attendanceData = users.map((user) => {
-        const registration = user.registeredEvents[0];
         return {
-          userId: user._id,
-          name: `${user.firstName} ${user.lastName}`,
-          email: user.email,
-          phone: user.phone,
+          userId: registration.userId,
+          name: user?.fullname,
+          email: user?.email,
+          phone: user?.phone,
           registeredAt: registration.registeredAt,
           attended: registration.attended,
-          checkInTime: registration.checkInTime,
-          status: registration.status,
+          checkInTime: registration.checkInTime || null,
+          checkOutTime: registration.checkOutTime || null,
+          durationMinutes: registration.durationMinutes ?? null,
+          sessionsAttended: event.countSessionsAttended(registration),
+          meetsThreshold: registration.attended ? event.meetsAttendanceThreshold(registration) : false,
         };
       });
 
       const summary = {
         eventTitle: event.title,
-        eventDate: event.date,
+        eventDate: event.startDateTime,
         totalRegistered: attendanceData.length,
         totalAttended: attendanceData.filter((a) => a.attended).length,
         totalAbsent: attendanceData.filter((a) => !a.attended).length,
@@ -366,6 +481,13 @@ class AttendanceController {
         success: true,
         data: {
           summary,
+          sessions:
+            event.sessions.length > 0
+              ? eventSessionService.getAttendanceReport(
+                  event,
+                  registrations.filter((registration) => registration.attended)
+                )
+              : null,
           attendees: attendanceData,
         },
       });
@@ -391,30 +513,31 @@ class AttendanceController {
         throw new AppError('Event not found', 404);
       }
 
-      // Search by email, phone, or name
-      const users = await User.find({
-        'registeredEvents.event': eventId,
-        $or: [
-          { email: { $regex: query, $options: 'i' } },
-          { phone: { $regex: query, $options: 'i' } },
-          { firstName: { $regex: query, $options: 'i' } },
-          { lastName: { $regex: query, $options: 'i' } },
-        ],
-      }).select('firstName lastName email phone profilePicture registeredEvents.$');
-
-      const results = users.map((user) => {
-        const registration = user.registeredEvents[0];
-        return {
-          userId: user._id,
-          name: `${user.firstName} ${user.lastName}`,
-          email: user.email,
-          phone: user.phone,
-          profilePicture: user.profilePicture,
+      // Search users by email, phone, or name, then keep those registered for the event
+      const pattern = { $regex: escapeRegex(String(query)), $options: 'i' };
+      const userIds = await User.distinct('_id', {
+        $or: [{ email: pattern }, { phone: pattern }, { fullname: pattern }],
+      });
+      const registrations = await Registration.find({
+        eventId: event._id,
+        status: 'confirmed',
+        userId: { $in: userIds },
+      })
+        .select('userId status checkInTime')
+        .populate({ path: 'user', select: 'fullname email phone profilePicture' });
+
+      const results = registrations
+        .filter((registration) => registration.user)
+        .map((registration) => ({
+          userId: registration.userId,
+          name: registration.user.fullname,
+          email: registration.user.email,
+          phone: registration.user.phone,
+          profilePicture: registration.user.profilePicture,
           attended: registration.attended,
-          checkInTime: registration.checkInTime,
+          checkInTime: registration.checkInTime || null,
           status: registration.status,
-        };
-      });
+        }));
 
       res.json({
         success: true,
@@ -441,18 +564,18 @@ class AttendanceController {
         throw new AppError('Event not found', 404);
       }
 
-      const totalRegistered = await User.countDocuments({
-        'registeredEvents.event': eventId,
-      });
-
-      const totalAttended = await User.countDocuments({
-        'registeredEvents.event': eventId,
-        'registeredEvents.attended': true,
-      });
+      const [totalRegistered, totalAttended] = await Promise.all([
+        Registration.countDocuments({ eventId: event._id, status: 'confirmed' }),
+        Registration.countDocuments({
+          eventId: event._id,
+          status: 'confirmed',
+          checkInTime: { $exists: true },
+        }),
+      ]);
 
       const stats = {
         eventTitle: event.title,
-        eventDate: event.date,
+        eventDate: event.startDateTime,
         capacity: event.capacity,
         totalRegistered,
         totalAttended,
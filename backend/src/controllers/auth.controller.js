@@ -1,7 +1,6 @@
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { User, Admin } from '../models/index.js';
-import { emailService, smsService } from '../services/index.js';
+import { emailService, twoFactorService, sessionService } from '../services/index.js';
 import logger from '../utils/logger.js';
 import config from '../config/index.js';
 import { AppError } from '../middleware/errorHandler.js';
@@ -12,25 +11,6 @@ import { AppError } from '../middleware/errorHandler.js';
  */
 
 class AuthController {
-  /**
-   * Generate JWT tokens
-   */
-  generateTokens(userId, role = 'user') {
-    const accessToken = jwt.sign(
-      { id: userId, role },
-      config.jwt.secret,
-      { expiresIn: config.jwt.expiresIn }
-    );
-
-    const refreshToken = jwt.sign(
-      { id: userId, role },
-      config.jwt.refreshSecret,
-      { expiresIn: config.jwt.refreshExpiresIn }
-    );
-
-    return { accessToken, refreshToken };
-  }
-
   /**
    * Generate OTP
    */
@@ -103,7 +83,7 @@ class AuthController {
       const { email, password } = req.body;
 
       // Find user
-      const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+      const user = await User.findOne({ email: email.toLowerCase() }).select('+password +twoFactorSecret');
       if (!user) {
         throw new AppError('Invalid email or password', 401);
       }
@@ -136,47 +116,64 @@ class AuthController {
         throw new AppError('Email not verified. A new OTP has been sent to your email.', 403);
       }
 
-      // Generate tokens
-      const { accessToken, refreshToken } = this.generateTokens(user._id, 'user');
-
-      // Update last login
-      user.lastLoginAt = new Date();
-      user.lastLoginIP = req.ip;
-      await user.save();
-
-      logger.info(`User logged in: ${user.email}`);
-
-      res.json({
-        success: true,
-        message: 'Login successful',
-        data: {
-          user: {
-            id: user._id,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            phone: user.phone,
-            profilePicture: user.profilePicture,
+      // Second step required when 2FA is enabled
+      if (twoFactorService.isEnabled(user, 'user')) {
+        res.json({
+          success: true,
+          message: 'Two-factor authentication code required',
+          data: {
+            requiresTwoFactor: true,
+            challengeToken: twoFactorService.issueChallenge(user, 'user'),
           },
-          accessToken,
-          refreshToken,
-        },
-      });
+        });
+      } else {
+        res.json({
+          success: true,
+          message: 'Login successful',
+          data: await this.completeUserLogin(user, req),
+        });
+      }
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * Issue tokens and record a successful user login
+   */
+  async completeUserLogin(user, req) {
+    const { accessToken, refreshToken } = await sessionService.createSession(user, 'user', req);
+
+    // Update last login
+    user.set({ lastLoginAt: new Date(), lastLoginIP: req.ip });
+    await user.save();
+
+    logger.info(`User logged in: ${user.email}`);
+
+    return {
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        phone: user.phone,
+        profilePicture: user.profilePicture,
+      },
+      accessToken,
+      refreshToken,
+    };
+  }
+
   /**
    * Admin Login
    * POST /api/v1/auth/admin/login
    */
   async adminLogin(req, res, next) {
     try {
-      const { email, password, twoFactorCode } = req.body;
+      const { email, password } = req.body;
 
       // Find admin
-      const admin = await Admin.findOne({ email: email.toLowerCase() }).select('+password');
+      const admin = await Admin.findOne({ email: email.toLowerCase() }).select('+password +otpSecret');
       if (!admin) {
         throw new AppError('Invalid email or password', 401);
       }
@@ -198,47 +195,197 @@ class AuthController {
         throw new AppError('Invalid email or password', 401);
       }
 
-      // Check 2FA if enabled
-      if (admin.twoFactorAuth.enabled) {
-        if (!twoFactorCode) {
-          throw new AppError('Two-factor authentication code required', 403);
-        }
+      // Second step required when 2FA is enabled
+      if (twoFactorService.isEnabled(admin, 'admin')) {
+        res.json({
+          success: true,
+          message: 'Two-factor authentication code required',
+          data: {
+            requiresTwoFactor: true,
+            challengeToken: twoFactorService.issueChallenge(admin, 'admin'),
+          },
+        });
+      } else {
+        res.json({
+          success: true,
+          message: 'Login successful',
+          data: await this.completeAdminLogin(admin, req),
+        });
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Issue tokens and record a successful admin login
+   */
+  async completeAdminLogin(admin, req) {
+    const { accessToken, refreshToken } = await sessionService.createSession(admin, 'admin', req);
+
+    // Reset login attempts and update last login
+    await admin.resetLoginAttempts();
+    admin.set({ lastLoginAt: new Date(), lastLoginIP: req.ip });
+    await admin.save();
+
+    // Log admin action
+    await admin.logAction('login', 'admin', admin._id, 'Admin logged in', req.ip);
+
+    logger.info(`Admin logged in: ${admin.email}`);
+
+    return {
+      admin: {
+        id: admin._id,
+        email: admin.email,
+        firstName: admin.firstName,
+        lastName: admin.lastName,
+        role: admin.role,
+        permissions: admin.permissions,
+      },
+      accessToken,
+      refreshToken,
+    };
+  }
+
+  /**
+   * Verify 2FA Login Challenge
+   * POST /api/v1/auth/2fa/verify
+   */
+  async verifyTwoFactorLogin(req, res, next) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      const { id, role } = twoFactorService.verifyChallenge(challengeToken);
+      const account = await twoFactorService.loadAccount(id, role);
 
-        // Verify 2FA code (simplified - should use authenticator app in production)
-        if (twoFactorCode !== admin.twoFactorAuth.secret) {
-          throw new AppError('Invalid two-factor authentication code', 401);
+      if (account.status !== 'active') {
+        throw new AppError('Account is not active', 403);
+      }
+
+      if (role === 'admin' && account.isLocked) {
+        throw new AppError('Account is locked due to multiple failed login attempts. Please contact system administrator.', 403);
+      }
+
+      const method = await twoFactorService.verifyAccount(account, role, { code, recoveryCode });
+      if (!method) {
+        if (role === 'admin') {
+          await account.incrementLoginAttempts();
+          await account.logAction('otp_verification_failed', 'admin', account._id, 'Invalid 2FA code at login', req.ip);
         }
+        throw new AppError('Invalid two-factor authentication code', 401);
       }
 
-      // Generate tokens
-      const { accessToken, refreshToken } = this.generateTokens(admin._id, 'admin');
+      const data = role === 'admin'
+        ? await this.completeAdminLogin(account, req)
+        : await this.completeUserLogin(account, req);
 
-      // Reset login attempts and update last login
-      await admin.resetLoginAttempts();
-      admin.lastLoginAt = new Date();
-      admin.lastLoginIP = req.ip;
-      await admin.save();
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: { ...data, twoFactorMethod: method },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start 2FA Setup
+   * POST /api/v1/auth/2fa/setup
+   */
+  async setupTwoFactor(req, res, next) {
+    try {
+      const account = await twoFactorService.loadAccount(req.user.id, req.userRole);
+      const setup = await twoFactorService.setup(account, req.userRole);
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: setup,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Log admin action
-      await admin.logAction('login', 'admin', admin._id, 'Admin logged in', req.ip);
+  /**
+   * Confirm 2FA Setup
+   * POST /api/v1/auth/2fa/enable
+   */
+  async enableTwoFactor(req, res, next) {
+    try {
+      const account = await twoFactorService.loadAccount(req.user.id, req.userRole);
+      const recoveryCodes = await twoFactorService.enable(account, req.userRole, req.body.code);
 
-      logger.info(`Admin logged in: ${admin.email}`);
+      res.locals.audit = { action: '2fa_enabled', resource: 'admin', resourceId: account._id };
 
       res.json({
         success: true,
-        message: 'Login successful',
-        data: {
-          admin: {
-            id: admin._id,
-            email: admin.email,
-            firstName: admin.firstName,
-            lastName: admin.lastName,
-            role: admin.role,
-            permissions: admin.permissions,
-          },
-          accessToken,
-          refreshToken,
-        },
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        data: { recoveryCodes },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Disable 2FA
+   * POST /api/v1/auth/2fa/disable
+   */
+  async disableTwoFactor(req, res, next) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+      const { model } = twoFactorService.getFields(req.userRole);
+
+      const account = await twoFactorService.loadAccount(req.user.id, req.userRole);
+      if (!twoFactorService.isEnabled(account, req.userRole)) {
+        throw new AppError('Two-factor authentication is not enabled', 400);
+      }
+
+      const withPassword = await model.findById(account._id).select('+password');
+      if (!(await withPassword.comparePassword(password))) {
+        throw new AppError('Password is incorrect', 401);
+      }
+
+      if (!(await twoFactorService.verifyAccount(account, req.userRole, { code, recoveryCode }))) {
+        throw new AppError('Invalid two-factor authentication code', 401);
+      }
+
+      await twoFactorService.disable(account, req.userRole);
+
+      res.locals.audit = { action: '2fa_disabled', resource: 'admin', resourceId: account._id };
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Regenerate Recovery Codes
+   * POST /api/v1/auth/2fa/recovery-codes
+   */
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const account = await twoFactorService.loadAccount(req.user.id, req.userRole);
+      if (!twoFactorService.isEnabled(account, req.userRole)) {
+        throw new AppError('Two-factor authentication is not enabled', 400);
+      }
+
+      if (!(await twoFactorService.consumeCode(account, req.userRole, req.body.code))) {
+        throw new AppError('Invalid two-factor authentication code', 401);
+      }
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(account, req.userRole);
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated. Previous codes no longer work.',
+        data: { recoveryCodes },
       });
     } catch (error) {
       next(error);
@@ -280,8 +427,8 @@ class AuthController {
       user.verification.email.expiresAt = undefined;
       await user.save();
 
-      // Generate tokens
-      const { accessToken, refreshToken } = this.generateTokens(user._id, 'user');
+      // Start a session
+      const { accessToken, refreshToken } = await sessionService.createSession(user, 'user', req);
 
       logger.info(`Email verified for user: ${user.email}`);
 
@@ -416,6 +563,9 @@ class AuthController {
       user.passwordResetExpires = undefined;
       await user.save();
 
+      // Sign out every device that may be using the old password
+      await sessionService.revokeAllSessions(user, 'user', 'password_reset');
+
       logger.info(`Password reset successful for: ${user.email}`);
 
       res.json({
@@ -451,6 +601,9 @@ class AuthController {
       user.password = newPassword;
       await user.save();
 
+      // Keep this device signed in, sign out the others
+      await sessionService.revokeAllSessions(user, 'user', 'password_changed', req.sessionId);
+
       logger.info(`Password changed for user: ${user.email}`);
 
       res.json({
@@ -474,37 +627,17 @@ class AuthController {
         throw new AppError('Refresh token required', 400);
       }
 
-      // Verify refresh token
-      const decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
-
-      // Check if user/admin still exists
-      let user;
-      if (decoded.role === 'admin') {
-        user = await Admin.findById(decoded.id);
-      } else {
-        user = await User.findById(decoded.id);
-      }
-
-      if (!user) {
-        throw new AppError('User not found', 404);
-      }
-
-      if (user.status !== 'active') {
-        throw new AppError('Account is not active', 403);
-      }
-
-      // Generate new tokens
-      const tokens = this.generateTokens(user._id, decoded.role);
+      const { accessToken, refreshToken: rotatedToken } = await sessionService.rotate(
+        refreshToken,
+        req
+      );
 
       res.json({
         success: true,
         message: 'Token refreshed successfully',
-        data: tokens,
+        data: { accessToken, refreshToken: rotatedToken },
       });
     } catch (error) {
-      if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-        return next(new AppError('Invalid or expired refresh token', 401));
-      }
       next(error);
     }
   }
@@ -515,8 +648,7 @@ class AuthController {
    */
   async logout(req, res, next) {
     try {
-      // In a production app with Redis, you would blacklist the token here
-      // For now, we'll just return success and let the client delete the token
+      await sessionService.revokeSession(req.user, req.userRole, req.sessionId, 'logout');
 
       logger.info(`User logged out: ${req.user.id}`);
 
@@ -529,6 +661,45 @@ class AuthController {
     }
   }
 
+  /**
+   * List Active Sessions
+   * GET /api/v1/auth/sessions
+   */
+  async getSessions(req, res, next) {
+    try {
+      const sessions = await sessionService.listSessions(req.user.id, req.userRole, req.sessionId);
+
+      res.json({
+        success: true,
+        data: { sessions },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sign Out a Session
+   * DELETE /api/v1/auth/sessions/:id
+   */
+  async revokeSession(req, res, next) {
+    try {
+      const revoked = await sessionService.revokeSession(req.user, req.userRole, req.params.id, 'revoked_by_user');
+      if (!revoked) {
+        throw new AppError('Session not found', 404);
+      }
+
+      logger.info(`Session ${req.params.id} revoked by ${req.userRole}: ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Session signed out',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get Current User/Admin
    * GET /api/v1/auth/me
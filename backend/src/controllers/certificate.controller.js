@@ -1,5 +1,10 @@
-import { Certificate, CertificateTemplate, Event, User } from '../models/index.js';
-import { certificateService, storageService } from '../services/index.js';
+import { Certificate, CertificateTemplate, Event, User, Registration } from '../models/index.js';
+import { certificateService, eventLifecycleService, storageService } from '../services/index.js';
+import certificateArchiveService, { ARCHIVE_FORMATS } from '../services/certificateArchive.service.js';
+import { certificateQueue } from '../queues/index.js';
+import { queueCertificate, CERTIFICATE_JOB_TYPES } from '../queues/processors/certificate.processor.js';
+import config from '../config/index.js';
+import { renderVerificationPage } from '../utils/verificationPage.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 
@@ -9,30 +14,69 @@ import { AppError } from '../middleware/errorHandler.js';
  */
 
 class CertificateController {
+  /**
+   * Template fields from a JSON or multipart request body
+   * Multipart requests send design, content and signatures as JSON strings, and
+   * uploaded assets (see processCertificateTemplate) are merged into the design.
+   * @param {Object} body - Request body
+   * @param {Object} current - Existing template (on update)
+   * @returns {Object}
+   */
+  buildTemplateData(body, current = {}) {
+    const parse = (field, fallback) => {
+      if (body[field] === undefined) return fallback;
+      if (typeof body[field] !== 'string') return body[field];
+      try {
+        return JSON.parse(body[field]);
+      } catch (error) {
+        throw new AppError(`${field} must be valid JSON`, 400);
+      }
+    };
+
+    const design = parse('design', current.design) || {};
+    if (body.backgroundImage) {
+      design.backgroundImage = body.backgroundImage;
+    }
+    if (body.logoUrl) {
+      design.layout = { ...design.layout, logo: { ...design.layout?.logo, url: body.logoUrl } };
+    }
+    if (body.customFonts) {
+      design.customFonts = [...(design.customFonts || []), ...body.customFonts];
+    }
+
+    // Uploaded signature images fill signatures[] in order
+    let signatures = parse('signatures', current.signatures);
+    if (body.signatureImages) {
+      signatures = body.signatureImages.reduce((list, imageUrl, index) => {
+        const updated = [...list];
+        updated[index] = { ...updated[index], imageUrl };
+        return updated;
+      }, signatures || []);
+    }
+
+    const data = {
+      name: body.name,
+      description: body.description,
+      type: body.type,
+      design,
+      content: parse('content', undefined),
+      signatures,
+      dynamicFields: parse('dynamicFields', undefined),
+      isDefault: body.isDefault,
+      isActive: body.isActive,
+    };
+
+    return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+  }
+
   /**
    * Create Certificate Template
    * POST /api/v1/certificates/templates
    */
   async createTemplate(req, res, next) {
     try {
-      const {
-        name,
-        description,
-        content,
-        layout,
-        styles,
-        placeholders,
-        isDefault,
-      } = req.body;
-
       const template = await CertificateTemplate.create({
-        name,
-        description,
-        content,
-        layout,
-        styles,
-        placeholders,
-        isDefault,
+        ...this.buildTemplateData(req.body),
         createdBy: req.user.id,
       });
 
@@ -114,7 +158,10 @@ class CertificateController {
         throw new AppError('Template not found', 404);
       }
 
-      Object.assign(template, req.body);
+      template.set({
+        ...this.buildTemplateData(req.body, template.toObject({ virtuals: false })),
+        lastModifiedBy: req.user.id,
+      });
       await template.save();
 
       logger.info(`Certificate template updated: ${template.name} by admin ${req.user.id}`);
@@ -129,6 +176,81 @@ class CertificateController {
     }
   }
 
+  /**
+   * Send a rendered preview as JSON (base64), a PDF or a PNG
+   * @param {Object} res - Express response
+   * @param {Object} preview - { pdf, thumbnail, data }
+   * @param {string} format - 'json' (default), 'pdf' or 'png'
+   */
+  sendPreview(res, preview, format) {
+    if (format === 'pdf') {
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': 'inline; filename="certificate-preview.pdf"',
+      });
+      res.send(preview.pdf);
+    } else if (format === 'png') {
+      if (!preview.thumbnail) {
+        throw new AppError('Thumbnail rendering is not available', 503);
+      }
+      res.set('Content-Type', 'image/png');
+      res.send(preview.thumbnail);
+    } else {
+      res.json({
+        success: true,
+        data: {
+          pdf: `data:application/pdf;base64,${preview.pdf.toString('base64')}`,
+          thumbnail: preview.thumbnail
+            ? `data:image/png;base64,${preview.thumbnail.toString('base64')}`
+            : null,
+          fields: preview.data,
+        },
+      });
+    }
+  }
+
+  /**
+   * Preview Saved Template
+   * POST /api/v1/certificates/templates/:id/preview
+   */
+  async previewTemplate(req, res, next) {
+    try {
+      const template = await CertificateTemplate.findById(req.params.id);
+      if (!template) {
+        throw new AppError('Template not found', 404);
+      }
+
+      // Read-only: keep previews out of the audit log
+      res.locals.audit = false;
+
+      const preview = await certificateService.previewTemplate(template, req.body.data);
+      this.sendPreview(res, preview, req.query.format);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Preview Unsaved Template
+   * POST /api/v1/certificates/templates/preview
+   */
+  async previewUnsavedTemplate(req, res, next) {
+    try {
+      const template = new CertificateTemplate({
+        name: 'Preview',
+        ...this.buildTemplateData(req.body),
+      });
+      await template.validate();
+
+      res.locals.audit = false;
+
+      const preview = await certificateService.previewTemplate(template, req.body.data);
+      this.sendPreview(res, preview, req.query.format);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Delete Template
    * DELETE /api/v1/certificates/templates/:id
@@ -191,9 +313,11 @@ class CertificateController {
       }
 
       // Check if user attended the event
-      const registration = user.registeredEvents.find(
-        (reg) => reg.event.toString() === eventId && reg.attended
-      );
+      const registration = await Registration.exists({
+        userId: user._id,
+        eventId: event._id,
+        checkInTime: { $exists: true },
+      });
 
       if (!registration) {
         throw new AppError('User did not attend this event', 400);
@@ -217,15 +341,6 @@ class CertificateController {
         templateId: template._id,
       });
 
-      // Update user registration
-      const regIndex = user.registeredEvents.findIndex(
-        (reg) => reg.event.toString() === eventId
-      );
-      if (regIndex !== -1) {
-        user.registeredEvents[regIndex].certificateIssued = true;
-        await user.save();
-      }
-
       logger.info(`Certificate generated for user ${user.email} for event ${event.title}`);
 
       res.status(201).json({
@@ -254,11 +369,10 @@ class CertificateController {
       // Generate certificates for all attendees
       const result = await certificateService.generateBulkCertificates(eventId, templateId);
 
-      // Update event
-      event.certificatesIssued = result.success.length;
-      await event.save();
+      // Shown in the event statistics alongside scheduled generation
+      await eventLifecycleService.recordCertificateResult(event._id, { result });
 
-      logger.info(`Bulk certificates generated for event ${event.title}: ${result.success.length} certificates`);
+      logger.info(`Bulk certificates generated for event ${event.title}: ${result.generated} certificates`);
 
       res.json({
         success: true,
@@ -270,6 +384,138 @@ class CertificateController {
     }
   }
 
+  /**
+   * Build Event Certificate Archive
+   * POST /api/v1/certificates/events/:eventId/archive
+   * Body: format (zip|pdf)
+   */
+  async createEventArchive(req, res, next) {
+    try {
+      const { eventId } = req.params;
+      const { format = 'zip' } = req.body;
+
+      if (!ARCHIVE_FORMATS.includes(format)) {
+        throw new AppError(`Invalid archive format. Use one of: ${ARCHIVE_FORMATS.join(', ')}`, 400);
+      }
+
+      const event = await Event.findById(eventId).select('title');
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+
+      const totalCertificates = await certificateArchiveService.countCertificates(eventId);
+      if (totalCertificates === 0) {
+        throw new AppError('This event has no active certificates to archive', 400);
+      }
+
+      const job = await queueCertificate(
+        CERTIFICATE_JOB_TYPES.BUILD_ARCHIVE,
+        { eventId, format, totalCertificates, adminId: req.user.id },
+        { attempts: 1, timeout: 30 * 60 * 1000, removeOnComplete: false }
+      );
+
+      res.locals.audit = {
+        action: 'certificate_archive',
+        resource: 'event',
+        resourceId: eventId,
+        details: { format, jobId: job.id, totalCertificates },
+      };
+
+      res.status(202).json({
+        success: true,
+        message: 'Certificate archive is being prepared. Check the job status to download it',
+        data: {
+          jobId: job.id,
+          totalCertificates,
+          statusUrl: `/api/${config.apiVersion}/certificates/archives/${job.id}`,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Archive Job Status
+   * GET /api/v1/certificates/archives/:jobId
+   */
+  async getArchiveJob(req, res, next) {
+    try {
+      const job = await this.findArchiveJob(req);
+      const state = await job.getState();
+      const downloadUrl = `/api/${config.apiVersion}/certificates/archives/${job.id}/download`;
+
+      res.json({
+        success: true,
+        data: {
+          jobId: job.id,
+          eventId: job.data.data.eventId,
+          format: job.data.data.format,
+          state,
+          progress: job.progress(),
+          totalCertificates: job.data.data.totalCertificates,
+          result: state === 'completed' ? job.returnvalue : null,
+          failedReason: job.failedReason || null,
+          downloadUrl: state === 'completed' ? downloadUrl : null,
+          manifestUrl: state === 'completed' ? `${downloadUrl}?file=manifest` : null,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download Finished Archive
+   * GET /api/v1/certificates/archives/:jobId/download
+   * Query: file (archive|manifest)
+   */
+  async downloadArchive(req, res, next) {
+    try {
+      const job = await this.findArchiveJob(req);
+      const state = await job.getState();
+
+      if (state !== 'completed') {
+        throw new AppError(`Archive is not ready (state: ${state})`, 409);
+      }
+
+      const { fileName, manifestFileName } = job.returnvalue;
+      const requested = req.query.file === 'manifest' ? manifestFileName : fileName;
+
+      res.download(
+        certificateArchiveService.getFilePath(requested),
+        requested.replace(/^[^-]+-/, ''),
+        error => {
+          if (error && !res.headersSent) {
+            next(new AppError('Archive has expired. Please build it again', 410));
+          }
+        }
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Load an archive job created by the requesting admin
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} - Bull job
+   */
+  async findArchiveJob(req) {
+    const job = await certificateQueue.getJob(req.params.jobId);
+
+    const isOwner = job?.data?.data?.adminId === req.user.id;
+    if (
+      !job ||
+      job.data.type !== CERTIFICATE_JOB_TYPES.BUILD_ARCHIVE ||
+      (!isOwner && req.user.role !== 'super_admin')
+    ) {
+      throw new AppError('Archive job not found', 404);
+    }
+
+    return job;
+  }
+
   /**
    * Get Certificate
    * GET /api/v1/certificates/:id
@@ -370,6 +616,56 @@ class CertificateController {
     }
   }
 
+  /**
+   * Download Open Badges Credential
+   * GET /api/v1/certificates/:id/credential
+   */
+  async downloadCredential(req, res, next) {
+    try {
+      const certificate = await Certificate.findById(req.params.id);
+
+      if (!certificate) {
+        throw new AppError('Certificate not found', 404);
+      }
+
+      // Check permission
+      if (req.userRole !== 'admin' && certificate.userId.toString() !== req.user.id) {
+        throw new AppError('Not authorized to download this certificate', 403);
+      }
+
+      const credential = await certificateService.issueCredential(certificate);
+
+      res.setHeader('Content-Type', 'application/ld+json');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="certificate-${certificate.certificateNumber}.credential.json"`
+      );
+      res.send(JSON.stringify(credential, null, 2));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Verify Open Badges Credential
+   * POST /api/v1/certificates/credentials/verify
+   * Body: the signed credential, or { credential }
+   */
+  async verifyCredential(req, res, next) {
+    try {
+      const credential = req.body?.credential || req.body;
+
+      const result = await certificateService.verifyCredential(credential);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Verify Certificate
    * GET /api/v1/certificates/verify/:hash
@@ -389,6 +685,50 @@ class CertificateController {
     }
   }
 
+  /**
+   * Verify Certificate by Number
+   * GET /api/v1/certificates/verify/number/:certificateNumber
+   */
+  async verifyCertificateByNumber(req, res, next) {
+    try {
+      const result = await certificateService.verifyCertificateNumber(req.params.certificateNumber);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Public Verification Page
+   * GET /verify/:hash
+   * GET /verify?number=CITAD-2025-XXXXXXXXXXXX
+   */
+  async renderVerificationPage(req, res, next) {
+    try {
+      const { hash } = req.params;
+      const number = typeof req.query.number === 'string' ? req.query.number.trim() : '';
+
+      let result = null;
+      if (hash) {
+        result = await certificateService.verifyCertificate(hash);
+      } else if (number) {
+        result = await certificateService.verifyCertificateNumber(number);
+      }
+
+      res
+        .status(result?.status === 'not_found' ? 404 : 200)
+        .set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' })
+        .type('html')
+        .send(renderVerificationPage({ result, number }));
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Revoke Certificate
    * POST /api/v1/certificates/:id/revoke
@@ -412,6 +752,40 @@ class CertificateController {
     }
   }
 
+  /**
+   * Renew Certificate
+   * POST /api/v1/certificates/:id/renew
+   */
+  async renewCertificate(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { months } = req.body;
+
+      const before = await Certificate.findById(id).select('status expiresAt').lean();
+      const certificate = await certificateService.renewCertificate(id, req.user.id, months);
+
+      res.locals.audit = {
+        action: 'certificate_renew',
+        resource: 'certificate',
+        resourceId: id,
+        before,
+        after: {
+          _id: certificate._id,
+          status: certificate.status,
+          expiresAt: certificate.expiresAt,
+        },
+      };
+
+      res.json({
+        success: true,
+        message: 'Certificate renewed successfully',
+        data: { certificate },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get Certificate Statistics
    * GET /api/v1/certificates/statistics
@@ -1,5 +1,12 @@
-import { Event, User } from '../models/index.js';
-import { storageService, qrService } from '../services/index.js';
+import { Event, User, Registration, Certificate, Feedback } from '../models/index.js';
+import {
+  storageService,
+  qrService,
+  registrationService,
+  eventSessionService,
+  calendarService,
+  feedbackService,
+} from '../services/index.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 
@@ -44,6 +51,8 @@ class EventController {
         createdBy: req.user.id,
       });
 
+      res.locals.audit = { action: 'create', resource: 'event', resourceId: event._id, after: event };
+
       logger.info(`Event created: ${event.title} by admin ${req.user.id}`);
 
       res.status(201).json({
@@ -153,6 +162,122 @@ class EventController {
     }
   }
 
+  /**
+   * Get Feedback Form
+   * GET /api/v1/events/:id/feedback-form
+   */
+  async getFeedbackForm(req, res, next) {
+    try {
+      const event = await Event.findById(req.params.id).select(
+        'status feedbackEnabled feedbackDeadline feedbackForm'
+      );
+
+      // Feedback is mostly given once the event is over
+      const visible = ['published', 'ongoing', 'completed'].includes(event?.status);
+      if (!event || (!visible && req.userRole !== 'admin')) {
+        throw new AppError('Event not found', 404);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          feedbackEnabled: event.feedbackEnabled,
+          feedbackDeadline: event.feedbackDeadline,
+          questions: event.feedbackForm?.questions || [],
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set Feedback Form
+   * PUT /api/v1/events/:id/feedback-form
+   * Body: { questions: [{ _id?, question, questionType, required, options, allowMultiple, scale, maxLength }] }
+   */
+  async updateFeedbackForm(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const { event, before } = await feedbackService.setForm(id, req.body.questions, req.user.id);
+
+      res.locals.audit = {
+        action: 'update_feedback_form',
+        resource: 'event',
+        resourceId: id,
+        before: before && { feedbackForm: { questions: before.questions } },
+        after: { feedbackForm: { questions: event.feedbackForm.toObject().questions } },
+      };
+
+      logger.info(`Feedback form updated for event ${event.title} by admin ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Feedback form updated successfully',
+        data: { questions: event.feedbackForm.questions },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Event Sessions
+   * GET /api/v1/events/:id/sessions
+   */
+  async getSessions(req, res, next) {
+    try {
+      const event = await Event.findById(req.params.id).select('status sessions minSessionsAttended');
+
+      if (!event || (event.status === 'draft' && req.userRole !== 'admin')) {
+        throw new AppError('Event not found', 404);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          sessions: event.sessions.map(session => eventSessionService.describe(session)),
+          minSessionsAttended: event.minSessionsAttended ?? null,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set Event Sessions
+   * PUT /api/v1/events/:id/sessions
+   * Body: { sessions: [{ _id?, title, description, startDateTime, endDateTime, room, speakers, capacity }] }
+   */
+  async updateSessions(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const { event, before } = await eventSessionService.setSessions(id, req.body.sessions);
+      const sessions = event.sessions.map(session => eventSessionService.describe(session));
+
+      res.locals.audit = {
+        action: 'update_sessions',
+        resource: 'event',
+        resourceId: id,
+        before: { sessions: before },
+        after: { sessions },
+      };
+
+      logger.info(`Sessions updated for event ${event.title} by admin ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Event sessions updated successfully',
+        data: { sessions },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Update Event
    * PUT /api/v1/events/:id
@@ -178,9 +303,16 @@ class EventController {
         });
       }
 
+      // Sessions carry attendance and are only changed through PUT /events/:id/sessions
+      delete updateData.sessions;
+
+      const before = event.toObject();
       Object.assign(event, updateData);
+      eventSessionService.assertSessionsWithinEvent(event);
       await event.save();
 
+      res.locals.audit = { action: 'update', resource: 'event', resourceId: id, before, after: event };
+
       logger.info(`Event updated: ${event.title} by admin ${req.user.id}`);
 
       res.json({
@@ -207,7 +339,7 @@ class EventController {
       }
 
       // Check if event has registrations
-      if (event.registeredCount > 0) {
+      if (await Registration.exists({ eventId: event._id, status: { $ne: 'cancelled' } })) {
         throw new AppError('Cannot delete event with existing registrations', 400);
       }
 
@@ -224,6 +356,8 @@ class EventController {
 
       await event.deleteOne();
 
+      res.locals.audit = { action: 'delete', resource: 'event', resourceId: id, before: event };
+
       logger.info(`Event deleted: ${event.title} by admin ${req.user.id}`);
 
       res.json({
@@ -414,6 +548,31 @@ class EventController {
     }
   }
 
+  /**
+   * Download Event Calendar File
+   * GET /api/v1/events/:id/calendar.ics
+   */
+  async downloadCalendar(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const event = await Event.findById(id);
+      if (!event || event.status === 'draft') {
+        throw new AppError('Event not found', 404);
+      }
+
+      const ics = calendarService.generateEventICS(event);
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${event.slug || event._id}.ics"`,
+      });
+      res.send(ics);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get Event Statistics
    * GET /api/v1/events/:id/statistics
@@ -422,20 +581,37 @@ class EventController {
     try {
       const { id } = req.params;
 
-      const event = await Event.findById(id);
+      const event = await Event.findById(id).select(
+        'status capacity registrationCount attendanceCount lifecycle sessions minSessionsAttended minAttendanceMinutes'
+      );
       if (!event) {
         throw new AppError('Event not found', 404);
       }
 
+      const [certificatesIssued, feedbackCount, attendees] = await Promise.all([
+        Certificate.countDocuments({ eventId: event._id, status: { $ne: 'revoked' } }),
+        Feedback.countDocuments({ eventId: event._id }),
+        event.sessions.length > 0
+          ? Registration.find({ eventId: event._id, checkInTime: { $exists: true } }).select(
+              'checkInTime durationMinutes sessions'
+            )
+          : [],
+      ]);
+
       const stats = {
-        totalRegistrations: event.registeredCount,
-        totalAttendance: event.attendedCount,
+        status: event.status,
+        totalRegistrations: event.registrationCount,
+        totalAttendance: event.attendanceCount,
         capacity: event.capacity,
-        availableSeats: event.capacity ? event.capacity - event.registeredCount : null,
-        attendanceRate: event.registeredCount > 0 
-          ? ((event.attendedCount / event.registeredCount) * 100).toFixed(2) 
-          : 0,
-        certificatesIssued: event.certificatesIssued || 0,
+        availableSeats: event.capacity ? event.capacity - event.registrationCount : null,
+        attendanceRate: event.attendanceRate,
+        certificatesIssued,
+        feedbackCount,
+        // Per-session and across-session attendance, for events with sessions
+        sessions:
+          event.sessions.length > 0 ? eventSessionService.getAttendanceReport(event, attendees) : null,
+        // Progress of the automatic post-event steps
+        postEvent: event.lifecycle?.completedAt ? event.lifecycle.toObject() : null,
       };
 
       res.json({
@@ -462,24 +638,25 @@ class EventController {
       }
 
       const query = {
-        'registeredEvents.event': id,
+        eventId: event._id,
       };
 
       if (status) {
-        query['registeredEvents.status'] = status;
+        query.status = status;
       }
 
-      const users = await User.find(query)
-        .select('firstName lastName email phone registeredEvents.$')
+      const registrations = await Registration.find(query)
+        .populate('user', 'fullname email phone')
+        .sort({ registeredAt: 1 })
         .limit(parseInt(limit))
         .skip((parseInt(page) - 1) * parseInt(limit));
 
-      const total = await User.countDocuments(query);
+      const total = await Registration.countDocuments(query);
 
       res.json({
         success: true,
         data: {
-          attendees: users,
+          attendees: registrations,
           total,
           page: parseInt(page),
           totalPages: Math.ceil(total / parseInt(limit)),
@@ -490,6 +667,161 @@ class EventController {
     }
   }
 
+  /**
+   * Get Event Registrations
+   * GET /api/v1/events/:id/registrations
+   */
+  async getRegistrations(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { status = 'pending' } = req.query;
+
+      const event = await Event.findById(id).select(
+        'title capacity registrationCount requireApproval waitlist'
+      );
+
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+
+      const registrations = await Registration.find({
+        eventId: event._id,
+        ...(status === 'all' ? {} : { status }),
+      })
+        .populate('userId', 'fullname email phone organization')
+        .sort({ registeredAt: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          event: {
+            id: event._id,
+            title: event.title,
+            capacity: event.capacity,
+            registrationCount: event.registrationCount,
+            spotsLeft: event.spotsLeft,
+            requireApproval: event.requireApproval,
+          },
+          total: registrations.length,
+          registrations,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve Registrations
+   * POST /api/v1/events/:id/registrations/approve
+   * POST /api/v1/events/:id/registrations/:userId/approve
+   */
+  async approveRegistrations(req, res, next) {
+    try {
+      const { id, userId } = req.params;
+      const userIds = userId ? [userId] : req.body.userIds;
+
+      const event = await Event.findById(id);
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+
+      const result = await registrationService.approveRegistrations(event, userIds, req.user);
+
+      if (userId && result.failed.length > 0) {
+        throw new AppError(result.failed[0].reason, 400);
+      }
+
+      res.json({
+        success: true,
+        message: `${result.approved.length} registration(s) approved`,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reject Registrations
+   * POST /api/v1/events/:id/registrations/reject
+   * POST /api/v1/events/:id/registrations/:userId/reject
+   */
+  async rejectRegistrations(req, res, next) {
+    try {
+      const { id, userId } = req.params;
+      const { reason } = req.body;
+      const userIds = userId ? [userId] : req.body.userIds;
+
+      const event = await Event.findById(id);
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+
+      const result = await registrationService.rejectRegistrations(
+        event,
+        userIds,
+        req.user,
+        reason
+      );
+
+      if (userId && result.failed.length > 0) {
+        throw new AppError(result.failed[0].reason, 400);
+      }
+
+      res.json({
+        success: true,
+        message: `${result.rejected.length} registration(s) rejected`,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Re-issue a Registrant's Ticket
+   * POST /api/v1/events/:id/registrations/:userId/ticket
+   */
+  async reissueTicket(req, res, next) {
+    try {
+      const { id, userId } = req.params;
+
+      const [event, user] = await Promise.all([Event.findById(id), User.findById(userId)]);
+
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      const registration = await registrationService.reissueTicket(user, event);
+
+      res.locals.audit = {
+        action: 'reissue_ticket',
+        resource: 'event',
+        resourceId: id,
+        details: { userId },
+      };
+
+      res.json({
+        success: true,
+        message: 'Ticket re-issued. The previous ticket no longer works',
+        data: {
+          registration: {
+            userId: registration.userId,
+            status: registration.status,
+            qrCode: registration.qrCode,
+          },
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Publish Event
    * POST /api/v1/events/:id/publish
@@ -507,9 +839,12 @@ class EventController {
         throw new AppError('Event is already published', 400);
       }
 
+      const before = event.toObject();
       event.status = 'published';
       await event.save();
 
+      res.locals.audit = { action: 'publish', resource: 'event', resourceId: id, before, after: event };
+
       logger.info(`Event published: ${event.title} by admin ${req.user.id}`);
 
       res.json({
@@ -536,10 +871,13 @@ class EventController {
         throw new AppError('Event not found', 404);
       }
 
+      const before = event.toObject();
       event.status = 'cancelled';
       event.cancellationReason = reason;
       await event.save();
 
+      res.locals.audit = { action: 'cancel', resource: 'event', resourceId: id, before, after: event };
+
       // TODO: Notify all registered users about cancellation
 
       logger.info(`Event cancelled: ${event.title} by admin ${req.user.id}`);
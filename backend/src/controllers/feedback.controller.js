@@ -1,4 +1,7 @@
-import { Feedback, Event, User } from '../models/index.js';
+import { Feedback, Event, Registration } from '../models/index.js';
+import { feedbackService } from '../services/index.js';
+import exportService, { EXPORT_FORMATS } from '../services/export.service.js';
+import { queueAnalytics, ANALYTICS_JOB_TYPES } from '../queues/processors/analytics.processor.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 
@@ -15,14 +18,13 @@ class FeedbackController {
   async submitFeedback(req, res, next) {
     try {
       const {
-        event: eventId,
-        rating,
-        content,
-        venue,
-        organization,
-        suggestions,
-        wouldRecommend,
-        category,
+        eventId,
+        ratings,
+        comments,
+        booleanQuestions,
+        npsScore,
+        responses,
+        isAnonymous = false,
       } = req.body;
 
       const userId = req.user.id;
@@ -33,42 +35,46 @@ class FeedbackController {
         throw new AppError('Event not found', 404);
       }
 
-      // Check if user attended the event
-      const user = await User.findById(userId);
-      const registration = user.registeredEvents.find(
-        (reg) => reg.event.toString() === eventId && reg.attended
-      );
-
-      if (!registration) {
-        throw new AppError('You must attend the event to submit feedback', 403);
-      }
+      // Feedback must be enabled and open, and the user checked in
+      await feedbackService.assertCanSubmit(event, userId);
 
       // Check if feedback already submitted
-      const existingFeedback = await Feedback.findOne({
-        user: userId,
-        event: eventId,
-      });
+      const existingFeedback = await Feedback.exists({ userId, eventId });
 
       if (existingFeedback) {
-        throw new AppError('Feedback already submitted for this event', 400);
+        throw new AppError('Feedback already submitted for this event', 409);
       }
 
-      // Create feedback
+      // Answers to the event's own questions
+      const customResponses = feedbackService.validateResponses(event.feedbackForm, responses);
+
+      // Create feedback (the unique userId + eventId index catches concurrent submissions)
       const feedback = await Feedback.create({
-        user: userId,
-        event: eventId,
-        rating: {
-          overall: rating?.overall || rating,
-          venue: venue,
-          organization: organization,
-        },
-        content,
-        suggestions,
-        wouldRecommend,
-        category,
+        userId,
+        eventId,
+        ratings,
+        comments,
+        booleanQuestions,
+        npsScore,
+        customResponses,
+        isAnonymous,
+      }).catch(error => {
+        if (error.code === 11000) {
+          throw new AppError('Feedback already submitted for this event', 409);
+        }
+        throw error;
       });
 
-      logger.info(`Feedback submitted for event ${event.title} by user ${user.email}`);
+      // Score the comments in the background; a queueing failure is already logged
+      // and should not fail the submission
+      queueAnalytics(
+        ANALYTICS_JOB_TYPES.FEEDBACK_SENTIMENT,
+        { feedbackId: feedback._id.toString() },
+        { removeOnComplete: true }
+      ).catch(() => {});
+
+      const author = isAnonymous ? 'anonymously' : `by user ${userId}`;
+      logger.info(`Feedback submitted for event ${event.title} ${author}`);
 
       res.status(201).json({
         success: true,
@@ -89,28 +95,29 @@ class FeedbackController {
       const { eventId } = req.params;
       const { page = 1, limit = 20, sort = '-createdAt', rating } = req.query;
 
-      const query = { event: eventId };
+      const query = { eventId };
 
       // Filter by rating
       if (rating) {
-        query['rating.overall'] = parseInt(rating);
+        query['ratings.overall'] = parseInt(rating, 10);
       }
 
-      const options = {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        sort,
-        populate: {
-          path: 'user',
-          select: 'firstName lastName profilePicture',
-        },
-      };
+      const feedback = await Feedback.find(query)
+        .populate('userId', 'fullname email')
+        .limit(parseInt(limit, 10))
+        .skip((parseInt(page, 10) - 1) * parseInt(limit, 10))
+        .sort(sort);
 
-      const feedback = await Feedback.paginate(query, options);
+      const total = await Feedback.countDocuments(query);
 
       res.json({
         success: true,
-        data: feedback,
+        data: {
+          feedback: feedback.map(item => feedbackService.toAdminView(item)),
+          total,
+          page: parseInt(page, 10),
+          totalPages: Math.ceil(total / parseInt(limit, 10)),
+        },
       });
     } catch (error) {
       next(error);
@@ -126,22 +133,22 @@ class FeedbackController {
       const { id } = req.params;
 
       const feedback = await Feedback.findById(id)
-        .populate('user', 'firstName lastName email profilePicture')
-        .populate('event', 'title date venue')
-        .populate('response.respondedBy', 'firstName lastName');
+        .populate('userId', 'fullname email')
+        .populate('eventId', 'title startDateTime venue');
 
       if (!feedback) {
         throw new AppError('Feedback not found', 404);
       }
 
       // Check permission (user can only view their own feedback unless admin)
-      if (req.user.role !== 'admin' && feedback.user._id.toString() !== req.user.id) {
+      const isAdmin = req.userRole === 'admin';
+      if (!isAdmin && String(feedback.userId?._id) !== req.user.id) {
         throw new AppError('Not authorized to view this feedback', 403);
       }
 
       res.json({
         success: true,
-        data: { feedback },
+        data: { feedback: isAdmin ? feedbackService.toAdminView(feedback) : feedback },
       });
     } catch (error) {
       next(error);
@@ -157,12 +164,16 @@ class FeedbackController {
       const { userId } = req.params;
 
       // Check permission
-      if (req.user.role !== 'admin' && userId !== req.user.id) {
+      const isAdmin = req.userRole === 'admin';
+      if (!isAdmin && userId !== req.user.id) {
         throw new AppError('Not authorized to view this feedback', 403);
       }
 
-      const feedback = await Feedback.find({ user: userId })
-        .populate('event', 'title date venue')
+      // Admins never see which feedback a user gave anonymously
+      const query = isAdmin ? { userId, isAnonymous: { $ne: true } } : { userId };
+
+      const feedback = await Feedback.find(query)
+        .populate('eventId', 'title startDateTime venue')
         .sort('-createdAt');
 
       res.json({
@@ -184,7 +195,7 @@ class FeedbackController {
   async updateFeedback(req, res, next) {
     try {
       const { id } = req.params;
-      const { rating, content, venue, organization, suggestions, wouldRecommend } = req.body;
+      const { ratings, comments, booleanQuestions, npsScore, responses } = req.body;
 
       const feedback = await Feedback.findById(id);
       if (!feedback) {
@@ -192,26 +203,38 @@ class FeedbackController {
       }
 
       // Check permission
-      if (feedback.user.toString() !== req.user.id) {
+      if (feedback.userId.toString() !== req.user.id) {
         throw new AppError('Not authorized to update this feedback', 403);
       }
 
-      // Update fields
-      if (rating !== undefined) {
-        if (typeof rating === 'object') {
-          if (rating.overall) feedback.rating.overall = rating.overall;
-          if (venue) feedback.rating.venue = venue;
-          if (organization) feedback.rating.organization = organization;
-        } else {
-          feedback.rating.overall = rating;
-        }
+      // Edits are only accepted while the event takes feedback
+      const event = await Event.findById(feedback.eventId).select(
+        'feedbackEnabled feedbackDeadline feedbackForm'
+      );
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+      feedbackService.assertFeedbackOpen(event);
+
+      // Update fields (nested groups are merged, not replaced)
+      Object.entries({ ratings, comments, booleanQuestions })
+        .filter(([, values]) => values && typeof values === 'object')
+        .forEach(([group, values]) => feedback.set(group, values, { merge: true }));
+      if (npsScore !== undefined) feedback.npsScore = npsScore;
+
+      if (responses !== undefined) {
+        feedback.customResponses = feedbackService.validateResponses(event.feedbackForm, responses);
       }
-      if (content !== undefined) feedback.content = content;
-      if (suggestions !== undefined) feedback.suggestions = suggestions;
-      if (wouldRecommend !== undefined) feedback.wouldRecommend = wouldRecommend;
 
       await feedback.save();
 
+      // Rescore the edited comments
+      queueAnalytics(
+        ANALYTICS_JOB_TYPES.FEEDBACK_SENTIMENT,
+        { feedbackId: feedback._id.toString() },
+        { removeOnComplete: true }
+      ).catch(() => {});
+
       logger.info(`Feedback updated: ${id} by user ${req.user.id}`);
 
       res.json({
@@ -238,13 +261,13 @@ class FeedbackController {
       }
 
       // Check permission (user can delete own, admin can delete any)
-      if (req.user.role !== 'admin' && feedback.user.toString() !== req.user.id) {
+      if (req.userRole !== 'admin' && feedback.userId.toString() !== req.user.id) {
         throw new AppError('Not authorized to delete this feedback', 403);
       }
 
       await feedback.deleteOne();
 
-      logger.info(`Feedback deleted: ${id} by ${req.user.role} ${req.user.id}`);
+      logger.info(`Feedback deleted: ${id} by ${req.userRole} ${req.user.id}`);
 
       res.json({
         success: true,
@@ -282,7 +305,7 @@ class FeedbackController {
       res.json({
         success: true,
         message: 'Response added successfully',
-        data: { feedback },
+        data: { feedback: feedbackService.toAdminView(feedback) },
       });
     } catch (error) {
       next(error);
@@ -303,16 +326,47 @@ class FeedbackController {
         throw new AppError('Feedback not found', 404);
       }
 
-      feedback.flagged = true;
-      feedback.flagReason = reason;
-      await feedback.save();
+      await feedback.flag(reason, 'admin');
 
       logger.info(`Feedback flagged: ${id} by admin ${req.user.id}`);
 
       res.json({
         success: true,
         message: 'Feedback flagged successfully',
-        data: { feedback },
+        data: { feedback: feedbackService.toAdminView(feedback) },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Backfill Feedback Sentiment (Admin)
+   * POST /api/v1/feedback/sentiment/backfill
+   */
+  async backfillSentiment(req, res, next) {
+    try {
+      const force = req.body.force === true;
+
+      const job = await queueAnalytics(
+        ANALYTICS_JOB_TYPES.BACKFILL_FEEDBACK_SENTIMENT,
+        { force },
+        { attempts: 1 }
+      );
+
+      res.locals.audit = {
+        action: 'backfill_feedback_sentiment',
+        resource: 'feedback',
+        resourceId: String(job.id),
+        details: force ? 'Rescoring all feedback' : 'Scoring feedback without a sentiment score',
+      };
+
+      logger.info(`Feedback sentiment backfill queued [${job.id}] by admin ${req.user.id}`);
+
+      res.status(202).json({
+        success: true,
+        message: 'Sentiment backfill started',
+        data: { jobId: job.id, force },
       });
     } catch (error) {
       next(error);
@@ -327,84 +381,28 @@ class FeedbackController {
     try {
       const { eventId } = req.params;
 
-      const event = await Event.findById(eventId);
+      const event = await Event.findById(eventId).select('title feedbackForm');
       if (!event) {
         throw new AppError('Event not found', 404);
       }
 
-      const feedback = await Feedback.find({ event: eventId });
-
-      if (feedback.length === 0) {
-        return res.json({
-          success: true,
-          data: {
-            totalFeedback: 0,
-            averageRating: 0,
-            ratingDistribution: {},
-            npsScore: 0,
-            responseRate: 0,
-          },
-        });
-      }
-
-      // Calculate average ratings
-      const totalRatings = feedback.reduce((sum, f) => sum + f.rating.overall, 0);
-      const averageRating = (totalRatings / feedback.length).toFixed(2);
-
-      const totalVenueRatings = feedback
-        .filter((f) => f.rating.venue)
-        .reduce((sum, f) => sum + f.rating.venue, 0);
-      const averageVenueRating = feedback.filter((f) => f.rating.venue).length
-        ? (totalVenueRatings / feedback.filter((f) => f.rating.venue).length).toFixed(2)
-        : 0;
-
-      const totalOrgRatings = feedback
-        .filter((f) => f.rating.organization)
-        .reduce((sum, f) => sum + f.rating.organization, 0);
-      const averageOrgRating = feedback.filter((f) => f.rating.organization).length
-        ? (totalOrgRatings / feedback.filter((f) => f.rating.organization).length).toFixed(2)
+      const [summary, feedback, attendedCount] = await Promise.all([
+        Feedback.getEventAnalytics(event._id),
+        Feedback.find({ eventId: event._id, status: { $in: ['submitted', 'reviewed'] } })
+          .select('customResponses submittedAt')
+          .lean(),
+        Registration.countDocuments({ eventId: event._id, checkInTime: { $exists: true } }),
+      ]);
+
+      // Response rate against checked-in attendees
+      const responseRate = attendedCount
+        ? parseFloat(((feedback.length / attendedCount) * 100).toFixed(2))
         : 0;
 
-      // Rating distribution
-      const ratingDistribution = {};
-      for (let i = 1; i <= 5; i++) {
-        ratingDistribution[i] = feedback.filter((f) => f.rating.overall === i).length;
-      }
-
-      // NPS Score (based on wouldRecommend)
-      const recommendCount = feedback.filter((f) => f.wouldRecommend === true).length;
-      const notRecommendCount = feedback.filter((f) => f.wouldRecommend === false).length;
-      const npsScore = feedback.length
-        ? (((recommendCount - notRecommendCount) / feedback.length) * 100).toFixed(2)
-        : 0;
-
-      // Response rate
-      const responseRate = event.attendedCount
-        ? ((feedback.length / event.attendedCount) * 100).toFixed(2)
-        : 0;
-
-      // Category distribution
-      const categoryDistribution = {};
-      feedback.forEach((f) => {
-        if (f.category) {
-          categoryDistribution[f.category] = (categoryDistribution[f.category] || 0) + 1;
-        }
-      });
-
-      // Common suggestions (simplified - just count of suggestions)
-      const suggestionsCount = feedback.filter((f) => f.suggestions).length;
-
       const analytics = {
-        totalFeedback: feedback.length,
-        averageRating: parseFloat(averageRating),
-        averageVenueRating: parseFloat(averageVenueRating),
-        averageOrganizationRating: parseFloat(averageOrgRating),
-        ratingDistribution,
-        npsScore: parseFloat(npsScore),
-        recommendationRate: ((recommendCount / feedback.length) * 100).toFixed(2),
-        responseRate: parseFloat(responseRate),
-        categoryDistribution,
-        suggestionsCount,
+        ...summary,
+        responseRate,
+        questions: feedbackService.getQuestionAnalytics(event.feedbackForm, feedback),
       };
 
       res.json({
@@ -423,32 +421,39 @@ class FeedbackController {
   async exportFeedback(req, res, next) {
     try {
       const { eventId } = req.params;
-      const { format = 'json' } = req.query;
+      const { format = 'csv', columns } = req.query;
 
-      const event = await Event.findById(eventId);
+      if (!EXPORT_FORMATS.includes(format)) {
+        throw new AppError(`Invalid export format. Use one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+      }
+
+      const event = await Event.exists({ _id: eventId });
       if (!event) {
         throw new AppError('Event not found', 404);
       }
 
-      const feedback = await Feedback.find({ event: eventId })
-        .populate('user', 'firstName lastName email')
-        .sort('-createdAt');
-
-      // TODO: Implement CSV/PDF export based on format
+      // Same columns and anonymity rules as the admin feedback export
+      const options = {
+        type: 'feedback',
+        format,
+        columns: columns
+          ? columns
+              .split(',')
+              .map(column => column.trim())
+              .filter(Boolean)
+          : [],
+        filters: { eventId },
+      };
+      exportService.resolveColumns(options.type, options.columns);
 
-      res.json({
-        success: true,
-        data: {
-          event: {
-            id: event._id,
-            title: event.title,
-            date: event.date,
-          },
-          totalFeedback: feedback.length,
-          feedback,
-        },
-      });
+      logger.info(`Feedback export (${format}) for event ${eventId} by admin ${req.user.id}`);
+      await exportService.streamToResponse(res, options);
     } catch (error) {
+      if (res.headersSent) {
+        logger.error('Feedback export stream failed:', error);
+        res.destroy(error);
+        return;
+      }
       next(error);
     }
   }
@@ -471,26 +476,28 @@ class FeedbackController {
 
       const query = {};
 
-      if (event) query.event = event;
-      if (rating) query['rating.overall'] = parseInt(rating);
-      if (flagged === 'true') query.flagged = true;
+      if (event) query.eventId = event;
+      if (rating) query['ratings.overall'] = parseInt(rating, 10);
+      if (flagged === 'true') query.isFlagged = true;
       if (hasResponse === 'true') query['response.message'] = { $exists: true };
 
-      const options = {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        sort,
-        populate: [
-          { path: 'user', select: 'firstName lastName email' },
-          { path: 'event', select: 'title date' },
-        ],
-      };
+      const feedback = await Feedback.find(query)
+        .populate('userId', 'fullname email')
+        .populate('eventId', 'title startDateTime')
+        .limit(parseInt(limit, 10))
+        .skip((parseInt(page, 10) - 1) * parseInt(limit, 10))
+        .sort(sort);
 
-      const feedback = await Feedback.paginate(query, options);
+      const total = await Feedback.countDocuments(query);
 
       res.json({
         success: true,
-        data: feedback,
+        data: {
+          feedback: feedback.map(item => feedbackService.toAdminView(item)),
+          total,
+          page: parseInt(page, 10),
+          totalPages: Math.ceil(total / parseInt(limit, 10)),
+        },
       });
     } catch (error) {
       next(error);
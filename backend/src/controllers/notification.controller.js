@@ -1,5 +1,5 @@
 import { Notification, User } from '../models/index.js';
-import { notificationService } from '../services/index.js';
+import { notificationService, registrationService } from '../services/index.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 
@@ -234,7 +234,7 @@ class NotificationController {
 
       // Get all users registered for the event
       const users = await User.find({
-        'registeredEvents.event': eventId,
+        _id: { $in: await registrationService.getRegisteredUserIds(eventId) },
       }).select('_id');
 
       if (users.length === 0) {
@@ -279,8 +279,11 @@ class NotificationController {
 
       // Get all registered users who haven't attended
       const users = await User.find({
-        'registeredEvents.event': eventId,
-        'registeredEvents.attended': false,
+        _id: {
+          $in: await registrationService.getRegisteredUserIds(eventId, {
+            checkInTime: { $exists: false },
+          }),
+        },
       }).select('_id');
 
       if (users.length === 0) {
@@ -1,5 +1,5 @@
-import { User, Event } from '../models/index.js';
-import { storageService, notificationService } from '../services/index.js';
+import { User, Event, Registration, Certificate } from '../models/index.js';
+import { storageService, registrationService, calendarService } from '../services/index.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 
@@ -15,9 +15,13 @@ class UserController {
    */
   async getProfile(req, res, next) {
     try {
-      const user = await User.findById(req.user.id)
-        .select('-password')
-        .populate('registeredEvents.event', 'title date venue');
+      const [user, registrations] = await Promise.all([
+        User.findById(req.user.id).select('-password'),
+        Registration.find({ userId: req.user.id, status: { $ne: 'cancelled' } })
+          .select('eventId status registeredAt checkInTime')
+          .populate('event', 'title startDateTime venue')
+          .sort({ registeredAt: -1 }),
+      ]);
 
       if (!user) {
         throw new AppError('User not found', 404);
@@ -25,7 +29,7 @@ class UserController {
 
       res.json({
         success: true,
-        data: { user },
+        data: { user, registrations },
       });
     } catch (error) {
       next(error);
@@ -209,55 +213,24 @@ class UserController {
         throw new AppError('Event not found', 404);
       }
 
-      // Check if event is active
-      if (event.status !== 'published') {
-        throw new AppError('Event is not available for registration', 400);
-      }
-
-      // Check if registration is open
-      if (event.registrationDeadline && new Date() > event.registrationDeadline) {
-        throw new AppError('Registration deadline has passed', 400);
-      }
-
-      // Check if already registered
-      const alreadyRegistered = user.registeredEvents.some(
-        (reg) => reg.event.toString() === eventId
-      );
-
-      if (alreadyRegistered) {
-        throw new AppError('Already registered for this event', 400);
-      }
-
-      // Check capacity
-      if (event.capacity && event.registeredCount >= event.capacity) {
-        throw new AppError('Event is full', 400);
-      }
-
-      // Register user
-      user.registeredEvents.push({
-        event: eventId,
-        registeredAt: new Date(),
-        status: 'registered',
-      });
-      await user.save();
-
-      // Update event registration count
-      event.registeredCount += 1;
-      await event.save();
+      const result = await registrationService.register(user, event);
 
-      // Send registration notification
-      await notificationService.sendEventRegistrationNotification(userId, eventId);
-
-      logger.info(`User ${user.email} registered for event: ${event.title}`);
+      const messages = {
+        confirmed: 'Successfully registered for the event',
+        pending: 'Registration received and awaiting approval',
+        waitlisted: 'Event is full. You have been added to the waitlist',
+      };
 
-      res.json({
+      res.status(result.status === 'confirmed' ? 200 : 202).json({
         success: true,
-        message: 'Successfully registered for the event',
+        message: messages[result.status],
         data: {
+          status: result.status,
+          waitlistPosition: result.position || null,
           event: {
             id: event._id,
             title: event.title,
-            date: event.date,
+            startDateTime: event.startDateTime,
             venue: event.venue,
           },
         },
@@ -289,39 +262,53 @@ class UserController {
         throw new AppError('Event not found', 404);
       }
 
-      // Find registration
-      const registrationIndex = user.registeredEvents.findIndex(
-        (reg) => reg.event.toString() === eventId
-      );
+      const result = await registrationService.unregister(user, event);
 
-      if (registrationIndex === -1) {
-        throw new AppError('Not registered for this event', 400);
-      }
+      res.json({
+        success: true,
+        message:
+          result.cancelled === 'waitlist'
+            ? 'Successfully left the waitlist'
+            : 'Successfully unregistered from the event',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Check if already attended
-      const registration = user.registeredEvents[registrationIndex];
-      if (registration.attended) {
-        throw new AppError('Cannot unregister after attending the event', 400);
-      }
+  /**
+   * Confirm Waitlist Seat Offer
+   * POST /api/v1/users/events/:eventId/waitlist/confirm
+   */
+  async confirmWaitlistOffer(req, res, next) {
+    try {
+      const { eventId } = req.params;
 
-      // Check if event has already occurred
-      if (new Date() > event.date) {
-        throw new AppError('Cannot unregister from past events', 400);
-      }
+      const [user, event] = await Promise.all([
+        User.findById(req.user.id),
+        Event.findById(eventId),
+      ]);
 
-      // Unregister user
-      user.registeredEvents.splice(registrationIndex, 1);
-      await user.save();
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
 
-      // Update event registration count
-      event.registeredCount = Math.max(0, event.registeredCount - 1);
-      await event.save();
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
 
-      logger.info(`User ${user.email} unregistered from event: ${event.title}`);
+      const registration = await registrationService.confirmWaitlistOffer(user, event);
 
       res.json({
         success: true,
-        message: 'Successfully unregistered from the event',
+        message: 'Your seat has been confirmed',
+        data: {
+          registration: {
+            status: registration.status,
+            registeredAt: registration.registeredAt,
+            qrCode: registration.qrCode,
+          },
+        },
       });
     } catch (error) {
       next(error);
@@ -329,33 +316,69 @@ class UserController {
   }
 
   /**
-   * Get Registered Events
-   * GET /api/v1/users/events/registered
+   * Re-issue Event Ticket
+   * POST /api/v1/users/events/:eventId/ticket
    */
-  async getRegisteredEvents(req, res, next) {
+  async reissueTicket(req, res, next) {
     try {
-      const { status, upcoming } = req.query;
+      const { eventId } = req.params;
 
-      const user = await User.findById(req.user.id).populate({
-        path: 'registeredEvents.event',
-        select: 'title description date venue capacity status banner',
-      });
+      const [user, event] = await Promise.all([
+        User.findById(req.user.id),
+        Event.findById(eventId),
+      ]);
 
       if (!user) {
         throw new AppError('User not found', 404);
       }
 
-      let events = user.registeredEvents;
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+
+      const registration = await registrationService.reissueTicket(user, event);
+
+      res.json({
+        success: true,
+        message: 'A new ticket has been issued. Your previous ticket no longer works',
+        data: {
+          registration: {
+            status: registration.status,
+            registeredAt: registration.registeredAt,
+            qrCode: registration.qrCode,
+          },
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get Registered Events
+   * GET /api/v1/users/events/registered
+   */
+  async getRegisteredEvents(req, res, next) {
+    try {
+      const { status, upcoming } = req.query;
 
-      // Filter by status
+      const query = { userId: req.user.id };
       if (status) {
-        events = events.filter((reg) => reg.status === status);
+        query.status = status;
       }
 
+      let events = await Registration.find(query)
+        .select('-qrSignature')
+        .populate({
+          path: 'event',
+          select: 'title description startDateTime endDateTime venue capacity status bannerImage',
+        })
+        .sort({ registeredAt: -1 });
+
       // Filter upcoming events
       if (upcoming === 'true') {
         events = events.filter((reg) => {
-          return reg.event && new Date(reg.event.date) > new Date();
+          return reg.event && new Date(reg.event.startDateTime) > new Date();
         });
       }
 
@@ -379,20 +402,27 @@ class UserController {
     try {
       const { eventId } = req.params;
 
-      const user = await User.findById(req.user.id);
-      if (!user) {
-        throw new AppError('User not found', 404);
+      const event = await Event.findById(eventId);
+      if (!event) {
+        throw new AppError('Event not found', 404);
       }
 
-      const registration = user.registeredEvents.find(
-        (reg) => reg.event.toString() === eventId
-      );
+      const registration = await registrationService.findRegistration(event._id, req.user.id);
+      const waitlistEntry = event.getWaitlistEntry(req.user.id);
 
       res.json({
         success: true,
         data: {
           isRegistered: !!registration,
           registration: registration || null,
+          waitlist: waitlistEntry
+            ? {
+                status: waitlistEntry.status,
+                joinedAt: waitlistEntry.joinedAt,
+                position: event.getWaitlistPosition(req.user.id),
+                offerExpiresAt: waitlistEntry.offerExpiresAt || null,
+              }
+            : null,
         },
       });
     } catch (error) {
@@ -401,30 +431,113 @@ class UserController {
   }
 
   /**
-   * Get User Certificates
-   * GET /api/v1/users/certificates
+   * Get Calendar Feed URL
+   * GET /api/v1/users/calendar/feed
    */
-  async getCertificates(req, res, next) {
+  async getCalendarFeed(req, res, next) {
     try {
-      const user = await User.findById(req.user.id).populate({
-        path: 'registeredEvents.event',
-        select: 'title date',
+      const user = await User.findById(req.user.id).select('+calendarFeedToken');
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      if (!user.calendarFeedToken) {
+        user.calendarFeedToken = calendarService.generateFeedToken();
+        await user.save();
+      }
+
+      res.json({
+        success: true,
+        data: {
+          feedUrl: calendarService.getFeedUrl(user.calendarFeedToken),
+        },
       });
+    } catch (error) {
+      next(error);
+    }
+  }
 
+  /**
+   * Reset Calendar Feed URL
+   * POST /api/v1/users/calendar/feed/reset
+   */
+  async resetCalendarFeed(req, res, next) {
+    try {
+      const user = await User.findById(req.user.id).select('+calendarFeedToken');
       if (!user) {
         throw new AppError('User not found', 404);
       }
 
-      // Filter events with certificates
-      const eventsWithCertificates = user.registeredEvents.filter(
-        (reg) => reg.attended && reg.certificateIssued
-      );
+      user.calendarFeedToken = calendarService.generateFeedToken();
+      await user.save();
+
+      logger.info(`Calendar feed URL reset for user: ${user.email}`);
 
       res.json({
         success: true,
+        message: 'Calendar feed URL reset. Previous subscriptions will stop updating',
         data: {
-          total: eventsWithCertificates.length,
-          certificates: eventsWithCertificates,
+          feedUrl: calendarService.getFeedUrl(user.calendarFeedToken),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Calendar Feed (token-authenticated, for calendar app subscriptions)
+   * GET /api/v1/users/calendar/:token/events.ics
+   */
+  async calendarFeed(req, res, next) {
+    try {
+      const { token } = req.params;
+
+      const user = await User.findOne({ calendarFeedToken: token, status: 'active' });
+      if (!user) {
+        throw new AppError('Calendar feed not found', 404);
+      }
+
+      // Cancelled events stay in the feed so subscribers see the cancellation
+      const since = new Date(Date.now() - 180 * 24 * 60 * 60 * 1000);
+      const eventIds = await Registration.distinct('eventId', {
+        userId: user._id,
+        status: { $in: ['pending', 'confirmed'] },
+      });
+      const events = await Event.find({
+        _id: { $in: eventIds },
+        status: { $ne: 'draft' },
+        endDateTime: { $gte: since },
+      }).sort({ startDateTime: 1 });
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Cache-Control': 'private, max-age=900',
+      });
+      res.send(calendarService.generateUserFeed(events, user));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get User Certificates
+   * GET /api/v1/users/certificates
+   */
+  async getCertificates(req, res, next) {
+    try {
+      const certificates = await Certificate.find({
+        userId: req.user.id,
+        status: { $ne: 'revoked' },
+      })
+        .select('certificateNumber eventId eventTitle eventDate issuedDate expiresAt status')
+        .sort({ issuedDate: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          total: certificates.length,
+          certificates,
         },
       });
     } catch (error) {
@@ -438,18 +551,23 @@ class UserController {
    */
   async getUserStatistics(req, res, next) {
     try {
-      const user = await User.findById(req.user.id);
-      if (!user) {
-        throw new AppError('User not found', 404);
-      }
+      const userId = req.user.id;
+
+      const [totalRegistrations, attendedEvents, upcomingEventIds, certificates] = await Promise.all([
+        Registration.countDocuments({ userId, status: { $ne: 'cancelled' } }),
+        Registration.countDocuments({ userId, checkInTime: { $exists: true } }),
+        Registration.distinct('eventId', { userId, status: 'confirmed' }),
+        Certificate.countDocuments({ userId, status: { $ne: 'revoked' } }),
+      ]);
 
       const stats = {
-        totalRegistrations: user.registeredEvents.length,
-        attendedEvents: user.registeredEvents.filter((reg) => reg.attended).length,
-        upcomingEvents: user.registeredEvents.filter((reg) => {
-          return !reg.attended && reg.status === 'registered';
-        }).length,
-        certificates: user.registeredEvents.filter((reg) => reg.certificateIssued).length,
+        totalRegistrations,
+        attendedEvents,
+        upcomingEvents: await Event.countDocuments({
+          _id: { $in: upcomingEventIds },
+          startDateTime: { $gt: new Date() },
+        }),
+        certificates,
       };
 
       res.json({
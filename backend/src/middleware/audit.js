@@ -0,0 +1,46 @@
+import auditService from '../services/audit.service.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Audit Trail
+ * Records every successful admin mutation once the response has been sent.
+ * Handlers can enrich the entry with
+ * res.locals.audit = { action, resource, resourceId, before, after, details }
+ * or skip it (e.g. when they already recorded it) with res.locals.audit = false.
+ * Reads, such as exports, are recorded only when the handler sets an entry.
+ * A response that fails midway never finishes, so it is not recorded.
+ */
+export const auditTrail = (req, res, next) => {
+  res.on('finish', () => {
+    if (req.userRole !== 'admin' || res.statusCode >= 400 || res.locals.audit === false) {
+      return;
+    }
+
+    if (!MUTATING_METHODS.includes(req.method) && !res.locals.audit) {
+      return;
+    }
+
+    const audit = res.locals.audit || {};
+    const routePath = `${req.baseUrl}${req.route ? req.route.path : req.path}`.replace(
+      /^\/api\/v\d+/,
+      ''
+    );
+
+    auditService.record({
+      actor: req.user,
+      action: audit.action || `${req.method.toLowerCase()} ${routePath}`,
+      resource: audit.resource || routePath.split('/')[1] || 'api',
+      resourceId: audit.resourceId || req.params.id,
+      before: audit.before,
+      after: audit.after,
+      details: audit.details,
+      req,
+      statusCode: res.statusCode,
+    });
+  });
+
+  next();
+};
+
+export default auditTrail;
@@ -1,7 +1,8 @@
 import jwt from 'jsonwebtoken';
-import speakeasy from 'speakeasy';
 import { User, Admin } from '../models/index.js';
 import { AppError } from './errorHandler.js';
+import twoFactorService from '../services/twoFactor.service.js';
+import sessionService from '../services/session.service.js';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 
@@ -22,28 +23,6 @@ const verifyToken = (token, secret) => {
   }
 };
 
-/**
- * Generate Access Token
- */
-export const generateAccessToken = (userId, role = 'user') => {
-  return jwt.sign(
-    { id: userId, role },
-    config.jwt.accessTokenSecret,
-    { expiresIn: config.jwt.accessTokenExpiry }
-  );
-};
-
-/**
- * Generate Refresh Token
- */
-export const generateRefreshToken = (userId, role = 'user') => {
-  return jwt.sign(
-    { id: userId, role },
-    config.jwt.refreshTokenSecret,
-    { expiresIn: config.jwt.refreshTokenExpiry }
-  );
-};
-
 /**
  * Protect Routes - Verify Access Token
  */
@@ -65,20 +44,25 @@ export const protect = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = verifyToken(token, config.jwt.accessTokenSecret);
+    const decoded = verifyToken(token, config.jwt.secret);
 
     // Check if user still exists
     let currentUser;
     if (decoded.role === 'admin') {
-      currentUser = await Admin.findById(decoded.id).select('+otpEnabled +otpSecret');
+      currentUser = await Admin.findById(decoded.id).select('+otpEnabled +otpSecret +sessions');
     } else {
-      currentUser = await User.findById(decoded.id).select('+twoFactorEnabled +twoFactorSecret');
+      currentUser = await User.findById(decoded.id).select('+twoFactorEnabled +twoFactorSecret +sessions');
     }
 
     if (!currentUser) {
       return next(new AppError('The user belonging to this token no longer exists.', 401));
     }
 
+    // Check that the session has not been signed out or revoked
+    if (!sessionService.isActive(currentUser, decoded.sid)) {
+      return next(new AppError('Your session has ended. Please login again.', 401));
+    }
+
     // Check if user is active
     if (currentUser.status !== 'active') {
       return next(new AppError('Your account has been deactivated. Please contact support.', 403));
@@ -92,6 +76,7 @@ export const protect = async (req, res, next) => {
     // Grant access to protected route
     req.user = currentUser;
     req.userRole = decoded.role;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     next(error);
@@ -113,37 +98,44 @@ export const restrictTo = (...roles) => {
 };
 
 /**
- * Check Admin Permissions
+ * Require Admin Permissions
+ * Only admins holding every listed permission get through; super_admin holds all.
  */
-export const checkPermission = (...permissions) => {
-  return async (req, res, next) => {
-    if (req.userRole !== 'admin') {
-      return next(new AppError('This action is restricted to administrators only.', 403));
-    }
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (req.userRole !== 'admin') {
+    return next(new AppError('This action is restricted to administrators only.', 403));
+  }
 
-    const admin = req.user;
+  const admin = req.user;
 
-    // Super admin has all permissions
-    if (admin.role === 'super_admin') {
-      return next();
-    }
+  // Check if admin has required permissions (hasPermission covers super_admin)
+  const hasPermission = permissions.every(permission => admin.hasPermission(permission));
 
-    // Check if admin has required permissions
-    const hasPermission = permissions.every(permission => 
-      admin.hasPermission(permission)
+  if (!hasPermission) {
+    logger.warn(`Admin ${admin.email} attempted unauthorized action: ${permissions.join(', ')}`);
+    return next(
+      new AppError('You do not have the required permissions to perform this action.', 403)
     );
+  }
 
-    if (!hasPermission) {
-      logger.warn(`Admin ${admin.email} attempted unauthorized action: ${permissions.join(', ')}`);
-      return next(
-        new AppError('You do not have the required permissions to perform this action.', 403)
-      );
-    }
+  next();
+};
 
-    next();
-  };
+/**
+ * Restrict access to specific admin roles (e.g. super_admin)
+ */
+export const requireAdminRole = (...roles) => (req, res, next) => {
+  if (req.userRole !== 'admin' || !roles.includes(req.user.role)) {
+    return next(new AppError('You do not have permission to perform this action.', 403));
+  }
+  next();
 };
 
+/**
+ * Check Admin Permissions (alias of requirePermission)
+ */
+export const checkPermission = requirePermission;
+
 /**
  * Verify OTP for Admin
  */
@@ -157,17 +149,11 @@ export const verifyOTP = async (req, res, next) => {
 
     const admin = req.user;
 
-    if (!admin.otpEnabled) {
+    if (!twoFactorService.isEnabled(admin, 'admin')) {
       return next(new AppError('OTP is not enabled for your account.', 400));
     }
 
-    // Verify OTP using speakeasy
-    const isValid = speakeasy.totp.verify({
-      secret: admin.otpSecret,
-      encoding: 'base32',
-      token: otp,
-      window: 2, // Allow 2 time steps before/after for clock skew
-    });
+    const isValid = await twoFactorService.consumeCode(admin, 'admin', otp);
 
     if (!isValid) {
       // Log failed OTP attempt
@@ -209,12 +195,7 @@ export const verify2FA = async (req, res, next) => {
     }
 
     // Verify 2FA code
-    const isValid = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: 'base32',
-      token: twoFactorCode,
-      window: 2,
-    });
+    const isValid = await twoFactorService.consumeCode(user, 'user', twoFactorCode);
 
     if (!isValid) {
       return next(new AppError('Invalid 2FA code. Please try again.', 401));
@@ -243,7 +224,7 @@ export const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = verifyToken(token, config.jwt.accessTokenSecret);
+    const decoded = verifyToken(token, config.jwt.secret);
 
     let currentUser;
     if (decoded.role === 'admin') {
@@ -276,7 +257,7 @@ export const verifyRefreshToken = async (req, res, next) => {
     }
 
     // Verify refresh token
-    const decoded = verifyToken(refreshToken, config.jwt.refreshTokenSecret);
+    const decoded = verifyToken(refreshToken, config.jwt.refreshSecret);
 
     // Check if user still exists
     let currentUser;
@@ -331,12 +312,12 @@ export const isOwner = (resourceUserIdField = 'userId') => {
 export default {
   protect,
   restrictTo,
+  requirePermission,
+  requireAdminRole,
   checkPermission,
   verifyOTP,
   verify2FA,
   optionalAuth,
   verifyRefreshToken,
   isOwner,
-  generateAccessToken,
-  generateRefreshToken,
 };
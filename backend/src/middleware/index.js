@@ -4,6 +4,7 @@
  */
 
 export * from './auth.js';
+export * from './audit.js';
 export * from './rateLimiter.js';
 export * from './validation.js';
 export * from './upload.js';
@@ -1,15 +1,85 @@
-import rateLimit from 'express-rate-limit';
+import rateLimit, { MemoryStore } from 'express-rate-limit';
 import RedisStore from 'rate-limit-redis';
-import { redisClient } from '../config/redis.js';
+import { getRedisClient } from '../config/redis.js';
 import config from '../config/index.js';
 import { AppError } from './errorHandler.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Get the Redis client if it is connected, otherwise null
+ */
+const getReadyRedisClient = () => {
+  try {
+    const client = getRedisClient();
+    return client.isReady ? client : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Rate limit store that counts in Redis once it is connected
+ * Limiters are created when the routes are imported, before connectRedis() runs,
+ * so the Redis store is created on first use. Until then, and whenever Redis
+ * fails, hits are counted in memory.
+ */
+class FallbackStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.memoryStore = new MemoryStore();
+    this.redisStore = null;
+  }
+
+  init(options) {
+    this.options = options;
+    this.memoryStore.init(options);
+  }
+
+  getRedisStore() {
+    if (!this.redisStore) {
+      const client = getReadyRedisClient();
+      if (client) {
+        this.redisStore = new RedisStore({
+          sendCommand: (...args) => client.sendCommand(args),
+          prefix: this.prefix,
+        });
+        this.redisStore.init(this.options);
+      }
+    }
+    return this.redisStore;
+  }
+
+  async run(method, key) {
+    const redisStore = this.getRedisStore();
+    if (redisStore) {
+      try {
+        return await redisStore[method](key);
+      } catch (error) {
+        logger.warn(`Redis rate limit store failed, counting in memory: ${error.message}`);
+      }
+    }
+    return this.memoryStore[method](key);
+  }
+
+  increment(key) {
+    return this.run('increment', key);
+  }
+
+  decrement(key) {
+    return this.run('decrement', key);
+  }
+
+  resetKey(key) {
+    return this.run('resetKey', key);
+  }
+}
+
 /**
  * Create rate limiter with Redis store
  */
 const createRateLimiter = (options) => {
   const {
+    name = 'api', // Keeps each limiter's counters separate in Redis
     windowMs = 15 * 60 * 1000, // 15 minutes
     max = 100, // limit each IP to 100 requests per windowMs
     message = 'Too many requests from this IP, please try again later.',
@@ -18,18 +88,7 @@ const createRateLimiter = (options) => {
     keyGenerator = null,
   } = options;
 
-  // Use Redis store if available, otherwise in-memory
-  const store = redisClient.isReady
-    ? new RedisStore({
-        // @ts-expect-error - Known issue with RedisStore types
-        client: redisClient,
-        prefix: 'rl:',
-      })
-    : undefined;
-
-  if (!store) {
-    logger.warn('Redis not available, using in-memory rate limiting');
-  }
+  const store = new FallbackStore(`rl:${name}:`);
 
   return rateLimit({
     windowMs,
@@ -59,8 +118,8 @@ const createRateLimiter = (options) => {
  * 100 requests per 15 minutes
  */
 export const apiLimiter = createRateLimiter({
-  windowMs: config.security.rateLimiting.windowMs,
-  max: config.security.rateLimiting.max,
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.maxRequests,
   message: 'Too many requests from this IP, please try again later.',
 });
 
@@ -69,6 +128,7 @@ export const apiLimiter = createRateLimiter({
  * 5 requests per 15 minutes
  */
 export const authLimiter = createRateLimiter({
+  name: 'auth',
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5,
   message: 'Too many login attempts, please try again after 15 minutes.',
@@ -80,6 +140,7 @@ export const authLimiter = createRateLimiter({
  * 3 requests per 15 minutes
  */
 export const strictAuthLimiter = createRateLimiter({
+  name: 'strict-auth',
   windowMs: 15 * 60 * 1000,
   max: 3,
   message: 'Too many attempts, please try again after 15 minutes.',
@@ -91,6 +152,7 @@ export const strictAuthLimiter = createRateLimiter({
  * 3 registrations per hour per IP
  */
 export const registrationLimiter = createRateLimiter({
+  name: 'registration',
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 3,
   message: 'Too many accounts created from this IP, please try again after an hour.',
@@ -101,6 +163,7 @@ export const registrationLimiter = createRateLimiter({
  * 100 scans per minute
  */
 export const scanLimiter = createRateLimiter({
+  name: 'scan',
   windowMs: 60 * 1000, // 1 minute
   max: 100,
   message: 'Too many scan attempts, please wait a moment.',
@@ -111,6 +174,7 @@ export const scanLimiter = createRateLimiter({
  * 10 downloads per 5 minutes
  */
 export const downloadLimiter = createRateLimiter({
+  name: 'download',
   windowMs: 5 * 60 * 1000, // 5 minutes
   max: 10,
   message: 'Too many download requests, please try again later.',
@@ -121,6 +185,7 @@ export const downloadLimiter = createRateLimiter({
  * 5 requests per hour
  */
 export const communicationLimiter = createRateLimiter({
+  name: 'communication',
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 5,
   message: 'Too many communication requests, please try again later.',
@@ -135,6 +200,7 @@ export const communicationLimiter = createRateLimiter({
  * 5 submissions per hour
  */
 export const feedbackLimiter = createRateLimiter({
+  name: 'feedback',
   windowMs: 60 * 60 * 1000,
   max: 5,
   message: 'Too many feedback submissions, please try again later.',
@@ -145,6 +211,7 @@ export const feedbackLimiter = createRateLimiter({
  * 20 uploads per hour
  */
 export const uploadLimiter = createRateLimiter({
+  name: 'upload',
   windowMs: 60 * 60 * 1000,
   max: 20,
   message: 'Too many file uploads, please try again later.',
@@ -155,6 +222,7 @@ export const uploadLimiter = createRateLimiter({
  * 200 requests per 15 minutes (higher limit for admin operations)
  */
 export const adminLimiter = createRateLimiter({
+  name: 'admin',
   windowMs: 15 * 60 * 1000,
   max: 200,
   message: 'Too many admin actions, please slow down.',
@@ -197,6 +265,7 @@ export const dynamicLimiter = (req, res, next) => {
   const max = limits[userType] || limits.guest;
 
   const limiter = createRateLimiter({
+    name: `dynamic-${userType}`,
     windowMs: 15 * 60 * 1000,
     max,
     message: `Too many requests for ${userType}s, please try again later.`,
@@ -210,24 +279,38 @@ export const dynamicLimiter = (req, res, next) => {
  * For public endpoints
  */
 export const ipLimiter = createRateLimiter({
+  name: 'ip',
   windowMs: 15 * 60 * 1000,
   max: 50,
   message: 'Too many requests from this IP address.',
   keyGenerator: (req) => req.ip, // Always use IP
 });
 
+/**
+ * Certificate Verification Rate Limiter
+ * Public lookups by hash or certificate number, per IP
+ */
+export const verificationLimiter = createRateLimiter({
+  name: 'verification',
+  windowMs: 15 * 60 * 1000,
+  max: config.rateLimit.verifyMax,
+  message: 'Too many verification requests, please try again later.',
+  keyGenerator: (req) => req.ip,
+});
+
 /**
  * Reset Rate Limit for User
  * Admin utility function
  */
 export const resetRateLimit = async (identifier) => {
   try {
-    if (!redisClient.isReady) {
+    const redisClient = getReadyRedisClient();
+    if (!redisClient) {
       logger.warn('Redis not available, cannot reset rate limit');
       return false;
     }
 
-    const pattern = `rl:${identifier}*`;
+    const pattern = `rl:*:${identifier}`;
     const keys = await redisClient.keys(pattern);
 
     if (keys.length > 0) {
@@ -259,5 +342,6 @@ export default {
   skipForAdmins,
   dynamicLimiter,
   ipLimiter,
+  verificationLimiter,
   resetRateLimit,
 };
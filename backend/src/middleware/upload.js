@@ -10,6 +10,8 @@ import logger from '../utils/logger.js';
 const IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
 const DOCUMENT_TYPES = ['application/pdf'];
 const ALLOWED_TYPES = [...IMAGE_TYPES, ...DOCUMENT_TYPES];
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+const FONT_SIGNATURES = ['00010000', '74727565', '4f54544f']; // TrueType, 'true', 'OTTO'
 
 // File size limits (in bytes)
 const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
@@ -285,40 +287,132 @@ export const processEventGallery = async (req, res, next) => {
 
 // ==================== CERTIFICATE TEMPLATE UPLOAD ====================
 
+// Allowed types per template asset field (fonts are checked by extension)
+const TEMPLATE_ASSET_TYPES = {
+  templateFile: ALLOWED_TYPES,
+  logo: IMAGE_TYPES,
+  signatures: IMAGE_TYPES,
+};
+
 /**
- * Upload certificate template
+ * Certificate template asset filter
+ * Background may be an image or PDF, logo and signatures must be images, fonts TTF/OTF
  */
-export const uploadCertificateTemplate = createUploader({
-  allowedTypes: [...IMAGE_TYPES, ...DOCUMENT_TYPES],
-  maxSize: MAX_DOCUMENT_SIZE,
-  maxFiles: 1,
-}).single('templateFile');
+const templateAssetFilter = (req, file, cb) => {
+  const isValid =
+    file.fieldname === 'fonts'
+      ? FONT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())
+      : (TEMPLATE_ASSET_TYPES[file.fieldname] || []).includes(file.mimetype);
+
+  if (isValid) {
+    cb(null, true);
+  } else {
+    cb(new AppError(`Invalid file type for ${file.fieldname}`, 400), false);
+  }
+};
 
 /**
- * Process certificate template
+ * Upload certificate template assets
+ * Fields: templateFile (background), logo, signatures (up to 3), fonts (up to 4)
+ */
+export const uploadCertificateTemplate = multer({
+  storage: multerStorage,
+  fileFilter: templateAssetFilter,
+  limits: {
+    fileSize: MAX_DOCUMENT_SIZE,
+    files: 9,
+  },
+}).fields([
+  { name: 'templateFile', maxCount: 1 },
+  { name: 'logo', maxCount: 1 },
+  { name: 'signatures', maxCount: 3 },
+  { name: 'fonts', maxCount: 4 },
+]);
+
+/**
+ * Process certificate template assets
+ * Sets req.body.backgroundImage, logoUrl, signatureImages and customFonts
  */
 export const processCertificateTemplate = async (req, res, next) => {
-  if (!req.file) return next();
+  const files = req.files || {};
+  if (Object.keys(files).length === 0) return next();
 
   try {
-    const filename = generateFilename(req.file.originalname);
-    const outputPath = path.join(UPLOAD_DIRS.templates, filename);
+    const [templateFile] = files.templateFile || [];
+    if (templateFile) {
+      let outputPath = path.join(UPLOAD_DIRS.templates, generateFilename(templateFile.originalname));
+
+      // If it's an image, process it
+      if (IMAGE_TYPES.includes(templateFile.mimetype)) {
+        await processImage(templateFile, outputPath, {
+          width: 2480, // A4 width at 300 DPI
+          height: 3508, // A4 height at 300 DPI
+          fit: 'inside',
+          quality: 95,
+        });
+      } else {
+        // For PDFs, just save as is
+        outputPath = await saveFile(templateFile, UPLOAD_DIRS.templates);
+      }
+
+      req.body.backgroundImage = `/templates/${path.basename(outputPath)}`;
+    }
+
+    const [logo] = files.logo || [];
+    if (logo) {
+      const filename = `${path.parse(generateFilename(logo.originalname)).name}.png`;
 
-    // If it's an image, process it
-    if (IMAGE_TYPES.includes(req.file.mimetype)) {
-      await processImage(req.file, outputPath, {
-        width: 2480, // A4 width at 300 DPI
-        height: 3508, // A4 height at 300 DPI
+      await processImage(logo, path.join(UPLOAD_DIRS.templates, filename), {
+        width: 600,
+        height: 600,
         fit: 'inside',
-        quality: 95,
+        quality: 90,
+        format: 'png', // PNG for transparency
       });
-    } else {
-      // For PDFs, just save as is
-      await saveFile(req.file, UPLOAD_DIRS.templates);
+
+      req.body.logoUrl = `/templates/${filename}`;
     }
 
-    req.file.path = `/templates/${filename}`;
-    req.body.backgroundImage = req.file.path;
+    if (files.signatures) {
+      req.body.signatureImages = await Promise.all(
+        files.signatures.map(async (file) => {
+          const filename = `${path.parse(generateFilename(file.originalname)).name}.png`;
+
+          await processImage(file, path.join(UPLOAD_DIRS.templates, filename), {
+            width: 500,
+            height: 150,
+            fit: 'inside',
+            quality: 90,
+            format: 'png',
+          });
+
+          return `/templates/${filename}`;
+        })
+      );
+    }
+
+    if (files.fonts) {
+      // Optional family names, in the same order as the font files
+      const families = [].concat(req.body.fontFamilies || []);
+
+      req.body.customFonts = await Promise.all(
+        files.fonts.map(async (file, index) => {
+          if (!FONT_SIGNATURES.includes(file.buffer.subarray(0, 4).toString('hex'))) {
+            throw new AppError(`${file.originalname} is not a TrueType or OpenType font`, 400);
+          }
+
+          const savedPath = await saveFile(file, UPLOAD_DIRS.templates);
+
+          const baseName = path.parse(file.originalname).name;
+          return {
+            family: families[index] || baseName.replace(/[-_ ]?(bold|italic|oblique|regular)/gi, ''),
+            url: `/templates/${path.basename(savedPath)}`,
+            bold: /bold/i.test(baseName),
+            italic: /italic|oblique/i.test(baseName),
+          };
+        })
+      );
+    }
 
     next();
   } catch (error) {
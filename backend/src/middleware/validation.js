@@ -208,6 +208,67 @@ export const validateUpdatePassword = [
   handleValidationErrors,
 ];
 
+/**
+ * Two-Factor Code Validation
+ */
+export const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Two-factor code is required')
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Two-Factor Login Challenge Validation
+ * Accepts either an authenticator code or a recovery code
+ */
+export const validateTwoFactorChallenge = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+
+  body('recoveryCode')
+    .if(body('code').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('A two-factor code or recovery code is required'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Disable Two-Factor Validation
+ */
+export const validateDisableTwoFactor = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+
+  body('recoveryCode')
+    .if(body('code').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('A two-factor code or recovery code is required'),
+
+  handleValidationErrors,
+];
+
 // ==================== EVENT VALIDATIONS ====================
 
 /**
@@ -311,6 +372,47 @@ export const validateEventId = [
   handleValidationErrors,
 ];
 
+/**
+ * Registration Review Validation
+ * Single-registration routes take :userId, bulk routes take body.userIds
+ */
+export const validateRegistrationReview = [
+  param('id')
+    .custom(isValidObjectId)
+    .withMessage('Invalid event ID'),
+
+  param('userId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid user ID'),
+
+  body('userIds')
+    .if((value, { req }) => !req.params.userId)
+    .isArray({ min: 1, max: 500 })
+    .withMessage('userIds must be an array of 1 to 500 user IDs'),
+
+  body('userIds.*')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid user ID'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Registration Rejection Validation
+ */
+export const validateRegistrationRejection = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A rejection reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  ...validateRegistrationReview,
+];
+
 // ==================== USER VALIDATIONS ====================
 
 /**
@@ -412,6 +514,17 @@ export const validateSubmitFeedback = [
     .isLength({ max: 1000 })
     .withMessage('Comment cannot exceed 1000 characters'),
 
+  body('responses')
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('responses must be an array of { questionId, answer }'),
+
+  body('isAnonymous')
+    .optional()
+    .isBoolean()
+    .withMessage('isAnonymous must be true or false')
+    .toBoolean(),
+
   handleValidationErrors,
 ];
 
@@ -424,12 +537,66 @@ export const validateQRScan = [
   body('qrData')
     .notEmpty()
     .withMessage('QR data is required')
-    .isJSON()
+    .isString()
     .withMessage('Invalid QR data format'),
 
-  body('signature')
-    .notEmpty()
-    .withMessage('QR signature is required'),
+  body('sessionId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid session ID'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Manual Check-out Validation
+ */
+export const validateManualCheckOut = [
+  body('userId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid user ID'),
+
+  body('eventId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid event ID'),
+
+  body('checkOutTime')
+    .optional()
+    .isISO8601()
+    .withMessage('checkOutTime must be a valid date'),
+
+  handleValidationErrors,
+];
+
+/**
+ * Offline Check-in Sync Validation
+ * Individual check-ins are checked by the sync itself, so one bad entry does
+ * not fail the whole upload.
+ */
+export const validateOfflineSync = [
+  param('eventId')
+    .custom(isValidObjectId)
+    .withMessage('Invalid event ID'),
+
+  body('deviceId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('deviceId cannot exceed 100 characters'),
+
+  body('checkIns')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('checkIns must be an array of 1 to 500 check-ins'),
+
+  body('checkIns.*')
+    .isObject()
+    .withMessage('Each check-in must be an object with checkInTime and qrData or userId'),
+
+  body('checkIns.*.sessionId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid session ID'),
 
   handleValidationErrors,
 ];
@@ -551,13 +718,20 @@ export default {
   validateForgotPassword,
   validateResetPassword,
   validateUpdatePassword,
+  validateTwoFactorCode,
+  validateTwoFactorChallenge,
+  validateDisableTwoFactor,
   validateCreateEvent,
   validateUpdateEvent,
   validateEventId,
+  validateRegistrationReview,
+  validateRegistrationRejection,
   validateUpdateProfile,
   validateUserId,
   validateSubmitFeedback,
   validateQRScan,
+  validateManualCheckOut,
+  validateOfflineSync,
   validatePagination,
   validateDateRange,
   validateCertificateVerification,
@@ -4,6 +4,37 @@ import config from '../config/index.js';
 
 const { Schema } = mongoose;
 
+// Default permissions of each role, given when an admin is created or their role changes
+export const ROLE_PERMISSIONS = {
+  super_admin: [
+    'create_event',
+    'edit_event',
+    'delete_event',
+    'manage_users',
+    'view_reports',
+    'generate_certificates',
+    'send_notifications',
+    'manage_admins',
+    'view_analytics',
+    'export_data',
+    'manage_settings',
+    'manage_attendance',
+  ],
+  event_manager: [
+    'create_event',
+    'edit_event',
+    'delete_event',
+    'view_reports',
+    'generate_certificates',
+    'send_notifications',
+    'view_analytics',
+    'export_data',
+    'manage_attendance',
+  ],
+  staff: ['view_reports', 'generate_certificates', 'view_analytics', 'manage_attendance'],
+  auditor: ['view_reports', 'view_analytics'],
+};
+
 const AdminSchema = new Schema(
   {
     // Basic Information
@@ -43,12 +74,13 @@ const AdminSchema = new Schema(
     },
     otpEnabled: {
       type: Boolean,
-      default: true,
+      default: false, // Enabled once enrolment is confirmed with a first code
     },
     backupCodes: {
-      type: [String],
+      type: [String], // SHA-256 hashes of single-use recovery codes
       select: false,
     },
+    otpLastStep: Number, // Time step of the last code accepted, so no code works twice
 
     // Role-Based Access Control (RBAC)
     role: {
@@ -72,6 +104,7 @@ const AdminSchema = new Schema(
           'view_analytics',
           'export_data',
           'manage_settings',
+          'manage_attendance',
         ],
       },
     ],
@@ -99,7 +132,7 @@ const AdminSchema = new Schema(
       },
     ],
 
-    // Audit Trail
+    // Audit Trail (legacy; new entries go to the AuditLog collection)
     actionsLog: [
       {
         action: {
@@ -143,6 +176,23 @@ const AdminSchema = new Schema(
     },
     lockUntil: Date,
 
+    // Sessions (one per signed-in device; refresh tokens stored hashed)
+    sessions: {
+      type: [
+        {
+          tokenHash: String,
+          device: String,
+          ip: String,
+          createdAt: Date,
+          lastActive: Date,
+          expiresAt: Date,
+          revokedAt: Date,
+          revokedReason: String,
+        },
+      ],
+      select: false,
+    },
+
     // Created By (for audit purposes)
     createdBy: {
       type: Schema.Types.ObjectId,
@@ -176,21 +226,15 @@ AdminSchema.methods.comparePassword = async function (candidatePassword) {
 };
 
 AdminSchema.methods.logAction = async function (action, resource, resourceId, details, ipAddress) {
-  this.actionsLog.push({
+  // Written to the append-only AuditLog collection (actionsLog is legacy, read-only)
+  return mongoose.model('AuditLog').create({
+    actor: { adminId: this._id, email: this.email, role: this.role },
     action,
     resource,
-    resourceId,
+    resourceId: resourceId ? String(resourceId) : undefined,
     details,
-    ipAddress,
-    timestamp: new Date(),
+    request: { ip: ipAddress },
   });
-
-  // Keep only last 1000 actions to prevent document size issues
-  if (this.actionsLog.length > 1000) {
-    this.actionsLog = this.actionsLog.slice(-1000);
-  }
-
-  return this.save();
 };
 
 AdminSchema.methods.hasPermission = function (permission) {
@@ -248,35 +292,7 @@ AdminSchema.pre('save', async function (next) {
 AdminSchema.pre('save', function (next) {
   if (!this.isModified('role') && this.permissions.length > 0) return next();
 
-  const rolePermissions = {
-    super_admin: [
-      'create_event',
-      'edit_event',
-      'delete_event',
-      'manage_users',
-      'view_reports',
-      'generate_certificates',
-      'send_notifications',
-      'manage_admins',
-      'view_analytics',
-      'export_data',
-      'manage_settings',
-    ],
-    event_manager: [
-      'create_event',
-      'edit_event',
-      'delete_event',
-      'view_reports',
-      'generate_certificates',
-      'send_notifications',
-      'view_analytics',
-      'export_data',
-    ],
-    staff: ['view_reports', 'generate_certificates', 'view_analytics'],
-    auditor: ['view_reports', 'view_analytics'],
-  };
-
-  this.permissions = rolePermissions[this.role] || [];
+  this.permissions = ROLE_PERMISSIONS[this.role] || [];
   next();
 });
 
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const AuditLogSchema = new Schema(
+  {
+    // Who
+    actor: {
+      adminId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Admin',
+        index: true,
+      },
+      email: String,
+      role: String,
+    },
+
+    // What
+    action: {
+      type: String,
+      required: [true, 'Audit action is required'],
+      index: true,
+    },
+    resource: {
+      type: String,
+      required: [true, 'Audit resource is required'],
+      index: true,
+    },
+    resourceId: String, // ObjectId or external ID (e.g. queue job)
+
+    // Changed fields only, keyed by dotted path
+    changes: {
+      before: Schema.Types.Mixed,
+      after: Schema.Types.Mixed,
+    },
+    details: Schema.Types.Mixed,
+
+    // Request context
+    request: {
+      method: String,
+      path: String,
+      statusCode: Number,
+      ip: String,
+      userAgent: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+// Indexes
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ 'actor.adminId': 1, createdAt: -1 });
+AuditLogSchema.index({ resource: 1, resourceId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Append-only: entries are never edited once written
+AuditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are immutable'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(op => {
+  AuditLogSchema.pre(op, next => next(new Error('Audit log entries are immutable')));
+});
+
+// Statics
+AuditLogSchema.statics.purgeOlderThan = async function (cutoff) {
+  const result = await this.deleteMany({ createdAt: { $lt: cutoff } });
+  return result.deletedCount;
+};
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+export default AuditLog;
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
+import config from '../config/index.js';
 
 const { Schema } = mongoose;
 
@@ -65,7 +66,13 @@ const CertificateSchema = new Schema(
       default: Date.now,
       required: true,
     },
-    expiryDate: Date, // Optional, for certificates with validity period
+    expiresAt: Date, // From the event or template validity period; unset = never expires
+    expiryReminderSentAt: Date,
+    renewedAt: Date,
+    renewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
 
     // File Information
     fileUrl: {
@@ -147,18 +154,19 @@ CertificateSchema.index({ userId: 1, eventId: 1 });
 CertificateSchema.index({ status: 1, issuedDate: -1 });
 CertificateSchema.index({ verificationHash: 1 }, { unique: true });
 CertificateSchema.index({ certificateNumber: 1 }, { unique: true });
+CertificateSchema.index({ status: 1, expiresAt: 1 });
 
 // Virtual Properties
 CertificateSchema.virtual('isValid').get(function () {
   if (this.status === 'revoked') return false;
   if (this.status === 'expired') return false;
-  if (this.expiryDate && this.expiryDate < new Date()) return false;
+  if (this.expiresAt && this.expiresAt < new Date()) return false;
   return true;
 });
 
+// Public, server-rendered verification page (encoded in the certificate QR code)
 CertificateSchema.virtual('verificationUrl').get(function () {
-  const baseUrl = process.env.FRONTEND_URL || 'https://meetcitad.org';
-  return `${baseUrl}/verify/${this.verificationHash}`;
+  return `${config.app.backendUrl}/verify/${this.verificationHash}`;
 });
 
 // Instance Methods
@@ -169,7 +177,8 @@ CertificateSchema.methods.generateCertificateNumber = function () {
 };
 
 CertificateSchema.methods.generateVerificationHash = function () {
-  const data = `${this.userId}-${this.eventId}-${Date.now()}`;
+  // Random salt so the hash (the public verification link) cannot be derived from IDs
+  const data = `${this.userId}-${this.eventId}-${Date.now()}-${crypto.randomBytes(16).toString('hex')}`;
   return crypto.createHash('sha256').update(data).digest('hex');
 };
 
@@ -216,8 +225,8 @@ CertificateSchema.pre('save', function (next) {
 
   // Auto-expire if past expiry date
   if (
-    this.expiryDate &&
-    this.expiryDate < new Date() &&
+    this.expiresAt &&
+    this.expiresAt < new Date() &&
     this.status === 'active'
   ) {
     this.status = 'expired';
@@ -23,6 +23,12 @@ const CertificateTemplateSchema = new Schema(
       default: 'attendance',
     },
 
+    // Validity period for issued certificates (e.g. training); unset = never expires
+    validityMonths: {
+      type: Number,
+      min: [1, 'Validity must be at least one month'],
+    },
+
     // Design Configuration
     design: {
       // Layout
@@ -106,6 +112,29 @@ const CertificateTemplateSchema = new Schema(
         },
       },
 
+      // Uploaded TTF/OTF fonts, matched to fonts.*.family by name
+      customFonts: [
+        {
+          family: {
+            type: String,
+            required: true,
+            trim: true,
+          },
+          url: {
+            type: String,
+            required: true,
+          },
+          bold: {
+            type: Boolean,
+            default: false,
+          },
+          italic: {
+            type: Boolean,
+            default: false,
+          },
+        },
+      ],
+
       // Layout Positioning (in mm from top-left)
       layout: {
         logo: {
@@ -44,6 +44,47 @@ const EventSchema = new Schema(
       default: 'Africa/Lagos',
     },
 
+    // Sessions of a multi-day or multi-part event, within its start and end.
+    // Managed through eventSession.service; who attended is on Registration.sessions.
+    sessions: [
+      {
+        title: {
+          type: String,
+          required: [true, 'Session title is required'],
+          trim: true,
+          maxlength: [200, 'Session title cannot exceed 200 characters'],
+        },
+        description: {
+          type: String,
+          maxlength: [1000, 'Session description cannot exceed 1000 characters'],
+        },
+        startDateTime: {
+          type: Date,
+          required: [true, 'Session start is required'],
+        },
+        endDateTime: {
+          type: Date,
+          required: [true, 'Session end is required'],
+        },
+        room: String, // Room within the event venue
+        speakers: [
+          {
+            name: String,
+            title: String,
+          },
+        ],
+        capacity: {
+          type: Number,
+          min: [1, 'Session capacity must be at least 1'],
+        },
+        attendanceCount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+      },
+    ],
+
     // Location
     venue: {
       name: {
@@ -99,13 +140,15 @@ const EventSchema = new Schema(
     gallery: [String],
 
     // Capacity Management
+    // Registrations and attendance live in the Registration collection; the
+    // counts below are kept in step with it by the registration and attendance services.
     capacity: {
       type: Number,
       required: [true, 'Event capacity is required'],
       min: [1, 'Capacity must be at least 1'],
     },
     registrationCount: {
-      type: Number,
+      type: Number, // Confirmed registrations
       default: 0,
       min: 0,
     },
@@ -127,6 +170,16 @@ const EventSchema = new Schema(
       type: Boolean,
       default: true,
     },
+    // Minutes an attendee must stay for bulk certificates; unset means check-in is enough
+    minAttendanceMinutes: {
+      type: Number,
+      min: [0, 'Minimum attendance cannot be negative'],
+    },
+    // Sessions an attendee must attend for bulk certificates ("N of M"); capped at M
+    minSessionsAttended: {
+      type: Number,
+      min: [1, 'Minimum sessions must be at least 1'],
+    },
 
     // Certificates
     certificateEnabled: {
@@ -137,6 +190,10 @@ const EventSchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: 'CertificateTemplate',
     },
+    certificateValidityMonths: {
+      type: Number, // Overrides the template's validity period
+      min: [1, 'Certificate validity must be at least one month'],
+    },
     certificatesGenerated: {
       type: Boolean,
       default: false,
@@ -149,6 +206,45 @@ const EventSchema = new Schema(
       default: true,
     },
     feedbackDeadline: Date,
+    // Event-specific questions, asked in array order (answers go to Feedback.customResponses)
+    feedbackForm: {
+      questions: [
+        {
+          question: {
+            type: String,
+            required: [true, 'Question text is required'],
+            trim: true,
+            maxlength: [300, 'Question cannot exceed 300 characters'],
+          },
+          questionType: {
+            type: String,
+            enum: ['text', 'rating', 'boolean', 'choice'],
+            required: [true, 'Question type is required'],
+          },
+          required: {
+            type: Boolean,
+            default: false,
+          },
+          options: [String], // choice
+          allowMultiple: {
+            type: Boolean, // choice
+            default: false,
+          },
+          scale: {
+            min: Number, // rating, defaults to 1
+            max: Number, // rating, defaults to 5
+            minLabel: String,
+            maxLabel: String,
+          },
+          maxLength: Number, // text, defaults to 1000
+        },
+      ],
+      updatedAt: Date,
+      updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'Admin',
+      },
+    },
     averageRating: {
       type: Number,
       default: 0,
@@ -181,51 +277,47 @@ const EventSchema = new Schema(
       default: false,
     },
 
-    // Registered Users
-    registeredUsers: [
-      {
-        userId: {
-          type: Schema.Types.ObjectId,
-          ref: 'User',
-          required: true,
-        },
-        registeredAt: {
-          type: Date,
-          default: Date.now,
-        },
+    // Post-event pipeline (eventLifecycle.service), run once the event is completed
+    lifecycle: {
+      startedAt: Date, // Moved to ongoing
+      completedAt: Date, // Moved to completed; legacy events without it are never processed
+      certificates: {
         status: {
           type: String,
-          enum: ['pending', 'confirmed', 'cancelled'],
-          default: 'confirmed',
+          enum: ['pending', 'queued', 'completed', 'skipped', 'failed'],
+          default: 'pending',
         },
-        qrCode: String, // Personal QR code for this user
-        qrSignature: String, // Signature for QR verification
-      },
-    ],
-
-    // Attended Users
-    attendedUsers: [
-      {
-        userId: {
-          type: Schema.Types.ObjectId,
-          ref: 'User',
-          required: true,
+        jobId: String,
+        attempts: {
+          type: Number,
+          default: 0,
         },
-        checkInTime: {
-          type: Date,
-          default: Date.now,
-        },
-        checkInMethod: {
+        generated: Number,
+        skipped: Number,
+        ineligible: Number, // Attendees below minAttendanceMinutes
+        failed: Number,
+        error: String,
+        updatedAt: Date,
+      },
+      feedbackRequests: {
+        status: {
           type: String,
-          enum: ['qr', 'manual'],
-          default: 'qr',
+          enum: ['pending', 'completed', 'skipped', 'failed'],
+          default: 'pending',
         },
-        checkInBy: {
-          type: Schema.Types.ObjectId,
-          ref: 'Admin',
+        attempts: {
+          type: Number,
+          default: 0,
         },
+        sent: {
+          type: Number,
+          default: 0,
+        },
+        failed: Number,
+        error: String,
+        updatedAt: Date,
       },
-    ],
+    },
 
     // Waitlist
     waitlist: [
@@ -238,9 +330,24 @@ const EventSchema = new Schema(
           type: Date,
           default: Date.now,
         },
+        status: {
+          type: String,
+          enum: ['waiting', 'offered', 'accepted', 'expired', 'cancelled'],
+          default: 'waiting',
+        },
+        offeredAt: Date,
+        offerExpiresAt: Date, // Seat is released to the next person after this
+        qrCode: String, // Ticket issued with the offer, kept on acceptance
+        qrSignature: String,
       },
     ],
 
+    // Calendar
+    calendarSequence: {
+      type: Number,
+      default: 0,
+    }, // iCalendar SEQUENCE, bumped when subscribers need to refresh
+
     // Analytics
     views: {
       type: Number,
@@ -270,18 +377,25 @@ const EventSchema = new Schema(
 
 // Indexes
 EventSchema.index({ startDateTime: 1, status: 1 });
+EventSchema.index({ status: 1, endDateTime: 1 });
 EventSchema.index({ category: 1, status: 1 });
 EventSchema.index({ slug: 1 }, { unique: true });
 EventSchema.index({ 'venue.city': 1 });
 EventSchema.index({ tags: 1 });
 
+EventSchema.index({ 'waitlist.status': 1, 'waitlist.offerExpiresAt': 1 });
+
 // Virtual Properties
+EventSchema.virtual('pendingOffers').get(function () {
+  return (this.waitlist || []).filter(entry => entry.status === 'offered').length;
+});
+
 EventSchema.virtual('isFull').get(function () {
-  return this.registrationCount >= this.capacity;
+  return this.registrationCount + this.pendingOffers >= this.capacity;
 });
 
 EventSchema.virtual('spotsLeft').get(function () {
-  return Math.max(0, this.capacity - this.registrationCount);
+  return Math.max(0, this.capacity - this.registrationCount - this.pendingOffers);
 });
 
 EventSchema.virtual('attendanceRate').get(function () {
@@ -341,14 +455,58 @@ EventSchema.methods.verifyQRSignature = function (data, signature) {
   return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature));
 };
 
-EventSchema.methods.isUserRegistered = function (userId) {
-  return this.registeredUsers.some(
-    reg => reg.userId.toString() === userId.toString() && reg.status === 'confirmed'
+EventSchema.methods.countSessionsAttended = function (registration) {
+  const sessionIds = (this.sessions || []).map(session => session._id.toString());
+  return (registration.sessions || []).filter(entry =>
+    sessionIds.includes(entry.sessionId.toString())
+  ).length;
+};
+
+EventSchema.methods.meetsAttendanceThreshold = function (registration) {
+  const sessionCount = this.sessions?.length || 0;
+
+  if (this.minSessionsAttended && sessionCount > 0) {
+    const required = Math.min(this.minSessionsAttended, sessionCount);
+    if (this.countSessionsAttended(registration) < required) return false;
+  }
+
+  if (!this.minAttendanceMinutes) return true;
+  return (registration.durationMinutes || 0) >= this.minAttendanceMinutes;
+};
+
+// Follow a counter change made with $inc without marking the path modified,
+// so a later save() cannot overwrite changes made by other requests
+EventSchema.methods.applyCountChange = function (path, delta) {
+  this.set(path, (this.get(path) || 0) + delta);
+  this.unmarkModified(path);
+};
+
+// Follow a conditional update of one waitlist entry in the same way
+EventSchema.methods.applyWaitlistChange = function (entry, fields) {
+  const path = `waitlist.${this.waitlist.indexOf(entry)}`;
+  entry.set(fields);
+  Object.keys(fields).forEach(field => {
+    entry.unmarkModified(field);
+    this.unmarkModified(`${path}.${field}`);
+  });
+  this.unmarkModified(path);
+  this.unmarkModified('waitlist');
+};
+
+EventSchema.methods.getWaitlistEntry = function (userId) {
+  return this.waitlist.find(
+    entry =>
+      entry.userId.toString() === userId.toString() &&
+      ['waiting', 'offered'].includes(entry.status)
   );
 };
 
-EventSchema.methods.isUserAttended = function (userId) {
-  return this.attendedUsers.some(att => att.userId.toString() === userId.toString());
+EventSchema.methods.getWaitlistPosition = function (userId) {
+  const waiting = this.waitlist
+    .filter(entry => entry.status === 'waiting')
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+  const index = waiting.findIndex(entry => entry.userId.toString() === userId.toString());
+  return index === -1 ? null : index + 1;
 };
 
 // Pre-save Middleware
@@ -363,6 +521,17 @@ EventSchema.pre('save', function (next) {
     this.shortDescription = this.description.substring(0, 297) + '...';
   }
 
+  // Tell calendar subscribers about reschedules, venue changes and cancellations
+  const calendarFields = ['title', 'startDateTime', 'endDateTime', 'venue', 'status'];
+  if (!this.isNew && calendarFields.some(field => this.isModified(field))) {
+    this.calendarSequence += 1;
+  }
+
+  // Completion (scheduled or by an admin) starts the post-event pipeline
+  if (this.isModified('status') && this.status === 'completed' && !this.lifecycle?.completedAt) {
+    this.set('lifecycle.completedAt', new Date());
+  }
+
   // Set feedback deadline if not set (7 days after event end)
   if (!this.feedbackDeadline && this.endDateTime) {
     this.feedbackDeadline = new Date(this.endDateTime.getTime() + 7 * 24 * 60 * 60 * 1000);
@@ -371,19 +540,6 @@ EventSchema.pre('save', function (next) {
   next();
 });
 
-// Pre-save: Update registration count
-EventSchema.pre('save', function (next) {
-  if (this.isModified('registeredUsers')) {
-    this.registrationCount = this.registeredUsers.filter(
-      reg => reg.status === 'confirmed'
-    ).length;
-  }
-  if (this.isModified('attendedUsers')) {
-    this.attendanceCount = this.attendedUsers.length;
-  }
-  next();
-});
-
 const Event = mongoose.model('Event', EventSchema);
 
 export default Event;
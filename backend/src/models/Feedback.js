@@ -91,7 +91,8 @@ const FeedbackSchema = new Schema(
     // Custom Questions (if event has specific questions)
     customResponses: [
       {
-        question: String,
+        questionId: Schema.Types.ObjectId, // Event.feedbackForm.questions._id
+        question: String, // Question text when answered
         questionType: {
           type: String,
           enum: ['text', 'rating', 'boolean', 'choice'],
@@ -100,7 +101,7 @@ const FeedbackSchema = new Schema(
       },
     ],
 
-    // Sentiment Analysis (if implemented)
+    // Sentiment Analysis (set in the background by sentimentService)
     sentiment: {
       score: {
         type: Number,
@@ -112,6 +113,15 @@ const FeedbackSchema = new Schema(
         enum: ['positive', 'neutral', 'negative'],
       },
       confidence: Number,
+      language: {
+        type: String,
+        enum: ['en', 'ha'],
+      },
+      method: {
+        type: String,
+        enum: ['lexicon', 'ratings'], // ratings: no sentiment words found in the comments
+      },
+      analyzedAt: Date,
     },
 
     // Submission Info
@@ -145,6 +155,10 @@ const FeedbackSchema = new Schema(
       default: false,
     },
     flagReason: String,
+    flagSource: {
+      type: String,
+      enum: ['admin', 'sentiment'],
+    },
     isAnonymous: {
       type: Boolean,
       default: false,
@@ -170,6 +184,7 @@ FeedbackSchema.index({ eventId: 1, status: 1 });
 FeedbackSchema.index({ 'ratings.overall': 1 });
 FeedbackSchema.index({ npsScore: 1 });
 FeedbackSchema.index({ submittedAt: -1 });
+FeedbackSchema.index({ isFlagged: 1 });
 
 // Virtual Properties
 FeedbackSchema.virtual('npsCategory').get(function () {
@@ -202,21 +217,23 @@ FeedbackSchema.methods.markAsReviewed = function (adminId) {
   return this.save();
 };
 
-FeedbackSchema.methods.flag = function (reason) {
+FeedbackSchema.methods.flag = function (reason, source = 'admin') {
   this.isFlagged = true;
   this.flagReason = reason;
+  this.flagSource = source;
   return this.save();
 };
 
 FeedbackSchema.methods.unflag = function () {
   this.isFlagged = false;
   this.flagReason = undefined;
+  this.flagSource = undefined;
   return this.save();
 };
 
 // Static Methods for Analytics
 FeedbackSchema.statics.getEventAnalytics = async function (eventId) {
-  const feedbacks = await this.find({ eventId, status: 'submitted' });
+  const feedbacks = await this.find({ eventId, status: { $in: ['submitted', 'reviewed'] } });
 
   if (feedbacks.length === 0) {
     return {
@@ -277,23 +294,6 @@ FeedbackSchema.statics.getEventAnalytics = async function (eventId) {
   };
 };
 
-// Pre-save Middleware
-FeedbackSchema.pre('save', function (next) {
-  // Auto-detect sentiment based on ratings if not already set
-  if (!this.sentiment || !this.sentiment.label) {
-    const avgRating = parseFloat(this.averageRating);
-    if (avgRating >= 4) {
-      this.sentiment = { label: 'positive', score: 0.7, confidence: 0.8 };
-    } else if (avgRating >= 3) {
-      this.sentiment = { label: 'neutral', score: 0, confidence: 0.7 };
-    } else {
-      this.sentiment = { label: 'negative', score: -0.7, confidence: 0.8 };
-    }
-  }
-
-  next();
-});
-
 const Feedback = mongoose.model('Feedback', FeedbackSchema);
 
 export default Feedback;
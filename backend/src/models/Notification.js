@@ -34,8 +34,11 @@ const NotificationSchema = new Schema(
       enum: [
         'event_reminder',
         'registration_confirmation',
+        'registration_rejected',
+        'waitlist_promotion',
         'event_update',
         'certificate_ready',
+        'certificate_expiring',
         'feedback_request',
         'system',
         'promotional',
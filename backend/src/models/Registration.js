@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * A user's registration for an event and their attendance at it.
+ * This is the only record of who registered and who attended; Event keeps
+ * counters (registrationCount, attendanceCount) that are updated alongside it.
+ */
+const RegistrationSchema = new Schema(
+  {
+    // References
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    eventId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+
+    // Registration
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'cancelled', 'rejected'],
+      default: 'confirmed',
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    qrCode: String, // Personal QR code for this user
+    qrSignature: String, // Signature of the current ticket
+    reviewedAt: Date, // Set when an admin approves or rejects
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    rejectionReason: String,
+
+    // Attendance, set at check-in
+    checkInTime: Date,
+    checkInMethod: {
+      type: String,
+      enum: ['qr', 'manual'],
+    },
+    checkInBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    // Set for check-ins recorded offline and uploaded later
+    deviceId: String,
+    syncedAt: Date,
+    checkOutTime: Date,
+    checkOutMethod: {
+      type: String,
+      enum: ['qr', 'manual'],
+    },
+    checkOutBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    durationMinutes: Number, // Time spent within the event window, set at check-out
+
+    // Sessions of the event checked in to
+    sessions: [
+      {
+        sessionId: {
+          type: Schema.Types.ObjectId,
+          required: true,
+        },
+        checkInTime: {
+          type: Date,
+          default: Date.now,
+        },
+        checkInMethod: {
+          type: String,
+          enum: ['qr', 'manual'],
+          default: 'qr',
+        },
+        checkInBy: {
+          type: Schema.Types.ObjectId,
+          ref: 'Admin',
+        },
+      },
+    ],
+
+    feedbackRequestedAt: Date, // Set by the post-event pipeline
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+RegistrationSchema.index({ userId: 1, eventId: 1 }, { unique: true }); // One registration per user per event
+RegistrationSchema.index({ eventId: 1, status: 1, registeredAt: 1 });
+RegistrationSchema.index({ eventId: 1, checkInTime: 1 });
+RegistrationSchema.index({ userId: 1, registeredAt: -1 });
+
+// Virtual Properties
+RegistrationSchema.virtual('attended').get(function () {
+  return !!this.checkInTime;
+});
+
+RegistrationSchema.virtual('user', {
+  ref: 'User',
+  localField: 'userId',
+  foreignField: '_id',
+  justOne: true,
+});
+
+RegistrationSchema.virtual('event', {
+  ref: 'Event',
+  localField: 'eventId',
+  foreignField: '_id',
+  justOne: true,
+});
+
+const Registration = mongoose.model('Registration', RegistrationSchema);
+
+export default Registration;
@@ -119,38 +119,7 @@ const UserSchema = new Schema(
     },
 
     // Activity & Relationships
-    registeredEvents: [
-      {
-        eventId: {
-          type: Schema.Types.ObjectId,
-          ref: 'Event',
-        },
-        registeredAt: {
-          type: Date,
-          default: Date.now,
-        },
-        status: {
-          type: String,
-          enum: ['pending', 'confirmed', 'cancelled'],
-          default: 'confirmed',
-        },
-        qrCode: String,
-      },
-    ],
-    attendedEvents: [
-      {
-        eventId: {
-          type: Schema.Types.ObjectId,
-          ref: 'Event',
-        },
-        attendedAt: Date,
-        checkInMethod: {
-          type: String,
-          enum: ['qr', 'manual'],
-          default: 'qr',
-        },
-      },
-    ],
+    // Event registrations and attendance are in the Registration collection
     certificates: [
       {
         type: Schema.Types.ObjectId,
@@ -196,16 +165,36 @@ const UserSchema = new Schema(
       type: String,
       select: false,
     },
+    twoFactorRecoveryCodes: {
+      type: [String], // SHA-256 hashes of single-use recovery codes
+      select: false,
+    },
+    twoFactorLastStep: Number, // Time step of the last code accepted, so no code works twice
 
-    // Sessions
-    sessions: [
-      {
-        token: String,
-        device: String,
-        ip: String,
-        lastActive: Date,
-      },
-    ],
+    // Sessions (one per signed-in device; refresh tokens stored hashed)
+    sessions: {
+      type: [
+        {
+          tokenHash: String,
+          device: String,
+          ip: String,
+          createdAt: Date,
+          lastActive: Date,
+          expiresAt: Date,
+          revokedAt: Date,
+          revokedReason: String,
+        },
+      ],
+      select: false,
+    },
+
+    // Calendar feed (secret token embedded in the subscription URL)
+    calendarFeedToken: {
+      type: String,
+      select: false,
+      unique: true,
+      sparse: true,
+    },
 
     // Metadata
     lastLogin: Date,
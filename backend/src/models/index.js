@@ -6,7 +6,9 @@
 export { default as User } from './User.js';
 export { default as Admin } from './Admin.js';
 export { default as Event } from './Event.js';
+export { default as Registration } from './Registration.js';
 export { default as Certificate } from './Certificate.js';
 export { default as CertificateTemplate } from './CertificateTemplate.js';
 export { default as Feedback } from './Feedback.js';
 export { default as Notification } from './Notification.js';
+export { default as AuditLog } from './AuditLog.js';
@@ -4,7 +4,9 @@
  */
 
 import { analyticsQueue } from '../index.js';
-import { Event, User, Certificate, Feedback } from '../../models/index.js';
+import { Event, User, Registration, Certificate, Feedback } from '../../models/index.js';
+import exportService from '../../services/export.service.js';
+import sentimentService from '../../services/sentiment.service.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -18,6 +20,9 @@ export const ANALYTICS_JOB_TYPES = {
   DAILY_REPORT: 'daily_report',
   WEEKLY_REPORT: 'weekly_report',
   MONTHLY_REPORT: 'monthly_report',
+  EXPORT_DATA: 'export_data',
+  FEEDBACK_SENTIMENT: 'feedback_sentiment',
+  BACKFILL_FEEDBACK_SENTIMENT: 'backfill_feedback_sentiment',
 };
 
 /**
@@ -34,16 +39,22 @@ analyticsQueue.process(async (job) => {
     switch (type) {
       case ANALYTICS_JOB_TYPES.EVENT_STATS: {
         // Calculate event statistics
-        const event = await Event.findById(data.eventId);
+        const event = await Event.findById(data.eventId).select('_id');
         if (event) {
+          const [totalRegistrations, totalAttendance, certificatesIssued] = await Promise.all([
+            Registration.countDocuments({ eventId: event._id, status: 'confirmed' }),
+            Registration.countDocuments({ eventId: event._id, checkInTime: { $exists: true } }),
+            Certificate.countDocuments({ eventId: event._id, status: { $ne: 'revoked' } }),
+          ]);
+
           result = {
             eventId: data.eventId,
-            totalRegistrations: event.registeredCount,
-            totalAttendance: event.attendedCount,
-            attendanceRate: event.registeredCount > 0
-              ? (event.attendedCount / event.registeredCount * 100).toFixed(2)
+            totalRegistrations,
+            totalAttendance,
+            attendanceRate: totalRegistrations > 0
+              ? (totalAttendance / totalRegistrations * 100).toFixed(2)
               : 0,
-            certificatesIssued: event.certificatesIssued || 0,
+            certificatesIssued,
           };
         }
         break;
@@ -51,13 +62,19 @@ analyticsQueue.process(async (job) => {
 
       case ANALYTICS_JOB_TYPES.USER_STATS: {
         // Calculate user statistics
-        const user = await User.findById(data.userId);
+        const user = await User.findById(data.userId).select('_id');
         if (user) {
+          const [totalRegistrations, attendedEvents, certificatesEarned] = await Promise.all([
+            Registration.countDocuments({ userId: user._id, status: { $ne: 'cancelled' } }),
+            Registration.countDocuments({ userId: user._id, checkInTime: { $exists: true } }),
+            Certificate.countDocuments({ userId: user._id, status: { $ne: 'revoked' } }),
+          ]);
+
           result = {
             userId: data.userId,
-            totalRegistrations: user.registeredEvents.length,
-            attendedEvents: user.registeredEvents.filter(e => e.attended).length,
-            certificatesEarned: user.registeredEvents.filter(e => e.certificateIssued).length,
+            totalRegistrations,
+            attendedEvents,
+            certificatesEarned,
           };
         }
         break;
@@ -200,6 +217,37 @@ analyticsQueue.process(async (job) => {
         break;
       }
 
+      case ANALYTICS_JOB_TYPES.EXPORT_DATA: {
+        // Write a large admin export to disk for later download
+        const { totalRows } = data;
+        result = await exportService.writeToFile(
+          {
+            ...data,
+            onProgress: rows => job.progress(Math.min(99, Math.round((rows / totalRows) * 100))),
+          },
+          job.id
+        );
+        await job.progress(100);
+        break;
+      }
+
+      case ANALYTICS_JOB_TYPES.FEEDBACK_SENTIMENT: {
+        // Score a submitted or edited feedback's comments
+        result = await sentimentService.analyzeFeedbackById(data.feedbackId);
+        break;
+      }
+
+      case ANALYTICS_JOB_TYPES.BACKFILL_FEEDBACK_SENTIMENT: {
+        // Score feedback submitted before sentiment analysis, or all of it with force
+        result = await sentimentService.backfill({
+          force: data.force === true,
+          onProgress: (processed, total) =>
+            job.progress(Math.min(99, Math.round((processed / total) * 100))),
+        });
+        await job.progress(100);
+        break;
+      }
+
       default:
         throw new Error(`Unknown analytics job type: ${type}`);
     }
@@ -5,6 +5,8 @@
 
 import { certificateQueue } from '../index.js';
 import { certificateService } from '../../services/index.js';
+import certificateArchiveService from '../../services/certificateArchive.service.js';
+import eventLifecycleService from '../../services/eventLifecycle.service.js';
 import { queueEmail } from './email.processor.js';
 import { queueNotification } from './notification.processor.js';
 import { EMAIL_JOB_TYPES } from './email.processor.js';
@@ -18,6 +20,7 @@ export const CERTIFICATE_JOB_TYPES = {
   GENERATE_SINGLE: 'generate_single',
   GENERATE_BULK: 'generate_bulk',
   REGENERATE: 'regenerate',
+  BUILD_ARCHIVE: 'build_archive',
 };
 
 /**
@@ -59,13 +62,23 @@ certificateQueue.process(async (job) => {
 
       case CERTIFICATE_JOB_TYPES.GENERATE_BULK: {
         // Generate bulk certificates
-        result = await certificateService.generateBulkCertificates(
-          data.eventId,
-          data.templateId
-        );
+        try {
+          result = await certificateService.generateBulkCertificates(
+            data.eventId,
+            data.templateId
+          );
+        } catch (error) {
+          // Out of retries: leave it to the post-event pipeline to try again
+          if (job.attemptsMade + 1 >= job.opts.attempts) {
+            await eventLifecycleService.recordCertificateResult(data.eventId, { error });
+          }
+          throw error;
+        }
+
+        await eventLifecycleService.recordCertificateResult(data.eventId, { result });
 
         logger.info(
-          `Bulk certificates generated: ${result.success.length} success, ${result.failed.length} failed`
+          `Bulk certificates generated: ${result.generated} generated, ${result.skipped} skipped, ${result.ineligible} ineligible, ${result.failed} failed`
         );
         break;
       }
@@ -88,6 +101,20 @@ certificateQueue.process(async (job) => {
         break;
       }
 
+      case CERTIFICATE_JOB_TYPES.BUILD_ARCHIVE: {
+        // Bundle an event's certificates into a ZIP or merged PDF
+        result = await certificateArchiveService.buildArchive(
+          {
+            eventId: data.eventId,
+            format: data.format,
+            onProgress: percent => job.progress(percent),
+          },
+          job.id
+        );
+        await job.progress(100);
+        break;
+      }
+
       default:
         throw new Error(`Unknown certificate job type: ${type}`);
     }
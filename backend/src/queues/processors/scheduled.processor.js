@@ -3,14 +3,21 @@
  * Process scheduled and recurring jobs
  */
 
-import { scheduledQueue } from '../index.js';
+import { scheduledQueue, analyticsQueue } from '../index.js';
 import { queueEmail } from './email.processor.js';
 import { queueNotification } from './notification.processor.js';
 import { queueAnalytics } from './analytics.processor.js';
+import { queueBulkCertificates } from './certificate.processor.js';
 import { EMAIL_JOB_TYPES } from './email.processor.js';
 import { NOTIFICATION_JOB_TYPES } from './notification.processor.js';
 import { ANALYTICS_JOB_TYPES } from './analytics.processor.js';
 import { Event, User, Notification } from '../../models/index.js';
+import registrationService from '../../services/registration.service.js';
+import eventLifecycleService from '../../services/eventLifecycle.service.js';
+import certificateService from '../../services/certificate.service.js';
+import exportService from '../../services/export.service.js';
+import auditService from '../../services/audit.service.js';
+import config from '../../config/index.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -19,8 +26,13 @@ import logger from '../../utils/logger.js';
 export const SCHEDULED_JOB_TYPES = {
   EVENT_REMINDER_24H: 'event_reminder_24h',
   EVENT_REMINDER_1H: 'event_reminder_1h',
-  FEEDBACK_REQUEST: 'feedback_request',
+  EVENT_LIFECYCLE: 'event_lifecycle',
+  WAITLIST_OFFER_EXPIRY: 'waitlist_offer_expiry',
+  CERTIFICATE_EXPIRY: 'certificate_expiry',
+  CERTIFICATE_EXPIRY_REMINDER: 'certificate_expiry_reminder',
   CLEANUP_NOTIFICATIONS: 'cleanup_notifications',
+  CLEANUP_EXPORTS: 'cleanup_exports',
+  CLEANUP_AUDIT_LOGS: 'cleanup_audit_logs',
   DAILY_ANALYTICS: 'daily_analytics',
   WEEKLY_ANALYTICS: 'weekly_analytics',
   MONTHLY_ANALYTICS: 'monthly_analytics',
@@ -51,18 +63,17 @@ scheduledQueue.process(async (job) => {
           status: 'published',
         });
 
-        const reminderJobs = [];
-
-        for (const event of upcomingEvents) {
-          // Get registered users
+        // One event at a time, so only one event's registrations are loaded at once
+        const reminderJobs = await upcomingEvents.reduce(async (previous, event) => {
+          const jobs = await previous;
           const users = await User.find({
-            'registeredEvents.event': event._id,
-            'registeredEvents.status': 'registered',
+            _id: { $in: await registrationService.getRegisteredUserIds(event._id) },
           });
 
-          for (const user of users) {
-            // Queue email reminder
-            reminderJobs.push(
+          return [
+            ...jobs,
+            ...users.flatMap(user => [
+              // Email reminder
               queueEmail(EMAIL_JOB_TYPES.EVENT_REMINDER, {
                 to: user.email,
                 name: user.firstName,
@@ -70,19 +81,16 @@ scheduledQueue.process(async (job) => {
                 eventDate: event.date,
                 eventVenue: event.venue,
                 reminderType: '24h',
-              })
-            );
-
-            // Queue in-app notification
-            reminderJobs.push(
+              }),
+              // In-app notification
               queueNotification(NOTIFICATION_JOB_TYPES.EVENT_REMINDER, {
                 userId: user._id,
                 eventId: event._id,
                 reminderType: '24h',
-              })
-            );
-          }
-        }
+              }),
+            ]),
+          ];
+        }, Promise.resolve([]));
 
         result = await Promise.all(reminderJobs);
         logger.info(`Sent ${reminderJobs.length} 24h event reminders`);
@@ -102,71 +110,66 @@ scheduledQueue.process(async (job) => {
           status: 'published',
         });
 
-        const reminderJobs = [];
-
-        for (const event of upcomingEvents) {
+        const reminderJobs = await upcomingEvents.reduce(async (previous, event) => {
+          const jobs = await previous;
           const users = await User.find({
-            'registeredEvents.event': event._id,
-            'registeredEvents.status': 'registered',
+            _id: { $in: await registrationService.getRegisteredUserIds(event._id) },
           });
 
-          for (const user of users) {
-            // Only send in-app notification for 1h reminder (not email/SMS to avoid spam)
-            reminderJobs.push(
+          // Only an in-app notification for the 1h reminder (not email/SMS to avoid spam)
+          return [
+            ...jobs,
+            ...users.map(user =>
               queueNotification(NOTIFICATION_JOB_TYPES.EVENT_REMINDER, {
                 userId: user._id,
                 eventId: event._id,
                 reminderType: '1h',
               })
-            );
-          }
-        }
+            ),
+          ];
+        }, Promise.resolve([]));
 
         result = await Promise.all(reminderJobs);
         logger.info(`Sent ${reminderJobs.length} 1h event reminders`);
         break;
       }
 
-      case SCHEDULED_JOB_TYPES.FEEDBACK_REQUEST: {
-        // Send feedback requests for completed events
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        yesterday.setHours(0, 0, 0, 0);
-
-        const completedEvents = await Event.find({
-          date: { $gte: yesterday, $lt: new Date() },
-          status: 'published',
-        });
-
-        const feedbackJobs = [];
-
-        for (const event of completedEvents) {
-          const users = await User.find({
-            'registeredEvents.event': event._id,
-            'registeredEvents.attended': true,
-          });
+      case SCHEDULED_JOB_TYPES.EVENT_LIFECYCLE: {
+        // Move events to ongoing/completed, then run post-event steps for completed ones:
+        // certificates for attendees first, then feedback requests
+        const transitions = await eventLifecycleService.advanceStatuses();
+        const events = await eventLifecycleService.getPendingEvents();
+
+        const pipelines = await Promise.all(
+          events.map(async event => ({
+            eventId: event._id,
+            certificates: await eventLifecycleService.runCertificateStep(
+              event,
+              queueBulkCertificates
+            ),
+            feedbackRequests: await eventLifecycleService.sendFeedbackRequests(event),
+          }))
+        );
+
+        result = { ...transitions, pipelines };
+        break;
+      }
 
-          for (const user of users) {
-            feedbackJobs.push(
-              queueEmail(EMAIL_JOB_TYPES.FEEDBACK_REQUEST, {
-                to: user.email,
-                name: user.firstName,
-                eventTitle: event.title,
-                eventId: event._id,
-              })
-            );
+      case SCHEDULED_JOB_TYPES.WAITLIST_OFFER_EXPIRY: {
+        // Release unconfirmed waitlist offers and promote the next in line
+        result = await registrationService.expireWaitlistOffers();
+        break;
+      }
 
-            feedbackJobs.push(
-              queueNotification(NOTIFICATION_JOB_TYPES.FEEDBACK_REQUEST, {
-                userId: user._id,
-                eventId: event._id,
-              })
-            );
-          }
-        }
+      case SCHEDULED_JOB_TYPES.CERTIFICATE_EXPIRY: {
+        // Flip certificates past their validity period to expired
+        result = await certificateService.expireCertificates();
+        break;
+      }
 
-        result = await Promise.all(feedbackJobs);
-        logger.info(`Sent ${feedbackJobs.length} feedback requests`);
+      case SCHEDULED_JOB_TYPES.CERTIFICATE_EXPIRY_REMINDER: {
+        // Warn holders ahead of expiry
+        result = await certificateService.sendExpiryReminders();
         break;
       }
 
@@ -188,6 +191,25 @@ scheduledQueue.process(async (job) => {
         break;
       }
 
+      case SCHEDULED_JOB_TYPES.CLEANUP_EXPORTS: {
+        // Remove finished admin exports past the retention window
+        const retentionMs = config.export.retentionHours * 60 * 60 * 1000;
+        const [removedFiles, removedJobs] = await Promise.all([
+          exportService.cleanupExports(retentionMs),
+          analyticsQueue.clean(retentionMs, 'completed'),
+        ]);
+
+        result = { removedFiles, removedJobs: removedJobs.length };
+        break;
+      }
+
+      case SCHEDULED_JOB_TYPES.CLEANUP_AUDIT_LOGS: {
+        // Enforce the audit log retention policy
+        const removed = await auditService.purge(config.audit.retentionDays);
+        result = { removed };
+        break;
+      }
+
       case SCHEDULED_JOB_TYPES.DAILY_ANALYTICS: {
         // Queue daily analytics report
         result = await queueAnalytics(ANALYTICS_JOB_TYPES.DAILY_REPORT);
@@ -270,14 +292,50 @@ export const setupRecurringJobs = async () => {
       }
     );
 
-    // Feedback requests - check daily at 10 AM
+    // Event status transitions and post-event pipeline - every 5 minutes
     await scheduledQueue.add(
-      { type: SCHEDULED_JOB_TYPES.FEEDBACK_REQUEST },
+      { type: SCHEDULED_JOB_TYPES.EVENT_LIFECYCLE },
       {
         repeat: {
-          cron: '0 10 * * *', // Daily at 10 AM
+          cron: '*/5 * * * *', // Every 5 minutes
         },
-        jobId: 'feedback-request',
+        jobId: 'event-lifecycle',
+      }
+    );
+
+    // Feedback requests are now sent by the post-event pipeline; drop the old daily schedule
+    await scheduledQueue.removeRepeatable({ cron: '0 10 * * *', jobId: 'feedback-request' });
+
+    // Waitlist offer expiry - every 5 minutes
+    await scheduledQueue.add(
+      { type: SCHEDULED_JOB_TYPES.WAITLIST_OFFER_EXPIRY },
+      {
+        repeat: {
+          cron: '*/5 * * * *', // Every 5 minutes
+        },
+        jobId: 'waitlist-offer-expiry',
+      }
+    );
+
+    // Certificate expiry - daily just after midnight
+    await scheduledQueue.add(
+      { type: SCHEDULED_JOB_TYPES.CERTIFICATE_EXPIRY },
+      {
+        repeat: {
+          cron: '5 0 * * *', // Daily at 12:05 AM
+        },
+        jobId: 'certificate-expiry',
+      }
+    );
+
+    // Certificate expiry warnings - daily at 9 AM
+    await scheduledQueue.add(
+      { type: SCHEDULED_JOB_TYPES.CERTIFICATE_EXPIRY_REMINDER },
+      {
+        repeat: {
+          cron: '0 9 * * *', // Daily at 9 AM
+        },
+        jobId: 'certificate-expiry-reminder',
       }
     );
 
@@ -292,6 +350,28 @@ export const setupRecurringJobs = async () => {
       }
     );
 
+    // Cleanup exports - every hour
+    await scheduledQueue.add(
+      { type: SCHEDULED_JOB_TYPES.CLEANUP_EXPORTS },
+      {
+        repeat: {
+          cron: '0 * * * *', // Every hour
+        },
+        jobId: 'cleanup-exports',
+      }
+    );
+
+    // Audit log retention - daily at 3 AM
+    await scheduledQueue.add(
+      { type: SCHEDULED_JOB_TYPES.CLEANUP_AUDIT_LOGS },
+      {
+        repeat: {
+          cron: '0 3 * * *', // Daily at 3 AM
+        },
+        jobId: 'cleanup-audit-logs',
+      }
+    );
+
     // Daily analytics - every day at 1 AM
     await scheduledQueue.add(
       { type: SCHEDULED_JOB_TYPES.DAILY_ANALYTICS },
@@ -1,26 +1,32 @@
 import express from 'express';
 import { adminController } from '../controllers/index.js';
-import { protect, restrictTo } from '../middleware/index.js';
+import { protect, requirePermission } from '../middleware/index.js';
 
 const router = express.Router();
 
-router.post('/', protect, restrictTo('admin'), adminController.createAdmin.bind(adminController));
-router.get('/', protect, restrictTo('admin'), adminController.getAllAdmins.bind(adminController));
-router.get('/:id', protect, restrictTo('admin'), adminController.getAdmin.bind(adminController));
-router.put('/:id', protect, restrictTo('admin'), adminController.updateAdmin.bind(adminController));
-router.delete('/:id', protect, restrictTo('admin'), adminController.deleteAdmin.bind(adminController));
-
 // User management
-router.get('/users', protect, restrictTo('admin'), adminController.getAllUsers.bind(adminController));
-router.get('/users/:id', protect, restrictTo('admin'), adminController.getUserDetails.bind(adminController));
-router.put('/users/:id/status', protect, restrictTo('admin'), adminController.updateUserStatus.bind(adminController));
-router.delete('/users/:id', protect, restrictTo('admin'), adminController.deleteUser.bind(adminController));
+router.get('/users', protect, requirePermission('manage_users'), adminController.getAllUsers.bind(adminController));
+router.get('/users/:id', protect, requirePermission('manage_users'), adminController.getUserDetails.bind(adminController));
+router.put('/users/:id/status', protect, requirePermission('manage_users'), adminController.updateUserStatus.bind(adminController));
+router.delete('/users/:id', protect, requirePermission('manage_users'), adminController.deleteUser.bind(adminController));
 
 // System / analytics
-router.get('/dashboard', protect, restrictTo('admin'), adminController.getDashboardStats.bind(adminController));
-router.get('/analytics', protect, restrictTo('admin'), adminController.getSystemAnalytics.bind(adminController));
-router.get('/audit', protect, restrictTo('admin'), adminController.getAuditLog.bind(adminController));
-router.get('/export', protect, restrictTo('admin'), adminController.exportData.bind(adminController));
-router.get('/health', protect, restrictTo('admin'), adminController.getSystemHealth.bind(adminController));
+router.get('/dashboard', protect, requirePermission('view_analytics'), adminController.getDashboardStats.bind(adminController));
+router.get('/analytics', protect, requirePermission('view_analytics'), adminController.getSystemAnalytics.bind(adminController));
+router.get('/audit', protect, requirePermission('view_reports'), adminController.getAuditLog.bind(adminController));
+router.get('/health', protect, requirePermission('manage_settings'), adminController.getSystemHealth.bind(adminController));
+
+// Data export
+router.get('/export/jobs/:jobId', protect, requirePermission('export_data'), adminController.getExportJob.bind(adminController));
+router.get('/export/jobs/:jobId/download', protect, requirePermission('export_data'), adminController.downloadExport.bind(adminController));
+router.get('/export/:type', protect, requirePermission('export_data'), adminController.exportData.bind(adminController));
+
+// Admin management (declared last so /:id does not shadow the routes above)
+router.post('/', protect, requirePermission('manage_admins'), adminController.createAdmin.bind(adminController));
+router.get('/', protect, requirePermission('manage_admins'), adminController.getAllAdmins.bind(adminController));
+router.get('/:id', protect, requirePermission('manage_admins'), adminController.getAdmin.bind(adminController));
+router.put('/:id', protect, requirePermission('manage_admins'), adminController.updateAdmin.bind(adminController));
+router.delete('/:id', protect, requirePermission('manage_admins'), adminController.deleteAdmin.bind(adminController));
+router.delete('/:id/2fa', protect, requirePermission('manage_admins'), adminController.resetAdminTwoFactor.bind(adminController));
 
 export default router;
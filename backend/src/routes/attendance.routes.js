@@ -1,17 +1,23 @@
 import express from 'express';
 import { attendanceController } from '../controllers/index.js';
-import { protect, restrictTo } from '../middleware/index.js';
-import { validateQRScan } from '../middleware/validation.js';
+import { protect, requirePermission } from '../middleware/index.js';
+import { validateQRScan, validateManualCheckOut, validateOfflineSync } from '../middleware/validation.js';
 
 const router = express.Router();
 
-router.post('/scan', protect, validateQRScan, attendanceController.scanQRCode.bind(attendanceController));
-router.post('/manual-checkin', protect, restrictTo('admin'), attendanceController.manualCheckIn.bind(attendanceController));
-router.post('/bulk-checkin', protect, restrictTo('admin'), attendanceController.bulkCheckIn.bind(attendanceController));
-router.post('/undo-checkin', protect, restrictTo('admin'), attendanceController.undoCheckIn.bind(attendanceController));
+router.post('/scan', protect, requirePermission('manage_attendance'), validateQRScan, attendanceController.scanQRCode.bind(attendanceController));
+router.post('/manual-checkin', protect, requirePermission('manage_attendance'), attendanceController.manualCheckIn.bind(attendanceController));
+router.post('/bulk-checkin', protect, requirePermission('manage_attendance'), attendanceController.bulkCheckIn.bind(attendanceController));
+router.post('/undo-checkin', protect, requirePermission('manage_attendance'), attendanceController.undoCheckIn.bind(attendanceController));
+router.post('/check-out', protect, requirePermission('manage_attendance'), validateQRScan, attendanceController.scanCheckOut.bind(attendanceController));
+router.post('/manual-checkout', protect, requirePermission('manage_attendance'), validateManualCheckOut, attendanceController.manualCheckOut.bind(attendanceController));
 
-router.get('/report/:eventId', protect, restrictTo('admin'), attendanceController.getAttendanceReport.bind(attendanceController));
-router.get('/search', protect, restrictTo('admin'), attendanceController.searchAttendee.bind(attendanceController));
-router.get('/live/:eventId', protect, restrictTo('admin'), attendanceController.getLiveStats.bind(attendanceController));
+// Offline check-in: download the roster before, upload the check-ins after
+router.get('/offline/:eventId/roster', protect, requirePermission('manage_attendance'), attendanceController.getOfflineRoster.bind(attendanceController));
+router.post('/offline/:eventId/sync', protect, requirePermission('manage_attendance'), validateOfflineSync, attendanceController.syncOfflineCheckIns.bind(attendanceController));
+
+router.get('/report/:eventId', protect, requirePermission('view_reports'), attendanceController.getAttendanceReport.bind(attendanceController));
+router.get('/search', protect, requirePermission('manage_attendance'), attendanceController.searchAttendee.bind(attendanceController));
+router.get('/live/:eventId', protect, requirePermission('manage_attendance'), attendanceController.getLiveStats.bind(attendanceController));
 
 export default router;
@@ -1,12 +1,15 @@
 import express from 'express';
 import { authController } from '../controllers/index.js';
-import { protect } from '../middleware/index.js';
+import { protect, strictAuthLimiter } from '../middleware/index.js';
 import {
   validateSignup,
   validateLogin,
   validateAdminLogin,
   validateForgotPassword,
   validateUpdatePassword,
+  validateTwoFactorCode,
+  validateTwoFactorChallenge,
+  validateDisableTwoFactor,
 } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -23,4 +26,15 @@ router.post('/refresh', authController.refreshToken.bind(authController));
 router.post('/logout', protect, authController.logout.bind(authController));
 router.get('/me', protect, authController.getCurrentUser.bind(authController));
 
+// Sessions (signed-in devices)
+router.get('/sessions', protect, authController.getSessions.bind(authController));
+router.delete('/sessions/:id', protect, authController.revokeSession.bind(authController));
+
+// Two-factor authentication
+router.post('/2fa/verify', strictAuthLimiter, validateTwoFactorChallenge, authController.verifyTwoFactorLogin.bind(authController));
+router.post('/2fa/setup', protect, authController.setupTwoFactor.bind(authController));
+router.post('/2fa/enable', protect, validateTwoFactorCode, authController.enableTwoFactor.bind(authController));
+router.post('/2fa/disable', protect, validateDisableTwoFactor, authController.disableTwoFactor.bind(authController));
+router.post('/2fa/recovery-codes', protect, validateTwoFactorCode, authController.regenerateRecoveryCodes.bind(authController));
+
 export default router;
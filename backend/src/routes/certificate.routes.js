@@ -1,27 +1,40 @@
 import express from 'express';
 import { certificateController } from '../controllers/index.js';
-import { protect, restrictTo } from '../middleware/index.js';
+import { protect, requirePermission, verificationLimiter } from '../middleware/index.js';
 import { uploadCertificateTemplate, processCertificateTemplate, handleMulterError } from '../middleware/upload.js';
 import { validateCertificateVerification } from '../middleware/validation.js';
 
 const router = express.Router();
 
 // Template management (admin)
-router.post('/templates', protect, restrictTo('admin'), uploadCertificateTemplate, processCertificateTemplate, handleMulterError, certificateController.createTemplate.bind(certificateController));
-router.get('/templates', protect, restrictTo('admin'), certificateController.getTemplates.bind(certificateController));
-router.get('/templates/:id', protect, restrictTo('admin'), certificateController.getTemplate.bind(certificateController));
-router.put('/templates/:id', protect, restrictTo('admin'), certificateController.updateTemplate.bind(certificateController));
-router.delete('/templates/:id', protect, restrictTo('admin'), certificateController.deleteTemplate.bind(certificateController));
+router.post('/templates', protect, requirePermission('generate_certificates'), uploadCertificateTemplate, processCertificateTemplate, handleMulterError, certificateController.createTemplate.bind(certificateController));
+// Renders a design that was never saved, so it is limited to admins who manage settings
+router.post('/templates/preview', protect, requirePermission('manage_settings'), certificateController.previewUnsavedTemplate.bind(certificateController));
+router.post('/templates/:id/preview', protect, requirePermission('generate_certificates'), certificateController.previewTemplate.bind(certificateController));
+router.get('/templates', protect, requirePermission('generate_certificates'), certificateController.getTemplates.bind(certificateController));
+router.get('/templates/:id', protect, requirePermission('generate_certificates'), certificateController.getTemplate.bind(certificateController));
+router.put('/templates/:id', protect, requirePermission('generate_certificates'), uploadCertificateTemplate, processCertificateTemplate, handleMulterError, certificateController.updateTemplate.bind(certificateController));
+router.delete('/templates/:id', protect, requirePermission('generate_certificates'), certificateController.deleteTemplate.bind(certificateController));
+
+// Event archives (ZIP or merged PDF, built in the background)
+router.post('/events/:eventId/archive', protect, requirePermission('generate_certificates'), certificateController.createEventArchive.bind(certificateController));
+router.get('/archives/:jobId', protect, requirePermission('generate_certificates'), certificateController.getArchiveJob.bind(certificateController));
+router.get('/archives/:jobId/download', protect, requirePermission('generate_certificates'), certificateController.downloadArchive.bind(certificateController));
 
 // Certificate generation & retrieval
-router.post('/generate', protect, restrictTo('admin'), certificateController.generateCertificate.bind(certificateController));
-router.post('/bulk-generate', protect, restrictTo('admin'), certificateController.bulkGenerateCertificates.bind(certificateController));
+router.post('/generate', protect, requirePermission('generate_certificates'), certificateController.generateCertificate.bind(certificateController));
+router.post('/bulk-generate', protect, requirePermission('generate_certificates'), certificateController.bulkGenerateCertificates.bind(certificateController));
+// Before /:id, which would otherwise match it
+router.get('/statistics', protect, requirePermission('view_reports'), certificateController.getCertificateStatistics.bind(certificateController));
 router.get('/:id', protect, certificateController.getCertificate.bind(certificateController));
 router.get('/user/:userId', protect, certificateController.getUserCertificates.bind(certificateController));
 router.get('/:id/download', protect, certificateController.downloadCertificate.bind(certificateController));
-router.get('/verify/:hash', validateCertificateVerification, certificateController.verifyCertificate.bind(certificateController));
-router.post('/:id/revoke', protect, restrictTo('admin'), certificateController.revokeCertificate.bind(certificateController));
-router.get('/statistics', protect, restrictTo('admin'), certificateController.getCertificateStatistics.bind(certificateController));
-router.post('/:id/regenerate', protect, restrictTo('admin'), certificateController.regenerateCertificate.bind(certificateController));
+router.get('/:id/credential', protect, certificateController.downloadCredential.bind(certificateController));
+router.get('/verify/:hash', verificationLimiter, validateCertificateVerification, certificateController.verifyCertificate.bind(certificateController));
+router.get('/verify/number/:certificateNumber', verificationLimiter, certificateController.verifyCertificateByNumber.bind(certificateController));
+router.post('/credentials/verify', verificationLimiter, express.json({ type: 'application/ld+json' }), certificateController.verifyCredential.bind(certificateController));
+router.post('/:id/revoke', protect, requirePermission('generate_certificates'), certificateController.revokeCertificate.bind(certificateController));
+router.post('/:id/renew', protect, requirePermission('generate_certificates'), certificateController.renewCertificate.bind(certificateController));
+router.post('/:id/regenerate', protect, requirePermission('generate_certificates'), certificateController.regenerateCertificate.bind(certificateController));
 
 export default router;
@@ -4,13 +4,15 @@ import {
 } from '../controllers/index.js';
 import {
   protect,
-  restrictTo,
+  requirePermission,
   optionalAuth,
 } from '../middleware/index.js';
 import {
   validateCreateEvent,
   validateUpdateEvent,
   validateEventId,
+  validateRegistrationReview,
+  validateRegistrationRejection,
 } from '../middleware/validation.js';
 import {
   uploadEventBanner,
@@ -27,22 +29,39 @@ router.get('/', optionalAuth, eventController.getAllEvents.bind(eventController)
 router.get('/:id', optionalAuth, validateEventId, eventController.getEvent.bind(eventController));
 
 // Admin actions
-router.post('/', protect, restrictTo('admin'), validateCreateEvent, eventController.createEvent.bind(eventController));
-router.put('/:id', protect, restrictTo('admin'), validateEventId, validateUpdateEvent, eventController.updateEvent.bind(eventController));
-router.delete('/:id', protect, restrictTo('admin'), validateEventId, eventController.deleteEvent.bind(eventController));
+router.post('/', protect, requirePermission('create_event'), validateCreateEvent, eventController.createEvent.bind(eventController));
+router.put('/:id', protect, requirePermission('edit_event'), validateEventId, validateUpdateEvent, eventController.updateEvent.bind(eventController));
+router.delete('/:id', protect, requirePermission('delete_event'), validateEventId, eventController.deleteEvent.bind(eventController));
 
 // File uploads
-router.post('/:id/banner', protect, restrictTo('admin'), validateEventId, uploadEventBanner, processEventBanner, handleMulterError, eventController.uploadBanner.bind(eventController));
-router.post('/:id/gallery', protect, restrictTo('admin'), validateEventId, uploadEventGallery, processEventGallery, handleMulterError, eventController.uploadGalleryImages.bind(eventController));
-router.delete('/:id/gallery/:imageIndex', protect, restrictTo('admin'), validateEventId, eventController.deleteGalleryImage.bind(eventController));
+router.post('/:id/banner', protect, requirePermission('edit_event'), validateEventId, uploadEventBanner, processEventBanner, handleMulterError, eventController.uploadBanner.bind(eventController));
+router.post('/:id/gallery', protect, requirePermission('edit_event'), validateEventId, uploadEventGallery, processEventGallery, handleMulterError, eventController.uploadGalleryImages.bind(eventController));
+router.delete('/:id/gallery/:imageIndex', protect, requirePermission('edit_event'), validateEventId, eventController.deleteGalleryImage.bind(eventController));
 
 // QR, stats, attendees
 router.get('/:id/qr', optionalAuth, validateEventId, eventController.generateEventQR.bind(eventController));
-router.get('/:id/statistics', protect, restrictTo('admin'), validateEventId, eventController.getEventStatistics.bind(eventController));
-router.get('/:id/attendees', protect, restrictTo('admin'), validateEventId, eventController.getEventAttendees.bind(eventController));
+router.get('/:id/calendar.ics', validateEventId, eventController.downloadCalendar.bind(eventController));
+router.get('/:id/statistics', protect, requirePermission('view_reports'), validateEventId, eventController.getEventStatistics.bind(eventController));
+router.get('/:id/attendees', protect, requirePermission('view_reports'), validateEventId, eventController.getEventAttendees.bind(eventController));
+
+// Registration approval
+router.get('/:id/registrations', protect, requirePermission('view_reports'), validateEventId, eventController.getRegistrations.bind(eventController));
+router.post('/:id/registrations/approve', protect, requirePermission('edit_event'), validateRegistrationReview, eventController.approveRegistrations.bind(eventController));
+router.post('/:id/registrations/reject', protect, requirePermission('edit_event'), validateRegistrationRejection, eventController.rejectRegistrations.bind(eventController));
+router.post('/:id/registrations/:userId/approve', protect, requirePermission('edit_event'), validateRegistrationReview, eventController.approveRegistrations.bind(eventController));
+router.post('/:id/registrations/:userId/reject', protect, requirePermission('edit_event'), validateRegistrationRejection, eventController.rejectRegistrations.bind(eventController));
+router.post('/:id/registrations/:userId/ticket', protect, requirePermission('edit_event'), validateRegistrationReview, eventController.reissueTicket.bind(eventController));
+
+// Feedback form
+router.get('/:id/feedback-form', optionalAuth, validateEventId, eventController.getFeedbackForm.bind(eventController));
+router.put('/:id/feedback-form', protect, requirePermission('edit_event'), validateEventId, eventController.updateFeedbackForm.bind(eventController));
+
+// Sessions
+router.get('/:id/sessions', optionalAuth, validateEventId, eventController.getSessions.bind(eventController));
+router.put('/:id/sessions', protect, requirePermission('edit_event'), validateEventId, eventController.updateSessions.bind(eventController));
 
 // Publish / cancel
-router.post('/:id/publish', protect, restrictTo('admin'), validateEventId, eventController.publishEvent.bind(eventController));
-router.post('/:id/cancel', protect, restrictTo('admin'), validateEventId, eventController.cancelEvent.bind(eventController));
+router.post('/:id/publish', protect, requirePermission('edit_event'), validateEventId, eventController.publishEvent.bind(eventController));
+router.post('/:id/cancel', protect, requirePermission('edit_event'), validateEventId, eventController.cancelEvent.bind(eventController));
 
 export default router;
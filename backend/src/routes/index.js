@@ -8,6 +8,7 @@ import feedbackRoutes from './feedback.routes.js';
 import notificationRoutes from './notification.routes.js';
 import adminRoutes from './admin.routes.js';
 import queueRoutes from './queue.routes.js';
+import { auditTrail } from '../middleware/audit.js';
 
 const router = express.Router();
 
@@ -31,6 +32,9 @@ router.get('/', (req, res) => {
   });
 });
 
+// Record successful admin mutations in the audit log
+router.use(auditTrail);
+
 // Mount sub-routers
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
@@ -1,6 +1,6 @@
 import express from 'express';
 import { notificationController } from '../controllers/index.js';
-import { protect, restrictTo } from '../middleware/index.js';
+import { protect, requirePermission } from '../middleware/index.js';
 import { validateSendNotification } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -14,9 +14,9 @@ router.delete('/:id', protect, notificationController.deleteNotification.bind(no
 router.delete('/', protect, notificationController.deleteAllNotifications.bind(notificationController));
 
 // Admin notification actions
-router.post('/broadcast', protect, restrictTo('admin'), validateSendNotification, notificationController.sendBroadcast.bind(notificationController));
-router.post('/event', protect, restrictTo('admin'), notificationController.sendEventNotification.bind(notificationController));
-router.post('/reminder', protect, restrictTo('admin'), notificationController.sendEventReminder.bind(notificationController));
+router.post('/broadcast', protect, requirePermission('send_notifications'), validateSendNotification, notificationController.sendBroadcast.bind(notificationController));
+router.post('/event', protect, requirePermission('send_notifications'), notificationController.sendEventNotification.bind(notificationController));
+router.post('/reminder', protect, requirePermission('send_notifications'), notificationController.sendEventReminder.bind(notificationController));
 
 router.get('/preferences', protect, notificationController.getPreferences.bind(notificationController));
 router.put('/preferences', protect, notificationController.updatePreferences.bind(notificationController));
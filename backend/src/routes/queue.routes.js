@@ -4,7 +4,7 @@
  */
 
 import express from 'express';
-import { protect, restrictTo } from '../middleware/index.js';
+import { protect, requirePermission, requireAdminRole } from '../middleware/index.js';
 import {
   allQueues,
   getQueueStats,
@@ -14,11 +14,19 @@ import {
   resumeAllQueues,
 } from '../queues/index.js';
 import logger from '../utils/logger.js';
+import redact from '../utils/redact.js';
 
 const router = express.Router();
 
-// All queue routes require admin authentication
-router.use(protect, restrictTo('admin'));
+// All queue routes require a super_admin with the manage_settings permission
+router.use(protect, requireAdminRole('super_admin'), requirePermission('manage_settings'));
+
+/**
+ * Describe a queue mutation for the audit trail middleware
+ */
+const auditQueueAction = (res, action, details) => {
+  res.locals.audit = { action, resource: 'queue', resourceId: details.jobId, details };
+};
 
 /**
  * Get all queues statistics
@@ -96,12 +104,12 @@ router.get('/:name/jobs', async (req, res, next) => {
     const jobsData = jobs.map(job => ({
       id: job.id,
       name: job.name,
-      data: job.data,
+      data: redact(job.data),
       progress: job.progress(),
       timestamp: job.timestamp,
       processedOn: job.processedOn,
       finishedOn: job.finishedOn,
-      failedReason: job.failedReason,
+      failedReason: redact(job.failedReason),
       attemptsMade: job.attemptsMade,
     }));
 
@@ -119,6 +127,56 @@ router.get('/:name/jobs', async (req, res, next) => {
   }
 });
 
+/**
+ * Get job details (read-only, PII redacted)
+ * GET /api/v1/queues/:name/jobs/:jobId
+ */
+router.get('/:name/jobs/:jobId', async (req, res, next) => {
+  try {
+    const { name, jobId } = req.params;
+
+    const queue = allQueues.find(q => q.name === name);
+    if (!queue) {
+      return res.status(404).json({
+        success: false,
+        message: `Queue ${name} not found`,
+      });
+    }
+
+    const job = await queue.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `Job ${jobId} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        job: {
+          id: job.id,
+          name: job.name,
+          queue: name,
+          state: await job.getState(),
+          data: redact(job.data),
+          opts: redact(job.opts),
+          progress: job.progress(),
+          attemptsMade: job.attemptsMade,
+          timestamp: job.timestamp,
+          processedOn: job.processedOn,
+          finishedOn: job.finishedOn,
+          failedReason: redact(job.failedReason),
+          stacktrace: redact(job.stacktrace),
+          returnvalue: redact(job.returnvalue),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Retry failed job
  * POST /api/v1/queues/:name/jobs/:jobId/retry
@@ -144,6 +202,7 @@ router.post('/:name/jobs/:jobId/retry', async (req, res, next) => {
     }
 
     await job.retry();
+    auditQueueAction(res, 'queue_job_retry', { queue: name, jobId });
 
     logger.info(`Job ${jobId} from queue ${name} retried by admin ${req.user.id}`);
 
@@ -181,6 +240,7 @@ router.delete('/:name/jobs/:jobId', async (req, res, next) => {
     }
 
     await job.remove();
+    auditQueueAction(res, 'queue_job_remove', { queue: name, jobId, jobName: job.name });
 
     logger.info(`Job ${jobId} from queue ${name} removed by admin ${req.user.id}`);
 
@@ -201,7 +261,10 @@ router.post('/clean', async (req, res, next) => {
   try {
     const { grace = 3600000 } = req.body; // Default 1 hour
 
-    await cleanAllQueues(parseInt(grace));
+    const graceMs = parseInt(grace, 10);
+
+    await cleanAllQueues(graceMs);
+    auditQueueAction(res, 'queue_clean_all', { grace: graceMs });
 
     logger.info(`All queues cleaned by admin ${req.user.id}`);
 
@@ -221,6 +284,7 @@ router.post('/clean', async (req, res, next) => {
 router.post('/pause', async (req, res, next) => {
   try {
     await pauseAllQueues();
+    auditQueueAction(res, 'queue_pause_all', { queues: allQueues.map(q => q.name) });
 
     logger.info(`All queues paused by admin ${req.user.id}`);
 
@@ -240,6 +304,7 @@ router.post('/pause', async (req, res, next) => {
 router.post('/resume', async (req, res, next) => {
   try {
     await resumeAllQueues();
+    auditQueueAction(res, 'queue_resume_all', { queues: allQueues.map(q => q.name) });
 
     logger.info(`All queues resumed by admin ${req.user.id}`);
 
@@ -269,6 +334,7 @@ router.post('/:name/pause', async (req, res, next) => {
     }
 
     await queue.pause();
+    auditQueueAction(res, 'queue_pause', { queue: name });
 
     logger.info(`Queue ${name} paused by admin ${req.user.id}`);
 
@@ -298,6 +364,7 @@ router.post('/:name/resume', async (req, res, next) => {
     }
 
     await queue.resume();
+    auditQueueAction(res, 'queue_resume', { queue: name });
 
     logger.info(`Queue ${name} resumed by admin ${req.user.id}`);
 
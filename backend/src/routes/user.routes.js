@@ -15,9 +15,16 @@ router.put('/preferences', protect, userController.updatePreferences.bind(userCo
 // Event registration
 router.post('/events/:eventId/register', protect, userController.registerForEvent.bind(userController));
 router.delete('/events/:eventId/register', protect, userController.unregisterFromEvent.bind(userController));
+router.post('/events/:eventId/waitlist/confirm', protect, userController.confirmWaitlistOffer.bind(userController));
+router.post('/events/:eventId/ticket', protect, userController.reissueTicket.bind(userController));
 router.get('/events/registered', protect, userController.getRegisteredEvents.bind(userController));
 router.get('/events/:eventId/status', protect, userController.getEventStatus.bind(userController));
 
+// Calendar subscription feed
+router.get('/calendar/feed', protect, userController.getCalendarFeed.bind(userController));
+router.post('/calendar/feed/reset', protect, userController.resetCalendarFeed.bind(userController));
+router.get('/calendar/:token/events.ics', userController.calendarFeed.bind(userController));
+
 router.get('/certificates', protect, userController.getCertificates.bind(userController));
 router.get('/statistics', protect, userController.getUserStatistics.bind(userController));
 router.delete('/account', protect, userController.deleteAccount.bind(userController));
@@ -0,0 +1,11 @@
+import express from 'express';
+import { certificateController } from '../controllers/index.js';
+import { verificationLimiter } from '../middleware/index.js';
+
+const router = express.Router();
+
+// Public, server-rendered certificate verification (linked from certificate QR codes)
+router.get('/', verificationLimiter, certificateController.renderVerificationPage.bind(certificateController));
+router.get('/:hash', verificationLimiter, certificateController.renderVerificationPage.bind(certificateController));
+
+export default router;
@@ -0,0 +1,308 @@
+import { Event, Registration } from '../models/index.js';
+import registrationService from './registration.service.js';
+import eventSessionService from './eventSession.service.js';
+import logger from '../utils/logger.js';
+import { withTransaction } from '../utils/transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Attendance fields of a registration, cleared when a check-in is undone
+const ATTENDANCE_FIELDS = [
+  'checkInTime',
+  'checkInMethod',
+  'checkInBy',
+  'deviceId',
+  'syncedAt',
+  'checkOutTime',
+  'checkOutMethod',
+  'checkOutBy',
+  'durationMinutes',
+];
+
+/**
+ * Attendance Service
+ * Check-in (per session for events with sessions), check-out and attendance
+ * duration, stored on Registration. Event.attendanceCount and the sessions'
+ * attendanceCount are changed in the same transaction as the registration.
+ */
+
+class AttendanceService {
+  /**
+   * Check a registration in to the event unless it already is
+   * @param {Object} event - Event document
+   * @param {Object} registration - Confirmed registration
+   * @param {Object} fields - checkInTime, checkInMethod, checkInBy and other attendance fields
+   * @param {Object} [session] - Transaction session
+   * @returns {Promise<boolean>} - Whether this call checked the user in
+   */
+  async recordCheckIn(event, registration, fields, session = null) {
+    const result = await Registration.updateOne(
+      { _id: registration._id, status: 'confirmed', checkInTime: { $exists: false } },
+      { $set: fields },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) return false;
+
+    await Event.updateOne({ _id: event._id }, { $inc: { attendanceCount: 1 } }, { session });
+    return true;
+  }
+
+  /**
+   * Check a registration in to one session, within its capacity
+   * The first session checked in to also checks the user in to the event.
+   * @param {Object} event - Event document
+   * @param {Object} registration - Confirmed registration
+   * @param {Object} eventSession - Session subdocument
+   * @param {Object} fields - checkInTime, checkInMethod, checkInBy
+   * @param {Object} [session] - Transaction session
+   * @returns {Promise<Object>} - { added, firstCheckIn }
+   */
+  async recordSessionCheckIn(event, registration, eventSession, fields, session = null) {
+    const joined = await Registration.updateOne(
+      {
+        _id: registration._id,
+        status: 'confirmed',
+        'sessions.sessionId': { $ne: eventSession._id },
+      },
+      { $push: { sessions: { sessionId: eventSession._id, ...fields } } },
+      { session }
+    );
+
+    if (joined.modifiedCount === 0) return { added: false, firstCheckIn: false };
+
+    // The capacity check and the count are one update, so two scans cannot take the last seat
+    const seat = { _id: eventSession._id };
+    if (eventSession.capacity) {
+      seat.attendanceCount = { $lt: eventSession.capacity };
+    }
+
+    const counted = await Event.updateOne(
+      { _id: event._id, sessions: { $elemMatch: seat } },
+      { $inc: { 'sessions.$.attendanceCount': 1 } },
+      { session }
+    );
+
+    if (counted.modifiedCount === 0) {
+      // Rolled back with the transaction; undone by hand where there is none
+      await Registration.updateOne(
+        { _id: registration._id },
+        { $pull: { sessions: { sessionId: eventSession._id } } },
+        { session }
+      );
+      throw new AppError(`Session is full: ${eventSession.title}`, 400);
+    }
+
+    const firstCheckIn = await this.recordCheckIn(event, registration, fields, session);
+    return { added: true, firstCheckIn };
+  }
+
+  /**
+   * Check a registered user in
+   * For events with sessions the check-in is recorded on one session, the one
+   * chosen or else the one running; the first session also counts as attending
+   * the event. Session capacity is enforced.
+   * @param {Object} event - Event document
+   * @param {string} userId - User ID
+   * @param {Object} options - { method, adminId, sessionId, at }
+   * @param {string} options.method - qr or manual
+   * @param {string} [options.adminId] - Admin who checks the user in
+   * @param {string} [options.sessionId] - Session to check in to
+   * @param {Date} [options.at] - Check-in time, defaults to now
+   * @returns {Promise<Object>} - { checkInTime, session, alreadyCheckedIn }
+   */
+  async checkIn(event, userId, { method, adminId, sessionId, at = new Date() }) {
+    const registration = await registrationService.findConfirmed(event._id, userId);
+    if (!registration) {
+      throw new AppError('User is not registered for this event', 400);
+    }
+
+    const checkInTime = new Date(at);
+    const fields = { checkInTime, checkInMethod: method, checkInBy: adminId };
+
+    if (event.sessions.length === 0) {
+      if (sessionId) {
+        throw new AppError('This event has no sessions', 400);
+      }
+
+      const added = await withTransaction(session =>
+        this.recordCheckIn(event, registration, fields, session)
+      );
+      if (added) event.applyCountChange('attendanceCount', 1);
+
+      return {
+        checkInTime: added ? checkInTime : registration.checkInTime,
+        session: null,
+        alreadyCheckedIn: !added,
+      };
+    }
+
+    const eventSession = eventSessionService.resolveSession(event, sessionId, checkInTime);
+    const summary = { id: eventSession._id, title: eventSession.title, room: eventSession.room };
+    const findEntry = reg =>
+      reg?.sessions.find(entry => entry.sessionId.toString() === eventSession._id.toString());
+
+    const existing = findEntry(registration);
+    if (existing) {
+      return { checkInTime: existing.checkInTime, session: summary, alreadyCheckedIn: true };
+    }
+
+    if (eventSession.capacity && eventSession.attendanceCount >= eventSession.capacity) {
+      throw new AppError(`Session is full: ${eventSession.title}`, 400);
+    }
+
+    const { added, firstCheckIn } = await withTransaction(session =>
+      this.recordSessionCheckIn(event, registration, eventSession, fields, session)
+    );
+
+    if (!added) {
+      // The same ticket was scanned twice at once
+      const duplicate = findEntry(await Registration.findById(registration._id).select('sessions'));
+      return { checkInTime: duplicate?.checkInTime, session: summary, alreadyCheckedIn: true };
+    }
+
+    if (firstCheckIn) event.applyCountChange('attendanceCount', 1);
+
+    logger.info(
+      `User ${userId} checked in to session ${eventSession.title} of event ${event.title}`
+    );
+    return { checkInTime, session: summary, alreadyCheckedIn: false };
+  }
+
+  /**
+   * Undo a check-in, including session check-ins and any check-out
+   * @param {Object} event - Event document
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - The registration as it was before
+   */
+  async undoCheckIn(event, userId) {
+    const registration = await Registration.findOne({
+      eventId: event._id,
+      userId,
+      checkInTime: { $exists: true },
+    });
+
+    if (!registration) {
+      throw new AppError('User has not checked in yet', 400);
+    }
+
+    const sessionIds = registration.sessions.map(entry => entry.sessionId);
+
+    await withTransaction(async session => {
+      const result = await Registration.updateOne(
+        { _id: registration._id, checkInTime: registration.checkInTime },
+        {
+          $unset: Object.fromEntries(ATTENDANCE_FIELDS.map(field => [field, 1])),
+          $set: { sessions: [] },
+        },
+        { session }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new AppError('User has not checked in yet', 400);
+      }
+
+      await Event.updateOne(
+        { _id: event._id },
+        { $inc: { attendanceCount: -1, 'sessions.$[attended].attendanceCount': -1 } },
+        { arrayFilters: [{ 'attended._id': { $in: sessionIds } }], session }
+      );
+    });
+
+    event.applyCountChange('attendanceCount', -1);
+    return registration;
+  }
+
+  /**
+   * Minutes an attendee spent at an event
+   * Only time within the event window counts, so arriving early or leaving the
+   * check-out scan until the next day adds nothing.
+   * @param {Object} event - Event document
+   * @param {Date} checkInTime - Check-in time
+   * @param {Date} checkOutTime - Check-out time
+   * @returns {number}
+   */
+  getAttendanceMinutes(event, checkInTime, checkOutTime) {
+    const from = Math.max(new Date(checkInTime).getTime(), event.startDateTime.getTime());
+    const to = Math.min(new Date(checkOutTime).getTime(), event.endDateTime.getTime());
+
+    return Math.max(0, Math.round((to - from) / 60000));
+  }
+
+  /**
+   * Check an attendee out and store how long they stayed
+   * A scan never overwrites an earlier check-out; a manual check-out does, so
+   * staff can correct a wrong or missing one.
+   * @param {Object} event - Event document
+   * @param {string} userId - User ID
+   * @param {Object} options - { method, at, adminId }
+   * @param {string} options.method - qr or manual
+   * @param {Date} [options.at] - Check-out time, defaults to now
+   * @param {string} [options.adminId] - Admin who checks the user out
+   * @returns {Promise<Object>} - Times, durationMinutes, meetsThreshold and alreadyCheckedOut
+   */
+  async checkOut(event, userId, { method, at = new Date(), adminId }) {
+    const attendee = await Registration.findOne({
+      eventId: event._id,
+      userId,
+      checkInTime: { $exists: true },
+    });
+
+    if (!attendee) {
+      throw new AppError('User has not checked in', 400);
+    }
+
+    const checkOutTime = new Date(at);
+
+    if (checkOutTime > new Date()) {
+      throw new AppError('Check-out time cannot be in the future', 400);
+    }
+
+    if (checkOutTime < attendee.checkInTime) {
+      throw new AppError('Check-out time cannot be before check-in', 400);
+    }
+
+    const current = {
+      checkInTime: attendee.checkInTime,
+      checkOutTime: attendee.checkOutTime,
+      durationMinutes: attendee.durationMinutes,
+      meetsThreshold: event.meetsAttendanceThreshold(attendee),
+      alreadyCheckedOut: true,
+    };
+
+    if (attendee.checkOutTime && method !== 'manual') {
+      return current;
+    }
+
+    const durationMinutes = this.getAttendanceMinutes(event, attendee.checkInTime, checkOutTime);
+    const match = { _id: attendee._id, checkInTime: { $exists: true } };
+    if (method !== 'manual') {
+      match.checkOutTime = { $exists: false };
+    }
+
+    const updated = await Registration.findOneAndUpdate(
+      match,
+      { $set: { checkOutTime, checkOutMethod: method, checkOutBy: adminId, durationMinutes } },
+      { new: true }
+    );
+
+    // Another scan got there first
+    if (!updated) {
+      return current;
+    }
+
+    logger.info(
+      `User ${userId} checked out of event ${event.title} after ${durationMinutes} minutes`
+    );
+
+    return {
+      checkInTime: attendee.checkInTime,
+      checkOutTime,
+      durationMinutes,
+      meetsThreshold: event.meetsAttendanceThreshold(updated),
+      alreadyCheckedOut: false,
+    };
+  }
+}
+
+// Export singleton instance
+export default new AttendanceService();
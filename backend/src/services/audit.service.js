@@ -0,0 +1,248 @@
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import mongoose from 'mongoose';
+import { AuditLog } from '../models/index.js';
+import exportService from './export.service.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Never copied into before/after diffs: secrets, and high-volume arrays managed elsewhere
+const EXCLUDED_FIELDS = [
+  'password',
+  'passwordHistory',
+  'otpSecret',
+  'backupCodes',
+  'twoFactorSecret',
+  'twoFactorRecoveryCodes',
+  'sessions',
+  'calendarFeedToken',
+  'resetToken',
+  'verificationToken',
+  'qrSignature',
+  'actionsLog',
+  'loginHistory',
+  'waitlist',
+  '__v',
+  'updatedAt',
+];
+
+const CSV_COLUMNS = [
+  'createdAt',
+  'actor.email',
+  'actor.role',
+  'action',
+  'resource',
+  'resourceId',
+  'changes.before',
+  'changes.after',
+  'details',
+  'request.method',
+  'request.path',
+  'request.statusCode',
+  'request.ip',
+];
+
+/**
+ * Audit Service
+ * Append-only audit trail of admin actions with before/after diffs
+ */
+
+class AuditService {
+  /**
+   * Convert a document to a plain object without sensitive fields
+   * @param {Object} doc - Mongoose document or plain object
+   * @returns {Object|null}
+   */
+  snapshot(doc) {
+    if (!doc) return null;
+
+    const plain =
+      typeof doc.toObject === 'function'
+        ? doc.toObject({ depopulate: true, virtuals: false })
+        : doc;
+
+    return Object.fromEntries(
+      Object.entries(plain).filter(([key]) => !EXCLUDED_FIELDS.includes(key))
+    );
+  }
+
+  /**
+   * Flatten an object to dotted paths (arrays are compared whole)
+   * @param {Object} value - Plain object
+   * @param {string} prefix - Path prefix
+   * @returns {Object}
+   */
+  flatten(value, prefix = '') {
+    return Object.entries(value || {}).reduce((flat, [key, nested]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const isPlainObject =
+        nested &&
+        typeof nested === 'object' &&
+        !Array.isArray(nested) &&
+        !(nested instanceof Date) &&
+        !(nested instanceof mongoose.Types.ObjectId);
+
+      return isPlainObject
+        ? { ...flat, ...this.flatten(nested, path) }
+        : { ...flat, [path]: nested };
+    }, {});
+  }
+
+  /**
+   * Diff two snapshots, keeping only the paths that changed
+   * @param {Object} before - Snapshot before the change
+   * @param {Object} after - Snapshot after the change
+   * @returns {Object|undefined} - { before, after }
+   */
+  diff(before, after) {
+    if (!before && !after) return undefined;
+
+    const flatBefore = this.flatten(this.snapshot(before));
+    const flatAfter = this.flatten(this.snapshot(after));
+    const paths = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])];
+
+    const changed = paths.filter(
+      path => JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path])
+    );
+    if (changed.length === 0) return undefined;
+
+    return {
+      before: before ? Object.fromEntries(changed.map(path => [path, flatBefore[path]])) : null,
+      after: after ? Object.fromEntries(changed.map(path => [path, flatAfter[path]])) : null,
+    };
+  }
+
+  /**
+   * Write an audit entry
+   * Failures are logged, never thrown, so auditing cannot break the action itself.
+   * @param {Object} entry - { actor, action, resource, resourceId, before, after, details, req, statusCode }
+   * @returns {Promise<Object|null>}
+   */
+  async record({ actor, action, resource, resourceId, before, after, details, req, statusCode }) {
+    try {
+      return await AuditLog.create({
+        actor: actor && { adminId: actor._id, email: actor.email, role: actor.role },
+        action,
+        resource,
+        resourceId: resourceId ? String(resourceId) : undefined,
+        changes: this.diff(before, after),
+        details,
+        request: req && {
+          method: req.method,
+          path: req.originalUrl,
+          statusCode,
+          ip: req.ip,
+          userAgent: req.get('user-agent'),
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to write audit log (${action} ${resource}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Build a MongoDB filter from query parameters
+   * @param {Object} filters - { from, to, actor, action, resource, resourceId }
+   * @returns {Object}
+   */
+  buildQuery({ from, to, actor, action, resource, resourceId } = {}) {
+    const query = {};
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    if (actor) {
+      if (mongoose.Types.ObjectId.isValid(actor)) {
+        query['actor.adminId'] = actor;
+      } else {
+        query['actor.email'] = String(actor).toLowerCase();
+      }
+    }
+
+    if (action) query.action = action;
+    if (resource) query.resource = resource;
+    if (resourceId) query.resourceId = String(resourceId);
+
+    return query;
+  }
+
+  /**
+   * Paginated audit entries, newest first
+   * @param {Object} filters - Query filters
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} - { logs, total, page, totalPages }
+   */
+  async find(filters, { page = 1, limit = 50 } = {}) {
+    const query = this.buildQuery(filters);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    return {
+      logs,
+      total,
+      page: pageNumber,
+      totalPages: Math.ceil(total / pageSize),
+    };
+  }
+
+  /**
+   * Stream matching entries as CSV
+   * @param {Object} res - Express response
+   * @param {Object} filters - Query filters
+   * @returns {Promise<void>}
+   */
+  async streamCSV(res, filters) {
+    const cursor = AuditLog.find(this.buildQuery(filters))
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    const toCSV = new Transform({
+      writableObjectMode: true,
+      transform: (entry, encoding, callback) => {
+        callback(null, exportService.toCSVLine(exportService.toRow(entry, CSV_COLUMNS)));
+      },
+    });
+    toCSV.push(exportService.toCSVLine(CSV_COLUMNS));
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${exportService.getFileName('audit', 'csv')}"`,
+    });
+
+    await pipeline(cursor, toCSV, res);
+  }
+
+  /**
+   * Delete entries past the retention window
+   * @param {number} retentionDays - Days to keep
+   * @returns {Promise<number>} - Entries removed
+   */
+  async purge(retentionDays) {
+    if (!retentionDays || retentionDays < 1) {
+      throw new AppError('Audit retention must be at least one day', 400);
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const removed = await AuditLog.purgeOlderThan(cutoff);
+
+    logger.info(`Purged ${removed} audit log entries older than ${retentionDays} days`);
+    return removed;
+  }
+}
+
+// Export singleton instance
+export default new AuditService();
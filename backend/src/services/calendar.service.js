@@ -0,0 +1,132 @@
+import { createEvents } from 'ics';
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Calendar Service
+ * iCalendar (.ics) generation for single events and per-user subscription feeds
+ */
+
+class CalendarService {
+  constructor() {
+    this.productId = 'meetCITAD//Events//EN';
+  }
+
+  /**
+   * Map an event document to ics attributes
+   * UID stays stable across updates; SEQUENCE tells clients to replace their copy
+   * @param {Object} event - Event object
+   * @returns {Object} - ics event attributes
+   */
+  toCalendarEvent(event) {
+    const location = [event.venue?.name, event.venue?.address, event.venue?.city]
+      .filter(Boolean)
+      .join(', ');
+
+    const attributes = {
+      uid: `${event._id}@meetcitad`,
+      sequence: event.calendarSequence || 0,
+      title: event.title,
+      description: event.shortDescription || event.description,
+      location,
+      url: `${config.app.frontendUrl}/events/${event._id}`,
+      start: new Date(event.startDateTime).getTime(),
+      startInputType: 'utc',
+      startOutputType: 'utc',
+      end: new Date(event.endDateTime).getTime(),
+      endInputType: 'utc',
+      endOutputType: 'utc',
+      status: event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      organizer: { name: event.hostBy || config.email.fromName, email: config.email.from },
+      categories: event.category ? [event.category] : undefined,
+      alarms:
+        event.status === 'cancelled'
+          ? undefined
+          : [{ action: 'display', description: event.title, trigger: { hours: 1, before: true } }],
+    };
+
+    if (event.venue?.coordinates?.lat && event.venue?.coordinates?.lng) {
+      attributes.geo = { lat: event.venue.coordinates.lat, lon: event.venue.coordinates.lng };
+    }
+
+    if (event.updatedAt) {
+      attributes.lastModified = new Date(event.updatedAt).getTime();
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Build an iCalendar document from events
+   * @param {Array} events - Event objects
+   * @param {Object} header - Optional { calName }
+   * @returns {string} - iCalendar text
+   */
+  buildCalendar(events, header = {}) {
+    const { error, value } = createEvents(
+      events.map(event => this.toCalendarEvent(event)),
+      { productId: this.productId, method: 'PUBLISH', ...header }
+    );
+
+    if (error) {
+      logger.error('Error generating iCalendar:', error);
+      throw new AppError('Failed to generate calendar file', 500);
+    }
+
+    return value;
+  }
+
+  /**
+   * Generate .ics for a single event
+   * @param {Object} event - Event object
+   * @returns {string} - iCalendar text
+   */
+  generateEventICS(event) {
+    return this.buildCalendar([event]);
+  }
+
+  /**
+   * Generate a subscription feed for a user's registered events
+   * @param {Array} events - Event objects
+   * @param {Object} user - User object
+   * @returns {string} - iCalendar text
+   */
+  generateUserFeed(events, user) {
+    return this.buildCalendar(events, { calName: `meetCITAD - ${user.fullname}` });
+  }
+
+  /**
+   * Generate .ics as a Mailjet attachment
+   * @param {Object} event - Event object
+   * @returns {Object} - Mailjet attachment
+   */
+  generateEventAttachment(event) {
+    return {
+      ContentType: 'text/calendar',
+      Filename: `${event.slug || event._id}.ics`,
+      Base64Content: Buffer.from(this.generateEventICS(event)).toString('base64'),
+    };
+  }
+
+  /**
+   * Generate a new secret feed token
+   * @returns {string}
+   */
+  generateFeedToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Public subscription URL for a feed token
+   * @param {string} token - Feed token
+   * @returns {string}
+   */
+  getFeedUrl(token) {
+    return `${config.app.backendUrl}/api/${config.apiVersion}/users/calendar/${token}/events.ics`;
+  }
+}
+
+// Export singleton instance
+export default new CalendarService();
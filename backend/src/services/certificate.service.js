@@ -1,11 +1,48 @@
-import PDFDocument from 'pdfkit';
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
-import { Certificate, CertificateTemplate, Event, User } from '../models/index.js';
+import { Certificate, CertificateTemplate, Event, User, Registration } from '../models/index.js';
 import qrService from './qr.service.js';
+import certificateRendererService from './certificateRenderer.service.js';
+import notificationService from './notification.service.js';
+import credentialService from './credential.service.js';
+import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 
+// Placeholder values for template previews
+const PREVIEW_CERTIFICATE_NUMBER = 'CERT-PREVIEW';
+const SAMPLE_FIELD_VALUES = {
+  recipientName: 'Jane Doe',
+  eventTitle: 'Sample Event Title',
+  eventVenue: 'CITAD Conference Hall',
+  certificateNumber: PREVIEW_CERTIFICATE_NUMBER,
+};
+
+// Open Badges 3.0 credential contexts and per-template-type criteria
+const CREDENTIAL_CONTEXT = [
+  'https://www.w3.org/ns/credentials/v2',
+  'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json',
+];
+const CRITERIA_NARRATIVES = {
+  attendance: 'Attended the event, as recorded at check-in.',
+  participation: 'Participated in the event.',
+  achievement: 'Met the achievement requirements set by the organisers.',
+  training: 'Completed the training programme.',
+};
+
+/**
+ * Date as printed on certificates
+ * @param {Date|string} value - Date
+ * @returns {string}
+ */
+const formatDate = value =>
+  new Date(value).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+
 /**
  * Certificate Service
  * Handles certificate generation, templates, and verification
@@ -59,30 +96,8 @@ class CertificateService {
         throw new AppError('No certificate template found', 404);
       }
 
-      // Prepare certificate data
-      const certificateData = {
-        recipientName: user.fullname,
-        eventTitle: event.title,
-        eventDate: event.startDateTime.toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric',
-        }),
-        eventVenue: event.venue.name,
-        issuedDate: new Date().toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric',
-        }),
-      };
-
-      // Validate required fields
-      const validation = template.validateRequiredFields(certificateData);
-      if (!validation.isValid) {
-        throw new AppError(`Missing required fields: ${validation.missingFields.join(', ')}`, 400);
-      }
-
       // Create certificate record
+      const issuedDate = new Date();
       const certificate = new Certificate({
         userId: user._id,
         eventId: event._id,
@@ -92,6 +107,23 @@ class CertificateService {
         eventTitle: event.title,
         eventDate: event.startDateTime,
         eventVenue: event.venue.name,
+        issuedDate,
+        expiresAt: this.calculateExpiry(issuedDate, this.getValidityMonths(event, template)),
+      });
+
+      // Prepare certificate data
+      const certificateData = this.getCertificateData(certificate);
+
+      // Validate required fields
+      const validation = template.validateRequiredFields(certificateData);
+      if (!validation.isValid) {
+        throw new AppError(`Missing required fields: ${validation.missingFields.join(', ')}`, 400);
+      }
+
+      // Number and hash are normally set on save, but the QR code and file name need them now
+      certificate.set({
+        certificateNumber: certificate.generateCertificateNumber(),
+        verificationHash: certificate.generateVerificationHash(),
       });
 
       // Generate verification QR code
@@ -119,6 +151,47 @@ class CertificateService {
     }
   }
 
+  /**
+   * Validity period, in months, of certificates issued for an event
+   * The event setting overrides the template's; null means they never expire.
+   * @param {Object} event - Event object
+   * @param {Object} template - Certificate template
+   * @returns {number|null}
+   */
+  getValidityMonths(event, template) {
+    return event?.certificateValidityMonths || template?.validityMonths || null;
+  }
+
+  /**
+   * Expiry date for a validity period
+   * @param {Date} from - Start of the validity period
+   * @param {number|null} months - Validity in months
+   * @returns {Date|undefined} - undefined when there is no validity period
+   */
+  calculateExpiry(from, months) {
+    if (!months) return undefined;
+
+    const expiresAt = new Date(from);
+    expiresAt.setMonth(expiresAt.getMonth() + months);
+    return expiresAt;
+  }
+
+  /**
+   * Template field values for a certificate record
+   * @param {Object} certificate - Certificate object
+   * @returns {Object}
+   */
+  getCertificateData(certificate) {
+    return {
+      recipientName: certificate.recipientName,
+      eventTitle: certificate.eventTitle,
+      eventDate: formatDate(certificate.eventDate),
+      eventVenue: certificate.eventVenue,
+      issuedDate: formatDate(certificate.issuedDate),
+      ...(certificate.expiresAt && { expiryDate: formatDate(certificate.expiresAt) }),
+    };
+  }
+
   /**
    * Generate PDF certificate
    * @param {Object} certificate - Certificate object
@@ -128,136 +201,69 @@ class CertificateService {
    * @returns {Promise<string>} - PDF file path
    */
   async generatePDF(certificate, template, data, qrDataURL) {
-    return new Promise((resolve, reject) => {
-      try {
-        const fileName = `${certificate.certificateNumber}.pdf`;
-        const filePath = path.join(this.certificatesDir, fileName);
-
-        // Create PDF document
-        const doc = new PDFDocument({
-          size: template.design.size === 'A4' ? 'A4' : 'LETTER',
-          layout: template.design.orientation || 'landscape',
-          margins: {
-            top: 50,
-            bottom: 50,
-            left: 50,
-            right: 50,
-          },
-        });
-
-        // Pipe to file
-        const stream = fs.createWriteStream(filePath);
-        doc.pipe(stream);
+    const fileName = `${certificate.certificateNumber}.pdf`;
+    const filePath = path.join(this.certificatesDir, fileName);
 
-        // Set background color
-        if (template.design.backgroundColor) {
-          doc.rect(0, 0, doc.page.width, doc.page.height)
-            .fill(template.design.backgroundColor);
-        }
-
-        // Add border if enabled
-        if (template.design.border?.enabled) {
-          doc.rect(30, 30, doc.page.width - 60, doc.page.height - 60)
-            .lineWidth(template.design.border.width || 2)
-            .stroke(template.design.border.color || '#C9A661');
-        }
-
-        // Render template content
-        const content = template.renderContent(data);
-
-        // Add title
-        doc.fontSize(template.design.fonts.heading.size || 36)
-          .font('Helvetica-Bold')
-          .fillColor(template.design.fonts.heading.color || '#000000')
-          .text(content.title, 50, 100, {
-            align: 'center',
-            width: doc.page.width - 100,
-          });
-
-        // Add recipient name
-        doc.fontSize(template.design.fonts.recipient.size || 28)
-          .font('Times-Italic')
-          .fillColor(template.design.fonts.recipient.color || '#000000')
-          .text(data.recipientName, 50, 200, {
-            align: 'center',
-            width: doc.page.width - 100,
-          });
-
-        // Add body text
-        doc.fontSize(template.design.fonts.body.size || 14)
-          .font('Helvetica')
-          .fillColor(template.design.fonts.body.color || '#333333')
-          .text(content.body, 50, 280, {
-            align: 'center',
-            width: doc.page.width - 100,
-          });
+    const pdfBuffer = await certificateRendererService.render(template, data, {
+      qrDataURL,
+      certificateNumber: certificate.certificateNumber,
+    });
+    await fs.writeFile(filePath, pdfBuffer);
 
-        // Add certificate number
-        doc.fontSize(10)
-          .fillColor('#666666')
-          .text(`Certificate No: ${certificate.certificateNumber}`, 50, doc.page.height - 120, {
-            align: 'center',
-            width: doc.page.width - 100,
-          });
+    return `/certificates/${fileName}`;
+  }
 
-        // Add QR code
-        if (qrDataURL) {
-          // Convert data URL to buffer
-          const qrBuffer = Buffer.from(qrDataURL.split(',')[1], 'base64');
-          doc.image(qrBuffer, doc.page.width - 150, doc.page.height - 150, {
-            width: 100,
-            height: 100,
-          });
-        }
+  /**
+   * Sample values for a template's dynamic fields
+   * @param {Object} template - Certificate template
+   * @returns {Object}
+   */
+  getSampleData(template) {
+    const today = formatDate(new Date());
+    const fields = template.dynamicFields?.length
+      ? template.dynamicFields.map(field => field.fieldName)
+      : template.defaultFields || [];
+
+    return Object.fromEntries(
+      fields.map(field => [
+        field,
+        SAMPLE_FIELD_VALUES[field] || (/date/i.test(field) ? today : `[${field}]`),
+      ])
+    );
+  }
 
-        // Add signatures if available
-        if (template.signatures && template.signatures.length > 0) {
-          const signatureY = doc.page.height - 180;
-          const spacing = (doc.page.width - 100) / template.signatures.length;
-
-          template.signatures.forEach((signature, index) => {
-            const x = 50 + (index * spacing);
-            
-            // Add signature line
-            doc.moveTo(x, signatureY)
-              .lineTo(x + 150, signatureY)
-              .stroke('#000000');
-
-            // Add signature name and title
-            doc.fontSize(10)
-              .fillColor('#000000')
-              .text(signature.name, x, signatureY + 10, {
-                width: 150,
-                align: 'center',
-              })
-              .fontSize(8)
-              .fillColor('#666666')
-              .text(signature.title, x, signatureY + 25, {
-                width: 150,
-                align: 'center',
-              });
-          });
-        }
+  /**
+   * Render a template preview through the certificate PDF pipeline
+   * Nothing is saved and no certificate number is allocated.
+   * @param {Object} template - Certificate template (saved or not)
+   * @param {Object} data - Field values overriding the samples
+   * @returns {Promise<Object>} - { pdf, thumbnail, data }
+   */
+  async previewTemplate(template, data = {}) {
+    const previewData = { ...this.getSampleData(template), ...data };
+    const qrDataURL = await qrService.generateQRCode(`Certificate preview: ${template.name}`, {
+      width: 200,
+    });
 
-        // Finalize PDF
-        doc.end();
+    const pdf = await certificateRendererService.render(template, previewData, {
+      qrDataURL,
+      certificateNumber: PREVIEW_CERTIFICATE_NUMBER,
+    });
 
-        // Wait for file to be written
-        stream.on('finish', () => {
-          resolve(`/certificates/${fileName}`);
-        });
+    // A missing thumbnail should not block the PDF preview
+    let thumbnail = null;
+    try {
+      thumbnail = await certificateRendererService.renderThumbnail(pdf);
+    } catch (error) {
+      logger.error('Error rendering certificate preview thumbnail:', error);
+    }
 
-        stream.on('error', (error) => {
-          reject(error);
-        });
-      } catch (error) {
-        reject(error);
-      }
-    });
+    return { pdf, thumbnail, data: previewData };
   }
 
   /**
    * Generate certificates for all attendees of an event
+   * Attendees who stayed less than the event's minAttendanceMinutes are left out.
    * @param {string} eventId - Event ID
    * @returns {Promise<Object>} - Generation results
    */
@@ -273,14 +279,20 @@ class CertificateService {
         throw new AppError('Certificates are not enabled for this event', 400);
       }
 
-      // Get all users who attended
-      const attendeeIds = event.attendedUsers.map(a => a.userId);
+      // Get all users who attended long enough
+      const attendees = await Registration.find({
+        eventId: event._id,
+        checkInTime: { $exists: true },
+      }).select('userId checkInTime durationMinutes sessions');
+      const eligible = attendees.filter(a => event.meetsAttendanceThreshold(a));
+      const attendeeIds = eligible.map(a => a.userId);
       const users = await User.find({ _id: { $in: attendeeIds } });
 
       const results = {
         total: users.length,
         generated: 0,
         skipped: 0,
+        ineligible: attendees.length - eligible.length,
         failed: 0,
         errors: [],
       };
@@ -315,7 +327,7 @@ class CertificateService {
       event.certificateGeneratedAt = new Date();
       await event.save();
 
-      logger.info(`Bulk certificate generation complete for event ${eventId}: ${results.generated} generated, ${results.skipped} skipped, ${results.failed} failed`);
+      logger.info(`Bulk certificate generation complete for event ${eventId}: ${results.generated} generated, ${results.skipped} skipped, ${results.ineligible} below attendance threshold, ${results.failed} failed`);
       return results;
     } catch (error) {
       logger.error('Error in bulk certificate generation:', error);
@@ -324,37 +336,77 @@ class CertificateService {
   }
 
   /**
-   * Verify certificate by verification hash
+   * Verify certificate by verification hash (printed in the QR code)
    * @param {string} verificationHash - Verification hash
    * @returns {Promise<Object>} - Certificate verification result
    */
   async verifyCertificate(verificationHash) {
+    return this.lookupCertificate({ verificationHash });
+  }
+
+  /**
+   * Verify certificate by the number printed on it
+   * @param {string} certificateNumber - Certificate number
+   * @returns {Promise<Object>} - Certificate verification result
+   */
+  async verifyCertificateNumber(certificateNumber) {
+    return this.lookupCertificate({
+      certificateNumber: String(certificateNumber).trim().toUpperCase(),
+    });
+  }
+
+  /**
+   * Look up a certificate for public verification and count the check
+   * @param {Object} filter - { verificationHash } or { certificateNumber }
+   * @returns {Promise<Object>} - { valid, status, certificate, message }
+   */
+  async lookupCertificate(filter) {
     try {
-      const certificate = await Certificate.findOne({ verificationHash })
-        .populate('userId', 'fullname email')
-        .populate('eventId', 'title startDateTime venue');
+      const certificate = await Certificate.findOne(filter);
 
       if (!certificate) {
         return {
           valid: false,
+          status: 'not_found',
           message: 'Certificate not found',
         };
       }
 
-      // Increment verification count
+      // Increment verification count (also flips past-expiry certificates to expired)
       await certificate.incrementVerificationCount();
 
+      let status = 'active';
+      if (certificate.status === 'revoked') {
+        status = 'revoked';
+      } else if (!certificate.isValid) {
+        status = 'expired';
+      }
+
+      const messages = {
+        active: certificate.expiresAt
+          ? `Certificate is valid until ${formatDate(certificate.expiresAt)}`
+          : 'Certificate is valid',
+        revoked: 'Certificate has been revoked',
+        expired: `Certificate expired on ${formatDate(certificate.expiresAt)}`,
+      };
+
       return {
-        valid: certificate.isValid,
+        valid: status === 'active',
+        status,
         certificate: {
           certificateNumber: certificate.certificateNumber,
           recipientName: certificate.recipientName,
           eventTitle: certificate.eventTitle,
           eventDate: certificate.eventDate,
+          eventVenue: certificate.eventVenue,
           issuedDate: certificate.issuedDate,
+          expiresAt: certificate.expiresAt,
           status: certificate.status,
+          revokedAt: status === 'revoked' ? certificate.revokedAt : undefined,
+          revokeReason: status === 'revoked' ? certificate.revokeReason : undefined,
+          verificationCount: certificate.verificationCount,
         },
-        message: certificate.isValid ? 'Certificate is valid' : 'Certificate is not valid',
+        message: messages[status],
       };
     } catch (error) {
       logger.error('Error verifying certificate:', error);
@@ -362,6 +414,112 @@ class CertificateService {
     }
   }
 
+  /**
+   * Build and sign the Open Badges 3.0 credential for a certificate
+   * The recipient is identified by name and by a salted hash of their email.
+   * @param {Object} certificate - Certificate object
+   * @returns {Promise<Object>} - Signed credential (JSON-LD)
+   */
+  async issueCredential(certificate) {
+    if (certificate.status === 'revoked') {
+      throw new AppError('This certificate has been revoked', 400);
+    }
+
+    const template = await CertificateTemplate.findById(certificate.templateId).select('type');
+    const salt = crypto.randomBytes(8).toString('hex');
+    const emailHash = crypto
+      .createHash('sha256')
+      .update(`${certificate.recipientEmail.toLowerCase()}${salt}`)
+      .digest('hex');
+
+    const credential = {
+      '@context': CREDENTIAL_CONTEXT,
+      id: certificate.verificationUrl,
+      type: ['VerifiableCredential', 'OpenBadgeCredential'],
+      name: `${certificate.eventTitle} Certificate`,
+      issuer: {
+        id: credentialService.getIssuerId(),
+        type: ['Profile'],
+        name: config.certificate.issuerName,
+        url: config.app.frontendUrl,
+      },
+      validFrom: certificate.issuedDate.toISOString(),
+      validUntil: certificate.expiresAt?.toISOString(),
+      credentialSubject: {
+        type: ['AchievementSubject'],
+        identifier: [
+          {
+            type: 'IdentityObject',
+            identityType: 'emailAddress',
+            hashed: true,
+            identityHash: `sha256$${emailHash}`,
+            salt,
+          },
+          {
+            type: 'IdentityObject',
+            identityType: 'name',
+            hashed: false,
+            identityHash: certificate.recipientName,
+          },
+        ],
+        achievement: {
+          id: `${config.app.frontendUrl}/events/${certificate.eventId}`,
+          type: ['Achievement'],
+          achievementType: 'Certificate',
+          name: certificate.eventTitle,
+          description: [
+            `Certificate ${certificate.certificateNumber} for ${certificate.eventTitle}`,
+            certificate.eventVenue && `at ${certificate.eventVenue}`,
+            `on ${formatDate(certificate.eventDate)}.`,
+          ]
+            .filter(Boolean)
+            .join(' '),
+          criteria: {
+            narrative:
+              CRITERIA_NARRATIVES[template?.type] || 'Met the requirements set by the organisers.',
+          },
+        },
+      },
+    };
+
+    return credentialService.sign(credential);
+  }
+
+  /**
+   * Verify a credential issued by issueCredential
+   * Checks the proof, that it was signed with this server's key, and the current
+   * status of the certificate it was issued for.
+   * @param {Object} credential - Signed credential
+   * @returns {Promise<Object>} - { valid, checks, status, certificate, message }
+   */
+  async verifyCredential(credential) {
+    if (!credential || typeof credential !== 'object' || Array.isArray(credential)) {
+      throw new AppError('A signed credential is required', 400);
+    }
+
+    const proof = credentialService.verify(credential);
+    const checks = {
+      signature: proof.verified,
+      issuer: proof.verified && proof.issuer === credentialService.getIssuerId(),
+    };
+
+    if (!checks.signature || !checks.issuer) {
+      return {
+        valid: false,
+        checks,
+        status: 'invalid',
+        message: proof.error || 'Credential was not issued by this server',
+      };
+    }
+
+    const verificationHash = /\/verify\/([a-f0-9]{64})$/.exec(credential.id || '')?.[1];
+    const result = verificationHash
+      ? await this.lookupCertificate({ verificationHash })
+      : { valid: false, status: 'not_found', message: 'Certificate not found' };
+
+    return { ...result, checks };
+  }
+
   /**
    * Get user certificates
    * @param {string} userId - User ID
@@ -369,7 +527,11 @@ class CertificateService {
    */
   async getUserCertificates(userId) {
     try {
-      const certificates = await Certificate.find({ userId, status: 'active' })
+      // Expired certificates stay listed so holders can see what needs renewing
+      const certificates = await Certificate.find({
+        userId,
+        status: { $in: ['active', 'expired'] },
+      })
         .populate('eventId', 'title startDateTime venue')
         .sort({ issuedDate: -1 });
 
@@ -440,6 +602,126 @@ class CertificateService {
     }
   }
 
+  /**
+   * Mark certificates past their expiry date as expired
+   * @returns {Promise<Object>} - { expired }
+   */
+  async expireCertificates() {
+    const result = await Certificate.updateMany(
+      { status: 'active', expiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+
+    logger.info(`Marked ${result.modifiedCount} certificates as expired`);
+    return { expired: result.modifiedCount };
+  }
+
+  /**
+   * Warn holders whose certificates expire within the reminder window
+   * Each certificate is only warned once per validity period.
+   * @param {number} days - Days before expiry
+   * @returns {Promise<Object>} - { sent, failed }
+   */
+  async sendExpiryReminders(days = config.certificate.expiryReminderDays) {
+    const now = new Date();
+    const certificates = await Certificate.find({
+      status: 'active',
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) },
+      expiryReminderSentAt: null,
+    }).populate('userId');
+
+    const results = await Promise.all(
+      certificates.map(async certificate => {
+        if (!certificate.userId) return false;
+
+        try {
+          await notificationService.sendCertificateExpiryNotification(
+            certificate.userId,
+            certificate
+          );
+          await Certificate.updateOne(
+            { _id: certificate._id },
+            { $set: { expiryReminderSentAt: new Date() } }
+          );
+          return true;
+        } catch (error) {
+          logger.error(
+            `Failed to send expiry reminder for ${certificate.certificateNumber}:`,
+            error
+          );
+          return false;
+        }
+      })
+    );
+
+    const sent = results.filter(Boolean).length;
+    logger.info(`Sent ${sent} certificate expiry reminders`);
+    return { sent, failed: results.length - sent };
+  }
+
+  /**
+   * Renew a certificate for another validity period
+   * The new period runs from the current expiry date if it has not passed yet,
+   * otherwise from today. The PDF is re-rendered so a printed expiry date stays correct.
+   * @param {string} certificateId - Certificate ID
+   * @param {string} adminId - Admin ID
+   * @param {number} months - Validity in months (defaults to the event/template period)
+   * @returns {Promise<Object>} - Renewed certificate
+   */
+  async renewCertificate(certificateId, adminId, months) {
+    const certificate = await Certificate.findById(certificateId);
+
+    if (!certificate) {
+      throw new AppError('Certificate not found', 404);
+    }
+
+    if (certificate.status === 'revoked') {
+      throw new AppError('Cannot renew a revoked certificate', 400);
+    }
+
+    const requested = months === undefined || months === null ? null : parseInt(months, 10);
+    if (requested !== null && !(requested >= 1)) {
+      throw new AppError('Renewal period must be at least one month', 400);
+    }
+
+    const [event, template] = await Promise.all([
+      Event.findById(certificate.eventId),
+      CertificateTemplate.findById(certificate.templateId),
+    ]);
+
+    if (!template) {
+      throw new AppError('Certificate template not found', 404);
+    }
+
+    const validityMonths = requested || this.getValidityMonths(event, template);
+    if (!validityMonths) {
+      throw new AppError('No validity period is set for this certificate; specify months', 400);
+    }
+
+    const renewedAt = new Date();
+    const from =
+      certificate.expiresAt && certificate.expiresAt > renewedAt
+        ? certificate.expiresAt
+        : renewedAt;
+
+    certificate.set({
+      expiresAt: this.calculateExpiry(from, validityMonths),
+      status: 'active',
+      expiryReminderSentAt: undefined,
+      renewedAt,
+      renewedBy: adminId,
+    });
+
+    const qrDataURL = await qrService.generateCertificateVerificationQR(certificate);
+    await this.generatePDF(certificate, template, this.getCertificateData(certificate), qrDataURL);
+    await certificate.save();
+
+    logger.info(
+      `Certificate ${certificate.certificateNumber} renewed until ${certificate.expiresAt.toISOString()}`
+    );
+    return certificate;
+  }
+
   /**
    * Delete certificate file
    * @param {string} filePath - File path
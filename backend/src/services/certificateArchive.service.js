@@ -0,0 +1,217 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import archiver from 'archiver';
+import { PDFDocument } from 'pdf-lib';
+import { Certificate, Event } from '../models/index.js';
+import certificateService from './certificate.service.js';
+import exportService from './export.service.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const ARCHIVE_FORMATS = ['zip', 'pdf'];
+
+const MANIFEST_COLUMNS = [
+  'certificateNumber',
+  'recipientName',
+  'recipientEmail',
+  'issuedDate',
+  'verificationUrl',
+  'fileName',
+  'included',
+];
+
+/**
+ * Certificate Archive Service
+ * Bundles every active certificate of an event into a ZIP or a single merged PDF,
+ * with a manifest CSV, for printing and archiving. Archives are written to the
+ * export directory and expire with the other exports.
+ */
+
+class CertificateArchiveService {
+  constructor() {
+    this.archiveDir = config.storage.exportDir;
+  }
+
+  /**
+   * Query for the certificates that belong in an event archive
+   * @param {string} eventId - Event ID
+   * @returns {Object}
+   */
+  buildQuery(eventId) {
+    return {
+      eventId,
+      status: 'active',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    };
+  }
+
+  /**
+   * Number of certificates an archive would contain
+   * @param {string} eventId - Event ID
+   * @returns {Promise<number>}
+   */
+  async countCertificates(eventId) {
+    return Certificate.countDocuments(this.buildQuery(eventId));
+  }
+
+  /**
+   * Read a certificate's PDF, or null if the file is gone
+   * @param {Object} certificate - Certificate document
+   * @returns {Promise<Buffer|null>}
+   */
+  async readCertificateFile(certificate) {
+    if (!certificate.fileName) return null;
+
+    try {
+      return await fsp.readFile(
+        path.join(certificateService.certificatesDir, path.basename(certificate.fileName))
+      );
+    } catch (error) {
+      logger.warn(`Certificate file missing for ${certificate.certificateNumber}`);
+      return null;
+    }
+  }
+
+  /**
+   * Build an event archive
+   * Certificates are read one at a time; ones whose PDF is missing are listed in
+   * the manifest with included = no.
+   * @param {Object} options - { eventId, format, onProgress }
+   * @param {string} jobId - Job ID used to name the files
+   * @returns {Promise<Object>} - { fileName, manifestFileName, total, included, missing }
+   */
+  async buildArchive({ eventId, format, onProgress }, jobId) {
+    if (!ARCHIVE_FORMATS.includes(format)) {
+      throw new AppError(`Invalid archive format. Use one of: ${ARCHIVE_FORMATS.join(', ')}`, 400);
+    }
+
+    const event = await Event.findById(eventId).select('title');
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    await fsp.mkdir(this.archiveDir, { recursive: true });
+
+    const baseName = `${jobId}-certificates-${this.slugify(event.title)}`;
+    const fileName = `${baseName}.${format}`;
+    const manifestFileName = `${baseName}-manifest.csv`;
+    const filePath = path.join(this.archiveDir, fileName);
+
+    const total = await this.countCertificates(eventId);
+    const manifest = [exportService.toCSVLine(MANIFEST_COLUMNS)];
+    let processed = 0;
+    let included = 0;
+
+    const addToManifest = (certificate, wasIncluded) => {
+      manifest.push(
+        exportService.toCSVLine([
+          certificate.certificateNumber,
+          certificate.recipientName,
+          certificate.recipientEmail,
+          exportService.formatValue(certificate.issuedDate),
+          certificate.verificationUrl,
+          wasIncluded ? `${certificate.certificateNumber}.pdf` : '',
+          wasIncluded ? 'yes' : 'no (file missing)',
+        ])
+      );
+
+      processed += 1;
+      if (wasIncluded) included += 1;
+      if (onProgress && total > 0) {
+        onProgress(Math.min(99, Math.round((processed / total) * 100)));
+      }
+    };
+
+    const cursor = Certificate.find(this.buildQuery(eventId))
+      .sort({ recipientName: 1 })
+      .cursor({ batchSize: 100 });
+
+    try {
+      if (format === 'zip') {
+        const output = fs.createWriteStream(filePath);
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        const written = new Promise((resolve, reject) => {
+          output.on('close', resolve);
+          archive.on('error', reject);
+        });
+        archive.pipe(output);
+
+        await cursor.eachAsync(async certificate => {
+          const pdf = await this.readCertificateFile(certificate);
+          if (pdf) {
+            archive.append(pdf, { name: `${certificate.certificateNumber}.pdf` });
+          }
+          addToManifest(certificate, Boolean(pdf));
+        });
+
+        archive.append(manifest.join(''), { name: 'manifest.csv' });
+        await archive.finalize();
+        await written;
+      } else {
+        const merged = await PDFDocument.create();
+        merged.setTitle(`Certificates - ${event.title}`);
+
+        await cursor.eachAsync(async certificate => {
+          const pdf = await this.readCertificateFile(certificate);
+          if (pdf) {
+            const source = await PDFDocument.load(pdf);
+            const pages = await merged.copyPages(source, source.getPageIndices());
+            pages.forEach(page => merged.addPage(page));
+          }
+          addToManifest(certificate, Boolean(pdf));
+        });
+
+        // Keep the manifest inside the PDF as well as next to it
+        await merged.attach(Buffer.from(manifest.join('')), 'manifest.csv', {
+          mimeType: 'text/csv',
+          description: 'Certificate manifest',
+        });
+        await fsp.writeFile(filePath, await merged.save());
+      }
+
+      await fsp.writeFile(path.join(this.archiveDir, manifestFileName), manifest.join(''));
+    } catch (error) {
+      await fsp.rm(filePath, { force: true });
+      throw error;
+    }
+
+    logger.info(`Certificate archive written: ${fileName} (${included}/${processed} certificates)`);
+
+    return {
+      fileName,
+      manifestFileName,
+      total: processed,
+      included,
+      missing: processed - included,
+    };
+  }
+
+  /**
+   * Absolute path of a finished archive file
+   * @param {string} fileName - File name returned by buildArchive
+   * @returns {string}
+   */
+  getFilePath(fileName) {
+    return path.join(this.archiveDir, path.basename(fileName));
+  }
+
+  /**
+   * Make a title safe for file names
+   * @param {string} value - Text
+   * @returns {string}
+   */
+  slugify(value) {
+    return (
+      String(value || 'event')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 50) || 'event'
+    );
+  }
+}
+
+// Export singleton instance
+export default new CertificateArchiveService();
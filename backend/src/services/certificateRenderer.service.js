@@ -0,0 +1,547 @@
+import PDFDocument from 'pdfkit';
+import fs from 'fs/promises';
+import { createRequire } from 'module';
+import path from 'path';
+import sharp from 'sharp';
+import storageService from './storage.service.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const MM_TO_PT = 72 / 25.4;
+
+// Page sizes in mm (portrait)
+const PAGE_SIZES = {
+  A4: { width: 210, height: 297 },
+  Letter: { width: 215.9, height: 279.4 },
+  Legal: { width: 215.9, height: 355.6 },
+};
+
+// Built-in PDF fonts used when a family has no uploaded TTF
+const STANDARD_FAMILIES = {
+  helvetica: 'Helvetica',
+  arial: 'Helvetica',
+  verdana: 'Helvetica',
+  'sans-serif': 'Helvetica',
+  times: 'Times',
+  'times new roman': 'Times',
+  georgia: 'Times',
+  garamond: 'Times',
+  serif: 'Times',
+  courier: 'Courier',
+  'courier new': 'Courier',
+  monospace: 'Courier',
+};
+
+const STANDARD_VARIANTS = {
+  Helvetica: ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique'],
+  Times: ['Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic'],
+  Courier: ['Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique'],
+};
+
+const SIGNATURE_ORDER = { left: 0, center: 1, right: 2 };
+
+// PDF.js needs the standard font metrics to rasterise non-embedded fonts (Helvetica, Times, ...)
+const STANDARD_FONT_DATA_DIR = `${path.join(
+  path.dirname(createRequire(import.meta.url).resolve('pdfjs-dist/package.json')),
+  'standard_fonts'
+)}/`;
+
+/**
+ * Certificate Renderer Service
+ * Draws a certificate from its template: page size, background, border, fonts,
+ * logo, signatures and QR code, with positions taken from design.layout (mm from
+ * the top-left corner of the page).
+ */
+
+class CertificateRendererService {
+  constructor() {
+    this.templateDir = config.storage.templateDir;
+    this.assetTimeoutMs = 10000;
+    this.assetHosts = config.certificate.assetHosts;
+    this.rasteriser = null;
+  }
+
+  /**
+   * Load the modules that rasterise PDFs, once
+   * canvas needs a native binding that is not built everywhere, so it is loaded
+   * on first use: without it there are no thumbnails, but the rest still works.
+   * @returns {Promise<Object|null>} - { canvas, pdfjs }, or null if they cannot load
+   */
+  loadRasteriser() {
+    if (!this.rasteriser) {
+      this.rasteriser = Promise.all([import('canvas'), import('pdfjs-dist/legacy/build/pdf.js')])
+        .then(([canvas, pdfjs]) => ({ canvas: canvas.default, pdfjs: pdfjs.default }))
+        .catch(error => {
+          logger.warn(`Certificate thumbnails are unavailable: ${error.message}`);
+          return null;
+        });
+    }
+    return this.rasteriser;
+  }
+
+  /**
+   * Convert millimetres to PDF points
+   * @param {number} value - Millimetres
+   * @returns {number}
+   */
+  mm(value) {
+    return value * MM_TO_PT;
+  }
+
+  /**
+   * Page dimensions in mm for a template design
+   * Custom sizes are used exactly as given; standard sizes follow the orientation.
+   * @param {Object} design - Template design
+   * @returns {Object} - { width, height }
+   */
+  getPageSize(design = {}) {
+    if (design.size === 'Custom') {
+      const { width, height } = design.customDimensions || {};
+      if (!(width > 0) || !(height > 0)) {
+        throw new AppError(
+          'Custom certificate size requires customDimensions width and height',
+          400
+        );
+      }
+      return { width, height };
+    }
+
+    const { width, height } = PAGE_SIZES[design.size] || PAGE_SIZES.A4;
+    return design.orientation === 'portrait' ? { width, height } : { width: height, height: width };
+  }
+
+  /**
+   * Layout with defaults for anything the template leaves out
+   * @param {Object} layout - design.layout
+   * @param {Object} page - Page size in mm
+   * @returns {Object}
+   */
+  resolveLayout(layout, page) {
+    const qrSize = layout.qrCode?.size || 30;
+
+    const withDefaults = (element, defaults) => {
+      const defined = Object.fromEntries(
+        Object.entries(element || {}).filter(([, value]) => value !== undefined && value !== null)
+      );
+      return { ...defaults, ...defined };
+    };
+
+    return {
+      logo: withDefaults(layout.logo, {
+        width: 30,
+        height: 20,
+        x: (page.width - (layout.logo?.width || 30)) / 2,
+        y: 15,
+      }),
+      title: withDefaults(layout.title, {
+        x: page.width / 2,
+        y: page.height * 0.18,
+        align: 'center',
+      }),
+      recipientName: withDefaults(layout.recipientName, {
+        x: page.width / 2,
+        y: page.height * 0.38,
+        align: 'center',
+      }),
+      body: withDefaults(layout.body, { x: page.width / 2, y: page.height * 0.5, align: 'center' }),
+      signature: withDefaults(layout.signature, {
+        x: 25,
+        y: page.height - 65,
+        width: page.width - 50 - qrSize - 10,
+        height: 18,
+      }),
+      qrCode: withDefaults(layout.qrCode, {
+        x: page.width - 25 - qrSize,
+        y: page.height - 25 - qrSize,
+        size: qrSize,
+      }),
+    };
+  }
+
+  /**
+   * Text box for an anchor point
+   * x is the left edge for 'left', the centre for 'center' and the right edge for 'right'.
+   * @param {Object} position - { x, y, align } in mm
+   * @param {Object} page - Page size in mm
+   * @param {number} margin - Page margin in mm
+   * @returns {Object} - { x, y, width } in points
+   */
+  textBox({ x, y, align }, page, margin = 15) {
+    if (align === 'left') {
+      return { x: this.mm(x), y: this.mm(y), width: this.mm(page.width - margin - x) };
+    }
+    if (align === 'right') {
+      return { x: this.mm(margin), y: this.mm(y), width: this.mm(x - margin) };
+    }
+
+    const halfWidth = Math.max(Math.min(x, page.width - x) - margin, 10);
+    return { x: this.mm(x - halfWidth), y: this.mm(y), width: this.mm(halfWidth * 2) };
+  }
+
+  /**
+   * Load an asset referenced by a template
+   * Supports data URLs, /uploads/... and /templates/... paths, and http(s) URLs
+   * on the allowed asset hosts. Our own upload URLs are read from storage.
+   * @param {string} url - Asset URL
+   * @returns {Promise<Buffer>}
+   */
+  async loadAsset(url) {
+    if (url.startsWith('data:')) {
+      return Buffer.from(url.split(',')[1], 'base64');
+    }
+
+    if (/^https?:\/\//i.test(url)) {
+      return this.fetchAsset(url);
+    }
+
+    if (url.startsWith('/uploads/')) {
+      return storageService.getFile(url);
+    }
+
+    if (url.startsWith('/templates/')) {
+      const root = path.resolve(this.templateDir);
+      const filePath = path.resolve(root, url.slice('/templates/'.length));
+      if (!filePath.startsWith(`${root}${path.sep}`)) {
+        throw new AppError(`Asset path is outside the template directory: ${url}`, 400);
+      }
+      return fs.readFile(filePath);
+    }
+
+    throw new AppError(`Unsupported asset location: ${url}`, 400);
+  }
+
+  /**
+   * Fetch an asset over http(s)
+   * Only allowed hosts are contacted, and redirects are not followed, so a
+   * template cannot make the server request internal addresses.
+   * @param {string} url - Absolute asset URL
+   * @returns {Promise<Buffer>}
+   */
+  async fetchAsset(url) {
+    const { origin, hostname, pathname } = new URL(url);
+
+    if (origin === new URL(storageService.publicUrl).origin && pathname.startsWith('/uploads/')) {
+      return storageService.getFile(decodeURIComponent(pathname));
+    }
+
+    if (!this.assetHosts.includes(hostname.toLowerCase())) {
+      throw new AppError(`Asset host is not allowed: ${hostname}`, 400);
+    }
+
+    const response = await fetch(url, {
+      redirect: 'error',
+      signal: AbortSignal.timeout(this.assetTimeoutMs),
+    });
+    if (!response.ok) {
+      throw new AppError(`Could not fetch ${url} (${response.status})`, 502);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Load an image as PNG or JPEG (the formats PDFKit can embed)
+   * Missing images are logged and skipped rather than failing the certificate.
+   * @param {string} url - Image URL
+   * @returns {Promise<Buffer|null>}
+   */
+  async loadImage(url) {
+    if (!url) return null;
+
+    try {
+      const buffer = await this.loadAsset(url);
+      const isPNG = buffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+      const isJPEG = buffer[0] === 0xff && buffer[1] === 0xd8;
+
+      return isPNG || isJPEG ? buffer : await sharp(buffer).png().toBuffer();
+    } catch (error) {
+      logger.warn(`Certificate image ${url} skipped: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Register the template's uploaded fonts on a document
+   * @param {PDFDocument} doc - PDF document
+   * @param {Array} customFonts - design.customFonts
+   * @returns {Promise<Array>} - Registered fonts { family, bold, italic, name }
+   */
+  async registerFonts(doc, customFonts = []) {
+    const loaded = await Promise.all(
+      customFonts
+        .filter(font => font.family && font.url)
+        .map(async (font, index) => {
+          try {
+            const buffer = await this.loadAsset(font.url);
+            const name = `custom-${index}`;
+            doc.registerFont(name, buffer);
+            return {
+              family: font.family.toLowerCase(),
+              bold: Boolean(font.bold),
+              italic: Boolean(font.italic),
+              name,
+            };
+          } catch (error) {
+            logger.warn(`Certificate font ${font.family} (${font.url}) skipped: ${error.message}`);
+            return null;
+          }
+        })
+    );
+
+    return loaded.filter(Boolean);
+  }
+
+  /**
+   * Pick the font to draw a text element with
+   * Uploaded fonts win; otherwise the family maps to the closest built-in font.
+   * @param {Object} spec - { family, bold, italic }
+   * @param {Array} registered - Fonts from registerFonts
+   * @returns {string} - Font name for doc.font()
+   */
+  resolveFont(spec = {}, registered = []) {
+    const family = (spec.family || 'Helvetica').toLowerCase();
+    const bold = Boolean(spec.bold);
+    const italic = Boolean(spec.italic);
+
+    const candidates = registered.filter(font => font.family === family);
+    const custom =
+      candidates.find(font => font.bold === bold && font.italic === italic) ||
+      candidates.find(font => !font.bold && !font.italic) ||
+      candidates[0];
+    if (custom) return custom.name;
+
+    const variants = STANDARD_VARIANTS[STANDARD_FAMILIES[family] || 'Helvetica'];
+    return variants[(bold ? 1 : 0) + (italic ? 2 : 0)];
+  }
+
+  /**
+   * Draw the page border
+   * @param {PDFDocument} doc - PDF document
+   * @param {Object} border - design.border
+   */
+  drawBorder(doc, border) {
+    const inset = this.mm(10);
+    const width = border.width || 2;
+
+    doc.save().lineWidth(width);
+    if (border.style === 'dashed') {
+      doc.dash(width * 4, { space: width * 2 });
+    } else if (border.style === 'dotted') {
+      doc.dash(width, { space: width * 2 });
+    }
+
+    doc
+      .rect(inset, inset, doc.page.width - inset * 2, doc.page.height - inset * 2)
+      .stroke(border.color || '#C9A661');
+    doc.undash().restore();
+  }
+
+  /**
+   * Draw the signature block
+   * Signatures share the layout.signature area left to right; each gets its image
+   * (if any), a line, the signatory name and title.
+   * @param {PDFDocument} doc - PDF document
+   * @param {Array} signatures - Template signatures with loaded images
+   * @param {Object} area - Resolved layout.signature (mm)
+   * @param {Function} font - Font resolver
+   */
+  drawSignatures(doc, signatures, area, font) {
+    const ordered = [...signatures].sort(
+      (a, b) => (SIGNATURE_ORDER[a.position] ?? 1) - (SIGNATURE_ORDER[b.position] ?? 1)
+    );
+    const slotWidth = area.width / ordered.length;
+    const lineWidth = Math.min(slotWidth - 10, 60);
+
+    ordered.forEach((signature, index) => {
+      const left = this.mm(area.x + slotWidth * index + (slotWidth - lineWidth) / 2);
+      const lineY = this.mm(area.y + area.height);
+
+      if (signature.image) {
+        doc.image(signature.image, left, this.mm(area.y), {
+          fit: [this.mm(lineWidth), this.mm(area.height) - 2],
+          align: 'center',
+          valign: 'bottom',
+        });
+      }
+
+      doc
+        .moveTo(left, lineY)
+        .lineTo(left + this.mm(lineWidth), lineY)
+        .lineWidth(0.75)
+        .stroke('#000000');
+
+      doc
+        .font(font({ bold: true }))
+        .fontSize(10)
+        .fillColor('#000000')
+        .text(signature.name || '', left, lineY + 4, { width: this.mm(lineWidth), align: 'center' })
+        .font(font({}))
+        .fontSize(8)
+        .fillColor('#666666')
+        .text(signature.title || '', { width: this.mm(lineWidth), align: 'center' });
+    });
+  }
+
+  /**
+   * Render a certificate to a PDF buffer
+   * @param {Object} template - Certificate template
+   * @param {Object} data - Placeholder values (recipientName, eventTitle, ...)
+   * @param {Object} options - { qrDataURL, certificateNumber }
+   * @returns {Promise<Buffer>}
+   */
+  async render(template, data, { qrDataURL, certificateNumber } = {}) {
+    const design = template.design || {};
+    const fonts = design.fonts || {};
+    const page = this.getPageSize(design);
+    const layout = this.resolveLayout(design.layout || {}, page);
+    const content = template.renderContent(data);
+
+    const doc = new PDFDocument({
+      size: [this.mm(page.width), this.mm(page.height)],
+      margin: 0,
+      info: { Title: content.title, Subject: certificateNumber || '' },
+    });
+
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const [registered, background, logo, signatures] = await Promise.all([
+      this.registerFonts(doc, design.customFonts),
+      this.loadImage(design.backgroundImage),
+      this.loadImage(design.layout?.logo?.url),
+      Promise.all(
+        (template.signatures || []).map(async signature => ({
+          name: signature.name,
+          title: signature.title,
+          position: signature.position,
+          image: await this.loadImage(signature.imageUrl),
+        }))
+      ),
+    ]);
+    const font = spec => this.resolveFont(spec, registered);
+    const bodyFont = fonts.body || {};
+
+    // Background
+    doc.rect(0, 0, doc.page.width, doc.page.height).fill(design.backgroundColor || '#FFFFFF');
+    if (background) {
+      doc.image(background, 0, 0, { width: doc.page.width, height: doc.page.height });
+    }
+
+    if (design.border?.enabled) {
+      this.drawBorder(doc, design.border);
+    }
+
+    if (logo) {
+      doc.image(logo, this.mm(layout.logo.x), this.mm(layout.logo.y), {
+        fit: [this.mm(layout.logo.width), this.mm(layout.logo.height)],
+        align: 'center',
+        valign: 'center',
+      });
+    }
+
+    // Title, recipient and body
+    [
+      {
+        text: content.title,
+        spec: fonts.heading,
+        position: layout.title,
+        defaults: [36, '#000000'],
+      },
+      {
+        text: data.recipientName,
+        spec: fonts.recipient,
+        position: layout.recipientName,
+        defaults: [28, '#000000'],
+      },
+      { text: content.body, spec: bodyFont, position: layout.body, defaults: [14, '#333333'] },
+    ].forEach(({ text, spec = {}, position, defaults: [size, color] }) => {
+      const box = this.textBox(position, page);
+      doc
+        .font(font(spec))
+        .fontSize(spec.size || size)
+        .fillColor(spec.color || color)
+        .text(text || '', box.x, box.y, { width: box.width, align: position.align || 'center' });
+    });
+
+    if (signatures.length > 0) {
+      this.drawSignatures(doc, signatures, layout.signature, spec =>
+        font({ family: bodyFont.family, ...spec })
+      );
+    }
+
+    if (qrDataURL) {
+      const qrSize = this.mm(layout.qrCode.size);
+      doc.image(
+        await this.loadAsset(qrDataURL),
+        this.mm(layout.qrCode.x),
+        this.mm(layout.qrCode.y),
+        {
+          width: qrSize,
+          height: qrSize,
+        }
+      );
+    }
+
+    // Footer and certificate number
+    const footerBox = this.textBox(
+      { x: page.width / 2, y: page.height - 22, align: 'center' },
+      page
+    );
+    doc
+      .font(font({ family: bodyFont.family }))
+      .fontSize(9)
+      .fillColor('#666666');
+    if (content.footer) {
+      doc.text(content.footer, footerBox.x, footerBox.y, {
+        width: footerBox.width,
+        align: 'center',
+      });
+    }
+    if (certificateNumber) {
+      doc.text(`Certificate No: ${certificateNumber}`, footerBox.x, footerBox.y + this.mm(6), {
+        width: footerBox.width,
+        align: 'center',
+      });
+    }
+
+    doc.end();
+    return finished;
+  }
+
+  /**
+   * Rasterise the first page of a rendered certificate to PNG
+   * @param {Buffer} pdfBuffer - PDF from render()
+   * @param {number} width - Thumbnail width in pixels
+   * @returns {Promise<Buffer|null>} - null when thumbnails are unavailable
+   */
+  async renderThumbnail(pdfBuffer, width = 800) {
+    const rasteriser = await this.loadRasteriser();
+    if (!rasteriser) return null;
+
+    const { canvas, pdfjs } = rasteriser;
+    const pdf = await pdfjs.getDocument({
+      data: new Uint8Array(pdfBuffer),
+      standardFontDataUrl: STANDARD_FONT_DATA_DIR,
+      disableFontFace: true,
+      isEvalSupported: false,
+    }).promise;
+
+    try {
+      const page = await pdf.getPage(1);
+      const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+      const thumbnail = canvas.createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+      await page.render({ canvasContext: thumbnail.getContext('2d'), viewport }).promise;
+      return thumbnail.toBuffer('image/png');
+    } finally {
+      await pdf.destroy();
+    }
+  }
+}
+
+// Export singleton instance
+export default new CertificateRendererService();
@@ -0,0 +1,214 @@
+import crypto from 'crypto';
+import bs58 from 'bs58';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Multicodec prefix for an Ed25519 public key (did:key / Multikey)
+const ED25519_PUB_PREFIX = Buffer.from([0xed, 0x01]);
+
+export const PROOF_TYPE = 'DataIntegrityProof';
+export const CRYPTOSUITE = 'eddsa-jcs-2022';
+
+/**
+ * Credential Service
+ * Signs and verifies W3C Verifiable Credentials with the server-held Ed25519 key,
+ * using Data Integrity proofs (eddsa-jcs-2022). The issuer is identified by the
+ * did:key of that key, so verifiers need nothing but the credential itself.
+ */
+
+class CredentialService {
+  constructor() {
+    this.privateKey = null;
+    this.publicKey = null;
+  }
+
+  /**
+   * Load the signing key from CREDENTIAL_SIGNING_KEY (PKCS#8 PEM)
+   * Outside production a temporary key is generated when none is set; credentials
+   * it signs stop verifying after a restart.
+   * @returns {Object} - { privateKey, publicKey }
+   */
+  getKeys() {
+    if (this.privateKey) {
+      return { privateKey: this.privateKey, publicKey: this.publicKey };
+    }
+
+    const pem = config.certificate.credentialSigningKey;
+
+    if (pem) {
+      this.privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+      if (this.privateKey.asymmetricKeyType !== 'ed25519') {
+        this.privateKey = null;
+        throw new AppError('Credential signing key must be an Ed25519 key', 500);
+      }
+      this.publicKey = crypto.createPublicKey(this.privateKey);
+    } else if (config.isProduction) {
+      throw new AppError('Credential signing is not configured', 503);
+    } else {
+      logger.warn('CREDENTIAL_SIGNING_KEY not set, using a temporary credential signing key');
+      ({ privateKey: this.privateKey, publicKey: this.publicKey } =
+        crypto.generateKeyPairSync('ed25519'));
+    }
+
+    return { privateKey: this.privateKey, publicKey: this.publicKey };
+  }
+
+  /**
+   * did:key identifier of an Ed25519 public key
+   * @param {Object} publicKey - Public KeyObject
+   * @returns {string}
+   */
+  toDidKey(publicKey) {
+    const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+    return `did:key:z${bs58.encode(Buffer.concat([ED25519_PUB_PREFIX, raw]))}`;
+  }
+
+  /**
+   * Public key from a did:key verification method
+   * @param {string} verificationMethod - did:key:z6Mk...#z6Mk...
+   * @returns {Object|null} - Public KeyObject, or null if unsupported
+   */
+  fromDidKey(verificationMethod) {
+    const match = /^did:key:z([1-9A-HJ-NP-Za-km-z]+)(#.*)?$/.exec(verificationMethod || '');
+    if (!match) return null;
+
+    const bytes = Buffer.from(bs58.decodeUnsafe(match[1]) || []);
+    if (bytes.length !== 34 || !bytes.subarray(0, 2).equals(ED25519_PUB_PREFIX)) return null;
+
+    return crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: bytes.subarray(2).toString('base64url') },
+      format: 'jwk',
+    });
+  }
+
+  /**
+   * Issuer DID (did:key of the signing key)
+   * @returns {string}
+   */
+  getIssuerId() {
+    return this.toDidKey(this.getKeys().publicKey);
+  }
+
+  /**
+   * Verification method the proofs point to
+   * @returns {string}
+   */
+  getVerificationMethod() {
+    const did = this.getIssuerId();
+    return `${did}#${did.slice('did:key:'.length)}`;
+  }
+
+  /**
+   * JSON Canonicalization Scheme (RFC 8785)
+   * @param {*} value - JSON value
+   * @returns {string}
+   */
+  canonicalize(value) {
+    if (value === null || typeof value !== 'object') {
+      return JSON.stringify(value);
+    }
+
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+
+    const members = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+
+    return `{${members.join(',')}}`;
+  }
+
+  /**
+   * Bytes signed by an eddsa-jcs-2022 proof
+   * @param {Object} document - Credential without its proof
+   * @param {Object} proofConfig - Proof without proofValue
+   * @returns {Buffer}
+   */
+  hashForProof(document, proofConfig) {
+    const sha256 = value => crypto.createHash('sha256').update(this.canonicalize(value)).digest();
+
+    return Buffer.concat([
+      sha256({ ...proofConfig, '@context': document['@context'] }),
+      sha256(document),
+    ]);
+  }
+
+  /**
+   * Sign a credential
+   * @param {Object} credential - Unsigned credential (plain JSON)
+   * @returns {Object} - Credential with a Data Integrity proof
+   */
+  sign(credential) {
+    const { privateKey } = this.getKeys();
+    const document = JSON.parse(JSON.stringify(credential));
+
+    const proof = {
+      type: PROOF_TYPE,
+      cryptosuite: CRYPTOSUITE,
+      created: new Date().toISOString(),
+      verificationMethod: this.getVerificationMethod(),
+      proofPurpose: 'assertionMethod',
+    };
+
+    const signature = crypto.sign(null, this.hashForProof(document, proof), privateKey);
+
+    return { ...document, proof: { ...proof, proofValue: `z${bs58.encode(signature)}` } };
+  }
+
+  /**
+   * Check a credential's proof
+   * @param {Object} credential - Signed credential
+   * @returns {Object} - { verified, issuer, error }
+   */
+  verify(credential) {
+    const { proof, ...document } = credential || {};
+
+    if (!proof || Array.isArray(proof)) {
+      return { verified: false, error: 'Credential has no proof' };
+    }
+
+    if (proof.type !== PROOF_TYPE || proof.cryptosuite !== CRYPTOSUITE) {
+      return {
+        verified: false,
+        error: `Unsupported proof type: ${proof.cryptosuite || proof.type}`,
+      };
+    }
+
+    const publicKey = this.fromDidKey(proof.verificationMethod);
+    if (!publicKey) {
+      return { verified: false, error: 'Unsupported verification method' };
+    }
+
+    const issuerId = typeof document.issuer === 'string' ? document.issuer : document.issuer?.id;
+    if (!proof.verificationMethod.startsWith(`${issuerId}#`)) {
+      return { verified: false, error: 'Proof was not made by the credential issuer' };
+    }
+
+    const { proofValue, ...proofConfig } = proof;
+    let signature;
+    try {
+      signature = Buffer.from(bs58.decode(String(proofValue).replace(/^z/, '')));
+    } catch (error) {
+      return { verified: false, error: 'Malformed proof value' };
+    }
+
+    const verified = crypto.verify(
+      null,
+      this.hashForProof(document, proofConfig),
+      publicKey,
+      signature
+    );
+
+    return {
+      verified,
+      issuer: issuerId,
+      error: verified ? undefined : 'Signature does not match the credential',
+    };
+  }
+}
+
+// Export singleton instance
+export default new CredentialService();
@@ -1,5 +1,6 @@
 import Mailjet from 'node-mailjet';
 import config from '../config/index.js';
+import calendarService from './calendar.service.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 
@@ -11,7 +12,7 @@ import { AppError } from '../middleware/errorHandler.js';
 class EmailService {
   constructor() {
     this.mailjet = null;
-    this.fromEmail = config.email.fromEmail;
+    this.fromEmail = config.email.from;
     this.fromName = config.email.fromName;
     this.initializeMailjet();
   }
@@ -21,11 +22,9 @@ class EmailService {
    */
   initializeMailjet() {
     try {
-      if (config.email.apiKey && config.email.apiSecret) {
-        this.mailjet = Mailjet.apiConnect(
-          config.email.apiKey,
-          config.email.apiSecret
-        );
+      const { apiKey, secretKey } = config.email.mailjet;
+      if (apiKey && secretKey) {
+        this.mailjet = Mailjet.apiConnect(apiKey, secretKey);
         logger.info('Mailjet initialized successfully');
       } else {
         logger.warn('Mailjet credentials not found. Email service disabled.');
@@ -35,6 +34,14 @@ class EmailService {
     }
   }
 
+  /**
+   * Whether Mailjet credentials are configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.mailjet !== null;
+  }
+
   /**
    * Send email
    * @param {Object} options - Email options
@@ -221,11 +228,20 @@ class EmailService {
       </html>
     `;
 
+    // Attach the event so it can be added to any calendar app
+    const attachments = [];
+    try {
+      attachments.push(calendarService.generateEventAttachment(event));
+    } catch (error) {
+      logger.warn(`Sending registration email without calendar file: ${error.message}`);
+    }
+
     return this.sendEmail({
       to: user.email,
       subject: `Registration Confirmed: ${event.title}`,
       text: `You are registered for ${event.title} on ${eventDate} at ${eventTime}`,
       html,
+      attachments,
     });
   }
 
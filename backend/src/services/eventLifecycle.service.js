@@ -0,0 +1,286 @@
+import { Event, User, Feedback, Registration } from '../models/index.js';
+import emailService from './email.service.js';
+import logger from '../utils/logger.js';
+
+// A failed step is retried on later runs until it has been tried this often
+export const MAX_STEP_ATTEMPTS = 3;
+
+// Steps that are done (or in progress) and must not be started again
+const SETTLED = {
+  certificates: ['queued', 'completed', 'skipped'],
+  feedbackRequests: ['completed', 'skipped'],
+};
+
+/**
+ * Event Lifecycle Service
+ * Moves events from published to ongoing to completed on schedule, and runs the
+ * post-event steps once: certificate generation for attendees, then feedback
+ * requests. Progress is kept in Event.lifecycle.
+ */
+
+class EventLifecycleService {
+  /**
+   * Move events whose start or end time has passed to their next status
+   * Events that were never seen ongoing go straight to completed.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} - { started, completed }
+   */
+  async advanceStatuses(now = new Date()) {
+    const started = await Event.updateMany(
+      { status: 'published', startDateTime: { $lte: now }, endDateTime: { $gt: now } },
+      { $set: { status: 'ongoing', 'lifecycle.startedAt': now }, $inc: { calendarSequence: 1 } }
+    );
+
+    const completed = await Event.updateMany(
+      { status: { $in: ['published', 'ongoing'] }, endDateTime: { $lte: now } },
+      { $set: { status: 'completed', 'lifecycle.completedAt': now }, $inc: { calendarSequence: 1 } }
+    );
+
+    if (started.modifiedCount || completed.modifiedCount) {
+      logger.info(
+        `Event statuses updated: ${started.modifiedCount} ongoing, ${completed.modifiedCount} completed`
+      );
+    }
+
+    return { started: started.modifiedCount, completed: completed.modifiedCount };
+  }
+
+  /**
+   * Filter matching events where a step still has to run
+   * @param {string} step - certificates or feedbackRequests
+   * @returns {Object}
+   */
+  dueStepQuery(step) {
+    return {
+      [`lifecycle.${step}.status`]: { $nin: SETTLED[step] },
+      [`lifecycle.${step}.attempts`]: { $not: { $gte: MAX_STEP_ATTEMPTS } },
+    };
+  }
+
+  /**
+   * Whether a step of a loaded event still has to run
+   * @param {Object} event - Event document
+   * @param {string} step - certificates or feedbackRequests
+   * @returns {boolean}
+   */
+  isStepDue(event, step) {
+    const state = event.lifecycle?.[step] || {};
+    return !SETTLED[step].includes(state.status) && (state.attempts || 0) < MAX_STEP_ATTEMPTS;
+  }
+
+  /**
+   * Completed events with post-event steps left to run
+   * Events completed before the pipeline existed have no completedAt and are skipped.
+   * @returns {Promise<Array>}
+   */
+  async getPendingEvents() {
+    return Event.find({
+      status: 'completed',
+      'lifecycle.completedAt': { $exists: true },
+      $or: [this.dueStepQuery('certificates'), this.dueStepQuery('feedbackRequests')],
+    }).select(
+      'title certificateEnabled certificateTemplateId feedbackEnabled feedbackDeadline lifecycle'
+    );
+  }
+
+  /**
+   * Update one step's progress
+   * @param {string} eventId - Event ID
+   * @param {string} step - certificates or feedbackRequests
+   * @param {Object} fields - Step fields to set
+   * @param {Object} [filter] - Extra conditions on the event
+   * @returns {Promise<Object|null>} - The step after the update, or null if nothing matched
+   */
+  async updateStep(eventId, step, fields, filter = {}) {
+    const $set = Object.fromEntries(
+      Object.entries({ ...fields, updatedAt: new Date() }).map(([key, value]) => [
+        `lifecycle.${step}.${key}`,
+        value,
+      ])
+    );
+
+    const event = await Event.findOneAndUpdate(
+      { _id: eventId, ...filter },
+      { $set },
+      { new: true }
+    ).select(`lifecycle.${step}`);
+
+    return event ? event.lifecycle[step].toObject() : null;
+  }
+
+  /**
+   * Queue certificate generation for an event's attendees
+   * The step is claimed atomically first, so overlapping runs queue it once.
+   * @param {Object} event - Event document
+   * @param {Function} queueBulk - queueBulkCertificates(eventId, templateId, options)
+   * @returns {Promise<Object|null>} - Step state, or null if there was nothing to do
+   */
+  async runCertificateStep(event, queueBulk) {
+    if (!this.isStepDue(event, 'certificates')) return null;
+
+    if (!event.certificateEnabled) {
+      return this.updateStep(
+        event._id,
+        'certificates',
+        { status: 'skipped', error: 'Certificates are not enabled for this event' },
+        this.dueStepQuery('certificates')
+      );
+    }
+
+    const claimed = await Event.findOneAndUpdate(
+      { _id: event._id, ...this.dueStepQuery('certificates') },
+      {
+        $set: { 'lifecycle.certificates.status': 'queued' },
+        $inc: { 'lifecycle.certificates.attempts': 1 },
+      },
+      { new: true }
+    ).select('lifecycle.certificates');
+    if (!claimed) return null;
+
+    const { attempts } = claimed.lifecycle.certificates;
+
+    try {
+      // One job ID per attempt: a retry after a crash cannot queue the same attempt twice
+      const job = await queueBulk(event._id.toString(), event.certificateTemplateId?.toString(), {
+        jobId: `post-event-certificates-${event._id}-${attempts}`,
+      });
+      return this.updateStep(event._id, 'certificates', { jobId: String(job.id), error: null });
+    } catch (error) {
+      logger.error(`Could not queue certificates for event ${event._id}:`, error);
+      return this.updateStep(event._id, 'certificates', { status: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Record the outcome of a bulk certificate job
+   * Called for every bulk job, so generation started by an admin shows up too.
+   * @param {string} eventId - Event ID
+   * @param {Object} outcome - { result } from generateBulkCertificates, or { error }
+   * @returns {Promise<Object|null>}
+   */
+  async recordCertificateResult(eventId, { result, error }) {
+    if (error) {
+      // Only a queued pipeline step fails; the next run retries it
+      return this.updateStep(
+        eventId,
+        'certificates',
+        { status: 'failed', error: error.message },
+        { 'lifecycle.certificates.status': 'queued' }
+      );
+    }
+
+    return this.updateStep(eventId, 'certificates', {
+      status: 'completed',
+      generated: result.generated,
+      skipped: result.skipped,
+      ineligible: result.ineligible,
+      failed: result.failed,
+      error: result.failed > 0 ? `${result.failed} certificates failed` : null,
+    });
+  }
+
+  /**
+   * Email a feedback request to every attendee who has not had one
+   * Attendees who already gave feedback or opted out of email are left out. Each
+   * attendee is claimed (Registration.feedbackRequestedAt) before sending, so no
+   * one is emailed twice; failed sends are released and retried on the next run.
+   * @param {Object} event - Event document
+   * @returns {Promise<Object|null>} - Step state, or null if there was nothing to do
+   */
+  async sendFeedbackRequests(event) {
+    if (!this.isStepDue(event, 'feedbackRequests')) return null;
+
+    const due = this.dueStepQuery('feedbackRequests');
+
+    if (!event.feedbackEnabled) {
+      return this.updateStep(
+        event._id,
+        'feedbackRequests',
+        { status: 'skipped', error: 'Feedback is not enabled for this event' },
+        due
+      );
+    }
+
+    if (event.feedbackDeadline && event.feedbackDeadline < new Date()) {
+      return this.updateStep(
+        event._id,
+        'feedbackRequests',
+        { status: 'skipped', error: 'The feedback period has closed' },
+        due
+      );
+    }
+
+    const responded = (await Feedback.distinct('userId', { eventId: event._id })).map(String);
+    const pendingIds = (
+      await Registration.distinct('userId', {
+        eventId: event._id,
+        checkInTime: { $exists: true },
+        feedbackRequestedAt: { $exists: false },
+      })
+    ).filter(userId => !responded.includes(String(userId)));
+
+    const users = await User.find({ _id: { $in: pendingIds } }).select(
+      'fullname email preferences'
+    );
+    const recipients = users.filter(user => user.preferences?.notifications?.email !== false);
+
+    // Sent one at a time to stay within the mail provider's rate limits
+    const outcomes = await recipients.reduce(
+      (chain, user) =>
+        chain.then(async results => [...results, await this.requestFeedback(event, user)]),
+      Promise.resolve([])
+    );
+
+    const sent = outcomes.filter(outcome => outcome === 'sent').length;
+    const failed = outcomes.filter(outcome => outcome === 'failed').length;
+
+    const step = await Event.findOneAndUpdate(
+      { _id: event._id },
+      {
+        $set: {
+          'lifecycle.feedbackRequests.status': failed > 0 ? 'failed' : 'completed',
+          'lifecycle.feedbackRequests.failed': failed,
+          'lifecycle.feedbackRequests.error': failed > 0 ? `${failed} emails failed` : null,
+          'lifecycle.feedbackRequests.updatedAt': new Date(),
+        },
+        $inc: {
+          'lifecycle.feedbackRequests.sent': sent,
+          'lifecycle.feedbackRequests.attempts': 1,
+        },
+      },
+      { new: true }
+    ).select('lifecycle.feedbackRequests');
+
+    logger.info(`Feedback requests for event ${event.title}: ${sent} sent, ${failed} failed`);
+    return step ? step.lifecycle.feedbackRequests.toObject() : null;
+  }
+
+  /**
+   * Send one feedback request, claiming the attendee first
+   * @param {Object} event - Event document
+   * @param {Object} user - User document
+   * @returns {Promise<string>} - sent, failed or skipped (already claimed)
+   */
+  async requestFeedback(event, user) {
+    const attendee = { eventId: event._id, userId: user._id };
+
+    const claim = await Registration.updateOne(
+      { ...attendee, feedbackRequestedAt: { $exists: false } },
+      { $set: { feedbackRequestedAt: new Date() } }
+    );
+    if (claim.modifiedCount === 0) return 'skipped';
+
+    try {
+      const result = await emailService.sendFeedbackRequest(user, event);
+      if (result?.success === false) throw new Error(result.message);
+      return 'sent';
+    } catch (error) {
+      logger.error(`Feedback request to ${user.email} for event ${event._id} failed:`, error);
+      await Registration.updateOne(attendee, { $unset: { feedbackRequestedAt: 1 } });
+      return 'failed';
+    }
+  }
+}
+
+// Export singleton instance
+export default new EventLifecycleService();
@@ -0,0 +1,294 @@
+import mongoose from 'mongoose';
+import { Event, Registration } from '../models/index.js';
+import logger from '../utils/logger.js';
+import { withTransaction } from '../utils/transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const MAX_SESSIONS = 50;
+// A session takes check-ins from this long before it starts
+const CHECK_IN_OPENS_MS = 30 * 60 * 1000;
+
+/**
+ * Event Session Service
+ * Sessions of multi-part events (their own time, room, speakers and capacity),
+ * picking the session a check-in belongs to, and per-session attendance reports.
+ * Who attended a session is on Registration.sessions; each session keeps a count.
+ */
+
+class EventSessionService {
+  /**
+   * Whether a session falls within its event's start and end
+   * @param {Object} event - Event document
+   * @param {Object} session - Session with startDateTime and endDateTime
+   * @returns {boolean}
+   */
+  isWithinEvent(event, session) {
+    return session.startDateTime >= event.startDateTime && session.endDateTime <= event.endDateTime;
+  }
+
+  /**
+   * Ensure an event's sessions still fall within its start and end
+   * Sessions are checked when they are set; this is for changes to the event's dates.
+   * @param {Object} event - Event document with its new dates
+   */
+  assertSessionsWithinEvent(event) {
+    const outside = event.sessions.filter(session => !this.isWithinEvent(event, session));
+
+    if (outside.length > 0) {
+      throw new AppError(
+        `Sessions must fall within the event's start and end. Move these sessions first: ${outside
+          .map(session => session.title)
+          .join(', ')}`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Validate sessions sent by an admin
+   * @param {Object} event - Event document
+   * @param {Array} sessions - Sessions in any order
+   * @returns {Array} - Sessions to store, by start time
+   */
+  buildSessions(event, sessions) {
+    if (!Array.isArray(sessions) || sessions.length > MAX_SESSIONS) {
+      throw new AppError(`sessions must be an array of at most ${MAX_SESSIONS} sessions`, 400);
+    }
+
+    const errors = [];
+
+    const built = sessions.map((input, index) => {
+      const label = `Session ${index + 1}`;
+      const session = {
+        title: typeof input?.title === 'string' ? input.title.trim() : '',
+        description: input?.description,
+        startDateTime: new Date(input?.startDateTime),
+        endDateTime: new Date(input?.endDateTime),
+        room: input?.room,
+        speakers: Array.isArray(input?.speakers)
+          ? input.speakers.map(speaker => ({ name: speaker?.name, title: speaker?.title }))
+          : [],
+        capacity: input?.capacity ?? undefined,
+      };
+
+      if (input?._id) {
+        if (mongoose.Types.ObjectId.isValid(input._id)) {
+          session._id = input._id;
+        } else {
+          errors.push(`${label}: invalid _id`);
+        }
+      }
+
+      if (!session.title) errors.push(`${label}: title is required`);
+
+      if (
+        Number.isNaN(session.startDateTime.getTime()) ||
+        Number.isNaN(session.endDateTime.getTime())
+      ) {
+        errors.push(`${label}: startDateTime and endDateTime must be valid dates`);
+      } else {
+        if (session.endDateTime <= session.startDateTime) {
+          errors.push(`${label}: must end after it starts`);
+        }
+        if (!this.isWithinEvent(event, session)) {
+          errors.push(`${label}: must fall within the event's start and end`);
+        }
+      }
+
+      if (
+        session.capacity !== undefined &&
+        (!Number.isInteger(session.capacity) || session.capacity < 1)
+      ) {
+        errors.push(`${label}: capacity must be a whole number of at least 1`);
+      }
+
+      if (session.speakers.some(speaker => !speaker.name)) {
+        errors.push(`${label}: every speaker needs a name`);
+      }
+
+      return session;
+    });
+
+    const ids = built.filter(session => session._id).map(session => String(session._id));
+    if (new Set(ids).size !== ids.length) errors.push('Session IDs must be unique');
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid sessions. ${errors.join('. ')}`, 400);
+    }
+
+    return built.sort((a, b) => a.startDateTime - b.startDateTime);
+  }
+
+  /**
+   * Count check-ins per session from the registrations
+   * @param {string} eventId - Event ID
+   * @param {Object} [session] - Transaction session
+   * @returns {Promise<Map>} - Session ID to number of attendees
+   */
+  async countAttendance(eventId, session = null) {
+    const counts = await Registration.aggregate([
+      {
+        $match: { eventId: new mongoose.Types.ObjectId(eventId), 'sessions.0': { $exists: true } },
+      },
+      { $unwind: '$sessions' },
+      { $group: { _id: '$sessions.sessionId', count: { $sum: 1 } } },
+    ]).session(session);
+
+    return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+  }
+
+  /**
+   * Replace an event's sessions
+   * Sessions sent back with their _id keep their attendance. Sessions that
+   * already have attendance cannot be removed. Attendance counts are taken
+   * from the registrations again, in the same transaction as the write: a
+   * check-in that lands in between conflicts with it, and it is retried.
+   * @param {string} eventId - Event ID
+   * @param {Array} sessions - Sessions
+   * @returns {Promise<Object>} - { event, before }
+   */
+  async setSessions(eventId, sessions) {
+    const event = await Event.findById(eventId);
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const built = this.buildSessions(event, sessions);
+    const current = new Map(event.sessions.map(session => [String(session._id), session]));
+
+    const unknown = built.filter(session => session._id && !current.has(String(session._id)));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown session: ${unknown.map(session => session._id).join(', ')}`, 400);
+    }
+
+    const keptIds = built.filter(session => session._id).map(session => String(session._id));
+    const before = event.sessions.map(session => this.describe(session));
+
+    const stored = await withTransaction(async session => {
+      const counts = await this.countAttendance(event._id, session);
+
+      const removedWithAttendance = event.sessions.filter(
+        eventSession =>
+          !keptIds.includes(String(eventSession._id)) && counts.get(String(eventSession._id))
+      );
+      if (removedWithAttendance.length > 0) {
+        throw new AppError(
+          `Cannot remove sessions that already have attendance: ${removedWithAttendance
+            .map(eventSession => eventSession.title)
+            .join(', ')}`,
+          400
+        );
+      }
+
+      // IDs are given here so the stored sessions match the ones returned
+      const withCounts = built.map(eventSession => ({
+        ...eventSession,
+        _id: eventSession._id || new mongoose.Types.ObjectId(),
+        attendanceCount: (eventSession._id && counts.get(String(eventSession._id))) || 0,
+      }));
+
+      await Event.updateOne(
+        { _id: event._id },
+        { $set: { sessions: withCounts } },
+        { runValidators: true, session }
+      );
+      return withCounts;
+    });
+
+    event.set('sessions', stored);
+    event.unmarkModified('sessions');
+
+    logger.info(`Sessions updated for event ${event._id}: ${built.length} sessions`);
+    return { event, before };
+  }
+
+  /**
+   * A session as returned by the API
+   * @param {Object} session - Session subdocument
+   * @returns {Object}
+   */
+  describe(session) {
+    const data = session.toObject ? session.toObject() : { ...session };
+    return { ...data, attendanceCount: data.attendanceCount || 0 };
+  }
+
+  /**
+   * Find the session a check-in is for
+   * Without a session ID, the session running at that time is used. A session
+   * opens for check-in shortly before it starts.
+   * @param {Object} event - Event document
+   * @param {string} [sessionId] - Session chosen by staff
+   * @param {Date} [at] - Check-in time
+   * @returns {Object} - Session subdocument
+   */
+  resolveSession(event, sessionId, at = new Date()) {
+    if (sessionId) {
+      const session = event.sessions.id(sessionId);
+      if (!session) {
+        throw new AppError('Session not found', 404);
+      }
+      return session;
+    }
+
+    const time = new Date(at).getTime();
+    const running = event.sessions.find(
+      session =>
+        session.startDateTime.getTime() - CHECK_IN_OPENS_MS <= time &&
+        time <= session.endDateTime.getTime()
+    );
+
+    if (!running) {
+      throw new AppError('No session is open for check-in now. Choose a session', 400);
+    }
+
+    return running;
+  }
+
+  /**
+   * Attendance per session and across sessions
+   * @param {Object} event - Event document with sessions
+   * @param {Array} attendees - The event's checked-in registrations
+   * @returns {Object} - { sessions, aggregate }
+   */
+  getAttendanceReport(event, attendees) {
+    const registered = event.registrationCount || 0;
+    const rate = count => (registered > 0 ? Number(((count / registered) * 100).toFixed(2)) : 0);
+
+    const sessions = event.sessions.map(session => ({
+      sessionId: session._id,
+      title: session.title,
+      startDateTime: session.startDateTime,
+      endDateTime: session.endDateTime,
+      room: session.room,
+      capacity: session.capacity ?? null,
+      attended: session.attendanceCount || 0,
+      attendanceRate: rate(session.attendanceCount || 0),
+    }));
+
+    const perAttendee = attendees.map(attendee => event.countSessionsAttended(attendee));
+    const total = sessions.length;
+
+    return {
+      sessions,
+      aggregate: {
+        sessions: total,
+        registered,
+        attendedAny: attendees.length,
+        attendedAll: total > 0 ? perAttendee.filter(count => count === total).length : 0,
+        averageSessionsAttended:
+          perAttendee.length > 0
+            ? Number(
+                (perAttendee.reduce((sum, count) => sum + count, 0) / perAttendee.length).toFixed(2)
+              )
+            : 0,
+        minSessionsAttended: event.minSessionsAttended ?? null,
+        eligibleForCertificate: attendees.filter(attendee =>
+          event.meetsAttendanceThreshold(attendee)
+        ).length,
+      },
+    };
+  }
+}
+
+// Export singleton instance
+export default new EventSessionService();
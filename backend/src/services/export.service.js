@@ -0,0 +1,455 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import { User, Event, Registration, Certificate, Feedback } from '../models/index.js';
+import feedbackService from './feedback.service.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Export definitions
+ * dateField/eventField drive the from/to and eventId filters; eventFilter (async)
+ * replaces eventField for types that are linked to events through registrations.
+ * hidden paths are never exported, whatever columns are requested. Where allowed
+ * is set, only those paths (and their nested fields) can be exported at all.
+ * transform (optional) rewrites each row before export; select lists the fields it needs.
+ */
+const EXPORT_DEFINITIONS = {
+  users: {
+    model: User,
+    dateField: 'createdAt',
+    eventFilter: async eventId => ({
+      _id: { $in: await Registration.distinct('userId', { eventId }) },
+    }),
+    // Users also hold passwords, reset and verification tokens, 2FA secrets and sessions
+    allowed: [
+      '_id',
+      'fullname',
+      'username',
+      'email',
+      'emailVerified',
+      'phone',
+      'organisation',
+      'jobTitle',
+      'biography',
+      'profileImage',
+      'address',
+      'gender',
+      'dateOfBirth',
+      'preferences',
+      'stats',
+      'badges',
+      'status',
+      'twoFactorEnabled',
+      'lastLogin',
+      'lastActivity',
+      'registrationSource',
+      'createdAt',
+      'updatedAt',
+    ],
+    defaultColumns: [
+      '_id',
+      'fullname',
+      'email',
+      'phone',
+      'gender',
+      'organisation',
+      'status',
+      'emailVerified',
+      'lastLogin',
+      'createdAt',
+    ],
+  },
+  events: {
+    model: Event,
+    dateField: 'startDateTime',
+    eventField: '_id',
+    hidden: ['waitlist', 'qrData', 'qrSignature', '__v'],
+    defaultColumns: [
+      '_id',
+      'title',
+      'category',
+      'status',
+      'startDateTime',
+      'endDateTime',
+      'venue',
+      'capacity',
+      'registrationCount',
+      'attendanceCount',
+      'averageRating',
+      'totalFeedbacks',
+    ],
+  },
+  registrations: {
+    model: Registration,
+    dateField: 'registeredAt',
+    eventField: 'eventId',
+    hidden: ['qrCode', 'qrSignature', '__v'],
+    defaultColumns: [
+      '_id',
+      'eventId',
+      'userId',
+      'status',
+      'registeredAt',
+      'checkInTime',
+      'checkInMethod',
+      'checkOutTime',
+      'durationMinutes',
+    ],
+  },
+  certificates: {
+    model: Certificate,
+    dateField: 'issuedDate',
+    eventField: 'eventId',
+    hidden: ['verificationHash', 'qrCode', '__v'],
+    defaultColumns: [
+      'certificateNumber',
+      'recipientName',
+      'recipientEmail',
+      'eventTitle',
+      'eventDate',
+      'eventVenue',
+      'issuedDate',
+      'expiresAt',
+      'status',
+      'revokeReason',
+      'verificationCount',
+      'downloadCount',
+    ],
+  },
+  feedback: {
+    model: Feedback,
+    dateField: 'createdAt',
+    eventField: 'eventId',
+    hidden: ['__v'],
+    // Anonymous feedback is exported without its author
+    transform: doc => feedbackService.toAdminView(doc),
+    select: ['isAnonymous'],
+    defaultColumns: [
+      '_id',
+      'eventId',
+      'userId',
+      'ratings',
+      'npsScore',
+      'comments',
+      'sentiment.label',
+      'isAnonymous',
+      'createdAt',
+    ],
+  },
+};
+
+export const EXPORT_TYPES = Object.keys(EXPORT_DEFINITIONS);
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Spreadsheet apps run CSV cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Export Service
+ * Streams collections to CSV or XLSX with column selection and flattening
+ */
+
+class ExportService {
+  constructor() {
+    this.exportDir = config.storage.exportDir;
+    this.syncRowLimit = config.export.syncRowLimit;
+  }
+
+  /**
+   * Get export definition or fail
+   * @param {string} type - Export type
+   * @returns {Object}
+   */
+  getDefinition(type) {
+    const definition = EXPORT_DEFINITIONS[type];
+    if (!definition) {
+      throw new AppError(`Invalid export type. Use one of: ${EXPORT_TYPES.join(', ')}`, 400);
+    }
+    return definition;
+  }
+
+  /**
+   * Resolve requested columns to flat schema paths
+   * A nested prefix such as `venue` or `ratings` expands to all of its leaf paths.
+   * @param {string} type - Export type
+   * @param {Array<string>} requested - Requested columns (defaults when empty)
+   * @returns {Array<string>} - Flat column paths
+   */
+  resolveColumns(type, requested = []) {
+    const { model, hidden = [], allowed, defaultColumns } = this.getDefinition(type);
+    const schemaPaths = Object.keys(model.schema.paths);
+    const covers = (fields, column) =>
+      fields.some(field => column === field || column.startsWith(`${field}.`));
+    const isHidden = column => covers(hidden, column) || (allowed && !covers(allowed, column));
+
+    const columns = (requested.length > 0 ? requested : defaultColumns).flatMap(column => {
+      if (isHidden(column)) {
+        throw new AppError(`Column cannot be exported: ${column}`, 400);
+      }
+
+      if (schemaPaths.includes(column)) {
+        return [column];
+      }
+
+      const nested = schemaPaths.filter(
+        schemaPath => schemaPath.startsWith(`${column}.`) && !isHidden(schemaPath)
+      );
+      if (nested.length === 0) {
+        throw new AppError(`Unknown column for ${type} export: ${column}`, 400);
+      }
+      return nested;
+    });
+
+    return [...new Set(columns)];
+  }
+
+  /**
+   * Build the MongoDB filter for an export
+   * @param {string} type - Export type
+   * @param {Object} filters - { from, to, eventId }
+   * @returns {Promise<Object>} - Mongo query
+   */
+  async buildQuery(type, { from, to, eventId } = {}) {
+    const { dateField, eventField, eventFilter } = this.getDefinition(type);
+    const query = {};
+
+    if (from || to) {
+      query[dateField] = {};
+      if (from) query[dateField].$gte = new Date(from);
+      if (to) query[dateField].$lte = new Date(to);
+    }
+
+    if (eventId) {
+      if (!mongoose.Types.ObjectId.isValid(eventId)) {
+        throw new AppError('Invalid event ID', 400);
+      }
+      const id = new mongoose.Types.ObjectId(eventId);
+      if (eventFilter) {
+        Object.assign(query, await eventFilter(id));
+      } else {
+        query[eventField] = id;
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Count documents matching an export
+   * @param {string} type - Export type
+   * @param {Object} filters - Export filters
+   * @returns {Promise<number>}
+   */
+  async countRows(type, filters) {
+    const { model } = this.getDefinition(type);
+    return model.countDocuments(await this.buildQuery(type, filters));
+  }
+
+  /**
+   * Read a dotted path from a plain document
+   * @param {Object} doc - Lean document
+   * @param {string} column - Dotted path
+   * @returns {*}
+   */
+  getValue(doc, column) {
+    return column.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+  }
+
+  /**
+   * Convert a value to a cell-friendly primitive
+   * @param {*} value - Raw value
+   * @returns {string|number|boolean}
+   */
+  formatValue(value) {
+    if (value == null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (Array.isArray(value)) {
+      return value
+        .map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item)))
+        .join('; ');
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+
+  /**
+   * Flatten a document to a row of cell values
+   * @param {Object} doc - Lean document
+   * @param {Array<string>} columns - Flat column paths
+   * @returns {Array}
+   */
+  toRow(doc, columns) {
+    return columns.map(column => this.formatValue(this.getValue(doc, column)));
+  }
+
+  /**
+   * Escape a value for CSV
+   * Text that a spreadsheet would read as a formula is prefixed with a quote.
+   * @param {*} value - Cell value
+   * @returns {string}
+   */
+  escapeCSV(value) {
+    const text =
+      typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Build one CSV line
+   * @param {Array} values - Cell values
+   * @returns {string}
+   */
+  toCSVLine(values) {
+    return `${values.map(value => this.escapeCSV(value)).join(',')}\n`;
+  }
+
+  /**
+   * Stream an export to a writable stream
+   * @param {Object} options - { type, format, columns, filters, onProgress }
+   * @param {Writable} output - Destination stream (HTTP response or file)
+   * @returns {Promise<number>} - Number of rows written
+   */
+  async writeExport({ type, format, columns, filters, onProgress }, output) {
+    const { model, transform = doc => doc, select = [] } = this.getDefinition(type);
+    const flatColumns = this.resolveColumns(type, columns);
+    const projection = [
+      ...new Set([...flatColumns.map(column => column.split('.')[0]), ...select]),
+    ].join(' ');
+    const cursor = model
+      .find(await this.buildQuery(type, filters))
+      .select(projection)
+      .sort({ _id: 1 })
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    let rows = 0;
+    const reportProgress = () => {
+      rows += 1;
+      if (onProgress && rows % 1000 === 0) onProgress(rows);
+    };
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output });
+      const worksheet = workbook.addWorksheet(type);
+      worksheet.addRow(flatColumns).commit();
+
+      await cursor.eachAsync(doc => {
+        worksheet.addRow(this.toRow(transform(doc), flatColumns)).commit();
+        reportProgress();
+      });
+
+      worksheet.commit();
+      await workbook.commit();
+      return rows;
+    }
+
+    const toCSV = new Transform({
+      writableObjectMode: true,
+      transform: (doc, encoding, callback) => {
+        reportProgress();
+        callback(null, this.toCSVLine(this.toRow(transform(doc), flatColumns)));
+      },
+    });
+    toCSV.push(this.toCSVLine(flatColumns));
+
+    await pipeline(cursor, toCSV, output);
+    return rows;
+  }
+
+  /**
+   * Stream an export straight into an HTTP response
+   * @param {Object} res - Express response
+   * @param {Object} options - { type, format, columns, filters }
+   * @returns {Promise<number>} - Number of rows written
+   */
+  async streamToResponse(res, options) {
+    const fileName = this.getFileName(options.type, options.format);
+
+    res.set({
+      'Content-Type': CONTENT_TYPES[options.format],
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    });
+
+    return this.writeExport(options, res);
+  }
+
+  /**
+   * Write an export to the export directory (background jobs)
+   * @param {Object} options - { type, format, columns, filters, onProgress }
+   * @param {string} jobId - Job ID used to name the file
+   * @returns {Promise<Object>} - { fileName, rows }
+   */
+  async writeToFile(options, jobId) {
+    await fsp.mkdir(this.exportDir, { recursive: true });
+
+    const fileName = `${jobId}-${this.getFileName(options.type, options.format)}`;
+    const filePath = path.join(this.exportDir, fileName);
+
+    try {
+      const rows = await this.writeExport(options, fs.createWriteStream(filePath));
+      logger.info(`Export written: ${fileName} (${rows} rows)`);
+      return { fileName, rows };
+    } catch (error) {
+      await fsp.rm(filePath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Absolute path of a finished export file
+   * @param {string} fileName - File name returned by writeToFile
+   * @returns {string}
+   */
+  getFilePath(fileName) {
+    return path.join(this.exportDir, path.basename(fileName));
+  }
+
+  /**
+   * Delete export files older than the retention window
+   * @param {number} maxAgeMs - Maximum file age
+   * @returns {Promise<number>} - Files removed
+   */
+  async cleanupExports(maxAgeMs) {
+    const entries = await fsp.readdir(this.exportDir).catch(() => []);
+    const cutoff = Date.now() - maxAgeMs;
+
+    const removed = await Promise.all(
+      entries.map(async entry => {
+        const filePath = path.join(this.exportDir, entry);
+        const stats = await fsp.stat(filePath);
+        if (stats.mtimeMs >= cutoff) return false;
+        await fsp.rm(filePath, { force: true });
+        return true;
+      })
+    );
+
+    const count = removed.filter(Boolean).length;
+    logger.info(`Removed ${count} expired export files`);
+    return count;
+  }
+
+  /**
+   * Build a download file name
+   * @param {string} type - Export type
+   * @param {string} format - csv or xlsx
+   * @returns {string}
+   */
+  getFileName(type, format) {
+    return `${type}-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+  }
+}
+
+// Export singleton instance
+export default new ExportService();
@@ -0,0 +1,424 @@
+import mongoose from 'mongoose';
+import { Event, Feedback, Registration } from '../models/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const QUESTION_TYPES = ['text', 'rating', 'boolean', 'choice'];
+
+// Never shown to admins or exported for anonymous feedback
+export const ANONYMOUS_FIELDS = ['userId', 'ipAddress', 'metadata.userAgent'];
+
+const MAX_QUESTIONS = 30;
+const DEFAULT_RATING_SCALE = { min: 1, max: 5 };
+const DEFAULT_TEXT_MAX_LENGTH = 1000;
+const RECENT_TEXT_ANSWERS = 10;
+
+/**
+ * Feedback Service
+ * Who may give feedback and when, per-event feedback forms (defining questions and
+ * validating answers against them), anonymity and per-question analytics
+ */
+
+class FeedbackService {
+  /**
+   * Check that an event is taking feedback
+   * @param {Object} event - Event document
+   * @param {Date} [now] - Current time
+   */
+  assertFeedbackOpen(event, now = new Date()) {
+    if (!event.feedbackEnabled) {
+      throw new AppError('Feedback is not enabled for this event', 403);
+    }
+
+    if (event.feedbackDeadline && now > event.feedbackDeadline) {
+      throw new AppError(
+        `The feedback period for this event closed on ${event.feedbackDeadline.toISOString()}`,
+        403
+      );
+    }
+  }
+
+  /**
+   * Check that a user may submit feedback for an event
+   * Only checked-in attendees can, while feedback is open.
+   * @param {Object} event - Event document
+   * @param {string} userId - User ID
+   */
+  async assertCanSubmit(event, userId) {
+    this.assertFeedbackOpen(event);
+
+    const attended = await Registration.exists({
+      eventId: event._id,
+      userId,
+      checkInTime: { $exists: true },
+    });
+
+    if (!attended) {
+      throw new AppError('Only attendees who checked in can give feedback for this event', 403);
+    }
+  }
+
+  /**
+   * Feedback as admins see it
+   * Anonymous feedback loses everything that identifies its author.
+   * @param {Object} feedback - Feedback document or plain object
+   * @returns {Object}
+   */
+  toAdminView(feedback) {
+    const data = typeof feedback.toObject === 'function' ? feedback.toObject() : { ...feedback };
+    if (!data.isAnonymous) return data;
+
+    ANONYMOUS_FIELDS.forEach(field => {
+      const [key, child] = field.split('.');
+      if (!child) {
+        delete data[key];
+      } else if (data[key]) {
+        // Copy the nested object so a lean document passed in is left untouched
+        const { [child]: removed, ...rest } = data[key];
+        data[key] = rest;
+      }
+    });
+
+    return data;
+  }
+
+  /**
+   * Validate and normalise form questions sent by an admin
+   * Questions keep their _id when one is sent, so existing answers stay linked.
+   * @param {Array} questions - Questions in display order
+   * @returns {Array}
+   */
+  buildQuestions(questions) {
+    if (!Array.isArray(questions)) {
+      throw new AppError('questions must be an array', 400);
+    }
+
+    if (questions.length > MAX_QUESTIONS) {
+      throw new AppError(`A feedback form can have at most ${MAX_QUESTIONS} questions`, 400);
+    }
+
+    const errors = [];
+    const built = questions.map((input, index) => {
+      const label = `Question ${index + 1}`;
+      const question = {
+        question: typeof input?.question === 'string' ? input.question.trim() : '',
+        questionType: input?.questionType,
+        required: input?.required === true,
+      };
+
+      if (input?._id) {
+        if (mongoose.Types.ObjectId.isValid(input._id)) {
+          question._id = input._id;
+        } else {
+          errors.push(`${label}: invalid _id`);
+        }
+      }
+
+      if (!question.question) errors.push(`${label}: question text is required`);
+      if (!QUESTION_TYPES.includes(question.questionType)) {
+        errors.push(`${label}: questionType must be one of ${QUESTION_TYPES.join(', ')}`);
+      }
+
+      if (question.questionType === 'choice') {
+        const options = [
+          ...new Set(
+            (Array.isArray(input.options) ? input.options : [])
+              .map(option => String(option).trim())
+              .filter(Boolean)
+          ),
+        ];
+        if (options.length < 2) {
+          errors.push(`${label}: a choice question needs at least two options`);
+        }
+        Object.assign(question, { options, allowMultiple: input.allowMultiple === true });
+      }
+
+      if (question.questionType === 'rating') {
+        const min = input.scale?.min ?? DEFAULT_RATING_SCALE.min;
+        const max = input.scale?.max ?? DEFAULT_RATING_SCALE.max;
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max > 10 || min >= max) {
+          errors.push(`${label}: rating scale must be whole numbers with 0 <= min < max <= 10`);
+        }
+        question.scale = {
+          min,
+          max,
+          minLabel: input.scale?.minLabel,
+          maxLabel: input.scale?.maxLabel,
+        };
+      }
+
+      if (question.questionType === 'text') {
+        const maxLength = input.maxLength ?? DEFAULT_TEXT_MAX_LENGTH;
+        if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > DEFAULT_TEXT_MAX_LENGTH) {
+          errors.push(`${label}: maxLength must be between 1 and ${DEFAULT_TEXT_MAX_LENGTH}`);
+        }
+        question.maxLength = maxLength;
+      }
+
+      return question;
+    });
+
+    const ids = built.filter(question => question._id).map(question => String(question._id));
+    if (new Set(ids).size !== ids.length) errors.push('Question IDs must be unique');
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid feedback form. ${errors.join('. ')}`, 400);
+    }
+
+    return built;
+  }
+
+  /**
+   * Replace an event's feedback form
+   * Questions that already have answers cannot change type.
+   * @param {string} eventId - Event ID
+   * @param {Array} questions - Questions in display order
+   * @param {string} adminId - Admin ID
+   * @returns {Promise<Object>} - { event, before }
+   */
+  async setForm(eventId, questions, adminId) {
+    const event = await Event.findById(eventId);
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const built = this.buildQuestions(questions);
+    const current = new Map(
+      (event.feedbackForm?.questions || []).map(question => [String(question._id), question])
+    );
+
+    const answered = built.filter(question => question._id && current.has(String(question._id)));
+    if (answered.length > 0) {
+      const answeredIds = (
+        await Feedback.distinct('customResponses.questionId', { eventId: event._id })
+      ).map(String);
+
+      const changed = answered.filter(
+        question =>
+          answeredIds.includes(String(question._id)) &&
+          current.get(String(question._id)).questionType !== question.questionType
+      );
+      if (changed.length > 0) {
+        throw new AppError(
+          `Cannot change the type of questions that already have answers: ${changed
+            .map(question => question.question)
+            .join(', ')}`,
+          400
+        );
+      }
+    }
+
+    const before = event.feedbackForm ? event.feedbackForm.toObject() : null;
+    event.set('feedbackForm', { questions: built, updatedAt: new Date(), updatedBy: adminId });
+    await event.save();
+
+    logger.info(`Feedback form updated for event ${event._id}: ${built.length} questions`);
+    return { event, before };
+  }
+
+  /**
+   * Check submitted answers against an event's form
+   * @param {Object} form - Event.feedbackForm
+   * @param {Array} responses - [{ questionId, answer }]
+   * @returns {Array} - Feedback.customResponses, in form order
+   */
+  validateResponses(form, responses = []) {
+    const questions = form?.questions || [];
+
+    if (!Array.isArray(responses)) {
+      throw new AppError('responses must be an array', 400);
+    }
+
+    const answers = new Map(
+      responses.map(response => [String(response?.questionId), response?.answer])
+    );
+    const errors = [...answers.keys()]
+      .filter(questionId => !questions.some(question => String(question._id) === questionId))
+      .map(questionId => `Unknown question: ${questionId}`);
+
+    const customResponses = questions
+      .map(question => {
+        const answer = this.normalizeAnswer(question, answers.get(String(question._id)));
+
+        if (answer.error) {
+          errors.push(`${question.question}: ${answer.error}`);
+          return null;
+        }
+
+        if (answer.value === undefined) {
+          if (question.required) errors.push(`${question.question}: an answer is required`);
+          return null;
+        }
+
+        return {
+          questionId: question._id,
+          question: question.question,
+          questionType: question.questionType,
+          answer: answer.value,
+        };
+      })
+      .filter(Boolean);
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid feedback responses. ${errors.join('. ')}`, 400);
+    }
+
+    return customResponses;
+  }
+
+  /**
+   * Normalise one answer for its question type
+   * @param {Object} question - Form question
+   * @param {*} answer - Submitted answer
+   * @returns {Object} - { value } (undefined when unanswered) or { error }
+   */
+  normalizeAnswer(question, answer) {
+    const isEmpty =
+      answer === undefined ||
+      answer === null ||
+      (typeof answer === 'string' && answer.trim() === '') ||
+      (Array.isArray(answer) && answer.length === 0);
+    if (isEmpty) return { value: undefined };
+
+    switch (question.questionType) {
+      case 'text': {
+        if (typeof answer !== 'string') return { error: 'answer must be text' };
+        const maxLength = question.maxLength || DEFAULT_TEXT_MAX_LENGTH;
+        return answer.trim().length > maxLength
+          ? { error: `answer cannot exceed ${maxLength} characters` }
+          : { value: answer.trim() };
+      }
+
+      case 'rating': {
+        const { min, max } = this.getScale(question);
+        const value = typeof answer === 'string' ? Number(answer) : answer;
+        return Number.isInteger(value) && value >= min && value <= max
+          ? { value }
+          : { error: `rating must be a whole number from ${min} to ${max}` };
+      }
+
+      case 'boolean': {
+        if (typeof answer === 'boolean') return { value: answer };
+        if (answer === 'true' || answer === 'false') return { value: answer === 'true' };
+        return { error: 'answer must be true or false' };
+      }
+
+      case 'choice': {
+        const selected = Array.isArray(answer) ? answer.map(String) : [String(answer)];
+        if (!question.allowMultiple && selected.length > 1) {
+          return { error: 'only one option can be selected' };
+        }
+        const invalid = selected.filter(option => !question.options.includes(option));
+        if (invalid.length > 0) return { error: `invalid option: ${invalid.join(', ')}` };
+        return { value: question.allowMultiple ? [...new Set(selected)] : selected[0] };
+      }
+
+      default:
+        return { error: 'unsupported question type' };
+    }
+  }
+
+  /**
+   * Scale of a rating question
+   * @param {Object} question - Form question
+   * @returns {Object} - { min, max }
+   */
+  getScale(question) {
+    return {
+      min: question.scale?.min ?? DEFAULT_RATING_SCALE.min,
+      max: question.scale?.max ?? DEFAULT_RATING_SCALE.max,
+    };
+  }
+
+  /**
+   * Aggregate answers per form question
+   * Rating questions get an average and distribution, choice questions a count
+   * per option, boolean questions yes/no counts, text questions the latest answers.
+   * @param {Object} form - Event.feedbackForm
+   * @param {Array} feedbacks - Feedback documents (customResponses, submittedAt)
+   * @returns {Array}
+   */
+  getQuestionAnalytics(form, feedbacks) {
+    const newestFirst = [...feedbacks].sort(
+      (a, b) => new Date(b.submittedAt) - new Date(a.submittedAt)
+    );
+
+    return (form?.questions || []).map(question => {
+      const answers = newestFirst
+        .map(feedback =>
+          (feedback.customResponses || []).find(
+            response => String(response.questionId) === String(question._id)
+          )
+        )
+        .filter(response => response && response.answer !== undefined && response.answer !== null)
+        .map(response => response.answer);
+
+      const summary = {
+        questionId: question._id,
+        question: question.question,
+        questionType: question.questionType,
+        required: question.required,
+        responses: answers.length,
+      };
+
+      switch (question.questionType) {
+        case 'rating': {
+          const { min, max } = this.getScale(question);
+          const values = answers.filter(value => typeof value === 'number');
+          const distribution = Object.fromEntries(
+            Array.from({ length: max - min + 1 }, (_, offset) => [min + offset, 0])
+          );
+          values.forEach(value => {
+            if (Object.hasOwn(distribution, value)) distribution[value] += 1;
+          });
+
+          return {
+            ...summary,
+            scale: { min, max },
+            average: values.length
+              ? parseFloat(
+                  (values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(2)
+                )
+              : null,
+            distribution,
+          };
+        }
+
+        case 'choice': {
+          const distribution = Object.fromEntries(question.options.map(option => [option, 0]));
+          answers.flat().forEach(option => {
+            if (Object.hasOwn(distribution, option)) distribution[option] += 1;
+          });
+
+          return {
+            ...summary,
+            allowMultiple: question.allowMultiple,
+            distribution,
+            percentages: Object.fromEntries(
+              Object.entries(distribution).map(([option, count]) => [
+                option,
+                answers.length ? parseFloat(((count / answers.length) * 100).toFixed(2)) : 0,
+              ])
+            ),
+          };
+        }
+
+        case 'boolean': {
+          const yes = answers.filter(answer => answer === true).length;
+          return {
+            ...summary,
+            yes,
+            no: answers.length - yes,
+            yesRate: answers.length ? parseFloat(((yes / answers.length) * 100).toFixed(2)) : 0,
+          };
+        }
+
+        default:
+          return { ...summary, recentAnswers: answers.slice(0, RECENT_TEXT_ANSWERS) };
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export default new FeedbackService();
@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+import { getRedisClient } from '../config/redis.js';
+import { getAllQueuesStats } from '../queues/index.js';
+import storageService from './storage.service.js';
+import emailService from './email.service.js';
+import smsService from './sms.service.js';
+import config from '../config/index.js';
+
+const STATUS = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  UNHEALTHY: 'unhealthy',
+};
+
+/**
+ * Health Service
+ * Dependency checks for /admin/health, /livez and /readyz
+ */
+
+class HealthService {
+  constructor() {
+    this.timeoutMs = config.health.checkTimeoutMs;
+  }
+
+  /**
+   * Run a check with a timeout and measure its latency
+   * @param {Function} check - Async check, throws on failure
+   * @returns {Promise<Object>} - { status, latencyMs, error? }
+   */
+  async timed(check) {
+    const startedAt = process.hrtime.bigint();
+    let timer;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Timed out after ${this.timeoutMs}ms`)),
+          this.timeoutMs
+        );
+      });
+      const details = await Promise.race([check(), timeout]);
+
+      return {
+        status: STATUS.HEALTHY,
+        latencyMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        ...(details && typeof details === 'object' ? details : {}),
+      };
+    } catch (error) {
+      return {
+        status: STATUS.UNHEALTHY,
+        latencyMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        error: error.message,
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Ping MongoDB
+   * @returns {Promise<Object>}
+   */
+  checkDatabase() {
+    return this.timed(async () => {
+      if (mongoose.connection.readyState !== 1) {
+        throw new Error('MongoDB is not connected');
+      }
+      await mongoose.connection.db.admin().ping();
+    });
+  }
+
+  /**
+   * Ping Redis
+   * @returns {Promise<Object>}
+   */
+  checkRedis() {
+    return this.timed(async () => {
+      const reply = await getRedisClient().ping();
+      if (reply !== 'PONG') {
+        throw new Error(`Unexpected PING reply: ${reply}`);
+      }
+    });
+  }
+
+  /**
+   * Report queue depths and failures
+   * Backlogs or failures above the configured thresholds degrade the queue
+   * @returns {Promise<Object>}
+   */
+  async checkQueues() {
+    const result = await this.timed(async () => ({ queues: await getAllQueuesStats() }));
+    if (result.status !== STATUS.HEALTHY) {
+      return result;
+    }
+
+    const { maxBacklog, maxFailed } = config.health;
+    const queues = result.queues.map(queue => {
+      const backlog = queue.waiting + queue.delayed;
+      const warnings = [];
+      if (backlog > maxBacklog) warnings.push(`backlog of ${backlog} jobs`);
+      if (queue.failed > maxFailed) warnings.push(`${queue.failed} failed jobs`);
+
+      return {
+        name: queue.name,
+        status: warnings.length > 0 ? STATUS.DEGRADED : STATUS.HEALTHY,
+        waiting: queue.waiting,
+        active: queue.active,
+        delayed: queue.delayed,
+        failed: queue.failed,
+        paused: queue.paused,
+        warnings,
+      };
+    });
+
+    return {
+      ...result,
+      status: queues.some(queue => queue.status !== STATUS.HEALTHY)
+        ? STATUS.DEGRADED
+        : STATUS.HEALTHY,
+      queues,
+    };
+  }
+
+  /**
+   * Check that uploads can be written
+   * @returns {Promise<Object>}
+   */
+  checkStorage() {
+    return this.timed(async () => {
+      await storageService.checkWritable();
+      return { type: storageService.storageType };
+    });
+  }
+
+  /**
+   * Report which third-party clients are configured
+   * Email is required for tickets and certificates; SMS is optional.
+   * @returns {Object}
+   */
+  checkIntegrations() {
+    const email = emailService.isConfigured();
+    const sms = smsService.isConfigured();
+
+    return {
+      email: {
+        provider: 'mailjet',
+        configured: email,
+        status: email ? STATUS.HEALTHY : STATUS.DEGRADED,
+      },
+      sms: { provider: 'twilio', configured: sms, status: STATUS.HEALTHY },
+    };
+  }
+
+  /**
+   * Full health report
+   * MongoDB or Redis down makes the service unhealthy; anything else degrades it.
+   * @returns {Promise<Object>}
+   */
+  async getHealth() {
+    const [database, redis, queues, storage] = await Promise.all([
+      this.checkDatabase(),
+      this.checkRedis(),
+      this.checkQueues(),
+      this.checkStorage(),
+    ]);
+    const services = this.checkIntegrations();
+
+    let status = STATUS.HEALTHY;
+    if ([database, redis].some(check => check.status !== STATUS.HEALTHY)) {
+      status = STATUS.UNHEALTHY;
+    } else if (
+      [queues, storage, services.email, services.sms].some(check => check.status !== STATUS.HEALTHY)
+    ) {
+      status = STATUS.DEGRADED;
+    }
+
+    return {
+      status,
+      timestamp: new Date(),
+      uptimeSeconds: Math.round(process.uptime()),
+      database,
+      redis,
+      queues,
+      storage,
+      services,
+    };
+  }
+
+  /**
+   * Readiness: can this instance serve traffic?
+   * @returns {Promise<Object>}
+   */
+  async getReadiness() {
+    const [database, redis] = await Promise.all([this.checkDatabase(), this.checkRedis()]);
+    const ready = database.status === STATUS.HEALTHY && redis.status === STATUS.HEALTHY;
+
+    return {
+      status: ready ? 'ready' : 'not_ready',
+      checks: { database, redis },
+    };
+  }
+}
+
+// Export singleton instance
+export default new HealthService();
@@ -8,4 +8,19 @@ export { default as emailService } from './email.service.js';
 export { default as smsService } from './sms.service.js';
 export { default as notificationService } from './notification.service.js';
 export { default as certificateService } from './certificate.service.js';
+export { default as certificateRendererService } from './certificateRenderer.service.js';
+export { default as certificateArchiveService } from './certificateArchive.service.js';
+export { default as credentialService } from './credential.service.js';
 export { default as storageService } from './storage.service.js';
+export { default as registrationService } from './registration.service.js';
+export { default as attendanceService } from './attendance.service.js';
+export { default as eventLifecycleService } from './eventLifecycle.service.js';
+export { default as eventSessionService } from './eventSession.service.js';
+export { default as offlineCheckInService } from './offlineCheckIn.service.js';
+export { default as feedbackService } from './feedback.service.js';
+export { default as sentimentService } from './sentiment.service.js';
+export { default as calendarService } from './calendar.service.js';
+export { default as healthService } from './health.service.js';
+export { default as twoFactorService } from './twoFactor.service.js';
+export { default as sessionService } from './session.service.js';
+export { default as auditService } from './audit.service.js';
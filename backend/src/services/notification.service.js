@@ -191,6 +191,70 @@ class NotificationService {
     return { notification, results };
   }
 
+  /**
+   * Send registration rejected notification
+   * @param {Object} user - User object
+   * @param {Object} event - Event object
+   * @param {string} reason - Reason given by the reviewing admin
+   * @returns {Promise<Object>}
+   */
+  async sendRegistrationRejectedNotification(user, event, reason) {
+    const notification = await this.createNotification({
+      userId: user._id,
+      title: 'Registration Not Approved',
+      message: `Your registration for "${event.title}" was not approved. Reason: ${reason}`,
+      type: 'registration_rejected',
+      category: 'warning',
+      relatedEvent: event._id,
+      channels: {
+        inApp: { enabled: true },
+        email: { enabled: user.preferences?.notifications?.email !== false },
+        sms: { enabled: user.preferences?.notifications?.sms === true },
+      },
+      priority: 'normal',
+    });
+
+    const results = await this.sendNotification(notification, user);
+
+    return { notification, results };
+  }
+
+  /**
+   * Send waitlist promotion notification
+   * @param {Object} user - User object
+   * @param {Object} event - Event object
+   * @param {Date} offerExpiresAt - Deadline for confirming the seat
+   * @returns {Promise<Object>}
+   */
+  async sendWaitlistPromotionNotification(user, event, offerExpiresAt) {
+    const deadline = new Date(offerExpiresAt).toLocaleString('en-NG', {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+      timeZone: event.timezone || 'Africa/Lagos',
+    });
+
+    const notification = await this.createNotification({
+      userId: user._id,
+      title: 'A Seat Is Available',
+      message: `A seat has opened up for "${event.title}". Confirm your place before ${deadline} or it will be offered to the next person on the waitlist.`,
+      shortMessage: `meetCITAD: A seat opened for ${event.title.substring(0, 60)}. Confirm before ${deadline}.`,
+      type: 'waitlist_promotion',
+      relatedEvent: event._id,
+      actionUrl: `/events/${event._id}`,
+      actionLabel: 'Confirm Seat',
+      channels: {
+        inApp: { enabled: true },
+        email: { enabled: user.preferences?.notifications?.email !== false },
+        sms: { enabled: user.preferences?.notifications?.sms === true },
+      },
+      priority: 'urgent',
+    });
+
+    const results = await this.sendNotification(notification, user);
+
+    return { notification, results };
+  }
+
   /**
    * Send event reminder
    * @param {Object} user - User object
@@ -269,6 +333,42 @@ class NotificationService {
     return { notification, results };
   }
 
+  /**
+   * Warn a holder that their certificate is about to expire
+   * @param {Object} user - User object
+   * @param {Object} certificate - Certificate object
+   * @returns {Promise<Object>}
+   */
+  async sendCertificateExpiryNotification(user, certificate) {
+    const expiresOn = new Date(certificate.expiresAt).toLocaleDateString('en-NG', {
+      dateStyle: 'medium',
+      timeZone: 'Africa/Lagos',
+    });
+
+    const notification = await this.createNotification({
+      userId: user._id,
+      title: 'Certificate Expiring Soon',
+      message: `Your certificate for "${certificate.eventTitle}" (${certificate.certificateNumber}) expires on ${expiresOn}. Contact the organisers or attend a refresher session to renew it.`,
+      shortMessage: `meetCITAD: Your ${certificate.eventTitle.substring(0, 60)} certificate expires on ${expiresOn}.`,
+      type: 'certificate_expiring',
+      category: 'warning',
+      relatedEvent: certificate.eventId,
+      relatedCertificate: certificate._id,
+      actionUrl: `/certificates/${certificate._id}`,
+      actionLabel: 'View Certificate',
+      channels: {
+        inApp: { enabled: true },
+        email: { enabled: user.preferences?.notifications?.email !== false },
+        sms: { enabled: user.preferences?.notifications?.sms === true },
+      },
+      priority: 'normal',
+    });
+
+    const results = await this.sendNotification(notification, user);
+
+    return { notification, results };
+  }
+
   /**
    * Send feedback request
    * @param {Object} user - User object
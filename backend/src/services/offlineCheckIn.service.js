@@ -0,0 +1,408 @@
+import { Event, User, Registration } from '../models/index.js';
+import qrService from './qr.service.js';
+import attendanceService from './attendance.service.js';
+import eventSessionService from './eventSession.service.js';
+import logger from '../utils/logger.js';
+import { withTransaction } from '../utils/transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const ROSTER_VERSION = 3;
+
+// Device clocks drift; check-ins slightly in the future are still accepted
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+// Check-ins more than this far outside the event window are rejected
+const CHECK_IN_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+const ROSTER_STATUSES = ['published', 'ongoing'];
+const SYNC_STATUSES = ['published', 'ongoing', 'completed'];
+
+// Ticket problems that are about the registration rather than the ticket itself
+const TICKET_CONFLICTS = ['wrong_event', 'not_registered'];
+
+const EVENT_FIELDS = 'title startDateTime endDateTime status checkInEnabled sessions';
+
+/**
+ * Offline Check-in Service
+ * Lets check-in devices work without a connection: they download a signed
+ * roster with the event's ticket key, verify tickets locally, and upload the
+ * check-ins later. Uploads are reconciled against the event's registrations.
+ * For events with sessions, each check-in is for one session, as online.
+ */
+
+class OfflineCheckInService {
+  /**
+   * Load an event for offline check-in
+   * @param {string} eventId - Event ID
+   * @param {Array<string>} statuses - Statuses the event may be in
+   * @returns {Promise<Object>} - Event document
+   */
+  async getEvent(eventId, statuses) {
+    const event = await Event.findById(eventId).select(EVENT_FIELDS);
+
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    if (!event.checkInEnabled) {
+      throw new AppError('Check-in is disabled for this event', 400);
+    }
+
+    if (!statuses.includes(event.status)) {
+      throw new AppError(`Offline check-in is not available for ${event.status} events`, 400);
+    }
+
+    return event;
+  }
+
+  /**
+   * Confirmed registrations of an event by user ID
+   * @param {Object} event - Event document
+   * @returns {Promise<Map>}
+   */
+  async getConfirmed(event) {
+    const registrations = await Registration.find({ eventId: event._id, status: 'confirmed' });
+    return new Map(registrations.map(reg => [String(reg.userId), reg]));
+  }
+
+  /**
+   * Build the signed roster and key material for a check-in device
+   * The roster is signed with the same key that signs the event's tickets, so a
+   * device can check both without a connection. The key only covers this event.
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} - { roster, signature, key }
+   */
+  async getRoster(eventId) {
+    const event = await this.getEvent(eventId, ROSTER_STATUSES);
+
+    const confirmed = await this.getConfirmed(event);
+    const users = await User.find({ _id: { $in: [...confirmed.keys()] } }).select('fullname email');
+
+    const validUntil = new Date(event.endDateTime.getTime() + qrService.ticketGraceMs);
+
+    // Plain strings only, so the signed JSON is the same on the device
+    const roster = {
+      version: ROSTER_VERSION,
+      eventId: String(event._id),
+      title: event.title,
+      startDateTime: event.startDateTime.toISOString(),
+      endDateTime: event.endDateTime.toISOString(),
+      ticketsValidUntil: validUntil.toISOString(),
+      generatedAt: new Date().toISOString(),
+      sessions: event.sessions.map(session => ({
+        sessionId: String(session._id),
+        title: session.title,
+        room: session.room || null,
+        startDateTime: session.startDateTime.toISOString(),
+        endDateTime: session.endDateTime.toISOString(),
+        capacity: session.capacity ?? null,
+      })),
+      attendees: users.map(user => {
+        const registration = confirmed.get(String(user._id));
+        return {
+          userId: String(user._id),
+          name: user.fullname,
+          email: user.email,
+          checkedIn: !!registration.checkInTime,
+          checkInTime: registration.checkInTime?.toISOString() || null,
+          sessionsCheckedIn: registration.sessions.map(entry => String(entry.sessionId)),
+          // Only the registration's current ticket is accepted
+          ticketSignature: registration.qrSignature || null,
+        };
+      }),
+    };
+
+    const key = qrService.getEventTicketKey(roster.eventId);
+
+    return {
+      roster,
+      signature: qrService.generateSignature(JSON.stringify(roster), key),
+      key: {
+        algorithm: 'HMAC-SHA256',
+        encoding: 'hex',
+        value: key,
+      },
+    };
+  }
+
+  /**
+   * Check one uploaded check-in before it is recorded
+   * @param {Object} event - Event document
+   * @param {Map} confirmed - Confirmed registrations by user ID
+   * @param {Object} item - { checkInTime, qrData } for a scan, { checkInTime, userId } otherwise,
+   *   with sessionId for a session of the event
+   * @param {number} index - Position in the upload
+   * @param {Date} now - Sync time
+   * @returns {Object} - { index, userId, sessionId, checkInTime, method }, with status and
+   *   reason if refused
+   */
+  resolveCheckIn(event, confirmed, item, index, now) {
+    const checkInTime = new Date(item.checkInTime);
+    const method = item.qrData ? 'qr' : 'manual';
+    const reject = (status, reason, userId = item.userId) => ({
+      index,
+      userId,
+      checkInTime,
+      method,
+      status,
+      reason,
+    });
+
+    if (Number.isNaN(checkInTime.getTime())) {
+      return reject('rejected', 'Invalid check-in time');
+    }
+
+    let { userId } = item;
+
+    if (item.qrData) {
+      const verification = qrService.verifyQRCode(item.qrData, { at: checkInTime });
+
+      if (!verification.valid) {
+        return reject('rejected', verification.error);
+      }
+
+      if (verification.data.type !== 'ticket') {
+        return reject('rejected', 'QR code is not a ticket');
+      }
+
+      ({ userId } = verification.data);
+
+      const registration = confirmed.get(String(userId)) || null;
+      const ticket = qrService.checkTicket(event, registration, verification, checkInTime);
+      if (!ticket.valid) {
+        return reject(
+          TICKET_CONFLICTS.includes(ticket.code) ? 'conflict' : 'rejected',
+          ticket.error,
+          userId
+        );
+      }
+    }
+
+    if (!userId) {
+      return reject('rejected', 'Either qrData or userId is required');
+    }
+
+    if (
+      checkInTime > new Date(now.getTime() + CLOCK_SKEW_MS) ||
+      checkInTime < new Date(event.startDateTime.getTime() - CHECK_IN_MARGIN_MS) ||
+      checkInTime > new Date(event.endDateTime.getTime() + CHECK_IN_MARGIN_MS)
+    ) {
+      return reject('rejected', 'Check-in time is outside the event window', userId);
+    }
+
+    if (!confirmed.has(String(userId))) {
+      return reject('conflict', 'User is not registered for this event', userId);
+    }
+
+    if (event.sessions.length === 0) {
+      if (item.sessionId) {
+        return reject('rejected', 'This event has no sessions', userId);
+      }
+      return { index, userId: String(userId), sessionId: null, checkInTime, method };
+    }
+
+    // The session chosen on the device, or else the one running at check-in time
+    let eventSession;
+    try {
+      eventSession = eventSessionService.resolveSession(event, item.sessionId, checkInTime);
+    } catch (error) {
+      return reject('rejected', error.message, userId);
+    }
+
+    return {
+      index,
+      userId: String(userId),
+      sessionId: String(eventSession._id),
+      checkInTime,
+      method,
+    };
+  }
+
+  /**
+   * Record one check-in, or reconcile it with an existing one
+   * A user already checked in keeps the earliest of the two check-in times.
+   * @param {Object} event - Event document
+   * @param {Object} registration - The user's confirmed registration
+   * @param {Object} checkIn - Resolved check-in
+   * @param {Object} context - { deviceId, adminId, syncedAt }
+   * @returns {Promise<Object>} - Check-in with status and reason
+   */
+  async recordCheckIn(event, registration, checkIn, { deviceId, adminId, syncedAt }) {
+    const { checkInTime, method } = checkIn;
+
+    if (checkIn.sessionId) {
+      return this.recordSessionCheckIn(event, registration, checkIn, {
+        deviceId,
+        adminId,
+        syncedAt,
+      });
+    }
+
+    const added = await withTransaction(session =>
+      attendanceService.recordCheckIn(
+        event,
+        registration,
+        { checkInTime, checkInMethod: method, checkInBy: adminId, deviceId, syncedAt },
+        session
+      )
+    );
+
+    if (added) {
+      event.applyCountChange('attendanceCount', 1);
+      return { ...checkIn, status: 'checked_in' };
+    }
+
+    const moved = await Registration.updateOne(
+      { _id: registration._id, checkInTime: { $gt: checkInTime } },
+      { $set: { checkInTime } }
+    );
+
+    if (moved.modifiedCount > 0) {
+      return {
+        ...checkIn,
+        status: 'duplicate',
+        reason: 'Already checked in; kept the earlier offline time',
+      };
+    }
+
+    return {
+      ...checkIn,
+      checkInTime: registration.checkInTime || checkInTime,
+      status: 'duplicate',
+      reason: 'Already checked in',
+    };
+  }
+
+  /**
+   * Record one session check-in, or reconcile it with an existing one
+   * Goes through the same capacity check as an online check-in; the first
+   * session also checks the user in to the event.
+   * @param {Object} event - Event document with sessions
+   * @param {Object} registration - The user's confirmed registration
+   * @param {Object} checkIn - Resolved check-in with sessionId
+   * @param {Object} context - { deviceId, adminId, syncedAt }
+   * @returns {Promise<Object>} - Check-in with status and reason
+   */
+  async recordSessionCheckIn(event, registration, checkIn, { deviceId, adminId, syncedAt }) {
+    const { checkInTime, method } = checkIn;
+    const eventSession = event.sessions.id(checkIn.sessionId);
+
+    let outcome;
+    try {
+      outcome = await withTransaction(session =>
+        attendanceService.recordSessionCheckIn(
+          event,
+          registration,
+          eventSession,
+          { checkInTime, checkInMethod: method, checkInBy: adminId, deviceId, syncedAt },
+          session
+        )
+      );
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      return { ...checkIn, status: 'conflict', reason: error.message };
+    }
+
+    if (outcome.added) {
+      if (outcome.firstCheckIn) event.applyCountChange('attendanceCount', 1);
+      return { ...checkIn, status: 'checked_in' };
+    }
+
+    const moved = await Registration.updateOne(
+      {
+        _id: registration._id,
+        sessions: {
+          $elemMatch: { sessionId: eventSession._id, checkInTime: { $gt: checkInTime } },
+        },
+      },
+      { $set: { 'sessions.$.checkInTime': checkInTime } }
+    );
+
+    return {
+      ...checkIn,
+      status: 'duplicate',
+      reason:
+        moved.modifiedCount > 0
+          ? 'Already checked in to this session; kept the earlier offline time'
+          : 'Already checked in to this session',
+    };
+  }
+
+  /**
+   * Reconcile a batch of check-ins recorded offline
+   * Every item gets a result: checked_in, duplicate (already checked in, or
+   * scanned twice in the upload), conflict (not registered, or another event's
+   * ticket) or rejected (bad signature or time, expired or replaced ticket).
+   * Uploading the same batch again is safe.
+   * @param {string} eventId - Event ID
+   * @param {Object} upload - { deviceId, checkIns }
+   * @param {string} adminId - Admin who uploads
+   * @returns {Promise<Object>} - { eventId, deviceId, syncedAt, summary, results }
+   */
+  async sync(eventId, { deviceId, checkIns }, adminId) {
+    const event = await this.getEvent(eventId, SYNC_STATUSES);
+    const confirmed = await this.getConfirmed(event);
+    const syncedAt = new Date();
+
+    const resolved = checkIns.map((item, index) =>
+      this.resolveCheckIn(event, confirmed, item, index, syncedAt)
+    );
+
+    // The earliest scan of each user (per session) wins; later ones in the same upload are duplicates
+    const seen = new Set();
+    const winners = [];
+    const settled = resolved.filter(checkIn => checkIn.status);
+
+    resolved
+      .filter(checkIn => !checkIn.status)
+      .sort((a, b) => a.checkInTime - b.checkInTime)
+      .forEach(checkIn => {
+        const key = `${checkIn.userId}:${checkIn.sessionId}`;
+        if (seen.has(key)) {
+          settled.push({
+            ...checkIn,
+            status: 'duplicate',
+            reason: 'Scanned more than once in this upload',
+          });
+        } else {
+          seen.add(key);
+          winners.push(checkIn);
+        }
+      });
+
+    // Applied one at a time, since every check-in also counts on the same event document
+    const recorded = await winners.reduce(
+      (chain, checkIn) =>
+        chain.then(async results => [
+          ...results,
+          await this.recordCheckIn(event, confirmed.get(checkIn.userId), checkIn, {
+            deviceId,
+            adminId,
+            syncedAt,
+          }),
+        ]),
+      Promise.resolve([])
+    );
+
+    const results = [...settled, ...recorded].sort((a, b) => a.index - b.index);
+    const count = status => results.filter(result => result.status === status).length;
+
+    const summary = {
+      total: results.length,
+      checkedIn: count('checked_in'),
+      duplicates: count('duplicate'),
+      conflicts: count('conflict'),
+      rejected: count('rejected'),
+    };
+
+    logger.info(
+      `Offline check-in sync for event ${event.title} from ${deviceId || 'unknown device'}: ` +
+        `${summary.checkedIn} checked in, ${summary.duplicates} duplicates, ` +
+        `${summary.conflicts} conflicts, ${summary.rejected} rejected`
+    );
+
+    return { eventId: String(event._id), deviceId, syncedAt, summary, results };
+  }
+}
+
+// Export singleton instance
+export default new OfflineCheckInService();
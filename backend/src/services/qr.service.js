@@ -6,6 +6,12 @@ import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 
+// Current ticket format: T2.<eventId>.<userId>.<issuedAt base36>.<signature>
+// Older tickets are JSON { data, signature } and are still accepted.
+const TICKET_FORMAT = 'T2';
+const TICKET_SIGNATURE_BYTES = 16;
+const OBJECT_ID = /^[0-9a-f]{24}$/;
+
 /**
  * QR Code Service
  * Handles QR code generation, verification, and anti-fraud measures
@@ -15,6 +21,7 @@ class QRService {
   constructor() {
     this.qrDir = 'backend/uploads/qr-codes';
     this.signatureKey = config.security.qrSignatureKey || process.env.QR_SIGNATURE_KEY || 'default-qr-key';
+    this.ticketGraceMs = config.registration.ticketGraceHours * 60 * 60 * 1000;
     this.initializeQRDirectory();
   }
 
@@ -32,11 +39,12 @@ class QRService {
   /**
    * Generate HMAC signature for QR data
    * @param {string} data - Data to sign
+   * @param {string} [key] - Signing key, defaults to the server key
    * @returns {string} - HMAC signature
    */
-  generateSignature(data) {
+  generateSignature(data, key = this.signatureKey) {
     return crypto
-      .createHmac('sha256', this.signatureKey)
+      .createHmac('sha256', key)
       .update(data)
       .digest('hex');
   }
@@ -45,11 +53,12 @@ class QRService {
    * Verify HMAC signature
    * @param {string} data - Original data
    * @param {string} signature - Signature to verify
+   * @param {string} [key] - Signing key, defaults to the server key
    * @returns {boolean} - True if valid
    */
-  verifySignature(data, signature) {
+  verifySignature(data, signature, key = this.signatureKey) {
     try {
-      const expectedSignature = this.generateSignature(data);
+      const expectedSignature = this.generateSignature(data, key);
       return crypto.timingSafeEqual(
         Buffer.from(signature),
         Buffer.from(expectedSignature)
@@ -60,6 +69,17 @@ class QRService {
     }
   }
 
+  /**
+   * Ticket signing key for one event
+   * Derived from the server key, so it can be handed to check-in devices for
+   * offline verification without exposing tickets of other events.
+   * @param {string} eventId - Event ID
+   * @returns {string} - Hex key
+   */
+  getEventTicketKey(eventId) {
+    return this.generateSignature(`ticket:${eventId}`);
+  }
+
   /**
    * Generate QR code data for an event
    * @param {Object} event - Event object
@@ -85,8 +105,26 @@ class QRService {
     };
   }
 
+  /**
+   * Signature of a compact ticket payload
+   * Truncated HMAC of the event's ticket key, base64url encoded
+   * @param {string} payload - Ticket without its signature
+   * @param {string} eventId - Event ID
+   * @returns {string}
+   */
+  signTicket(payload, eventId) {
+    return crypto
+      .createHmac('sha256', this.getEventTicketKey(eventId))
+      .update(payload)
+      .digest()
+      .subarray(0, TICKET_SIGNATURE_BYTES)
+      .toString('base64url');
+  }
+
   /**
    * Generate QR code data for user ticket
+   * Every call gives a new signature, so a re-issued ticket can be told apart
+   * from the one it replaces.
    * @param {Object} user - User object
    * @param {Object} event - Event object
    * @returns {Object} - QR data and signature
@@ -94,25 +132,103 @@ class QRService {
   generateUserTicketQRData(user, event) {
     const qrData = {
       type: 'ticket',
-      userId: user._id.toString(),
+      version: 2,
       eventId: event._id.toString(),
-      userName: user.fullname,
-      userEmail: user.email,
-      eventTitle: event.title,
-      eventDate: event.startDateTime.toISOString(),
-      timestamp: Date.now(),
+      userId: user._id.toString(),
+      issuedAt: Math.floor(Date.now() / 1000),
     };
 
-    const dataString = JSON.stringify(qrData);
-    const signature = this.generateSignature(dataString);
+    const payload = [
+      TICKET_FORMAT,
+      qrData.eventId,
+      qrData.userId,
+      qrData.issuedAt.toString(36),
+    ].join('.');
+    const signature = this.signTicket(payload, qrData.eventId);
 
     return {
-      data: dataString,
+      data: `${payload}.${signature}`,
       signature,
       qrData,
     };
   }
 
+  /**
+   * Verify a compact ticket
+   * @param {string} content - Scanned QR content
+   * @returns {Object} - Verification result
+   */
+  verifyCompactTicket(content) {
+    const parts = content.split('.');
+    const [, eventId, userId, issuedAt, signature] = parts;
+
+    if (parts.length !== 5 || !OBJECT_ID.test(eventId) || !OBJECT_ID.test(userId)) {
+      return {
+        valid: false,
+        error: 'Invalid QR code format',
+      };
+    }
+
+    const expected = this.signTicket(parts.slice(0, 4).join('.'), eventId);
+    const isValid =
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!isValid) {
+      logger.warn('Ticket signature verification failed');
+      return {
+        valid: false,
+        error: 'QR code signature is invalid. Possible tampering detected.',
+      };
+    }
+
+    return {
+      valid: true,
+      data: {
+        type: 'ticket',
+        version: 2,
+        eventId,
+        userId,
+        issuedAt: parseInt(issuedAt, 36),
+      },
+      signature,
+    };
+  }
+
+  /**
+   * Check a verified ticket against its event and registration
+   * A ticket is valid from registration until the event has ended plus the
+   * grace period, and only while it is the registration's current ticket.
+   * @param {Object} event - Event document
+   * @param {Object|null} registration - The ticket holder's confirmed registration
+   * @param {Object} verification - Result of verifyQRCode for a ticket
+   * @param {Date} [at] - When the ticket was scanned
+   * @returns {Object} - { valid, error, code }
+   */
+  checkTicket(event, registration, verification, at = new Date()) {
+    const { eventId } = verification.data;
+    const invalid = (code, error) => ({ valid: false, code, error });
+
+    if (eventId !== event._id.toString()) {
+      return invalid('wrong_event', 'Ticket is for another event');
+    }
+
+    if (!registration) {
+      return invalid('not_registered', 'User is not registered for this event');
+    }
+
+    if (registration.qrSignature !== verification.signature) {
+      return invalid('revoked', 'Ticket has been replaced by a newer one');
+    }
+
+    const validUntil = event.endDateTime.getTime() + this.ticketGraceMs;
+    if (new Date(at).getTime() > validUntil) {
+      return invalid('expired', 'Ticket has expired');
+    }
+
+    return { valid: true };
+  }
+
   /**
    * Generate QR code image
    * @param {string} data - Data to encode
@@ -198,15 +314,9 @@ class QRService {
   async generateUserTicketQR(user, event) {
     try {
       const { data, signature, qrData } = this.generateUserTicketQRData(user, event);
-      
-      // Create composite data for QR code
-      const qrContent = JSON.stringify({
-        data,
-        signature,
-      });
 
       const fileName = `ticket-${user._id}-${event._id}-${Date.now()}.png`;
-      const qrCodeUrl = await this.generateQRCode(qrContent, {
+      const qrCodeUrl = await this.generateQRCode(data, {
         toFile: true,
         fileName,
         width: 300,
@@ -227,11 +337,21 @@ class QRService {
 
   /**
    * Verify QR code data
+   * Only the signature of a ticket is checked here; whether it is still valid
+   * depends on its event and registration (see checkTicket). Older JSON
+   * tickets are checked against their event's key, or the server key if they
+   * predate per-event keys.
    * @param {string} qrContent - Scanned QR content
+   * @param {Object} [options] - { at }
+   * @param {Date} [options.at] - When the code was scanned, for check-ins synced later
    * @returns {Object} - Verification result
    */
-  verifyQRCode(qrContent) {
+  verifyQRCode(qrContent, { at = new Date() } = {}) {
     try {
+      if (typeof qrContent === 'string' && qrContent.startsWith(`${TICKET_FORMAT}.`)) {
+        return this.verifyCompactTicket(qrContent);
+      }
+
       // Parse QR content
       const parsed = JSON.parse(qrContent);
       const { data, signature } = parsed;
@@ -243,8 +363,14 @@ class QRService {
         };
       }
 
+      // Parse data
+      const qrData = JSON.parse(data);
+
       // Verify signature
-      const isValid = this.verifySignature(data, signature);
+      const isValid =
+        (qrData.type === 'ticket' &&
+          this.verifySignature(data, signature, this.getEventTicketKey(qrData.eventId))) ||
+        this.verifySignature(data, signature);
 
       if (!isValid) {
         logger.warn('QR code signature verification failed');
@@ -254,11 +380,16 @@ class QRService {
         };
       }
 
-      // Parse data
-      const qrData = JSON.parse(data);
+      if (qrData.type === 'ticket') {
+        return {
+          valid: true,
+          data: qrData,
+          signature,
+        };
+      }
 
       // Check timestamp (QR codes expire after 24 hours for security)
-      const qrAge = Date.now() - qrData.timestamp;
+      const qrAge = new Date(at).getTime() - qrData.timestamp;
       const maxAge = 24 * 60 * 60 * 1000; // 24 hours
 
       if (qrAge > maxAge) {
@@ -319,31 +450,15 @@ class QRService {
 
   /**
    * Generate QR code for certificate verification
+   * Encodes the plain URL of the public verification page so any phone camera
+   * opens it; the verification hash in the URL is what makes it unguessable.
    * @param {Object} certificate - Certificate object
    * @returns {Promise<string>} - QR code data URL
    */
   async generateCertificateVerificationQR(certificate) {
     try {
-      const verificationUrl = `${config.app.frontendUrl}/verify/${certificate.verificationHash}`;
-      
-      const qrData = {
-        type: 'certificate',
-        certificateId: certificate._id.toString(),
-        certificateNumber: certificate.certificateNumber,
-        verificationUrl,
-        timestamp: Date.now(),
-      };
-
-      const dataString = JSON.stringify(qrData);
-      const signature = this.generateSignature(dataString);
-
-      const qrContent = JSON.stringify({
-        data: dataString,
-        signature,
-      });
-
       // Generate as data URL for embedding in PDF
-      const dataURL = await this.generateQRCode(qrContent, {
+      const dataURL = await this.generateQRCode(certificate.verificationUrl, {
         width: 200,
         errorCorrectionLevel: 'H',
       });
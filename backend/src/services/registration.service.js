@@ -0,0 +1,794 @@
+import mongoose from 'mongoose';
+import { User, Event, Registration } from '../models/index.js';
+import qrService from './qr.service.js';
+import notificationService from './notification.service.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { withTransaction } from '../utils/transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Registration Service
+ * Event registration, approval, cancellation and waitlist promotion.
+ * Registrations are Registration documents; Event.registrationCount counts the
+ * confirmed ones and is changed in the same transaction.
+ */
+
+// Seats taken on an event, as in the isFull virtual: confirmed registrations
+// plus the seats held for open waitlist offers
+const TAKEN_SEATS = {
+  $add: [
+    '$registrationCount',
+    {
+      $size: {
+        $filter: {
+          input: { $ifNull: ['$waitlist', []] },
+          cond: { $eq: ['$$this.status', 'offered'] },
+        },
+      },
+    },
+  ],
+};
+
+// Matches an event only while it has the given number of seats free
+const hasSeats = count => ({ $expr: { $lte: [{ $add: [TAKEN_SEATS, count] }, '$capacity'] } });
+
+// Waitlist entries that still hold a place in line
+const ACTIVE_WAITLIST = ['waiting', 'offered'];
+
+// $set for fields of the waitlist entry matched by the query
+const waitlistSet = fields =>
+  Object.fromEntries(
+    Object.entries(fields).map(([field, value]) => [`waitlist.$.${field}`, value])
+  );
+
+class RegistrationService {
+  constructor() {
+    this.offerWindowMs = config.registration.waitlistOfferWindowHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Find the active (non-cancelled) registration of a user on an event
+   * @param {string} eventId - Event ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Registration document
+   */
+  async findRegistration(eventId, userId) {
+    return Registration.findOne({ eventId, userId, status: { $ne: 'cancelled' } });
+  }
+
+  /**
+   * Find a user's confirmed registration on an event
+   * @param {string} eventId - Event ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Registration document
+   */
+  async findConfirmed(eventId, userId) {
+    return Registration.findOne({ eventId, userId, status: 'confirmed' });
+  }
+
+  /**
+   * IDs of the users with a confirmed registration on an event
+   * @param {string} eventId - Event ID
+   * @param {Object} [filter] - Extra conditions, e.g. { checkInTime: { $exists: false } }
+   * @returns {Promise<Array>}
+   */
+  async getRegisteredUserIds(eventId, filter = {}) {
+    return Registration.distinct('userId', { ...filter, eventId, status: 'confirmed' });
+  }
+
+  /**
+   * Count confirmed registrations on an event if it has the seats free
+   * The capacity check and the count are a single update, so concurrent
+   * registrations cannot take more seats than the event has.
+   * @param {Object} event - Event document
+   * @param {number} count - Seats to take
+   * @param {Object} [session] - Transaction session
+   * @returns {Promise<boolean>} - Whether the seats were taken
+   */
+  async claimSeats(event, count, session = null) {
+    const result = await Event.updateOne(
+      { _id: event._id, ...hasSeats(count) },
+      { $inc: { registrationCount: count } },
+      { session }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Add a registration, or reactivate a cancelled one, and count it if confirmed
+   * Callers apply the count to their event document once the transaction is done.
+   * A confirmed registration is only added while the event has a seat free.
+   * @param {Object} user - User document
+   * @param {Object} event - Event document
+   * @param {Object} ticket - { qrCode, qrSignature } or empty for pending registrations
+   * @param {string} status - Registration status
+   * @param {Object} [session] - Transaction session
+   * @returns {Promise<Object|null>} - Registration document, or null when the event is full
+   */
+  async addRegistration(user, event, ticket, status = 'confirmed', session = null) {
+    try {
+      const registration = await Registration.findOneAndUpdate(
+        { userId: user._id, eventId: event._id, status: 'cancelled' },
+        {
+          $set: {
+            status,
+            registeredAt: new Date(),
+            qrCode: ticket.qrCode,
+            qrSignature: ticket.qrSignature,
+          },
+          $unset: { reviewedAt: 1, reviewedBy: 1, rejectionReason: 1 },
+        },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true, session }
+      );
+
+      if (status === 'confirmed' && !(await this.claimSeats(event, 1, session))) {
+        // Rolled back with the transaction; undone by hand where there is none
+        await Registration.updateOne(
+          { _id: registration._id },
+          { $set: { status: 'cancelled' }, $unset: { qrCode: 1, qrSignature: 1 } },
+          { session }
+        );
+        return null;
+      }
+
+      return registration;
+    } catch (error) {
+      // Any registration other than a cancelled one is unique per user and event
+      if (error.code === 11000) {
+        throw new AppError('Already registered for this event', 400);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure an event is currently accepting registrations
+   * @param {Object} event - Event document
+   */
+  assertRegistrationOpen(event) {
+    if (event.status !== 'published') {
+      throw new AppError('Event is not available for registration', 400);
+    }
+
+    const now = new Date();
+    if (event.registrationOpens && now < event.registrationOpens) {
+      throw new AppError('Registration has not opened yet', 400);
+    }
+
+    const closesAt = event.registrationCloses || event.startDateTime;
+    if (closesAt && now > closesAt) {
+      throw new AppError('Registration deadline has passed', 400);
+    }
+  }
+
+  /**
+   * Register a user for an event, or place them on the waitlist when it is full
+   * @param {Object} user - User document
+   * @param {Object} event - Event document
+   * @returns {Promise<Object>} - { status, registration | position }
+   */
+  async register(user, event) {
+    this.assertRegistrationOpen(event);
+
+    const existing = await this.findRegistration(event._id, user._id);
+    if (existing) {
+      throw new AppError(
+        existing.status === 'rejected'
+          ? 'Your registration for this event was not approved'
+          : 'Already registered for this event',
+        400
+      );
+    }
+
+    if (event.getWaitlistEntry(user._id)) {
+      throw new AppError('Already on the waitlist for this event', 400);
+    }
+
+    if (event.isFull) {
+      if (!event.waitlistEnabled) {
+        throw new AppError('Event is full', 400);
+      }
+      return this.joinWaitlist(user, event);
+    }
+
+    // Tickets are only issued once an admin approves the registration
+    if (event.requireApproval) {
+      const registration = await this.addRegistration(user, event, {}, 'pending');
+
+      logger.info(`User ${user.email} requested registration for event: ${event.title}`);
+      return { status: 'pending', registration };
+    }
+
+    const ticket = await qrService.generateUserTicketQR(user, event);
+    const registration = await withTransaction(session =>
+      this.addRegistration(
+        user,
+        event,
+        { qrCode: ticket.qrCodeUrl, qrSignature: ticket.qrSignature },
+        'confirmed',
+        session
+      )
+    );
+
+    // The last seats went to other registrations since the event was loaded
+    if (!registration) {
+      await qrService.deleteQRCode(ticket.qrCodeUrl);
+      if (!event.waitlistEnabled) {
+        throw new AppError('Event is full', 400);
+      }
+      return this.joinWaitlist(user, event);
+    }
+    event.applyCountChange('registrationCount', 1);
+
+    try {
+      await notificationService.sendEventRegistrationNotification(user, event, ticket.qrCodeUrl);
+    } catch (error) {
+      logger.error(`Failed to send registration notification to ${user.email}:`, error);
+    }
+
+    logger.info(`User ${user.email} registered for event: ${event.title}`);
+    return { status: 'confirmed', registration };
+  }
+
+  /**
+   * Approve pending registrations, issuing tickets while seats remain
+   * @param {Object} event - Event document
+   * @param {Array<string>} userIds - Users whose registrations to approve
+   * @param {Object} admin - Reviewing admin
+   * @returns {Promise<Object>} - { approved, failed }
+   */
+  async approveRegistrations(event, userIds, admin) {
+    const { pending, failed } = await this.collectPending(event, userIds);
+    const seats = event.spotsLeft;
+
+    pending.slice(seats).forEach(reg => {
+      failed.push({ userId: reg.userId.toString(), reason: 'Event is full' });
+    });
+    const approvable = pending.slice(0, seats);
+
+    const users = await User.find({ _id: { $in: approvable.map(reg => reg.userId) } });
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const approved = (
+      await Promise.all(
+        approvable.map(async reg => {
+          const user = usersById.get(reg.userId.toString());
+          if (!user) {
+            failed.push({ userId: reg.userId.toString(), reason: 'User not found' });
+            return null;
+          }
+
+          const ticket = await qrService.generateUserTicketQR(user, event);
+          Object.assign(reg, {
+            status: 'confirmed',
+            qrCode: ticket.qrCodeUrl,
+            qrSignature: ticket.qrSignature,
+            reviewedAt: new Date(),
+            reviewedBy: admin._id,
+          });
+          return { user, reg };
+        })
+      )
+    ).filter(Boolean);
+
+    // One at a time, so each takes a seat only while one is free
+    const reasons = await withTransaction(session =>
+      approved.reduce(
+        async (done, { reg }) => [...(await done), await this.confirmPending(reg, event, session)],
+        Promise.resolve([])
+      )
+    );
+
+    const confirmed = approved.filter((item, index) => !reasons[index]);
+    await Promise.all(
+      approved
+        .filter((item, index) => reasons[index])
+        .map(({ reg }) => qrService.deleteQRCode(reg.qrCode))
+    );
+    approved.forEach(({ reg }, index) => {
+      if (reasons[index]) failed.push({ userId: reg.userId.toString(), reason: reasons[index] });
+    });
+    event.applyCountChange('registrationCount', confirmed.length);
+
+    await Promise.all(
+      confirmed.map(({ user, reg }) =>
+        notificationService
+          .sendEventRegistrationNotification(user, event, reg.qrCode)
+          .catch(error => {
+            logger.error(`Failed to send approval notification to ${user.email}:`, error);
+          })
+      )
+    );
+
+    logger.info(
+      `Admin ${admin.email} approved ${confirmed.length} registrations for event: ${event.title}`
+    );
+
+    return {
+      approved: confirmed.map(({ user }) => user._id.toString()),
+      failed,
+    };
+  }
+
+  /**
+   * Confirm an approved registration that is still pending, taking a seat for it
+   * @param {Object} reg - Registration with its new ticket and review fields set
+   * @param {Object} event - Event document
+   * @param {Object} [session] - Transaction session
+   * @returns {Promise<string|null>} - Why it was not confirmed, or null once it is
+   */
+  async confirmPending(reg, event, session = null) {
+    const result = await Registration.updateOne(
+      { _id: reg._id, status: 'pending' },
+      {
+        $set: {
+          status: 'confirmed',
+          qrCode: reg.qrCode,
+          qrSignature: reg.qrSignature,
+          reviewedAt: reg.reviewedAt,
+          reviewedBy: reg.reviewedBy,
+        },
+      },
+      { session }
+    );
+    if (result.modifiedCount === 0) {
+      return 'Registration is no longer pending';
+    }
+
+    if (!(await this.claimSeats(event, 1, session))) {
+      // Rolled back with the transaction; undone by hand where there is none
+      await Registration.updateOne(
+        { _id: reg._id },
+        {
+          $set: { status: 'pending' },
+          $unset: { qrCode: 1, qrSignature: 1, reviewedAt: 1, reviewedBy: 1 },
+        },
+        { session }
+      );
+      return 'Event is full';
+    }
+
+    return null;
+  }
+
+  /**
+   * Reject pending registrations with a reason
+   * @param {Object} event - Event document
+   * @param {Array<string>} userIds - Users whose registrations to reject
+   * @param {Object} admin - Reviewing admin
+   * @param {string} reason - Reason shown to the user
+   * @returns {Promise<Object>} - { rejected, failed }
+   */
+  async rejectRegistrations(event, userIds, admin, reason) {
+    const { pending, failed } = await this.collectPending(event, userIds);
+    const reviewedAt = new Date();
+
+    // Registrations approved or cancelled since they were read are left alone
+    const results = await Promise.all(
+      pending.map(reg =>
+        Registration.updateOne(
+          { _id: reg._id, status: 'pending' },
+          {
+            $set: {
+              status: 'rejected',
+              rejectionReason: reason,
+              reviewedAt,
+              reviewedBy: admin._id,
+            },
+          }
+        )
+      )
+    );
+
+    const rejected = pending.filter((reg, index) => results[index].modifiedCount > 0);
+    pending
+      .filter((reg, index) => results[index].modifiedCount === 0)
+      .forEach(reg => {
+        failed.push({ userId: reg.userId.toString(), reason: 'Registration is no longer pending' });
+      });
+
+    const users = await User.find({ _id: { $in: rejected.map(reg => reg.userId) } });
+
+    await Promise.all(
+      users.map(user =>
+        notificationService
+          .sendRegistrationRejectedNotification(user, event, reason)
+          .catch(error => {
+            logger.error(`Failed to send rejection notification to ${user.email}:`, error);
+          })
+      )
+    );
+
+    logger.info(
+      `Admin ${admin.email} rejected ${rejected.length} registrations for event: ${event.title}`
+    );
+
+    return {
+      rejected: rejected.map(reg => reg.userId.toString()),
+      failed,
+    };
+  }
+
+  /**
+   * Split requested user IDs into pending registrations and failures
+   * @param {Object} event - Event document
+   * @param {Array<string>} userIds - Requested user IDs
+   * @returns {Promise<Object>} - { pending, failed }
+   */
+  async collectPending(event, userIds) {
+    const pending = [];
+    const failed = [];
+    const ids = [...new Set(userIds.map(String))];
+
+    const registrations = await Registration.find({
+      eventId: event._id,
+      userId: { $in: ids },
+      status: { $ne: 'cancelled' },
+    });
+    const byUser = new Map(registrations.map(reg => [reg.userId.toString(), reg]));
+
+    ids.forEach(userId => {
+      const registration = byUser.get(userId);
+      if (!registration) {
+        failed.push({ userId, reason: 'Registration not found' });
+      } else if (registration.status !== 'pending') {
+        failed.push({ userId, reason: `Registration is already ${registration.status}` });
+      } else {
+        pending.push(registration);
+      }
+    });
+
+    // Approve in the order users registered
+    pending.sort((a, b) => a.registeredAt - b.registeredAt);
+    return { pending, failed };
+  }
+
+  /**
+   * Add a user to the end of an event's waitlist
+   * @param {Object} user - User document
+   * @param {Object} event - Event document
+   * @returns {Promise<Object>} - { status, position }
+   */
+  async joinWaitlist(user, event) {
+    const entry = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: user._id,
+      joinedAt: new Date(),
+      status: 'waiting',
+    };
+
+    // Only pushed while the user has no place in line, so two requests cannot both add one
+    const joined = await Event.updateOne(
+      {
+        _id: event._id,
+        waitlist: { $not: { $elemMatch: { userId: user._id, status: { $in: ACTIVE_WAITLIST } } } },
+      },
+      { $push: { waitlist: entry } }
+    );
+    if (joined.modifiedCount === 0) {
+      throw new AppError('Already on the waitlist for this event', 400);
+    }
+
+    event.waitlist.push(entry);
+    event.unmarkModified('waitlist');
+
+    const position = event.getWaitlistPosition(user._id);
+    logger.info(
+      `User ${user.email} joined waitlist for event: ${event.title} (position ${position})`
+    );
+
+    return { status: 'waitlisted', position };
+  }
+
+  /**
+   * Cancel a registration or waitlist entry and hand any freed seat to the waitlist
+   * @param {Object} user - User document
+   * @param {Object} event - Event document
+   * @returns {Promise<Object>} - { cancelled: 'registration' | 'waitlist' }
+   */
+  async unregister(user, event) {
+    const waitlistEntry = event.getWaitlistEntry(user._id);
+
+    if (waitlistEntry) {
+      const { status: previous, qrCode } = waitlistEntry;
+      const left = await Event.updateOne(
+        { _id: event._id, waitlist: { $elemMatch: { _id: waitlistEntry._id, status: previous } } },
+        {
+          $set: { 'waitlist.$.status': 'cancelled' },
+          $unset: { 'waitlist.$.qrCode': 1, 'waitlist.$.qrSignature': 1 },
+        }
+      );
+      // Offer accepted or expired in the meantime
+      if (left.modifiedCount === 0) {
+        throw new AppError('Waitlist entry has changed, please try again', 409);
+      }
+      event.applyWaitlistChange(waitlistEntry, {
+        status: 'cancelled',
+        qrCode: undefined,
+        qrSignature: undefined,
+      });
+
+      if (qrCode) {
+        await qrService.deleteQRCode(qrCode);
+      }
+      const wasOffered = previous === 'offered';
+
+      logger.info(`User ${user.email} left waitlist for event: ${event.title}`);
+
+      if (wasOffered) {
+        await this.promoteFromWaitlist(event);
+      }
+      return { cancelled: 'waitlist' };
+    }
+
+    const registration = await this.findRegistration(event._id, user._id);
+    if (!registration || registration.status === 'rejected') {
+      throw new AppError('Not registered for this event', 400);
+    }
+
+    if (registration.checkInTime) {
+      throw new AppError('Cannot unregister after attending the event', 400);
+    }
+
+    if (new Date() > event.startDateTime) {
+      throw new AppError('Cannot unregister from past events', 400);
+    }
+
+    const freesSeat = registration.status === 'confirmed';
+    const cancelled = await withTransaction(async session => {
+      const result = await Registration.updateOne(
+        { _id: registration._id, status: registration.status, checkInTime: { $exists: false } },
+        { $set: { status: 'cancelled' }, $unset: { qrCode: 1, qrSignature: 1 } },
+        { session }
+      );
+
+      if (result.modifiedCount > 0 && freesSeat) {
+        await Event.updateOne({ _id: event._id }, { $inc: { registrationCount: -1 } }, { session });
+      }
+      return result.modifiedCount > 0;
+    });
+
+    // Checked in or cancelled by another request in the meantime
+    if (!cancelled) {
+      throw new AppError('Registration has changed, please try again', 409);
+    }
+
+    if (freesSeat) event.applyCountChange('registrationCount', -1);
+    if (registration.qrCode) {
+      await qrService.deleteQRCode(registration.qrCode);
+    }
+
+    logger.info(`User ${user.email} unregistered from event: ${event.title}`);
+
+    if (freesSeat) {
+      await this.promoteFromWaitlist(event);
+    }
+    return { cancelled: 'registration' };
+  }
+
+  /**
+   * Offer free seats to the longest-waiting users, one at a time
+   * @param {Object} event - Event document
+   * @returns {Promise<Array>} - Promoted waitlist entries
+   */
+  async promoteFromWaitlist(event) {
+    if (!event.waitlistEnabled || event.status !== 'published' || event.isFull) {
+      return [];
+    }
+
+    if (event.startDateTime && new Date() > event.startDateTime) {
+      return [];
+    }
+
+    const next = event.waitlist
+      .filter(entry => entry.status === 'waiting')
+      .sort((a, b) => a.joinedAt - b.joinedAt)[0];
+
+    if (!next) {
+      return [];
+    }
+
+    const user = await User.findById(next.userId);
+    if (!user || user.status !== 'active') {
+      await Event.updateOne(
+        { _id: event._id, waitlist: { $elemMatch: { _id: next._id, status: 'waiting' } } },
+        { $set: { 'waitlist.$.status': 'cancelled' } }
+      );
+      event.applyWaitlistChange(next, { status: 'cancelled' });
+      return this.promoteFromWaitlist(event);
+    }
+
+    const ticket = await qrService.generateUserTicketQR(user, event);
+    const now = new Date();
+    const offer = {
+      status: 'offered',
+      offeredAt: now,
+      offerExpiresAt: new Date(now.getTime() + this.offerWindowMs),
+      qrCode: ticket.qrCodeUrl,
+      qrSignature: ticket.qrSignature,
+    };
+
+    // The offer holds a seat, so it is only made while one is still free
+    const offered = await Event.updateOne(
+      {
+        _id: event._id,
+        waitlist: { $elemMatch: { _id: next._id, status: 'waiting' } },
+        ...hasSeats(1),
+      },
+      { $set: waitlistSet(offer) }
+    );
+    if (offered.modifiedCount === 0) {
+      await qrService.deleteQRCode(ticket.qrCodeUrl);
+      return [];
+    }
+    event.applyWaitlistChange(next, offer);
+
+    try {
+      await notificationService.sendWaitlistPromotionNotification(user, event, next.offerExpiresAt);
+    } catch (error) {
+      logger.error(`Failed to send waitlist promotion to ${user.email}:`, error);
+    }
+
+    logger.info(`Waitlist seat offered to ${user.email} for event: ${event.title}`);
+
+    const promoted = await this.promoteFromWaitlist(event);
+    return [next, ...promoted];
+  }
+
+  /**
+   * Accept a waitlist seat offer before it expires
+   * @param {Object} user - User document
+   * @param {Object} event - Event document
+   * @returns {Promise<Object>} - Registration document
+   */
+  async confirmWaitlistOffer(user, event) {
+    const entry = event.getWaitlistEntry(user._id);
+
+    if (!entry || entry.status !== 'offered') {
+      throw new AppError('No pending seat offer for this event', 400);
+    }
+
+    if (entry.offerExpiresAt < new Date()) {
+      throw new AppError('Your seat offer has expired', 400);
+    }
+
+    const registration = await withTransaction(async session => {
+      const accepted = await Event.updateOne(
+        { _id: event._id, waitlist: { $elemMatch: { _id: entry._id, status: 'offered' } } },
+        { $set: { 'waitlist.$.status': 'accepted' } },
+        { session }
+      );
+      if (accepted.modifiedCount === 0) {
+        throw new AppError('No pending seat offer for this event', 400);
+      }
+
+      // Accepting the offer released the seat it held, so this takes it back
+      const added = await this.addRegistration(
+        user,
+        event,
+        { qrCode: entry.qrCode, qrSignature: entry.qrSignature },
+        'confirmed',
+        session
+      );
+      if (!added) {
+        throw new AppError('Event is full', 409);
+      }
+      return added;
+    });
+    event.applyCountChange('registrationCount', 1);
+
+    try {
+      await notificationService.sendEventRegistrationNotification(user, event, entry.qrCode);
+    } catch (error) {
+      logger.error(`Failed to send registration notification to ${user.email}:`, error);
+    }
+
+    logger.info(`User ${user.email} confirmed waitlist seat for event: ${event.title}`);
+    return registration;
+  }
+
+  /**
+   * Issue a new ticket for a confirmed registration
+   * The previous ticket stops working as soon as the new one is saved, since
+   * only the registration's current signature is accepted at check-in.
+   * @param {Object} user - User document
+   * @param {Object} event - Event document
+   * @returns {Promise<Object>} - Registration document
+   */
+  async reissueTicket(user, event) {
+    const registration = await this.findRegistration(event._id, user._id);
+
+    if (!registration || registration.status !== 'confirmed') {
+      throw new AppError('No confirmed registration for this event', 400);
+    }
+
+    if (event.status === 'cancelled' || new Date() > event.endDateTime) {
+      throw new AppError('Tickets can no longer be issued for this event', 400);
+    }
+
+    const previousQRCode = registration.qrCode;
+    const ticket = await qrService.generateUserTicketQR(user, event);
+
+    registration.qrCode = ticket.qrCodeUrl;
+    registration.qrSignature = ticket.qrSignature;
+    await registration.save();
+
+    if (previousQRCode) {
+      await qrService.deleteQRCode(previousQRCode);
+    }
+
+    try {
+      await notificationService.sendEventRegistrationNotification(user, event, ticket.qrCodeUrl);
+    } catch (error) {
+      logger.error(`Failed to send new ticket to ${user.email}:`, error);
+    }
+
+    logger.info(`Ticket re-issued to ${user.email} for event: ${event.title}`);
+    return registration;
+  }
+
+  /**
+   * Release expired seat offers and promote the next people in line
+   * Called by the scheduled queue
+   * @returns {Promise<Object>} - Counts of expired and promoted entries
+   */
+  async expireWaitlistOffers() {
+    const now = new Date();
+    const events = await Event.find({
+      waitlist: { $elemMatch: { status: 'offered', offerExpiresAt: { $lte: now } } },
+    });
+
+    const results = await Promise.all(
+      events.map(async event => {
+        const due = event.waitlist.filter(
+          entry => entry.status === 'offered' && entry.offerExpiresAt <= now
+        );
+
+        // Only offers still open are expired; one accepted meanwhile keeps its seat
+        const expired = await Promise.all(
+          due.map(async entry => {
+            const { qrCode } = entry;
+            const result = await Event.updateOne(
+              {
+                _id: event._id,
+                waitlist: { $elemMatch: { _id: entry._id, status: 'offered' } },
+              },
+              {
+                $set: { 'waitlist.$.status': 'expired' },
+                $unset: { 'waitlist.$.qrCode': 1, 'waitlist.$.qrSignature': 1 },
+              }
+            );
+            if (result.modifiedCount === 0) return false;
+
+            event.applyWaitlistChange(entry, {
+              status: 'expired',
+              qrCode: undefined,
+              qrSignature: undefined,
+            });
+            if (qrCode) await qrService.deleteQRCode(qrCode);
+            return true;
+          })
+        );
+        const count = expired.filter(Boolean).length;
+
+        const promoted = count > 0 ? await this.promoteFromWaitlist(event) : [];
+        return { expired: count, promoted: promoted.length };
+      })
+    );
+
+    const totals = results.reduce(
+      (acc, result) => ({
+        expired: acc.expired + result.expired,
+        promoted: acc.promoted + result.promoted,
+      }),
+      { expired: 0, promoted: 0 }
+    );
+
+    logger.info(`Expired ${totals.expired} waitlist offers, promoted ${totals.promoted}`);
+    return totals;
+  }
+}
+
+// Export singleton instance
+export default new RegistrationService();
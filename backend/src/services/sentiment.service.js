@@ -0,0 +1,365 @@
+import { Feedback } from '../models/index.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import {
+  LEXICON,
+  NEGATORS,
+  BOOSTERS,
+  CONTRAST_WORDS,
+  STOPWORDS,
+} from '../utils/sentimentLexicon.js';
+
+export const LANGUAGES = Object.keys(LEXICON);
+
+// Normalisation constant for the summed valence (as in VADER)
+const ALPHA = 15;
+const NEUTRAL_BAND = 0.05;
+const NEGATION_FACTOR = -0.74;
+const NEGATION_WINDOW = 3;
+const MAX_PHRASE_WORDS = 3;
+const HAUSA_NEGATION_CLOSE = 'ba';
+const CONTRAST_BEFORE = 0.5;
+const CONTRAST_AFTER = 1.5;
+
+// Comment fields scored on every feedback, with their weight in the overall score.
+// Answers to "what can be improved" are expected to be critical, so count for less.
+const COMMENT_FIELDS = {
+  whatYouLiked: 1,
+  whatCanBeImproved: 0.5,
+  generalComments: 1,
+};
+
+const RATING_CATEGORIES = ['overall', 'content', 'speakers', 'venue', 'organization', 'logistics'];
+
+const NEGATOR_WORDS = new Set(Object.values(NEGATORS).flat());
+
+/**
+ * Sentiment Service
+ * Offline, lexicon-based sentiment scoring of feedback comments in English and
+ * Hausa. Scores run from -1 (very negative) to 1 (very positive).
+ */
+
+class SentimentService {
+  /**
+   * Lowercase a text and split it into clauses of words
+   * Hausa hooked letters are folded to plain ones and apostrophes dropped, so
+   * "ƙwarai", "kwarai", "didn't" and "didnt" all match the lexicon.
+   * @param {string} text - Comment
+   * @returns {Array<Array<string>>}
+   */
+  tokenize(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/[ɓƃ]/g, 'b')
+      .replace(/[ɗƌ]/g, 'd')
+      .replace(/ƙ/g, 'k')
+      .replace(/ƴ/g, 'y')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f'’ʼ`]/g, '')
+      .split(/[.!?;:\n]+/)
+      .map(clause => clause.split(/[^a-z]+/).filter(Boolean))
+      .filter(words => words.length > 0);
+  }
+
+  /**
+   * Guess whether a text is English or Hausa from its common words
+   * @param {Array<string>} words - Tokens
+   * @param {string} [hint] - Language the user chose (e.g. "ha", "en-NG")
+   * @returns {string} - "en" or "ha"
+   */
+  detectLanguage(words, hint) {
+    const counts = LANGUAGES.map(language => ({
+      language,
+      count: words.filter(
+        word => STOPWORDS[language].includes(word) || Object.hasOwn(LEXICON[language], word)
+      ).length,
+    }));
+    const [top, next] = counts.sort((a, b) => b.count - a.count);
+
+    if (top.count > 0 && top.count > next.count) return top.language;
+
+    const hinted = String(hint || '')
+      .toLowerCase()
+      .split(/[-_]/)[0];
+    return LANGUAGES.includes(hinted) ? hinted : 'en';
+  }
+
+  /**
+   * Longest lexicon entry starting at a word
+   * The detected language is tried first, then the other one, since comments
+   * often mix both.
+   * @param {Array<string>} words - Clause tokens
+   * @param {number} index - Start position
+   * @param {Array<string>} languages - Lexicons in lookup order
+   * @returns {Object|null} - { valence, length }
+   */
+  lookup(words, index, languages) {
+    const lengths = Array.from({ length: MAX_PHRASE_WORDS }, (_, i) => MAX_PHRASE_WORDS - i);
+
+    return lengths.reduce((found, length) => {
+      if (found || index + length > words.length) return found;
+      const entry = words.slice(index, index + length).join(' ');
+      const language = languages.find(lang => Object.hasOwn(LEXICON[lang], entry));
+      return language ? { valence: LEXICON[language][entry], length } : null;
+    }, null);
+  }
+
+  /**
+   * Sum the valence of one clause
+   * @param {Array<string>} words - Clause tokens
+   * @param {Array<string>} languages - Lexicons in lookup order
+   * @returns {Object} - { sum, hits }
+   */
+  scoreClause(words, languages) {
+    const contrastAt = words.findIndex(
+      (word, index) =>
+        CONTRAST_WORDS.includes(word) || CONTRAST_WORDS.includes(`${word} ${words[index + 1]}`)
+    );
+
+    let sum = 0;
+    let hits = 0;
+    let index = 0;
+    let scopeStart = 0;
+
+    while (index < words.length) {
+      const match = this.lookup(words, index, languages);
+
+      if (!match) {
+        index += 1;
+      } else {
+        let { valence } = match;
+        const before = words[index - 1];
+        const after = words[index + match.length];
+
+        if (Object.hasOwn(BOOSTERS.before, before)) valence *= BOOSTERS.before[before];
+        if (Object.hasOwn(BOOSTERS.after, after)) valence *= BOOSTERS.after[after];
+
+        // A negator only reaches the next sentiment word
+        const negated = words
+          .slice(Math.max(scopeStart, index - NEGATION_WINDOW), index)
+          .some(word => NEGATOR_WORDS.has(word));
+        if (negated) valence *= NEGATION_FACTOR;
+
+        if (contrastAt !== -1) {
+          valence *= index < contrastAt ? CONTRAST_BEFORE : CONTRAST_AFTER;
+        }
+
+        sum += valence;
+        hits += 1;
+        // Hausa negation wraps the phrase (ba ... ba); the closing "ba" is used up
+        index += match.length + (negated && after === HAUSA_NEGATION_CLOSE ? 1 : 0);
+        scopeStart = index;
+      }
+    }
+
+    return { sum, hits };
+  }
+
+  /**
+   * Map a valence sum onto -1..1
+   * @param {number} sum - Summed valence
+   * @returns {number}
+   */
+  normalize(sum) {
+    return sum / Math.sqrt(sum * sum + ALPHA);
+  }
+
+  /**
+   * Label for a score
+   * @param {number} score - -1 to 1
+   * @returns {string} - positive, neutral or negative
+   */
+  getLabel(score) {
+    if (score >= NEUTRAL_BAND) return 'positive';
+    if (score <= -NEUTRAL_BAND) return 'negative';
+    return 'neutral';
+  }
+
+  /**
+   * Score a piece of text
+   * @param {string} text - Text in English, Hausa or a mix
+   * @param {string} [languageHint] - Language the user chose
+   * @returns {Object} - { score, label, confidence, language, sum, hits }
+   */
+  analyze(text, languageHint) {
+    const clauses = this.tokenize(text || '');
+    const language = this.detectLanguage(clauses.flat(), languageHint);
+    const languages = [language, ...LANGUAGES.filter(lang => lang !== language)];
+
+    const { sum, hits } = clauses
+      .map(words => this.scoreClause(words, languages))
+      .reduce(
+        (total, clause) => ({ sum: total.sum + clause.sum, hits: total.hits + clause.hits }),
+        {
+          sum: 0,
+          hits: 0,
+        }
+      );
+
+    const score = parseFloat(this.normalize(sum).toFixed(3));
+
+    return {
+      score,
+      label: this.getLabel(score),
+      confidence: parseFloat((hits / (hits + 2)).toFixed(2)),
+      language,
+      sum,
+      hits,
+    };
+  }
+
+  /**
+   * Score all written answers of a feedback
+   * Falls back to the star ratings when no sentiment words are found.
+   * @param {Object} feedback - Feedback document or plain object
+   * @returns {Object} - { sentiment, negative: [{ field, score }] }
+   */
+  analyzeFeedback(feedback) {
+    const hint = feedback.metadata?.language;
+
+    const texts = [
+      ...Object.entries(COMMENT_FIELDS).map(([field, weight]) => ({
+        field,
+        weight,
+        text: feedback.comments?.[field],
+      })),
+      ...(feedback.customResponses || [])
+        .filter(response => response.questionType === 'text')
+        .map(response => ({
+          field: response.question || String(response.questionId),
+          weight: 1,
+          text: response.answer,
+        })),
+    ].filter(({ text }) => typeof text === 'string' && text.trim());
+
+    const results = texts.map(item => ({ ...item, ...this.analyze(item.text, hint) }));
+    const scored = results.filter(result => result.hits > 0);
+
+    const negative = scored
+      .filter(result => result.score <= config.feedback.sentimentFlagThreshold)
+      .map(({ field, score }) => ({ field, score }));
+
+    if (scored.length === 0) {
+      const ratings = RATING_CATEGORIES.map(category => feedback.ratings?.[category]).filter(
+        rating => typeof rating === 'number'
+      );
+      const average = ratings.length
+        ? ratings.reduce((total, rating) => total + rating, 0) / ratings.length
+        : 3;
+      const score = parseFloat(((average - 3) / 2).toFixed(3));
+
+      return {
+        sentiment: {
+          score,
+          label: this.getLabel(score),
+          confidence: 0.5,
+          language: results[0]?.language,
+          method: 'ratings',
+          analyzedAt: new Date(),
+        },
+        negative,
+      };
+    }
+
+    const sum = scored.reduce((total, result) => total + result.sum * result.weight, 0);
+    const hits = scored.reduce((total, result) => total + result.hits, 0);
+    const score = parseFloat(this.normalize(sum).toFixed(3));
+    const [main] = [...scored].sort((a, b) => b.hits - a.hits);
+
+    return {
+      sentiment: {
+        score,
+        label: this.getLabel(score),
+        confidence: parseFloat((hits / (hits + 2)).toFixed(2)),
+        language: main.language,
+        method: 'lexicon',
+        analyzedAt: new Date(),
+      },
+      negative,
+    };
+  }
+
+  /**
+   * Score a feedback and store the result
+   * Strongly negative comments flag the feedback for review. A flag raised here is
+   * cleared again when an edit removes the negative comment; flags set by an admin
+   * are left alone.
+   * @param {Object} feedback - Feedback document
+   * @returns {Promise<Object>} - { feedbackId, sentiment, flagged }
+   */
+  async updateFeedbackSentiment(feedback) {
+    const { sentiment, negative } = this.analyzeFeedback(feedback);
+    const update = { $set: { sentiment } };
+
+    if (negative.length > 0 && !feedback.isFlagged) {
+      Object.assign(update.$set, {
+        isFlagged: true,
+        flagSource: 'sentiment',
+        flagReason: `Strongly negative comment: ${negative
+          .map(({ field, score }) => `${field} (${score})`)
+          .join(', ')}`,
+      });
+    } else if (negative.length === 0 && feedback.isFlagged && feedback.flagSource === 'sentiment') {
+      Object.assign(update, {
+        $set: { sentiment, isFlagged: false },
+        $unset: { flagReason: 1, flagSource: 1 },
+      });
+    }
+
+    await Feedback.updateOne({ _id: feedback._id }, update, { timestamps: false });
+
+    const flagged = update.$set.isFlagged ?? feedback.isFlagged;
+    if (update.$set.isFlagged) {
+      logger.warn(`Feedback ${feedback._id} flagged for review: ${update.$set.flagReason}`);
+    }
+
+    return { feedbackId: feedback._id, sentiment, flagged };
+  }
+
+  /**
+   * Score one feedback by ID
+   * @param {string} feedbackId - Feedback ID
+   * @returns {Promise<Object|null>} - null when the feedback no longer exists
+   */
+  async analyzeFeedbackById(feedbackId) {
+    const feedback = await Feedback.findById(feedbackId);
+    if (!feedback) {
+      logger.warn(`Sentiment analysis skipped, feedback not found: ${feedbackId}`);
+      return null;
+    }
+
+    return this.updateFeedbackSentiment(feedback);
+  }
+
+  /**
+   * Score existing feedback
+   * @param {Object} options - { force, onProgress }
+   * @param {boolean} [options.force] - Rescore feedback that already has a score
+   * @param {Function} [options.onProgress] - Called with the number processed so far
+   * @returns {Promise<Object>} - { total, processed, flagged }
+   */
+  async backfill({ force = false, onProgress } = {}) {
+    const query = force ? {} : { 'sentiment.analyzedAt': { $exists: false } };
+    const total = await Feedback.countDocuments(query);
+    const stats = { total, processed: 0, flagged: 0 };
+
+    await Feedback.find(query)
+      .cursor()
+      .eachAsync(async feedback => {
+        const wasFlagged = feedback.isFlagged;
+        const { flagged } = await this.updateFeedbackSentiment(feedback);
+
+        stats.processed += 1;
+        if (flagged && !wasFlagged) stats.flagged += 1;
+        if (onProgress) await onProgress(stats.processed, total);
+      });
+
+    logger.info(
+      `Feedback sentiment backfill: ${stats.processed} scored, ${stats.flagged} newly flagged`
+    );
+    return stats;
+  }
+}
+
+// Export singleton instance
+export default new SentimentService();
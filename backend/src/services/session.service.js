@@ -0,0 +1,281 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { User, Admin } from '../models/index.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Session Service
+ * One session per signed-in device. The session ID (sid) identifies the refresh
+ * token family: every refresh rotates the token, and presenting an already
+ * rotated token revokes the whole session.
+ */
+
+class SessionService {
+  /**
+   * Get the model for a role
+   * @param {string} role - 'admin' or 'user'
+   * @returns {Model}
+   */
+  getModel(role) {
+    return role === 'admin' ? Admin : User;
+  }
+
+  /**
+   * Hash a refresh token for storage
+   * @param {string} token - Refresh token
+   * @returns {string}
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Sign an access/refresh token pair bound to a session
+   * @param {string} accountId - User or Admin ID
+   * @param {string} role - 'admin' or 'user'
+   * @param {string} sid - Session ID
+   * @returns {Object} - { accessToken, refreshToken, refreshExpiresAt }
+   */
+  signTokens(accountId, role, sid) {
+    const accessToken = jwt.sign({ id: accountId, role, sid }, config.jwt.secret, {
+      expiresIn: config.jwt.accessExpiresIn,
+    });
+
+    const refreshToken = jwt.sign(
+      { id: accountId, role, sid, jti: crypto.randomUUID() },
+      config.jwt.refreshSecret,
+      { expiresIn: config.jwt.refreshExpiresIn }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      refreshExpiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+    };
+  }
+
+  /**
+   * Describe the requesting device
+   * @param {Object} req - Express request
+   * @returns {Object} - { device, ip }
+   */
+  getClientInfo(req) {
+    return {
+      device: (req.get('user-agent') || 'Unknown device').slice(0, 200),
+      ip: req.ip,
+    };
+  }
+
+  /**
+   * Whether a session entry can still be used
+   * @param {Object} session - Session subdocument
+   * @returns {boolean}
+   */
+  isUsable(session) {
+    return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+  }
+
+  /**
+   * Whether a session ID is active on an account (sessions must be selected)
+   * @param {Object} account - User or Admin document
+   * @param {string} sid - Session ID
+   * @returns {boolean}
+   */
+  isActive(account, sid) {
+    if (!sid || !mongoose.Types.ObjectId.isValid(sid)) return false;
+    return this.isUsable(account.sessions?.id(sid));
+  }
+
+  /**
+   * Start a new session for a login and issue its first token pair
+   * @param {Object} account - User or Admin document
+   * @param {string} role - 'admin' or 'user'
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId }
+   */
+  async createSession(account, role, req) {
+    const sid = new mongoose.Types.ObjectId();
+    const { accessToken, refreshToken, refreshExpiresAt } = this.signTokens(
+      account._id,
+      role,
+      sid.toString()
+    );
+
+    // Drop sessions that can no longer be used before adding the new one
+    await this.getModel(role).updateOne(
+      { _id: account._id },
+      {
+        $pull: {
+          sessions: { $or: [{ expiresAt: { $lte: new Date() } }, { revokedAt: { $ne: null } }] },
+        },
+      }
+    );
+
+    await this.getModel(role).updateOne(
+      { _id: account._id },
+      {
+        $push: {
+          sessions: {
+            _id: sid,
+            tokenHash: this.hashToken(refreshToken),
+            ...this.getClientInfo(req),
+            createdAt: new Date(),
+            lastActive: new Date(),
+            expiresAt: refreshExpiresAt,
+          },
+        },
+      }
+    );
+
+    return { accessToken, refreshToken, sessionId: sid.toString() };
+  }
+
+  /**
+   * Rotate a refresh token
+   * Reusing a token that was already rotated revokes the session.
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId, account, role }
+   */
+  async rotate(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
+    } catch (error) {
+      throw new AppError('Invalid or expired refresh token', 401);
+    }
+
+    const { id, role, sid } = decoded;
+    if (!sid || !mongoose.Types.ObjectId.isValid(sid)) {
+      throw new AppError('Session expired. Please login again.', 401);
+    }
+
+    const account = await this.getModel(role).findById(id).select('+sessions');
+    if (!account) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (account.status !== 'active') {
+      throw new AppError('Account is not active', 403);
+    }
+
+    const session = account.sessions.id(sid);
+    if (!this.isUsable(session)) {
+      throw new AppError('Session expired. Please login again.', 401);
+    }
+
+    if (session.tokenHash !== this.hashToken(refreshToken)) {
+      await this.revokeSession(account, role, sid, 'refresh_token_reuse');
+      logger.warn(
+        `Refresh token reuse detected for ${role} ${account.email}; session ${sid} revoked`
+      );
+      throw new AppError('Refresh token has already been used. Please login again.', 401);
+    }
+
+    const tokens = this.signTokens(account._id, role, sid);
+
+    // Only rotate if nobody else rotated this token in the meantime
+    const { modifiedCount } = await this.getModel(role).updateOne(
+      { _id: account._id, sessions: { $elemMatch: { _id: sid, tokenHash: session.tokenHash } } },
+      {
+        $set: {
+          'sessions.$.tokenHash': this.hashToken(tokens.refreshToken),
+          'sessions.$.lastActive': new Date(),
+          'sessions.$.ip': req.ip,
+          'sessions.$.expiresAt': tokens.refreshExpiresAt,
+        },
+      }
+    );
+
+    if (modifiedCount === 0) {
+      await this.revokeSession(account, role, sid, 'refresh_token_reuse');
+      throw new AppError('Refresh token has already been used. Please login again.', 401);
+    }
+
+    return {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      sessionId: sid,
+      account,
+      role,
+    };
+  }
+
+  /**
+   * List active sessions for an account
+   * @param {string} accountId - User or Admin ID
+   * @param {string} role - 'admin' or 'user'
+   * @param {string} currentSid - Session making the request
+   * @returns {Promise<Array>}
+   */
+  async listSessions(accountId, role, currentSid) {
+    const account = await this.getModel(role).findById(accountId).select('+sessions');
+    if (!account) {
+      throw new AppError('User not found', 404);
+    }
+
+    return account.sessions
+      .filter(session => this.isUsable(session))
+      .sort((a, b) => b.lastActive - a.lastActive)
+      .map(session => ({
+        id: session._id,
+        device: session.device,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastActive: session.lastActive,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === currentSid,
+      }));
+  }
+
+  /**
+   * Revoke one session
+   * @param {Object} account - User or Admin document (or { _id })
+   * @param {string} role - 'admin' or 'user'
+   * @param {string} sid - Session ID
+   * @param {string} reason - Why it was revoked
+   * @returns {Promise<boolean>} - Whether an active session was revoked
+   */
+  async revokeSession(account, role, sid, reason = 'logout') {
+    if (!mongoose.Types.ObjectId.isValid(sid)) return false;
+
+    const { modifiedCount } = await this.getModel(role).updateOne(
+      { _id: account._id, sessions: { $elemMatch: { _id: sid, revokedAt: null } } },
+      { $set: { 'sessions.$.revokedAt': new Date(), 'sessions.$.revokedReason': reason } }
+    );
+
+    return modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every session of an account, optionally keeping one
+   * @param {Object} account - User or Admin document (or { _id })
+   * @param {string} role - 'admin' or 'user'
+   * @param {string} reason - Why they were revoked
+   * @param {string} exceptSid - Session to keep (e.g. the current one)
+   * @returns {Promise<void>}
+   */
+  async revokeAllSessions(account, role, reason, exceptSid = null) {
+    const filter = { 'session.revokedAt': null };
+    if (exceptSid) {
+      filter['session._id'] = { $ne: new mongoose.Types.ObjectId(exceptSid) };
+    }
+
+    await this.getModel(role).updateOne(
+      { _id: account._id },
+      {
+        $set: {
+          'sessions.$[session].revokedAt': new Date(),
+          'sessions.$[session].revokedReason': reason,
+        },
+      },
+      { arrayFilters: [filter] }
+    );
+  }
+}
+
+// Export singleton instance
+export default new SessionService();
@@ -11,7 +11,7 @@ import { AppError } from '../middleware/errorHandler.js';
 class SMSService {
   constructor() {
     this.client = null;
-    this.fromPhone = config.sms.fromPhone;
+    this.fromPhone = config.sms.twilio.phoneNumber;
     this.initializeTwilio();
   }
 
@@ -20,8 +20,9 @@ class SMSService {
    */
   initializeTwilio() {
     try {
-      if (config.sms.accountSid && config.sms.authToken) {
-        this.client = twilio(config.sms.accountSid, config.sms.authToken);
+      const { accountSid, authToken } = config.sms.twilio;
+      if (accountSid && authToken) {
+        this.client = twilio(accountSid, authToken);
         logger.info('Twilio initialized successfully');
       } else {
         logger.warn('Twilio credentials not found. SMS service disabled.');
@@ -31,6 +32,14 @@ class SMSService {
     }
   }
 
+  /**
+   * Whether Twilio credentials are configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.client !== null;
+  }
+
   /**
    * Send SMS
    * @param {string} to - Recipient phone number
@@ -206,6 +206,23 @@ class StorageService {
     }
   }
 
+  /**
+   * Resolve a file URL to its path in local storage
+   * Paths that would leave the upload directory (e.g. through ..) are refused.
+   * @param {string} fileUrl - File URL (/uploads/...)
+   * @returns {string} - Absolute file path
+   */
+  resolveLocalPath(fileUrl) {
+    const root = path.resolve(this.baseDir);
+    const filePath = path.resolve(root, String(fileUrl).replace(/^\/uploads\//, ''));
+
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new AppError('File path is outside the upload directory', 400);
+    }
+
+    return filePath;
+  }
+
   /**
    * Delete from local storage
    * @param {string} fileUrl - File URL
@@ -214,8 +231,7 @@ class StorageService {
   async deleteFromLocal(fileUrl) {
     try {
       // Extract path from URL
-      const relativePath = fileUrl.replace('/uploads/', '');
-      const filePath = path.join(this.baseDir, relativePath);
+      const filePath = this.resolveLocalPath(fileUrl);
 
       await fs.unlink(filePath);
       logger.info(`File deleted from local storage: ${fileUrl}`);
@@ -252,8 +268,7 @@ class StorageService {
   async getFile(fileUrl) {
     try {
       if (this.storageType === 'local') {
-        const relativePath = fileUrl.replace('/uploads/', '');
-        const filePath = path.join(this.baseDir, relativePath);
+        const filePath = this.resolveLocalPath(fileUrl);
         return await fs.readFile(filePath);
       } else {
         throw new AppError('Remote storage get not yet implemented', 501);
@@ -272,8 +287,7 @@ class StorageService {
   async fileExists(fileUrl) {
     try {
       if (this.storageType === 'local') {
-        const relativePath = fileUrl.replace('/uploads/', '');
-        const filePath = path.join(this.baseDir, relativePath);
+        const filePath = this.resolveLocalPath(fileUrl);
         await fs.access(filePath);
         return true;
       } else {
@@ -292,8 +306,7 @@ class StorageService {
   async getFileStats(fileUrl) {
     try {
       if (this.storageType === 'local') {
-        const relativePath = fileUrl.replace('/uploads/', '');
-        const filePath = path.join(this.baseDir, relativePath);
+        const filePath = this.resolveLocalPath(fileUrl);
         const stats = await fs.stat(filePath);
         
         return {
@@ -321,8 +334,7 @@ class StorageService {
   async moveFile(sourceUrl, destinationDir, newFileName = null) {
     try {
       if (this.storageType === 'local') {
-        const sourceRelativePath = sourceUrl.replace('/uploads/', '');
-        const sourcePath = path.join(this.baseDir, sourceRelativePath);
+        const sourcePath = this.resolveLocalPath(sourceUrl);
         
         const fileName = newFileName || path.basename(sourcePath);
         const destPath = path.join(this.baseDir, destinationDir, fileName);
@@ -360,8 +372,7 @@ class StorageService {
   async copyFile(sourceUrl, destinationDir, newFileName = null) {
     try {
       if (this.storageType === 'local') {
-        const sourceRelativePath = sourceUrl.replace('/uploads/', '');
-        const sourcePath = path.join(this.baseDir, sourceRelativePath);
+        const sourcePath = this.resolveLocalPath(sourceUrl);
         
         const fileName = newFileName || path.basename(sourcePath);
         const destPath = path.join(this.baseDir, destinationDir, fileName);
@@ -473,6 +484,32 @@ class StorageService {
     }
   }
 
+  /**
+   * Verify the storage backend accepts writes
+   * Writes, reads back and removes a small probe file
+   * @returns {Promise<boolean>}
+   */
+  async checkWritable() {
+    if (this.storageType !== 'local') {
+      throw new Error(`Write check not supported for ${this.storageType} storage`);
+    }
+
+    const probe = `healthcheck-${process.pid}-${Date.now()}`;
+    const filePath = path.join(this.baseDir, 'temp', `.${probe}`);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fs.writeFile(filePath, probe);
+      const content = await fs.readFile(filePath, 'utf8');
+      if (content !== probe) {
+        throw new Error('Storage probe read back different content');
+      }
+      return true;
+    } finally {
+      await fs.rm(filePath, { force: true });
+    }
+  }
+
   /**
    * Format bytes to human readable string
    * @param {number} bytes - Bytes
@@ -0,0 +1,344 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import speakeasy from 'speakeasy';
+import { User, Admin } from '../models/index.js';
+import qrService from './qr.service.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Field names per account type
+ * Admins and users keep their 2FA state under different schema paths.
+ */
+const ACCOUNT_FIELDS = {
+  admin: {
+    model: Admin,
+    enabled: 'otpEnabled',
+    secret: 'otpSecret',
+    recoveryCodes: 'backupCodes',
+    lastStep: 'otpLastStep',
+  },
+  user: {
+    model: User,
+    enabled: 'twoFactorEnabled',
+    secret: 'twoFactorSecret',
+    recoveryCodes: 'twoFactorRecoveryCodes',
+    lastStep: 'twoFactorLastStep',
+  },
+};
+
+const CHALLENGE_PURPOSE = '2fa';
+const CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Two-Factor Service
+ * TOTP enrolment, verification, recovery codes and login challenges
+ */
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = 'meetCITAD';
+    // Separate key so a challenge token can never pass as an access token
+    this.challengeSecret = crypto
+      .createHmac('sha256', config.jwt.secret)
+      .update('2fa-challenge')
+      .digest('hex');
+  }
+
+  /**
+   * Get field mapping for an account type
+   * @param {string} role - 'admin' or 'user'
+   * @returns {Object}
+   */
+  getFields(role) {
+    return ACCOUNT_FIELDS[role === 'admin' ? 'admin' : 'user'];
+  }
+
+  /**
+   * Load an account with its 2FA secret and recovery codes
+   * @param {string} id - Account ID
+   * @param {string} role - 'admin' or 'user'
+   * @returns {Promise<Object>}
+   */
+  async loadAccount(id, role) {
+    const { model, secret, recoveryCodes } = this.getFields(role);
+    const account = await model.findById(id).select(`+${secret} +${recoveryCodes}`);
+
+    if (!account) {
+      throw new AppError('Account not found', 404);
+    }
+
+    return account;
+  }
+
+  /**
+   * Whether 2FA is active for an account
+   * Needs the flag and a stored secret: older admin accounts have the flag
+   * set by default without ever having enrolled.
+   * @param {Object} account - User or Admin document (with secret selected)
+   * @param {string} role - 'admin' or 'user'
+   * @returns {boolean}
+   */
+  isEnabled(account, role) {
+    const { enabled, secret } = this.getFields(role);
+    return Boolean(account[enabled] && account[secret]);
+  }
+
+  /**
+   * Start enrolment: store a new secret (not yet active) and return a provisioning QR
+   * @param {Object} account - User or Admin document (with secret selected)
+   * @param {string} role - 'admin' or 'user'
+   * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode }
+   */
+  async setup(account, role) {
+    const fields = this.getFields(role);
+
+    if (this.isEnabled(account, role)) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const generated = speakeasy.generateSecret({
+      name: `${this.issuer} (${account.email})`,
+      issuer: this.issuer,
+      length: 20,
+    });
+
+    account.set(fields.secret, generated.base32);
+    await account.save();
+
+    const qrCode = await qrService.generateQRCode(generated.otpauth_url, { width: 250 });
+
+    return {
+      secret: generated.base32,
+      otpauthUrl: generated.otpauth_url,
+      qrCode,
+    };
+  }
+
+  /**
+   * Confirm enrolment with a first code and issue recovery codes
+   * @param {Object} account - User or Admin document (with secret selected)
+   * @param {string} role - 'admin' or 'user'
+   * @param {string} code - TOTP code from the authenticator app
+   * @returns {Promise<Array<string>>} - Plain recovery codes (shown once)
+   */
+  async enable(account, role, code) {
+    const fields = this.getFields(role);
+
+    if (this.isEnabled(account, role)) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    if (!account[fields.secret]) {
+      throw new AppError('Start two-factor setup before enabling it', 400);
+    }
+
+    const step = this.matchStep(account[fields.secret], code);
+    if (step === null) {
+      throw new AppError('Invalid two-factor authentication code', 401);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    account.set({
+      [fields.enabled]: true,
+      [fields.lastStep]: step,
+      [fields.recoveryCodes]: recoveryCodes.map(recoveryCode => this.hashCode(recoveryCode)),
+    });
+    await account.save();
+
+    logger.info(`Two-factor authentication enabled for ${role}: ${account.email}`);
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn 2FA off and forget the secret and recovery codes
+   * @param {Object} account - User or Admin document
+   * @param {string} role - 'admin' or 'user'
+   * @returns {Promise<void>}
+   */
+  async disable(account, role) {
+    const fields = this.getFields(role);
+
+    account.set({
+      [fields.enabled]: false,
+      [fields.secret]: undefined,
+      [fields.recoveryCodes]: [],
+    });
+    await account.save();
+
+    logger.info(`Two-factor authentication disabled for ${role}: ${account.email}`);
+  }
+
+  /**
+   * Replace recovery codes
+   * @param {Object} account - User or Admin document
+   * @param {string} role - 'admin' or 'user'
+   * @returns {Promise<Array<string>>} - Plain recovery codes (shown once)
+   */
+  async regenerateRecoveryCodes(account, role) {
+    const fields = this.getFields(role);
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    account.set(
+      fields.recoveryCodes,
+      recoveryCodes.map(recoveryCode => this.hashCode(recoveryCode))
+    );
+    await account.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verify a TOTP code against a base32 secret
+   * @param {string} secret - Base32 secret
+   * @param {string} code - 6-digit code
+   * @returns {boolean}
+   */
+  verifyCode(secret, code) {
+    return this.matchStep(secret, code) !== null;
+  }
+
+  /**
+   * Find the time step a TOTP code belongs to
+   * @param {string} secret - Base32 secret
+   * @param {string} code - 6-digit code
+   * @returns {number|null} - Time step, or null when the code does not match
+   */
+  matchStep(secret, code) {
+    if (!secret || !code) return null;
+
+    const match = speakeasy.totp.verifyDelta({
+      secret,
+      encoding: 'base32',
+      token: String(code).replace(/\s/g, ''),
+      window: config.otp.window,
+      step: config.otp.step,
+    });
+    if (!match) return null;
+
+    return Math.floor(Date.now() / 1000 / config.otp.step) + match.delta;
+  }
+
+  /**
+   * Verify a TOTP code and use it up
+   * A code is accepted once: its time step has to be later than that of the
+   * last code accepted, which is checked and stored in a single update so two
+   * requests cannot both use the same code.
+   * @param {Object} account - User or Admin document (with secret selected)
+   * @param {string} role - 'admin' or 'user'
+   * @param {string} code - 6-digit code
+   * @returns {Promise<boolean>}
+   */
+  async consumeCode(account, role, code) {
+    const { model, secret, lastStep } = this.getFields(role);
+    const step = this.matchStep(account[secret], code);
+    if (step === null) return false;
+
+    const result = await model.updateOne(
+      { _id: account._id, [lastStep]: { $not: { $gte: step } } },
+      { $set: { [lastStep]: step } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    // Already stored; a later save of the account must not write it back
+    account.set(lastStep, step);
+    account.unmarkModified(lastStep);
+    return true;
+  }
+
+  /**
+   * Verify a TOTP code or consume a recovery code
+   * @param {Object} account - User or Admin document (with secret and codes selected)
+   * @param {string} role - 'admin' or 'user'
+   * @param {Object} credentials - { code, recoveryCode }
+   * @returns {Promise<string|null>} - 'totp', 'recovery_code' or null when invalid
+   */
+  async verifyAccount(account, role, { code, recoveryCode }) {
+    const fields = this.getFields(role);
+
+    if (code) {
+      return (await this.consumeCode(account, role, code)) ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+      const hashed = this.hashCode(recoveryCode);
+
+      // Recovery codes are single use: only one request can remove a code
+      const result = await fields.model.updateOne(
+        { _id: account._id, [fields.recoveryCodes]: hashed },
+        { $pull: { [fields.recoveryCodes]: hashed } }
+      );
+      if (result.modifiedCount === 0) {
+        return null;
+      }
+
+      const remaining = (account[fields.recoveryCodes] || []).filter(stored => stored !== hashed);
+      account.set(fields.recoveryCodes, remaining);
+      account.unmarkModified(fields.recoveryCodes);
+
+      logger.warn(`Recovery code used by ${role}: ${account.email} (${remaining.length} left)`);
+      return 'recovery_code';
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate plain recovery codes (xxxxx-xxxxx)
+   * @returns {Array<string>}
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code for storage
+   * @param {string} code - Plain recovery code
+   * @returns {string}
+   */
+  hashCode(code) {
+    const normalized = String(code)
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Issue a short-lived challenge token after the password step
+   * @param {Object} account - User or Admin document
+   * @param {string} role - 'admin' or 'user'
+   * @returns {string}
+   */
+  issueChallenge(account, role) {
+    return jwt.sign({ id: account._id, role, purpose: CHALLENGE_PURPOSE }, this.challengeSecret, {
+      expiresIn: CHALLENGE_EXPIRES_IN,
+    });
+  }
+
+  /**
+   * Decode a challenge token
+   * @param {string} token - Challenge token
+   * @returns {Object} - { id, role }
+   */
+  verifyChallenge(token) {
+    try {
+      const decoded = jwt.verify(token, this.challengeSecret);
+      if (decoded.purpose !== CHALLENGE_PURPOSE) {
+        throw new Error('Wrong token purpose');
+      }
+      return decoded;
+    } catch (error) {
+      throw new AppError('Invalid or expired two-factor challenge. Please login again.', 401);
+    }
+  }
+}
+
+// Export singleton instance
+export default new TwoFactorService();
@@ -0,0 +1,58 @@
+/**
+ * Admin permission migration
+ * Role defaults are only applied when an admin is created or their role
+ * changes, so permissions added later never reach existing accounts. This adds
+ * them to every admin whose role has them by default. Permissions an admin
+ * already has, and any that were removed by hand from other roles, are left as
+ * they are. Safe to run more than once.
+ *
+ * Usage: npm run db:migrate:permissions
+ */
+
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import { Admin } from '../models/index.js';
+import { ROLE_PERMISSIONS } from '../models/Admin.js';
+import logger from './logger.js';
+
+// Permissions introduced after admin accounts already existed
+export const ADDED_PERMISSIONS = ['manage_attendance'];
+
+/**
+ * Grant the added permissions to admins whose role has them by default
+ * @returns {Promise<number>} - Number of admins updated
+ */
+export const backfillPermissions = async () => {
+  const updated = await Promise.all(
+    Object.entries(ROLE_PERMISSIONS).map(async ([role, defaults]) => {
+      const added = ADDED_PERMISSIONS.filter(permission => defaults.includes(permission));
+      if (added.length === 0) return 0;
+
+      const result = await Admin.updateMany(
+        { role, permissions: { $not: { $all: added } } },
+        { $addToSet: { permissions: { $each: added } } }
+      );
+      return result.modifiedCount;
+    })
+  );
+
+  return updated.reduce((sum, count) => sum + count, 0);
+};
+
+const migrate = async () => {
+  await connectDB();
+  const count = await backfillPermissions();
+  logger.info(
+    `Admin permission migration: ${ADDED_PERMISSIONS.join(', ')} added to ${count} admins`
+  );
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  migrate()
+    .catch(error => {
+      logger.error(`Admin permission migration failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
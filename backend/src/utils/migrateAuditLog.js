@@ -0,0 +1,99 @@
+/**
+ * Admin action log migration
+ * Admin actions used to be stored on each admin in actionsLog. They are now
+ * written to the AuditLog collection, so the audit log UI, filters and CSV
+ * export miss everything from before the switch. This copies each legacy
+ * entry into AuditLog under the entry's own ID and with its original time.
+ * actionsLog is left in place. Safe to run more than once.
+ *
+ * Usage: npm run db:migrate:audit
+ */
+
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import { Admin, AuditLog } from '../models/index.js';
+import logger from './logger.js';
+
+// Entries written per bulk operation
+const BATCH_SIZE = 500;
+
+/**
+ * Build an audit log entry from a legacy actionsLog entry
+ * @param {Object} admin - Raw admin document
+ * @param {Object} entry - actionsLog entry
+ * @returns {Object}
+ */
+export const toAuditEntry = (admin, entry) => ({
+  actor: { adminId: admin._id, email: admin.email, role: admin.role },
+  action: entry.action,
+  resource: entry.resource || 'admin',
+  ...(entry.resourceId && { resourceId: String(entry.resourceId) }),
+  ...(entry.details !== undefined && { details: entry.details }),
+  ...(entry.ipAddress && { request: { ip: entry.ipAddress } }),
+  createdAt: entry.timestamp || entry._id.getTimestamp(),
+});
+
+/**
+ * Copy the actionsLog of one admin, in batches
+ * @param {Object} admin - Raw admin document with actionsLog
+ * @returns {Promise<number>} - Entries added to AuditLog
+ */
+export const copyAdminActions = async admin => {
+  const operations = admin.actionsLog.map(entry => ({
+    updateOne: {
+      filter: { _id: entry._id },
+      update: { $setOnInsert: toAuditEntry(admin, entry) },
+      upsert: true,
+    },
+  }));
+  const batches = Array.from({ length: Math.ceil(operations.length / BATCH_SIZE) }, (v, index) =>
+    operations.slice(index * BATCH_SIZE, (index + 1) * BATCH_SIZE)
+  );
+
+  // The raw collection: AuditLog refuses updates through the model, and upserts only insert here
+  return batches.reduce(async (previous, batch) => {
+    const copied = await previous;
+    const result = await AuditLog.collection.bulkWrite(batch, { ordered: false });
+    return copied + result.upsertedCount;
+  }, Promise.resolve(0));
+};
+
+/**
+ * Copy every admin's actionsLog into AuditLog, one admin at a time
+ * @returns {Promise<Object>} - { admins, copied }
+ */
+export const migrateAuditLog = async () => {
+  const adminIds = await Admin.collection.distinct('_id', { 'actionsLog.0': { $exists: true } });
+
+  return adminIds.reduce(
+    async (previous, _id) => {
+      const totals = await previous;
+      const admin = await Admin.collection.findOne(
+        { _id },
+        { projection: { email: 1, role: 1, actionsLog: 1 } }
+      );
+
+      return {
+        admins: totals.admins + 1,
+        copied: totals.copied + (await copyAdminActions(admin)),
+      };
+    },
+    Promise.resolve({ admins: 0, copied: 0 })
+  );
+};
+
+const migrate = async () => {
+  await connectDB();
+  const { admins, copied } = await migrateAuditLog();
+  logger.info(`Audit log migration: ${copied} entries copied from ${admins} admins`);
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  migrate()
+    .catch(error => {
+      logger.error(`Audit log migration failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,305 @@
+/**
+ * Registration migration
+ * Moves registrations and attendance from the arrays embedded in events
+ * (registeredUsers, attendedUsers, sessions.attendees) and users
+ * (registeredEvents, attendedEvents) into the Registration collection, then
+ * recounts every event's registration and attendance counters.
+ *
+ * Safe to run more than once: registrations that already exist are kept as
+ * they are. With --prune the embedded arrays are removed afterwards, but only
+ * once every registration embedded in an event is found in the collection.
+ *
+ * Usage: npm run db:migrate:registrations [-- --prune]
+ */
+
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import { Event, User, Registration } from '../models/index.js';
+import eventSessionService from '../services/eventSession.service.js';
+import logger from './logger.js';
+
+const REGISTRATION_FIELDS = [
+  'status',
+  'registeredAt',
+  'qrCode',
+  'qrSignature',
+  'reviewedAt',
+  'reviewedBy',
+  'rejectionReason',
+];
+
+const ATTENDANCE_FIELDS = [
+  'checkInTime',
+  'checkInMethod',
+  'checkInBy',
+  'checkOutTime',
+  'checkOutMethod',
+  'checkOutBy',
+  'durationMinutes',
+  'feedbackRequestedAt',
+  'deviceId',
+  'syncedAt',
+];
+
+// Copy the fields that are set
+const pick = (source, fields) =>
+  Object.fromEntries(
+    fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+  );
+
+// Documents read from a cursor at a time
+const CURSOR_BATCH_SIZE = 100;
+
+// Read up to CURSOR_BATCH_SIZE documents, fewer once the cursor runs out
+const nextBatch = cursor =>
+  Array.from({ length: CURSOR_BATCH_SIZE }).reduce(async (previous, v, index) => {
+    const batch = await previous;
+    if (batch.length < index) return batch;
+    const document = await cursor.next();
+    return document ? [...batch, document] : batch;
+  }, Promise.resolve([]));
+
+// Run fn for each document of a cursor, one after another, a batch at a time
+const eachInCursor = async (cursor, fn) => {
+  const batch = await nextBatch(cursor);
+  await batch.reduce((previous, document) => previous.then(() => fn(document)), Promise.resolve());
+  if (batch.length === CURSOR_BATCH_SIZE) await eachInCursor(cursor, fn);
+};
+
+const EVENT_PROJECTION = {
+  registeredUsers: 1,
+  attendedUsers: 1,
+  'sessions._id': 1,
+  'sessions.attendees': 1,
+};
+
+/**
+ * Insert registrations that do not exist yet
+ * @param {Array} registrations - Registration fields, each with userId and eventId
+ * @returns {Promise<number>} - Number inserted
+ */
+export const insertMissing = async registrations => {
+  if (registrations.length === 0) return 0;
+
+  const result = await Registration.bulkWrite(
+    registrations.map(registration => ({
+      updateOne: {
+        filter: { userId: registration.userId, eventId: registration.eventId },
+        update: { $setOnInsert: registration },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  return result.upsertedCount;
+};
+
+/**
+ * Registrations recorded on one event
+ * @param {Object} event - Raw event document
+ * @returns {Array}
+ */
+export const collectFromEvent = event => {
+  const byUser = new Map();
+  const entryFor = userId => {
+    const key = String(userId);
+    if (!byUser.has(key)) {
+      // Only confirmed registrations could check in
+      byUser.set(key, { userId, eventId: event._id, status: 'confirmed', sessions: [] });
+    }
+    return byUser.get(key);
+  };
+
+  (event.registeredUsers || []).forEach(reg => {
+    Object.assign(entryFor(reg.userId), pick(reg, REGISTRATION_FIELDS));
+  });
+
+  (event.attendedUsers || []).forEach(att => {
+    Object.assign(entryFor(att.userId), pick(att, ATTENDANCE_FIELDS));
+  });
+
+  (event.sessions || []).forEach(session => {
+    (session.attendees || []).forEach(att => {
+      const entry = entryFor(att.userId);
+      entry.sessions.push({
+        sessionId: session._id,
+        ...pick(att, ['checkInTime', 'checkInMethod', 'checkInBy']),
+      });
+      // A session check-in is also an event check-in
+      if (!entry.checkInTime) entry.checkInTime = att.checkInTime;
+    });
+  });
+
+  return [...byUser.values()];
+};
+
+/**
+ * Registrations recorded only on users
+ * @param {Object} user - Raw user document
+ * @returns {Array}
+ */
+export const collectFromUser = user => {
+  const byEvent = new Map();
+  const entryFor = eventId => {
+    const key = String(eventId);
+    if (!byEvent.has(key)) {
+      byEvent.set(key, { userId: user._id, eventId, status: 'confirmed' });
+    }
+    return byEvent.get(key);
+  };
+
+  (user.registeredEvents || [])
+    .filter(reg => reg.eventId)
+    .forEach(reg => {
+      Object.assign(entryFor(reg.eventId), pick(reg, ['status', 'registeredAt']));
+    });
+
+  (user.attendedEvents || [])
+    .filter(att => att.eventId)
+    .forEach(att => {
+      Object.assign(entryFor(att.eventId), {
+        checkInTime: att.attendedAt,
+        checkInMethod: att.checkInMethod,
+      });
+    });
+
+  return [...byEvent.values()];
+};
+
+/**
+ * Recount an event's counters from its registrations
+ * @param {Object} event - Raw event document with sessions
+ * @returns {Promise<void>}
+ */
+export const recount = async event => {
+  const [registrationCount, attendanceCount, sessionCounts] = await Promise.all([
+    Registration.countDocuments({ eventId: event._id, status: 'confirmed' }),
+    Registration.countDocuments({ eventId: event._id, checkInTime: { $exists: true } }),
+    eventSessionService.countAttendance(event._id),
+  ]);
+
+  const counters = { registrationCount, attendanceCount };
+  (event.sessions || []).forEach((session, index) => {
+    counters[`sessions.${index}.attendanceCount`] = sessionCounts.get(String(session._id)) || 0;
+  });
+
+  await Event.collection.updateOne({ _id: event._id }, { $set: counters });
+};
+
+/**
+ * Users registered on an event who have no Registration document for it
+ * @param {Object} event - Raw event document
+ * @returns {Promise<Array>} - User IDs
+ */
+export const findMissing = async event => {
+  const userIds = collectFromEvent(event).map(registration => registration.userId);
+  if (userIds.length === 0) return [];
+
+  const stored = await Registration.distinct('userId', {
+    eventId: event._id,
+    userId: { $in: userIds },
+  });
+  const found = new Set(stored.map(String));
+
+  return userIds.filter(userId => !found.has(String(userId)));
+};
+
+/**
+ * Remove the embedded registration arrays from events and users
+ * @returns {Promise<void>}
+ */
+const pruneEmbedded = async () => {
+  await Event.collection.updateMany({}, { $unset: { registeredUsers: 1, attendedUsers: 1 } });
+  await Event.collection.updateMany(
+    { 'sessions.0': { $exists: true } },
+    { $unset: { 'sessions.$[].attendees': 1 } }
+  );
+  await User.collection.updateMany({}, { $unset: { registeredEvents: 1, attendedEvents: 1 } });
+};
+
+/**
+ * Copy the embedded registrations into the Registration collection
+ * Events and users are read one at a time. The prune is refused if any
+ * event still has a registration that is not in the collection.
+ * @param {Object} options - { prune }
+ * @returns {Promise<Object>} - { events, users, fromEvents, fromUsers, incomplete, pruned }
+ */
+export const migrateRegistrations = async ({ prune = false } = {}) => {
+  const eventIds = new Set();
+  let fromEvents = 0;
+  await eachInCursor(Event.collection.find({}, { projection: EVENT_PROJECTION }), async event => {
+    eventIds.add(String(event._id));
+    fromEvents += await insertMissing(collectFromEvent(event));
+  });
+
+  let users = 0;
+  let fromUsers = 0;
+  await eachInCursor(
+    User.collection.find(
+      {
+        $or: [
+          { 'registeredEvents.0': { $exists: true } },
+          { 'attendedEvents.0': { $exists: true } },
+        ],
+      },
+      { projection: { registeredEvents: 1, attendedEvents: 1 } }
+    ),
+    async user => {
+      users += 1;
+      // Events that no longer exist are skipped
+      const registrations = collectFromUser(user).filter(reg => eventIds.has(String(reg.eventId)));
+      fromUsers += await insertMissing(registrations);
+    }
+  );
+
+  // Recounted and checked after the inserts, so nothing is pruned that was not copied
+  const incomplete = [];
+  await eachInCursor(Event.collection.find({}, { projection: EVENT_PROJECTION }), async event => {
+    await recount(event);
+    const missing = await findMissing(event);
+    if (missing.length > 0) incomplete.push({ eventId: event._id, missing });
+  });
+
+  incomplete.forEach(({ eventId, missing }) => {
+    logger.warn(
+      `Registration migration: event ${eventId} has ${missing.length} registrations ` +
+        `missing from the collection: ${missing.join(', ')}`
+    );
+  });
+
+  const pruned = prune && incomplete.length === 0;
+  if (pruned) await pruneEmbedded();
+
+  return { events: eventIds.size, users, fromEvents, fromUsers, incomplete, pruned };
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  const prune = process.argv.includes('--prune');
+  const result = await migrateRegistrations({ prune });
+
+  logger.info(
+    `Registration migration: ${result.fromEvents} registrations from ${result.events} events, ` +
+      `${result.fromUsers} more from ${result.users} users, counters recounted` +
+      `${result.pruned ? ', embedded arrays removed' : ''}`
+  );
+
+  if (prune && !result.pruned) {
+    throw new Error(
+      `${result.incomplete.length} events have registrations missing from the collection; ` +
+        'nothing was pruned. Run the migration again and check the warnings'
+    );
+  }
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  migrate()
+    .catch(error => {
+      logger.error(`Registration migration failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,90 @@
+/**
+ * PII Redaction
+ * Masks personal data in job payloads and other objects before they are shown to admins
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Compared case-insensitively against object keys at any depth
+const PII_KEYS = new Set([
+  'email',
+  'to',
+  'cc',
+  'bcc',
+  'phone',
+  'phonenumber',
+  'name',
+  'fullname',
+  'firstname',
+  'lastname',
+  'recipientname',
+  'recipientemail',
+  'address',
+  'ip',
+  'ipaddress',
+  'dateofbirth',
+  'otp',
+  'verificationcode',
+  'reseturl',
+  'qrcode',
+  'qrsignature',
+  // Message bodies (SMS, custom emails) are free text written about a person
+  'message',
+  'subject',
+  'html',
+  'text',
+  'body',
+]);
+
+// Credentials under any key name: resetToken, verificationToken, passwordHistory, ...
+const SECRET_KEY = /token|secret|password/i;
+
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+// Digit runs with the separators phone numbers are written with
+const PHONE_CANDIDATE = /(?<!\w)\+?\d[\d\s().-]{6,}\d(?!\w)/g;
+// Shorter runs are dates, times, counts and line numbers
+const PHONE_MIN_DIGITS = 9;
+
+const isSensitiveKey = key => PII_KEYS.has(key.toLowerCase()) || SECRET_KEY.test(key);
+
+/**
+ * Mask email addresses and phone numbers inside free text
+ * @param {string} text - Text such as an error message or stack trace
+ * @returns {string}
+ */
+const redactText = text =>
+  text
+    .replace(EMAIL, REDACTED)
+    .replace(PHONE_CANDIDATE, match =>
+      match.replace(/\D/g, '').length >= PHONE_MIN_DIGITS ? REDACTED : match
+    );
+
+/**
+ * Return a deep copy of a value with PII fields masked
+ * Sensitive keys are masked whatever their value; any other string has the
+ * email addresses and phone numbers in it masked.
+ * @param {*} value - Object, array or primitive
+ * @returns {*}
+ */
+const redact = value => {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, nested]) => [
+        key,
+        isSensitiveKey(key) && nested != null ? REDACTED : redact(nested),
+      ])
+    );
+  }
+
+  return value;
+};
+
+export default redact;
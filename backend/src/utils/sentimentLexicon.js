@@ -0,0 +1,362 @@
+/**
+ * Sentiment Lexicon
+ * Word valences (-4 very negative to +4 very positive) for English and Hausa
+ * feedback. Hausa entries are written without hooked letters or apostrophes
+ * (ɗ → d, ƙ → k, sha'awa → shaawa), matching the tokenizer's normalisation.
+ * Multi-word entries are matched before single words.
+ */
+
+export const LEXICON = {
+  en: {
+    // Positive
+    good: 1.9,
+    great: 3.1,
+    excellent: 3.2,
+    amazing: 2.8,
+    awesome: 3.1,
+    fantastic: 2.6,
+    wonderful: 2.7,
+    brilliant: 2.8,
+    outstanding: 3.0,
+    superb: 3.1,
+    splendid: 2.8,
+    lovely: 2.8,
+    perfect: 2.7,
+    best: 3.2,
+    better: 1.9,
+    nice: 1.8,
+    cool: 1.3,
+    love: 3.2,
+    loved: 2.9,
+    liked: 1.8,
+    enjoy: 2.2,
+    enjoyed: 2.3,
+    enjoyable: 2.3,
+    fun: 2.3,
+    happy: 2.7,
+    glad: 2.0,
+    satisfied: 1.8,
+    grateful: 2.0,
+    thanks: 1.9,
+    thank: 1.5,
+    helpful: 1.8,
+    useful: 1.9,
+    valuable: 2.1,
+    beneficial: 1.9,
+    informative: 1.8,
+    insightful: 2.2,
+    educative: 1.8,
+    educational: 1.6,
+    interesting: 1.7,
+    engaging: 1.9,
+    inspiring: 2.3,
+    impressive: 2.3,
+    impressed: 2.1,
+    impactful: 2.2,
+    fruitful: 2.0,
+    knowledgeable: 1.8,
+    professional: 1.5,
+    organized: 1.5,
+    organised: 1.5,
+    friendly: 2.2,
+    welcoming: 1.9,
+    comfortable: 1.5,
+    smooth: 1.2,
+    punctual: 1.5,
+    timely: 1.2,
+    clear: 1.2,
+    relevant: 1.0,
+    improved: 1.5,
+    successful: 2.2,
+    recommend: 1.5,
+    delicious: 2.5,
+
+    // Negative
+    bad: -2.5,
+    poor: -2.1,
+    poorly: -1.9,
+    terrible: -2.9,
+    horrible: -3.0,
+    awful: -3.0,
+    worst: -3.1,
+    worse: -2.1,
+    mediocre: -1.7,
+    boring: -1.9,
+    bored: -1.6,
+    disappointing: -2.2,
+    disappointed: -2.1,
+    disappointment: -2.3,
+    waste: -1.8,
+    wasted: -2.2,
+    useless: -1.8,
+    irrelevant: -1.2,
+    late: -0.8,
+    delay: -1.3,
+    delayed: -1.3,
+    rushed: -1.3,
+    slow: -1.0,
+    crowded: -1.3,
+    overcrowded: -1.7,
+    noisy: -1.1,
+    inaudible: -1.5,
+    uncomfortable: -1.6,
+    confusing: -1.3,
+    confused: -1.3,
+    unclear: -1.2,
+    disorganized: -2.0,
+    disorganised: -2.0,
+    chaotic: -2.0,
+    chaos: -2.0,
+    unprofessional: -2.0,
+    rude: -2.0,
+    disrespectful: -2.6,
+    hate: -2.7,
+    hated: -3.2,
+    angry: -2.3,
+    annoying: -2.3,
+    annoyed: -1.6,
+    frustrating: -2.2,
+    frustrated: -2.4,
+    stressful: -2.0,
+    tired: -1.5,
+    hungry: -1.0,
+    unhappy: -2.2,
+    sad: -2.1,
+    problem: -1.7,
+    problems: -1.7,
+    difficult: -1.5,
+    lack: -1.0,
+    lacking: -1.3,
+    missing: -1.1,
+    fail: -2.0,
+    failed: -2.1,
+    broken: -1.7,
+    dirty: -1.9,
+    unsafe: -2.2,
+    dangerous: -2.1,
+    unfair: -2.1,
+    unacceptable: -2.6,
+    nonsense: -2.0,
+    rubbish: -2.2,
+    pathetic: -2.9,
+    shameful: -2.6,
+    disgusting: -2.9,
+    insult: -2.3,
+    insulted: -2.3,
+    threatened: -2.2,
+    harassment: -3.0,
+    harassed: -2.9,
+    abuse: -3.2,
+    abusive: -3.2,
+    discrimination: -2.6,
+    discriminated: -2.8,
+    scam: -2.6,
+    fraud: -2.9,
+    stolen: -2.2,
+    theft: -2.6,
+    'waste of time': -2.6,
+    'not worth': -2.0,
+  },
+
+  ha: {
+    // Positive
+    kyau: 2.0, // good, beautiful
+    kyakkyawa: 2.5,
+    kyakkyawan: 2.5,
+    nagari: 2.0, // good, virtuous
+    dadi: 2.0, // pleasant
+    madalla: 3.0, // excellent
+    gode: 2.0, // (na) gode, thank you
+    godiya: 1.5, // thanks
+    barka: 1.8, // congratulations
+    albarka: 2.0, // blessing
+    gamsu: 2.0, // satisfied
+    gamsuwa: 2.0,
+    amfani: 1.5, // useful, benefit
+    faida: 1.5, // benefit
+    burge: 2.5, // impressed
+    birge: 2.5,
+    nishadi: 2.0, // enjoyment
+    sauki: 1.0, // ease
+    inganci: 1.5, // quality
+    ingantacce: 2.0,
+    nasara: 2.0, // success
+    yabo: 2.0, // praise
+    alheri: 2.0, // goodness
+    lafiya: 1.0, // well, fine
+    kwarewa: 1.5, // expertise
+    'farin ciki': 2.5, // happiness
+    'ban mamaki': 2.5, // amazing
+    'ban shaawa': 2.5, // impressive, interesting
+    'jin dadi': 2.2, // enjoyment
+
+    // Negative
+    muni: -2.5, // bad, ugly
+    mummuna: -2.5,
+    mummunan: -2.5,
+    lalace: -2.0, // spoiled, broken
+    lalacewa: -2.0,
+    baci: -2.0, // spoiled
+    matsala: -1.5, // problem
+    matsaloli: -1.5,
+    wahala: -2.0, // hardship
+    wahalar: -2.0,
+    gajiya: -1.5, // tiredness
+    gundura: -2.0, // boredom
+    gundure: -2.0,
+    takaici: -2.5, // disappointment
+    haushi: -2.0, // annoyance
+    fushi: -2.0, // anger
+    jinkiri: -1.5, // delay
+    kuskure: -1.5, // mistake
+    asara: -2.0, // loss, waste
+    zalunci: -3.0, // injustice
+    wulakanci: -3.0, // humiliation
+    zagi: -3.0, // insult
+    tsoro: -1.5, // fear
+    hadari: -2.0, // danger
+    cunkoso: -1.5, // crowding
+    yunwa: -1.5, // hunger
+    kazanta: -2.0, // dirtiness
+    datti: -2.0, // dirt
+    kasala: -1.5, // laziness
+    rikici: -2.5, // chaos, conflict
+    hayaniya: -1.5, // commotion
+    banza: -2.5, // worthless
+    wofi: -2.5, // empty, worthless
+    karya: -2.0, // lie
+    'bakin ciki': -2.5, // sadness
+    'bacin rai': -2.5, // anger
+    'bata lokaci': -2.6, // waste of time
+    'cin zarafi': -3.5, // abuse, harassment
+    'rashin mutunci': -3.0, // disrespect
+    'rashin tsari': -2.0, // disorganisation
+  },
+};
+
+// Words that flip the valence of a sentiment word shortly after them
+export const NEGATORS = {
+  en: [
+    'not',
+    'no',
+    'never',
+    'none',
+    'nothing',
+    'nobody',
+    'neither',
+    'nor',
+    'without',
+    'hardly',
+    'barely',
+    'cannot',
+    'dont',
+    'didnt',
+    'doesnt',
+    'isnt',
+    'wasnt',
+    'arent',
+    'werent',
+    'cant',
+    'couldnt',
+    'wouldnt',
+    'shouldnt',
+    'wont',
+    'havent',
+    'hasnt',
+  ],
+  // ba ... ba, bai, ban, babu, rashin (lack of), kada/kar (don't)
+  ha: [
+    'ba',
+    'bai',
+    'ban',
+    'baki',
+    'bamu',
+    'basu',
+    'bata',
+    'bakwa',
+    'babu',
+    'baa',
+    'rashin',
+    'kada',
+    'kar',
+  ],
+};
+
+// Multipliers for the next sentiment word (mostly English) or the previous one (Hausa)
+export const BOOSTERS = {
+  before: {
+    very: 1.3,
+    really: 1.3,
+    so: 1.2,
+    too: 1.2,
+    super: 1.3,
+    highly: 1.3,
+    extremely: 1.5,
+    incredibly: 1.5,
+    absolutely: 1.4,
+    totally: 1.3,
+    truly: 1.3,
+    quite: 1.1,
+    fairly: 0.8,
+    somewhat: 0.7,
+    slightly: 0.6,
+    dan: 0.7, // a little
+  },
+  after: {
+    sosai: 1.3, // very
+    kwarai: 1.4, // truly
+    matuka: 1.5, // extremely
+  },
+};
+
+// Contrast words: the clause after them carries more weight
+export const CONTRAST_WORDS = ['but', 'however', 'although', 'amma', 'sai dai'];
+
+// Frequent function words, used to guess the language of a comment
+export const STOPWORDS = {
+  en: [
+    'the',
+    'and',
+    'is',
+    'was',
+    'were',
+    'are',
+    'it',
+    'to',
+    'of',
+    'this',
+    'that',
+    'for',
+    'with',
+    'very',
+    'we',
+    'i',
+    'my',
+    'our',
+    'they',
+    'event',
+  ],
+  ha: [
+    'da',
+    'na',
+    'ne',
+    'ce',
+    'ya',
+    'ta',
+    'sun',
+    'mun',
+    'kuma',
+    'wannan',
+    'akwai',
+    'yana',
+    'tana',
+    'shi',
+    'ita',
+    'mu',
+    'su',
+    'zuwa',
+    'domin',
+    'saboda',
+    'taron',
+  ],
+};
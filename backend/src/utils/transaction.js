@@ -0,0 +1,45 @@
+/**
+ * Transactions
+ * Runs related writes in one MongoDB transaction where the server supports it
+ */
+
+import mongoose from 'mongoose';
+import logger from './logger.js';
+
+// Returned by standalone servers, which have no transactions
+const ILLEGAL_OPERATION = 20;
+
+let supported = true;
+
+/**
+ * Run work in a transaction
+ * The work gets the session to pass to every query, and may run more than
+ * once if the transaction is retried. On a standalone server (such as a local
+ * development database) it runs once without a session; each write is then
+ * atomic on its own, but not together.
+ * @param {Function} work - async session => result
+ * @returns {Promise<*>} - Whatever work returns
+ */
+export const withTransaction = async work => {
+  if (!supported) return work(null);
+
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (error.code !== ILLEGAL_OPERATION) throw error;
+
+    supported = false;
+    logger.warn('MongoDB does not support transactions here; run it as a replica set');
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+export default withTransaction;
@@ -0,0 +1,136 @@
+/**
+ * Certificate Verification Page
+ * Server-rendered HTML for the public page opened from certificate QR codes
+ */
+
+const STATUS_STYLES = {
+  active: { label: 'Valid certificate', color: '#2e7d32', background: '#e8f5e9' },
+  revoked: { label: 'Certificate revoked', color: '#c62828', background: '#ffebee' },
+  expired: { label: 'Certificate expired', color: '#ef6c00', background: '#fff3e0' },
+  not_found: { label: 'Certificate not found', color: '#555555', background: '#f0f0f0' },
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string}
+ */
+const escapeHtml = value =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Format a date for display
+ * @param {Date|string} value - Date
+ * @returns {string}
+ */
+const formatDate = value =>
+  value
+    ? new Date(value).toLocaleDateString('en-GB', {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+      })
+    : '';
+
+/**
+ * Details table and status notice for a lookup result
+ * @param {Object} result - certificateService.lookupCertificate result
+ * @returns {string}
+ */
+const renderResult = result => {
+  const style = STATUS_STYLES[result.status] || STATUS_STYLES.not_found;
+  const { certificate } = result;
+
+  let notice = '';
+  if (result.status === 'revoked') {
+    notice = `<p>Revoked on ${escapeHtml(formatDate(certificate.revokedAt))}.${
+      certificate.revokeReason ? ` Reason: ${escapeHtml(certificate.revokeReason)}` : ''
+    }</p>`;
+  } else if (result.status === 'expired') {
+    notice = `<p>This certificate expired on ${escapeHtml(formatDate(certificate.expiresAt))}.</p>`;
+  } else if (result.status === 'not_found') {
+    notice = '<p>No certificate matches this link or number. Check it and try again.</p>';
+  }
+
+  const rows = certificate
+    ? [
+        ['Holder', certificate.recipientName],
+        ['Event', certificate.eventTitle],
+        ['Event date', formatDate(certificate.eventDate)],
+        ['Venue', certificate.eventVenue],
+        ['Issued', formatDate(certificate.issuedDate)],
+        ['Valid until', formatDate(certificate.expiresAt)],
+        ['Certificate number', certificate.certificateNumber],
+      ]
+        .filter(([, value]) => value)
+        .map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join('')
+    : '';
+
+  return `
+    <div class="status" style="color: ${style.color}; background: ${style.background};">
+      <strong>${style.label}</strong>
+      ${notice}
+    </div>
+    ${rows ? `<table>${rows}</table>` : ''}
+  `;
+};
+
+/**
+ * Render the verification page
+ * @param {Object} options - { result, number }
+ * @returns {string} - HTML document
+ */
+export const renderVerificationPage = ({ result = null, number = '' } = {}) => `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>Certificate Verification - meetCITAD</title>
+    <style>
+      body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; background: #f9f9f9; }
+      .container { max-width: 640px; margin: 0 auto; padding: 20px; }
+      .header { background: #1976d2; color: white; padding: 20px; text-align: center; }
+      .header h1 { margin: 0; font-size: 22px; }
+      .content { background: white; padding: 20px; }
+      .status { padding: 16px; border-radius: 4px; margin-bottom: 20px; }
+      .status p { margin: 8px 0 0; }
+      table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+      th, td { text-align: left; padding: 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+      th { width: 40%; color: #666; font-weight: normal; }
+      form { display: flex; gap: 8px; flex-wrap: wrap; }
+      input { flex: 1; min-width: 200px; padding: 10px; border: 1px solid #ccc; border-radius: 4px; }
+      button { padding: 10px 20px; background: #1976d2; color: white; border: 0; border-radius: 4px; cursor: pointer; }
+      .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h1>meetCITAD Certificate Verification</h1>
+      </div>
+      <div class="content">
+        ${result ? renderResult(result) : ''}
+        <form method="get" action="/verify">
+          <label for="number" style="width: 100%;">Verify by the certificate number printed on the certificate</label>
+          <input id="number" name="number" placeholder="CITAD-2025-XXXXXXXXXXXX" value="${escapeHtml(number)}" required>
+          <button type="submit">Verify</button>
+        </form>
+      </div>
+      <div class="footer">
+        <p>&copy; ${new Date().getFullYear()} CITAD. All rights reserved.</p>
+        <p>Kano, Nigeria</p>
+      </div>
+    </div>
+  </body>
+  </html>
+`;
+
+export default renderVerificationPage;
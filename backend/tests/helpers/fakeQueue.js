@@ -0,0 +1,72 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-memory stand-in for a Bull queue
+ * Records added jobs instead of connecting to Redis.
+ */
+export default class FakeQueue extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.jobs = [];
+    // Job counts by state, for queue stats
+    this.counts = { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0, paused: 0 };
+  }
+
+  // Keeps the job handler so tests can run jobs: process([name], [concurrency], handler)
+  process(...args) {
+    this.handler = args.find(arg => typeof arg === 'function');
+  }
+
+  // Like Bull, the job name is optional: add(data, opts) or add(name, data, opts)
+  async add(...args) {
+    const [name, data, opts] = typeof args[0] === 'string' ? args : [undefined, ...args];
+    const job = { id: String(this.jobs.length + 1), name, data, opts };
+    this.jobs.push(job);
+    return job;
+  }
+
+  async addBulk(jobs) {
+    return Promise.all(jobs.map(job => this.add(job.name, job.data, job.opts)));
+  }
+
+  async getJob(id) {
+    return this.jobs.find(job => job.id === String(id)) || null;
+  }
+
+  async getWaitingCount() {
+    return this.counts.waiting;
+  }
+
+  async getActiveCount() {
+    return this.counts.active;
+  }
+
+  async getCompletedCount() {
+    return this.counts.completed;
+  }
+
+  async getFailedCount() {
+    return this.counts.failed;
+  }
+
+  async getDelayedCount() {
+    return this.counts.delayed;
+  }
+
+  async getPausedCount() {
+    return this.counts.paused;
+  }
+
+  async removeRepeatable() {}
+
+  async clean() {
+    return [];
+  }
+
+  async pause() {}
+
+  async resume() {}
+
+  async close() {}
+}
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+
+/**
+ * Make mongoose sessions behave like a standalone server, which has no
+ * transactions, so withTransaction runs its work without a session
+ */
+const standaloneSessions = () =>
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+    withTransaction: async () => {
+      const error = new Error('Transaction numbers are only allowed on a replica set member');
+      error.code = 20;
+      throw error;
+    },
+    endSession: async () => {},
+  });
+
+export default standaloneSessions;
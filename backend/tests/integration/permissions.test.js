@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+import FakeQueue from '../helpers/fakeQueue.js';
+
+jest.unstable_mockModule('bull', () => ({ default: FakeQueue }));
+
+const { default: request } = await import('supertest');
+const { default: config } = await import('../../src/config/index.js');
+const { Admin, User } = await import('../../src/models/index.js');
+const { ROLE_PERMISSIONS } = await import('../../src/models/Admin.js');
+const controllers = await import('../../src/controllers/index.js');
+const { default: sessionService } = await import('../../src/services/session.service.js');
+const { default: auditService } = await import('../../src/services/audit.service.js');
+
+// Routes bind controller methods when they are imported, so stub them first:
+// a request that gets past the permission check is answered straight away.
+Object.values(controllers)
+  .filter(controller => controller && typeof controller === 'object')
+  .forEach(controller => {
+    Object.getOwnPropertyNames(Object.getPrototypeOf(controller))
+      .filter(name => name !== 'constructor' && typeof controller[name] === 'function')
+      .forEach(name => {
+        // eslint-disable-next-line no-param-reassign
+        controller[name] = (req, res) => res.json({ success: true, reached: name });
+      });
+  });
+
+const { default: app } = await import('../../src/app.js');
+
+const id = new mongoose.Types.ObjectId().toString();
+const DENIED = 'You do not have the required permissions to perform this action.';
+
+// [method, path, permission]
+const ENDPOINTS = [
+  ['post', '/events', 'create_event'],
+  ['put', `/events/${id}`, 'edit_event'],
+  ['delete', `/events/${id}`, 'delete_event'],
+  ['post', `/events/${id}/publish`, 'edit_event'],
+  ['post', `/events/${id}/cancel`, 'edit_event'],
+  ['put', `/events/${id}/sessions`, 'edit_event'],
+  ['put', `/events/${id}/feedback-form`, 'edit_event'],
+  ['post', `/events/${id}/registrations/approve`, 'edit_event'],
+  ['post', `/events/${id}/registrations/${id}/ticket`, 'edit_event'],
+  ['get', `/events/${id}/statistics`, 'view_reports'],
+  ['get', `/events/${id}/attendees`, 'view_reports'],
+  ['get', `/events/${id}/registrations`, 'view_reports'],
+  ['get', '/certificates/templates', 'generate_certificates'],
+  ['post', '/certificates/templates/preview', 'manage_settings'],
+  ['post', '/certificates/generate', 'generate_certificates'],
+  ['post', '/certificates/bulk-generate', 'generate_certificates'],
+  ['post', `/certificates/${id}/revoke`, 'generate_certificates'],
+  ['post', `/certificates/events/${id}/archive`, 'generate_certificates'],
+  ['get', `/certificates/archives/${id}`, 'generate_certificates'],
+  ['get', `/certificates/archives/${id}/download`, 'generate_certificates'],
+  ['get', '/certificates/statistics', 'view_reports'],
+  ['post', '/feedback/sentiment/backfill', 'manage_settings'],
+  ['post', '/notifications/broadcast', 'send_notifications'],
+  ['post', '/notifications/event', 'send_notifications'],
+  ['post', '/notifications/reminder', 'send_notifications'],
+  ['post', '/attendance/scan', 'manage_attendance'],
+  ['post', '/attendance/manual-checkin', 'manage_attendance'],
+  ['post', '/attendance/bulk-checkin', 'manage_attendance'],
+  ['post', '/attendance/undo-checkin', 'manage_attendance'],
+  ['post', '/attendance/check-out', 'manage_attendance'],
+  ['post', '/attendance/manual-checkout', 'manage_attendance'],
+  ['get', `/attendance/offline/${id}/roster`, 'manage_attendance'],
+  ['post', `/attendance/offline/${id}/sync`, 'manage_attendance'],
+  ['get', '/attendance/search', 'manage_attendance'],
+  ['get', `/attendance/live/${id}`, 'manage_attendance'],
+  ['get', `/attendance/report/${id}`, 'view_reports'],
+  ['get', '/admin/users', 'manage_users'],
+  ['put', `/admin/users/${id}/status`, 'manage_users'],
+  ['delete', `/admin/users/${id}`, 'manage_users'],
+  ['get', '/admin/dashboard', 'view_analytics'],
+  ['get', '/admin/analytics', 'view_analytics'],
+  ['get', '/admin/audit', 'view_reports'],
+  ['get', '/admin/health', 'manage_settings'],
+  ['get', '/admin/export/users', 'export_data'],
+  ['get', `/admin/export/jobs/${id}`, 'export_data'],
+  ['get', '/admin', 'manage_admins'],
+  ['post', '/admin', 'manage_admins'],
+  ['delete', `/admin/${id}/2fa`, 'manage_admins'],
+  ['get', '/queues', 'manage_settings'],
+  ['post', '/queues/pause', 'manage_settings'],
+];
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const tokenFor = (account, role) =>
+  jwt.sign(
+    { id: account._id.toString(), role, sid: new mongoose.Types.ObjectId().toString() },
+    config.jwt.secret
+  );
+
+const adminWithRole = role =>
+  new Admin({
+    fullname: `Test ${role}`,
+    email: `${role}@example.com`,
+    role,
+    permissions: ROLE_PERMISSIONS[role],
+    status: 'active',
+  });
+
+const send = (method, path, token) =>
+  request(app)[method](`/api/${config.apiVersion}${path}`).set('Authorization', `Bearer ${token}`);
+
+describe('requirePermission', () => {
+  let account;
+
+  beforeEach(() => {
+    jest.spyOn(sessionService, 'isActive').mockReturnValue(true);
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+    jest.spyOn(Admin, 'findById').mockImplementation(() => ({ select: async () => account }));
+    jest.spyOn(User, 'findById').mockImplementation(() => ({ select: async () => account }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe.each(ROLES)('%s', role => {
+    it.each(ENDPOINTS)('%s %s needs %s', async (method, path, permission) => {
+      account = adminWithRole(role);
+      const res = await send(method, path, tokenFor(account, 'admin'));
+
+      // Queue routes are also limited to super_admin
+      const allowed =
+        role === 'super_admin' ||
+        (ROLE_PERMISSIONS[role].includes(permission) && !path.startsWith('/queues'));
+
+      if (allowed) {
+        expect(res.status).not.toBe(403);
+      } else {
+        expect(res.status).toBe(403);
+      }
+    });
+  });
+
+  it('denies an admin whose stored permissions lack the one required', async () => {
+    account = adminWithRole('event_manager');
+    account.permissions = account.permissions.filter(p => p !== 'manage_attendance');
+
+    const res = await send('post', '/attendance/scan', tokenFor(account, 'admin'));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe(DENIED);
+  });
+
+  it('lets certificate staff preview saved templates but not unsaved designs', async () => {
+    account = adminWithRole('staff');
+    const token = tokenFor(account, 'admin');
+
+    const unsaved = await send('post', '/certificates/templates/preview', token);
+    const saved = await send('post', `/certificates/templates/${id}/preview`, token);
+
+    expect(unsaved.status).toBe(403);
+    expect(unsaved.body.message).toBe(DENIED);
+    expect(saved.body).toEqual({ success: true, reached: 'previewTemplate' });
+  });
+
+  it.each(ENDPOINTS)('denies users %s %s', async (method, path) => {
+    account = new User({ fullname: 'Test User', email: 'user@example.com', status: 'active' });
+    const res = await send(method, path, tokenFor(account, 'user'));
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Test environment
+ * Tests run without MongoDB or Redis: model statics are stubbed per test.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.MONGODB_TEST_URI =
+  process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/meetcitad-test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+process.env.QR_SIGNATURE_KEY = process.env.QR_SIGNATURE_KEY || 'test-qr-signature-key';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
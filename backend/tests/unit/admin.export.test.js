@@ -0,0 +1,254 @@
+import { Readable, Writable } from 'stream';
+import { EventEmitter, once } from 'events';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import FakeQueue from '../helpers/fakeQueue.js';
+
+jest.unstable_mockModule('bull', () => ({ default: FakeQueue }));
+
+const { default: adminController } = await import('../../src/controllers/admin.controller.js');
+const { default: exportService } = await import('../../src/services/export.service.js');
+const { default: auditService } = await import('../../src/services/audit.service.js');
+const { auditTrail } = await import('../../src/middleware/audit.js');
+const { analyticsQueue } = await import('../../src/queues/index.js');
+const { Event, Registration } = await import('../../src/models/index.js');
+
+const admin = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com', role: 'staff' };
+
+/**
+ * A writable HTTP response that keeps what was sent
+ */
+const makeResponse = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  Object.assign(res, {
+    locals: {},
+    statusCode: 200,
+    headers: {},
+    set: fields => Object.assign(res.headers, fields),
+    status: code => {
+      res.statusCode = code;
+      return res;
+    },
+    json: body => {
+      res.body = body;
+      res.end();
+    },
+    text: () => Buffer.concat(chunks).toString('utf8'),
+  });
+  return res;
+};
+
+/**
+ * Run exportData behind the audit trail, as the admin router does
+ */
+const runExport = async (query, type = 'events') => {
+  const req = {
+    method: 'GET',
+    baseUrl: '/api/v1/admin',
+    route: { path: '/export/:type' },
+    params: { type },
+    query,
+    user: admin,
+    userRole: 'admin',
+    ip: '127.0.0.1',
+    get: () => 'jest',
+  };
+  const res = makeResponse();
+  const next = jest.fn();
+
+  auditTrail(req, res, () => {});
+  await adminController.exportData(req, res, next);
+  if (res.writableEnded && !res.writableFinished) {
+    await once(res, 'finish');
+  }
+  return { res, error: next.mock.calls[0]?.[0] };
+};
+
+// A find() chain whose cursor yields the given documents
+const findReturning = docs => () => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: () => chain,
+    cursor: () => Readable.from(docs),
+  };
+  return chain;
+};
+
+describe('admin exports', () => {
+  beforeEach(() => {
+    analyticsQueue.jobs = [];
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+    jest.spyOn(Event, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(Event, 'find').mockImplementation(
+      findReturning([
+        { _id: new mongoose.Types.ObjectId(), title: 'Forum', status: 'published' },
+        { _id: new mongoose.Types.ObjectId(), title: 'Workshop', status: 'draft' },
+      ])
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('streams the chosen columns, given as a list or repeated', async () => {
+    const asList = await runExport({ columns: 'title, status' });
+    const repeated = await runExport({ columns: ['title', 'status'] });
+
+    expect(asList.res.text()).toBe('title,status\nForum,published\nWorkshop,draft\n');
+    expect(repeated.res.text()).toBe(asList.res.text());
+    expect(asList.res.headers['Content-Type']).toMatch(/^text\/csv/);
+  });
+
+  it('applies the date and event filters to the rows exported', async () => {
+    const eventId = String(new mongoose.Types.ObjectId());
+    jest.spyOn(Registration, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Registration, 'find').mockImplementation(findReturning([]));
+
+    await runExport({ from: '2026-01-01', to: '2026-02-01', eventId }, 'registrations');
+
+    const query = {
+      registeredAt: { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') },
+      eventId: new mongoose.Types.ObjectId(eventId),
+    };
+    expect(Registration.countDocuments).toHaveBeenCalledWith(query);
+    expect(Registration.find).toHaveBeenCalledWith(query);
+  });
+
+  it('records the export once the file has been sent', async () => {
+    const { res, error } = await runExport({});
+
+    expect(error).toBeUndefined();
+    expect(auditService.record).toHaveBeenCalledTimes(1);
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        actor: admin,
+        action: 'export',
+        resource: 'events',
+        details: 'Exported 2 events as csv',
+        statusCode: 200,
+      })
+    );
+    expect(res.writableFinished).toBe(true);
+  });
+
+  it('does not record an export whose stream fails midway', async () => {
+    Event.find.mockImplementation(() => {
+      const chain = findReturning([])();
+      chain.cursor = () =>
+        (async function* failing() {
+          yield { title: 'Forum' };
+          throw new Error('cursor lost');
+        })();
+      return chain;
+    });
+
+    const { res } = await runExport({});
+    await new Promise(resolve => {
+      setImmediate(resolve);
+    });
+
+    expect(res.destroyed).toBe(true);
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+
+  it('queues large exports and records that they were queued', async () => {
+    const totalRows = exportService.syncRowLimit + 1;
+    Event.countDocuments.mockResolvedValue(totalRows);
+
+    const { res } = await runExport({ format: 'xlsx', columns: 'title' });
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body.data).toMatchObject({
+      jobId: '1',
+      totalRows,
+      statusUrl: '/api/v1/admin/export/jobs/1',
+    });
+    expect(analyticsQueue.jobs[0].data).toEqual({
+      type: 'export_data',
+      data: expect.objectContaining({
+        type: 'events',
+        format: 'xlsx',
+        columns: ['title'],
+        adminId: String(admin._id),
+      }),
+    });
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({ details: `Queued xlsx export of ${totalRows} events` })
+    );
+    expect(Event.find).not.toHaveBeenCalled();
+  });
+
+  it('queues any export on request', async () => {
+    const { res } = await runExport({ async: 'true' });
+
+    expect(res.statusCode).toBe(202);
+    expect(analyticsQueue.jobs).toHaveLength(1);
+  });
+
+  it.each([
+    [{ format: 'pdf' }, 'Invalid export format. Use one of: csv, xlsx'],
+    [{ columns: 'waitlist' }, 'Column cannot be exported: waitlist'],
+    [{ eventId: 'nope' }, 'Invalid event ID'],
+  ])('refuses %j before anything is sent', async (query, message) => {
+    const { res, error } = await runExport(query);
+
+    expect(error).toMatchObject({ statusCode: 400, message });
+    expect(res.text()).toBe('');
+    expect(analyticsQueue.jobs).toHaveLength(0);
+  });
+});
+
+describe('auditTrail', () => {
+  const finish = (method, locals = {}) => {
+    const req = {
+      method,
+      baseUrl: '/api/v1/events',
+      route: { path: '/:id' },
+      params: { id: 'e1' },
+      user: admin,
+      userRole: 'admin',
+      get: () => 'jest',
+    };
+    const res = Object.assign(new EventEmitter(), { statusCode: 200, locals });
+    auditTrail(req, res, () => {});
+    res.emit('finish');
+  };
+
+  beforeEach(() => {
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records mutations', () => {
+    finish('PUT');
+
+    expect(auditService.record).toHaveBeenCalledWith(
+      expect.objectContaining({ action: 'put /events/:id', resource: 'events', resourceId: 'e1' })
+    );
+  });
+
+  it('records reads only when the handler asks for it', () => {
+    finish('GET');
+    expect(auditService.record).not.toHaveBeenCalled();
+
+    finish('GET', { audit: { action: 'export', resource: 'events' } });
+    expect(auditService.record).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips entries the handler already recorded', () => {
+    finish('POST', { audit: false });
+
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import FakeQueue from '../helpers/fakeQueue.js';
+
+jest.unstable_mockModule('bull', () => ({ default: FakeQueue }));
+
+const { default: attendanceController } =
+  await import('../../src/controllers/attendance.controller.js');
+const { default: qrService } = await import('../../src/services/qr.service.js');
+const { default: registrationService } = await import('../../src/services/registration.service.js');
+const { default: attendanceService } = await import('../../src/services/attendance.service.js');
+const { User, Event, Registration } = await import('../../src/models/index.js');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Run a controller method and return the error it passed on, if any
+ */
+const run = async (method, body) => {
+  const res = { json: jest.fn() };
+  const next = jest.fn();
+  await attendanceController[method]({ body, user: { id: 'admin' } }, res, next);
+  return { res, error: next.mock.calls[0]?.[0] };
+};
+
+describe('attendanceController', () => {
+  let event;
+  let user;
+
+  beforeEach(() => {
+    event = new Event({
+      title: 'Test Event',
+      status: 'ongoing',
+      capacity: 10,
+      startDateTime: new Date(Date.now() - HOUR),
+      endDateTime: new Date(Date.now() + HOUR),
+      venue: { name: 'Main Hall' },
+    });
+    user = new User({ fullname: 'Test User', email: 'user@example.com' });
+
+    jest.spyOn(User, 'findById').mockImplementation(() => {
+      const query = Promise.resolve(user);
+      query.select = async () => user;
+      return query;
+    });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(attendanceService, 'checkIn').mockResolvedValue({ alreadyCheckedIn: false });
+    jest.spyOn(attendanceService, 'checkOut').mockResolvedValue({ alreadyCheckedOut: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe.each(['scanQRCode', 'scanCheckOut'])('%s', method => {
+    it('refuses QR codes that are not tickets', async () => {
+      const { data, signature } = qrService.generateEventQRData(event);
+
+      const { error } = await run(method, { qrData: JSON.stringify({ data, signature }) });
+
+      expect(error).toMatchObject({ statusCode: 400, message: 'QR code is not a ticket' });
+      expect(attendanceService.checkIn).not.toHaveBeenCalled();
+      expect(attendanceService.checkOut).not.toHaveBeenCalled();
+    });
+
+    it('refuses a ticket that was replaced', async () => {
+      const ticket = qrService.generateUserTicketQRData(user, event);
+      jest
+        .spyOn(registrationService, 'findConfirmed')
+        .mockResolvedValue({ qrSignature: 'newer-ticket' });
+
+      const { error } = await run(method, { qrData: ticket.data });
+
+      expect(error).toMatchObject({
+        statusCode: 400,
+        message: 'Ticket has been replaced by a newer one',
+      });
+    });
+
+    it('accepts the current ticket', async () => {
+      const ticket = qrService.generateUserTicketQRData(user, event);
+      jest
+        .spyOn(registrationService, 'findConfirmed')
+        .mockResolvedValue({ qrSignature: ticket.signature });
+
+      const { res, error } = await run(method, { qrData: ticket.data });
+
+      expect(error).toBeUndefined();
+      expect(res.json.mock.calls[0][0].success).toBe(true);
+    });
+  });
+
+  it('refuses tickets with an invalid signature', async () => {
+    const ticket = qrService.generateUserTicketQRData(user, event);
+    const forged = ticket.data.replace(String(user._id), String(new mongoose.Types.ObjectId()));
+
+    const { error } = await run('scanQRCode', { qrData: forged });
+
+    expect(error.statusCode).toBe(400);
+  });
+
+  describe('searchAttendee', () => {
+    let registrations;
+
+    const search = async query => {
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+      await attendanceController.searchAttendee({ query: { eventId: 'e1', query } }, res, next);
+      return { res, error: next.mock.calls[0]?.[0] };
+    };
+
+    beforeEach(() => {
+      registrations = [{ userId: user._id, status: 'confirmed', user }];
+      jest.spyOn(User, 'distinct').mockResolvedValue([user._id]);
+      jest.spyOn(Registration, 'find').mockReturnValue({
+        select: () => ({ populate: async () => registrations }),
+      });
+    });
+
+    it('finds matching users first, then their registrations for the event', async () => {
+      const { res, error } = await search('Test');
+
+      expect(error).toBeUndefined();
+      expect(User.distinct).toHaveBeenCalledWith('_id', {
+        $or: ['email', 'phone', 'fullname'].map(field => ({
+          [field]: { $regex: 'Test', $options: 'i' },
+        })),
+      });
+      expect(Registration.find).toHaveBeenCalledWith({
+        eventId: event._id,
+        status: 'confirmed',
+        userId: { $in: [user._id] },
+      });
+      expect(res.json.mock.calls[0][0].data).toMatchObject({
+        total: 1,
+        results: [{ userId: user._id, email: 'user@example.com' }],
+      });
+    });
+
+    it('matches the search text literally', async () => {
+      await search('(a+)+$ .*');
+
+      const [, { $or }] = User.distinct.mock.calls[0];
+      expect($or[0].email.$regex).toBe('\\(a\\+\\)\\+\\$ \\.\\*');
+      expect(new RegExp($or[0].email.$regex).test('x(a+)+$ .*y')).toBe(true);
+      expect(new RegExp($or[0].email.$regex).test('aaaa')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,357 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import attendanceService from '../../src/services/attendance.service.js';
+import registrationService from '../../src/services/registration.service.js';
+import { Event, Registration } from '../../src/models/index.js';
+import standaloneSessions from '../helpers/transactions.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const makeEvent = (fields = {}) =>
+  new Event({
+    title: 'Test Event',
+    status: 'ongoing',
+    capacity: 10,
+    attendanceCount: 0,
+    startDateTime: new Date(Date.now() - 2 * HOUR),
+    endDateTime: new Date(Date.now() + HOUR),
+    ...fields,
+  });
+
+describe('attendanceService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const adminId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    standaloneSessions();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkIn', () => {
+    let registration;
+
+    beforeEach(() => {
+      registration = new Registration({ userId, status: 'confirmed' });
+      jest.spyOn(registrationService, 'findConfirmed').mockResolvedValue(registration);
+    });
+
+    it('checks a registered user in and counts them', async () => {
+      const event = makeEvent();
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await attendanceService.checkIn(event, userId, { method: 'qr', adminId });
+
+      expect(result.alreadyCheckedIn).toBe(false);
+      expect(Registration.updateOne).toHaveBeenCalledWith(
+        { _id: registration._id, status: 'confirmed', checkInTime: { $exists: false } },
+        { $set: { checkInTime: result.checkInTime, checkInMethod: 'qr', checkInBy: adminId } },
+        { session: null }
+      );
+      expect(Event.updateOne).toHaveBeenCalledWith(
+        { _id: event._id },
+        { $inc: { attendanceCount: 1 } },
+        { session: null }
+      );
+      expect(event.attendanceCount).toBe(1);
+    });
+
+    it('counts a second scan of the same ticket once', async () => {
+      const event = makeEvent({ attendanceCount: 1 });
+      registration.checkInTime = new Date(Date.now() - MINUTE);
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(Event, 'updateOne');
+
+      const result = await attendanceService.checkIn(event, userId, { method: 'qr' });
+
+      expect(result).toEqual({
+        checkInTime: registration.checkInTime,
+        session: null,
+        alreadyCheckedIn: true,
+      });
+      expect(Event.updateOne).not.toHaveBeenCalled();
+      expect(event.attendanceCount).toBe(1);
+    });
+
+    it('refuses users without a confirmed registration', async () => {
+      registrationService.findConfirmed.mockResolvedValue(null);
+
+      await expect(
+        attendanceService.checkIn(makeEvent(), userId, { method: 'manual' })
+      ).rejects.toThrow('User is not registered for this event');
+    });
+
+    it('refuses a session for an event without sessions', async () => {
+      await expect(
+        attendanceService.checkIn(makeEvent(), userId, {
+          method: 'qr',
+          sessionId: String(new mongoose.Types.ObjectId()),
+        })
+      ).rejects.toThrow('This event has no sessions');
+    });
+  });
+
+  describe('checkIn with sessions', () => {
+    let event;
+    let morning;
+    let registration;
+
+    beforeEach(() => {
+      event = makeEvent({
+        sessions: [
+          {
+            title: 'Morning',
+            startDateTime: new Date(Date.now() - 2 * HOUR),
+            endDateTime: new Date(Date.now() - HOUR),
+            capacity: 2,
+            attendanceCount: 1,
+          },
+        ],
+      });
+      [morning] = event.sessions;
+      registration = new Registration({ userId, status: 'confirmed' });
+      jest.spyOn(registrationService, 'findConfirmed').mockResolvedValue(registration);
+    });
+
+    const checkInToMorning = () =>
+      attendanceService.checkIn(event, userId, {
+        method: 'qr',
+        adminId,
+        sessionId: String(morning._id),
+      });
+
+    it('checks the user in to the session and, the first time, to the event', async () => {
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await checkInToMorning();
+
+      expect(result).toMatchObject({
+        session: { id: morning._id, title: 'Morning' },
+        alreadyCheckedIn: false,
+      });
+      expect(Event.updateOne).toHaveBeenCalledWith(
+        {
+          _id: event._id,
+          sessions: { $elemMatch: { _id: morning._id, attendanceCount: { $lt: 2 } } },
+        },
+        { $inc: { 'sessions.$.attendanceCount': 1 } },
+        { session: null }
+      );
+      expect(Event.updateOne).toHaveBeenLastCalledWith(
+        { _id: event._id },
+        { $inc: { attendanceCount: 1 } },
+        { session: null }
+      );
+      expect(event.attendanceCount).toBe(1);
+    });
+
+    it('undoes the session check-in when the last seat was taken meanwhile', async () => {
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(checkInToMorning()).rejects.toThrow('Session is full: Morning');
+      expect(Registration.updateOne).toHaveBeenLastCalledWith(
+        { _id: registration._id },
+        { $pull: { sessions: { sessionId: morning._id } } },
+        { session: null }
+      );
+      expect(event.attendanceCount).toBe(0);
+    });
+
+    it('refuses a session that is full', async () => {
+      morning.attendanceCount = 2;
+      jest.spyOn(Registration, 'updateOne');
+
+      await expect(checkInToMorning()).rejects.toThrow('Session is full: Morning');
+      expect(Registration.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('reports a second check-in to the same session', async () => {
+      const checkInTime = new Date(Date.now() - 90 * MINUTE);
+      registration.sessions.push({ sessionId: morning._id, checkInTime });
+      jest.spyOn(Registration, 'updateOne');
+
+      const result = await checkInToMorning();
+
+      expect(result).toMatchObject({ checkInTime, alreadyCheckedIn: true });
+      expect(Registration.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('undoCheckIn', () => {
+    it('clears the attendance and uncounts the event and its sessions', async () => {
+      const event = makeEvent({ attendanceCount: 3 });
+      const sessionId = new mongoose.Types.ObjectId();
+      const registration = new Registration({
+        userId,
+        status: 'confirmed',
+        checkInTime: new Date(),
+        sessions: [{ sessionId }],
+      });
+      jest.spyOn(Registration, 'findOne').mockResolvedValue(registration);
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await attendanceService.undoCheckIn(event, userId);
+
+      const [, update] = Registration.updateOne.mock.calls[0];
+      expect(update.$set).toEqual({ sessions: [] });
+      expect(Object.keys(update.$unset)).toEqual(
+        expect.arrayContaining(['checkInTime', 'checkOutTime', 'durationMinutes'])
+      );
+      expect(Event.updateOne).toHaveBeenCalledWith(
+        { _id: event._id },
+        { $inc: { attendanceCount: -1, 'sessions.$[attended].attendanceCount': -1 } },
+        { arrayFilters: [{ 'attended._id': { $in: [sessionId] } }], session: null }
+      );
+      expect(event.attendanceCount).toBe(2);
+    });
+
+    it('refuses users who have not checked in', async () => {
+      jest.spyOn(Registration, 'findOne').mockResolvedValue(null);
+
+      await expect(attendanceService.undoCheckIn(makeEvent(), userId)).rejects.toThrow(
+        'User has not checked in yet'
+      );
+    });
+  });
+
+  describe('getAttendanceMinutes', () => {
+    const event = makeEvent({
+      startDateTime: new Date('2026-03-01T09:00:00Z'),
+      endDateTime: new Date('2026-03-01T12:00:00Z'),
+    });
+
+    it('counts the time between check-in and check-out', () => {
+      expect(
+        attendanceService.getAttendanceMinutes(
+          event,
+          new Date('2026-03-01T09:30:00Z'),
+          new Date('2026-03-01T11:00:00Z')
+        )
+      ).toBe(90);
+    });
+
+    it('only counts time within the event', () => {
+      expect(
+        attendanceService.getAttendanceMinutes(
+          event,
+          new Date('2026-03-01T08:00:00Z'),
+          new Date('2026-03-02T08:00:00Z')
+        )
+      ).toBe(180);
+    });
+
+    it('never goes below zero', () => {
+      expect(
+        attendanceService.getAttendanceMinutes(
+          event,
+          new Date('2026-03-01T13:00:00Z'),
+          new Date('2026-03-01T14:00:00Z')
+        )
+      ).toBe(0);
+    });
+  });
+
+  describe('checkOut', () => {
+    let attendee;
+
+    beforeEach(() => {
+      attendee = new Registration({
+        userId,
+        status: 'confirmed',
+        checkInTime: new Date(Date.now() - 90 * MINUTE),
+      });
+      jest.spyOn(Registration, 'findOne').mockResolvedValue(attendee);
+      jest
+        .spyOn(Registration, 'findOneAndUpdate')
+        .mockImplementation(async (match, { $set }) => Object.assign(attendee, $set));
+    });
+
+    it('stores how long the attendee stayed', async () => {
+      const event = makeEvent();
+
+      const result = await attendanceService.checkOut(event, userId, { method: 'qr', adminId });
+
+      expect(result.durationMinutes).toBe(90);
+      expect(result.alreadyCheckedOut).toBe(false);
+      expect(Registration.findOneAndUpdate.mock.calls[0][0]).toEqual({
+        _id: attendee._id,
+        checkInTime: { $exists: true },
+        checkOutTime: { $exists: false },
+      });
+    });
+
+    it('applies the minimum stay', async () => {
+      const shortStay = makeEvent({ minAttendanceMinutes: 60 });
+      const longStay = makeEvent({ minAttendanceMinutes: 120 });
+
+      expect(
+        (await attendanceService.checkOut(shortStay, userId, { method: 'manual' })).meetsThreshold
+      ).toBe(true);
+      expect(
+        (await attendanceService.checkOut(longStay, userId, { method: 'manual' })).meetsThreshold
+      ).toBe(false);
+    });
+
+    it('does not let a scan overwrite an earlier check-out', async () => {
+      attendee.set({ checkOutTime: new Date(Date.now() - 30 * MINUTE), durationMinutes: 60 });
+
+      const result = await attendanceService.checkOut(makeEvent(), userId, { method: 'qr' });
+
+      expect(result).toMatchObject({ durationMinutes: 60, alreadyCheckedOut: true });
+      expect(Registration.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('lets staff correct a check-out by hand', async () => {
+      attendee.set({ checkOutTime: new Date(Date.now() - 80 * MINUTE), durationMinutes: 10 });
+      const at = new Date(Date.now() - 30 * MINUTE);
+
+      const result = await attendanceService.checkOut(makeEvent(), userId, {
+        method: 'manual',
+        at,
+      });
+
+      expect(result).toMatchObject({ durationMinutes: 60, alreadyCheckedOut: false });
+      expect(Registration.findOneAndUpdate.mock.calls[0][0]).not.toHaveProperty('checkOutTime');
+    });
+
+    it('reports a check-out made by another scan meanwhile', async () => {
+      Registration.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await attendanceService.checkOut(makeEvent(), userId, { method: 'qr' });
+
+      expect(result.alreadyCheckedOut).toBe(true);
+    });
+
+    it('refuses check-out times in the future or before check-in', async () => {
+      const event = makeEvent();
+
+      await expect(
+        attendanceService.checkOut(event, userId, {
+          method: 'manual',
+          at: new Date(Date.now() + HOUR),
+        })
+      ).rejects.toThrow('Check-out time cannot be in the future');
+      await expect(
+        attendanceService.checkOut(event, userId, {
+          method: 'manual',
+          at: new Date(Date.now() - 2 * HOUR),
+        })
+      ).rejects.toThrow('Check-out time cannot be before check-in');
+    });
+
+    it('refuses users who have not checked in', async () => {
+      Registration.findOne.mockResolvedValue(null);
+
+      await expect(
+        attendanceService.checkOut(makeEvent(), userId, { method: 'qr' })
+      ).rejects.toThrow('User has not checked in');
+    });
+  });
+});
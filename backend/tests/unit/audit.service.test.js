@@ -0,0 +1,198 @@
+import { Readable, Writable } from 'stream';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import auditService from '../../src/services/audit.service.js';
+import { AuditLog, User } from '../../src/models/index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('auditService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('diff', () => {
+    it('keeps only the changed paths, nested ones dotted', () => {
+      const before = { title: 'Forum', venue: { name: 'Hall A', city: 'Kano' }, capacity: 50 };
+      const after = { title: 'Forum', venue: { name: 'Hall B', city: 'Kano' }, capacity: 80 };
+
+      expect(auditService.diff(before, after)).toEqual({
+        before: { 'venue.name': 'Hall A', capacity: 50 },
+        after: { 'venue.name': 'Hall B', capacity: 80 },
+      });
+    });
+
+    it('records creations and deletions against nothing', () => {
+      expect(auditService.diff(null, { title: 'Forum' })).toEqual({
+        before: null,
+        after: { title: 'Forum' },
+      });
+      expect(auditService.diff({ title: 'Forum' }, null)).toEqual({
+        before: { title: 'Forum' },
+        after: null,
+      });
+    });
+
+    it('has nothing to record when nothing changed', () => {
+      expect(auditService.diff({ title: 'Forum' }, { title: 'Forum' })).toBeUndefined();
+      expect(auditService.diff(null, null)).toBeUndefined();
+    });
+
+    it('never copies secrets out of documents', () => {
+      const before = new User({ fullname: 'Amina', email: 'amina@example.com', password: 'old' });
+      const after = new User({
+        _id: before._id,
+        fullname: 'Amina Bello',
+        email: 'amina@example.com',
+        password: 'new',
+        twoFactorSecret: 'SECRET',
+      });
+
+      const { before: changedBefore, after: changedAfter } = auditService.diff(before, after);
+
+      expect(changedAfter).toMatchObject({ fullname: 'Amina Bello' });
+      expect(changedAfter).not.toHaveProperty('password');
+      expect(changedAfter).not.toHaveProperty('twoFactorSecret');
+      expect(changedBefore).not.toHaveProperty('password');
+    });
+  });
+
+  describe('record', () => {
+    const actor = { _id: new mongoose.Types.ObjectId(), email: 'admin@citad.org', role: 'staff' };
+
+    it('stores the actor, the changes and the request', async () => {
+      jest.spyOn(AuditLog, 'create').mockImplementation(async entry => entry);
+      const req = {
+        method: 'PUT',
+        originalUrl: '/api/v1/events/e1',
+        ip: '10.0.0.1',
+        get: () => 'Test Browser',
+      };
+
+      const entry = await auditService.record({
+        actor,
+        action: 'update',
+        resource: 'events',
+        resourceId: new mongoose.Types.ObjectId(),
+        before: { title: 'Forum' },
+        after: { title: 'Town Hall' },
+        req,
+        statusCode: 200,
+      });
+
+      expect(entry).toMatchObject({
+        actor: { adminId: actor._id, email: 'admin@citad.org', role: 'staff' },
+        resourceId: expect.any(String),
+        changes: { before: { title: 'Forum' }, after: { title: 'Town Hall' } },
+        request: { method: 'PUT', path: '/api/v1/events/e1', statusCode: 200, ip: '10.0.0.1' },
+      });
+    });
+
+    it('never fails the action it records', async () => {
+      jest.spyOn(AuditLog, 'create').mockRejectedValue(new Error('connection lost'));
+
+      await expect(
+        auditService.record({ actor, action: 'update', resource: 'events' })
+      ).resolves.toBeNull();
+    });
+  });
+
+  describe('buildQuery', () => {
+    it('filters by date range, action, resource and resource ID', () => {
+      expect(
+        auditService.buildQuery({
+          from: '2026-01-01',
+          to: '2026-02-01',
+          action: 'export',
+          resource: 'events',
+          resourceId: 42,
+        })
+      ).toEqual({
+        createdAt: { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') },
+        action: 'export',
+        resource: 'events',
+        resourceId: '42',
+      });
+    });
+
+    it('finds the actor by ID or by email', () => {
+      const adminId = String(new mongoose.Types.ObjectId());
+
+      expect(auditService.buildQuery({ actor: adminId })).toEqual({ 'actor.adminId': adminId });
+      expect(auditService.buildQuery({ actor: 'Admin@CITAD.org' })).toEqual({
+        'actor.email': 'admin@citad.org',
+      });
+      expect(auditService.buildQuery()).toEqual({});
+    });
+  });
+
+  describe('purge', () => {
+    it('removes entries older than the retention window', async () => {
+      const now = new Date('2026-06-01T00:00:00Z').getTime();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      jest.spyOn(AuditLog, 'purgeOlderThan').mockResolvedValue(3);
+
+      expect(await auditService.purge(30)).toBe(3);
+      expect(AuditLog.purgeOlderThan).toHaveBeenCalledWith(new Date(now - 30 * DAY));
+    });
+
+    it.each([0, undefined])('refuses a retention of %p days', async retentionDays => {
+      jest.spyOn(AuditLog, 'purgeOlderThan');
+
+      await expect(auditService.purge(retentionDays)).rejects.toThrow(
+        'Audit retention must be at least one day'
+      );
+      expect(AuditLog.purgeOlderThan).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('streamCSV', () => {
+    it('streams the matching entries, newest first, as CSV', async () => {
+      const entries = [
+        {
+          createdAt: new Date('2026-03-02T10:00:00Z'),
+          actor: { email: 'admin@citad.org', role: 'staff' },
+          action: 'update',
+          resource: 'events',
+          resourceId: 'e1',
+          changes: { before: { title: 'Forum' }, after: { title: 'Town Hall, Kano' } },
+          request: { method: 'PUT', path: '/api/v1/events/e1', statusCode: 200, ip: '10.0.0.1' },
+        },
+        {
+          createdAt: new Date('2026-03-01T10:00:00Z'),
+          action: 'export',
+          resource: 'events',
+          details: '=HYPERLINK("x")',
+        },
+      ];
+      const query = { sort: jest.fn(() => query), lean: () => query };
+      query.cursor = () => Readable.from(entries);
+      jest.spyOn(AuditLog, 'find').mockReturnValue(query);
+
+      const chunks = [];
+      const res = new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          callback();
+        },
+      });
+      res.set = jest.fn();
+
+      await auditService.streamCSV(res, { resource: 'events' });
+
+      const [header, first, second] = Buffer.concat(chunks).toString().trim().split('\n');
+      expect(AuditLog.find).toHaveBeenCalledWith({ resource: 'events' });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(res.set).toHaveBeenCalledWith(
+        expect.objectContaining({ 'Content-Type': 'text/csv; charset=utf-8' })
+      );
+      expect(header).toBe(
+        'createdAt,actor.email,actor.role,action,resource,resourceId,changes.before,changes.after,details,request.method,request.path,request.statusCode,request.ip'
+      );
+      expect(first).toBe(
+        '2026-03-02T10:00:00.000Z,admin@citad.org,staff,update,events,e1,"{""title"":""Forum""}","{""title"":""Town Hall, Kano""}",,PUT,/api/v1/events/e1,200,10.0.0.1'
+      );
+      expect(second).toBe(`2026-03-01T10:00:00.000Z,,,export,events,,,,"'=HYPERLINK(""x"")",,,,`);
+    });
+  });
+});
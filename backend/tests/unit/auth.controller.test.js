@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import speakeasy from 'speakeasy';
+import FakeQueue from '../helpers/fakeQueue.js';
+
+jest.unstable_mockModule('bull', () => ({ default: FakeQueue }));
+
+const { default: authController } = await import('../../src/controllers/auth.controller.js');
+const { default: twoFactorService } = await import('../../src/services/twoFactor.service.js');
+const { Admin } = await import('../../src/models/index.js');
+
+/**
+ * An admin as stored before 2FA enrolment existed: the flag defaulted to
+ * true and no secret was ever saved
+ */
+const legacyAdmin = () =>
+  Admin.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    fullname: 'Legacy Admin',
+    email: 'legacy@citad.org',
+    role: 'staff',
+    status: 'active',
+    otpEnabled: true,
+    loginAttempts: 0,
+  });
+
+describe('authController.adminLogin', () => {
+  let admin;
+
+  const login = async () => {
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+    await authController.adminLogin(
+      { body: { email: admin.email, password: 'correct horse' }, ip: '127.0.0.1' },
+      res,
+      next
+    );
+    return { body: res.json.mock.calls[0]?.[0], error: next.mock.calls[0]?.[0] };
+  };
+
+  beforeEach(() => {
+    admin = legacyAdmin();
+    jest.spyOn(Admin, 'findOne').mockReturnValue({ select: async () => admin });
+    jest.spyOn(Admin.prototype, 'comparePassword').mockResolvedValue(true);
+    jest
+      .spyOn(authController, 'completeAdminLogin')
+      .mockImplementation(async account => ({ admin: { id: account._id } }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('loads the 2FA secret along with the password', async () => {
+    const select = jest.fn(async () => admin);
+    Admin.findOne.mockReturnValue({ select });
+
+    await login();
+
+    expect(select).toHaveBeenCalledWith('+password +otpSecret');
+  });
+
+  it('logs in a legacy admin that never enrolled, without a 2FA challenge', async () => {
+    const { body, error } = await login();
+
+    expect(error).toBeUndefined();
+    expect(body).toMatchObject({ message: 'Login successful', data: { admin: { id: admin._id } } });
+    expect(authController.completeAdminLogin).toHaveBeenCalledWith(admin, expect.anything());
+  });
+
+  it('asks enrolled admins for a code', async () => {
+    admin.otpSecret = speakeasy.generateSecret({ length: 20 }).base32;
+
+    const { body } = await login();
+
+    expect(body.data).toMatchObject({ requiresTwoFactor: true });
+    expect(twoFactorService.verifyChallenge(body.data.challengeToken)).toMatchObject({
+      role: 'admin',
+    });
+    expect(authController.completeAdminLogin).not.toHaveBeenCalled();
+  });
+
+  it('lets a legacy admin start enrolment', async () => {
+    jest.spyOn(admin, 'save').mockResolvedValue(admin);
+
+    const { secret } = await twoFactorService.setup(admin, 'admin');
+
+    expect(admin.otpSecret).toBe(secret);
+  });
+});
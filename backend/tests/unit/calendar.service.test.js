@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import calendarService from '../../src/services/calendar.service.js';
+import emailService from '../../src/services/email.service.js';
+
+const makeEvent = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  slug: 'community-forum',
+  title: 'Community Forum',
+  description: 'Budget review',
+  startDateTime: new Date('2026-03-01T09:00:00Z'),
+  endDateTime: new Date('2026-03-01T12:30:00Z'),
+  status: 'published',
+  calendarSequence: 2,
+  venue: { name: 'Main Hall', address: '1 Zoo Road', city: 'Kano' },
+  ...fields,
+});
+
+// Undo line folding: a CRLF followed by a space or tab continues the previous line
+const unfold = ics => ics.replace(/\r\n[ \t]/g, '');
+
+describe('calendarService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('generateEventICS', () => {
+    it('keeps the UID stable and stamps the sequence and time', () => {
+      const event = makeEvent();
+
+      const ics = unfold(calendarService.generateEventICS(event));
+
+      expect(ics).toContain('BEGIN:VCALENDAR');
+      expect(ics).toContain('PRODID:meetCITAD//Events//EN');
+      expect(ics).toContain('METHOD:PUBLISH');
+      expect(ics).toContain(`UID:${event._id}@meetcitad`);
+      expect(ics).toContain('SEQUENCE:2');
+      expect(ics).toMatch(/DTSTAMP:\d{8}T\d{6}Z/);
+      expect(ics).toContain('DTSTART:20260301T090000Z');
+      expect(ics).toContain('DTEND:20260301T123000Z');
+      expect(ics).toContain('STATUS:CONFIRMED');
+      expect(ics).toContain('BEGIN:VALARM');
+    });
+
+    it('escapes commas, semicolons and line breaks in text', () => {
+      const event = makeEvent({
+        title: 'Budget; review, 2026',
+        description: 'Agenda:\nOpening, then Q&A; close',
+      });
+
+      const ics = unfold(calendarService.generateEventICS(event));
+
+      expect(ics).toContain('SUMMARY:Budget\\; review\\, 2026');
+      expect(ics).toContain('DESCRIPTION:Agenda:\\nOpening\\, then Q&A\\; close');
+      expect(ics).toContain('LOCATION:Main Hall\\, 1 Zoo Road\\, Kano');
+    });
+
+    it('folds lines longer than 75 octets', () => {
+      const event = makeEvent({ description: 'A long agenda item. '.repeat(20) });
+
+      const ics = calendarService.generateEventICS(event);
+      const lines = ics.split('\r\n');
+
+      expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(lines.some(line => /^[ \t]/.test(line))).toBe(true);
+      expect(unfold(ics)).toContain(`DESCRIPTION:${'A long agenda item. '.repeat(20)}`);
+    });
+
+    it('marks cancelled events and drops their reminder', () => {
+      const ics = calendarService.generateEventICS(makeEvent({ status: 'cancelled' }));
+
+      expect(ics).toContain('STATUS:CANCELLED');
+      expect(ics).not.toContain('BEGIN:VALARM');
+    });
+  });
+
+  describe('generateUserFeed', () => {
+    it('names the calendar after the user and lists every event', () => {
+      const events = [makeEvent(), makeEvent({ title: 'Workshop' })];
+
+      const ics = unfold(calendarService.generateUserFeed(events, { fullname: 'Amina Bello' }));
+
+      expect(ics).toContain('X-WR-CALNAME:meetCITAD - Amina Bello');
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    });
+  });
+
+  describe('registration email', () => {
+    let sent;
+
+    beforeEach(() => {
+      sent = null;
+      jest.replaceProperty(emailService, 'mailjet', {
+        post: () => ({
+          request: async body => {
+            sent = body.Messages[0];
+            return { body: { Messages: [{ To: [{ MessageID: 1 }] }] } };
+          },
+        }),
+      });
+    });
+
+    const user = { fullname: 'Amina Bello', email: 'amina@example.com' };
+
+    it('attaches the event as an .ics file', async () => {
+      const event = makeEvent();
+
+      await emailService.sendEventRegistrationEmail(user, event, '/uploads/qrcodes/ticket.png');
+
+      expect(sent.Attachments).toHaveLength(1);
+      const [attachment] = sent.Attachments;
+      expect(attachment).toMatchObject({
+        ContentType: 'text/calendar',
+        Filename: 'community-forum.ics',
+      });
+      const ics = Buffer.from(attachment.Base64Content, 'base64').toString();
+      expect(unfold(ics)).toContain(`UID:${event._id}@meetcitad`);
+    });
+
+    it('still sends the email when the calendar file cannot be made', async () => {
+      jest.spyOn(calendarService, 'generateEventAttachment').mockImplementation(() => {
+        throw new Error('Failed to generate calendar file');
+      });
+
+      await emailService.sendEventRegistrationEmail(user, makeEvent(), '/uploads/qrcodes/t.png');
+
+      expect(sent.Subject).toBe('Registration Confirmed: Community Forum');
+      expect(sent.Attachments).toBeUndefined();
+    });
+  });
+});
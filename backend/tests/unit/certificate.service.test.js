@@ -0,0 +1,180 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import certificateService from '../../src/services/certificate.service.js';
+import notificationService from '../../src/services/notification.service.js';
+import qrService from '../../src/services/qr.service.js';
+import { Certificate, CertificateTemplate, Event, User } from '../../src/models/index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const adminId = new mongoose.Types.ObjectId();
+
+const makeCertificate = (fields = {}) =>
+  new Certificate({
+    userId: new mongoose.Types.ObjectId(),
+    eventId: new mongoose.Types.ObjectId(),
+    templateId: new mongoose.Types.ObjectId(),
+    certificateNumber: 'CITAD-2026-A1B2C3D4E5F6',
+    recipientName: 'Amina Bello',
+    recipientEmail: 'amina@example.com',
+    eventTitle: 'Digital Skills Forum',
+    eventDate: new Date('2026-03-01T09:00:00Z'),
+    ...fields,
+  });
+
+describe('certificateService validity', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getValidityMonths', () => {
+    it('prefers the event setting to the template, and else never expires', () => {
+      expect(
+        certificateService.getValidityMonths(
+          { certificateValidityMonths: 6 },
+          { validityMonths: 24 }
+        )
+      ).toBe(6);
+      expect(certificateService.getValidityMonths({}, { validityMonths: 24 })).toBe(24);
+      expect(certificateService.getValidityMonths(null, {})).toBeNull();
+    });
+  });
+
+  describe('calculateExpiry', () => {
+    it('adds the validity period in calendar months', () => {
+      expect(certificateService.calculateExpiry(new Date('2026-03-02T09:00:00Z'), 12)).toEqual(
+        new Date('2027-03-02T09:00:00Z')
+      );
+      expect(certificateService.calculateExpiry(new Date(), null)).toBeUndefined();
+    });
+  });
+
+  describe('expireCertificates', () => {
+    it('flips active certificates past their expiry date', async () => {
+      jest.spyOn(Certificate, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+      expect(await certificateService.expireCertificates()).toEqual({ expired: 4 });
+      expect(Certificate.updateMany).toHaveBeenCalledWith(
+        { status: 'active', expiresAt: { $lte: expect.any(Date) } },
+        { $set: { status: 'expired' } }
+      );
+    });
+
+    it('treats certificates past their expiry date as no longer valid', () => {
+      const certificate = makeCertificate({ expiresAt: new Date(Date.now() - DAY) });
+
+      expect(certificate.isValid).toBe(false);
+      expect(makeCertificate({ expiresAt: new Date(Date.now() + DAY) }).isValid).toBe(true);
+    });
+  });
+
+  describe('sendExpiryReminders', () => {
+    let certificates;
+
+    beforeEach(() => {
+      const user = new User({ fullname: 'Amina Bello', email: 'amina@example.com' });
+      certificates = [
+        makeCertificate({ userId: user, expiresAt: new Date(Date.now() + 10 * DAY) }),
+        makeCertificate({ userId: user, expiresAt: new Date(Date.now() + 20 * DAY) }),
+        // The holder's account is gone
+        makeCertificate({ expiresAt: new Date(Date.now() + 20 * DAY) }),
+      ];
+      certificates[2].userId = null;
+
+      jest.spyOn(Certificate, 'find').mockReturnValue({ populate: async () => certificates });
+      jest.spyOn(Certificate, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('warns each holder once within the window and counts failures', async () => {
+      jest
+        .spyOn(notificationService, 'sendCertificateExpiryNotification')
+        .mockResolvedValueOnce(true)
+        .mockRejectedValueOnce(new Error('Mailjet is down'));
+      const now = Date.now();
+
+      const result = await certificateService.sendExpiryReminders(30);
+
+      expect(result).toEqual({ sent: 1, failed: 2 });
+      const [filter] = Certificate.find.mock.calls[0];
+      expect(filter).toMatchObject({ status: 'active', expiryReminderSentAt: null });
+      expect(filter.expiresAt.$lte.getTime() - filter.expiresAt.$gt.getTime()).toBe(30 * DAY);
+      expect(filter.expiresAt.$gt.getTime()).toBeGreaterThanOrEqual(now);
+      expect(Certificate.updateOne).toHaveBeenCalledTimes(1);
+      expect(Certificate.updateOne).toHaveBeenCalledWith(
+        { _id: certificates[0]._id },
+        { $set: { expiryReminderSentAt: expect.any(Date) } }
+      );
+    });
+  });
+
+  describe('renewCertificate', () => {
+    let certificate;
+    let event;
+
+    beforeEach(() => {
+      certificate = makeCertificate({ expiryReminderSentAt: new Date() });
+      event = new Event({ title: 'Digital Skills Forum', certificateValidityMonths: 12 });
+
+      jest.spyOn(Certificate, 'findById').mockImplementation(async () => certificate);
+      jest.spyOn(Event, 'findById').mockImplementation(async () => event);
+      jest
+        .spyOn(CertificateTemplate, 'findById')
+        .mockResolvedValue(new CertificateTemplate({ name: 'Default', validityMonths: 24 }));
+      jest.spyOn(qrService, 'generateCertificateVerificationQR').mockResolvedValue('data:');
+      jest.spyOn(certificateService, 'generatePDF').mockResolvedValue({});
+      jest.spyOn(certificate, 'save').mockResolvedValue(certificate);
+    });
+
+    it('extends a certificate that has not expired from its current expiry date', async () => {
+      const expiresAt = new Date(Date.now() + 10 * DAY);
+      certificate.expiresAt = expiresAt;
+
+      await certificateService.renewCertificate(certificate._id, adminId);
+
+      expect(certificate.expiresAt).toEqual(certificateService.calculateExpiry(expiresAt, 12));
+      expect(certificate).toMatchObject({ status: 'active', renewedBy: adminId });
+      expect(certificate.expiryReminderSentAt).toBeUndefined();
+      expect(certificateService.generatePDF).toHaveBeenCalled();
+      expect(certificate.save).toHaveBeenCalled();
+    });
+
+    it('renews an expired certificate from today, for the months asked for', async () => {
+      certificate.set({ status: 'expired', expiresAt: new Date(Date.now() - 10 * DAY) });
+
+      await certificateService.renewCertificate(certificate._id, adminId, '3');
+
+      expect(certificate.status).toBe('active');
+      expect(certificate.expiresAt).toEqual(
+        certificateService.calculateExpiry(certificate.renewedAt, 3)
+      );
+    });
+
+    it.each([
+      [
+        'revoked certificates',
+        () => certificate.set({ status: 'revoked' }),
+        undefined,
+        'Cannot renew a revoked certificate',
+      ],
+      ['periods under a month', () => {}, 0, 'Renewal period must be at least one month'],
+      ['text for the period', () => {}, 'soon', 'Renewal period must be at least one month'],
+      [
+        'certificates without a validity period unless months are given',
+        () => {
+          event = new Event({ title: 'Open Day' });
+          CertificateTemplate.findById.mockResolvedValue(
+            new CertificateTemplate({ name: 'Default' })
+          );
+        },
+        undefined,
+        'No validity period is set for this certificate; specify months',
+      ],
+    ])('refuses %s', async (name, arrange, months, message) => {
+      arrange();
+
+      await expect(
+        certificateService.renewCertificate(certificate._id, adminId, months)
+      ).rejects.toMatchObject({ statusCode: 400, message });
+      expect(certificate.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,318 @@
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import fsp from 'fs/promises';
+import mongoose from 'mongoose';
+import { PDFArray, PDFDict, PDFDocument, PDFName, PDFRawStream, decodePDFRawStream } from 'pdf-lib';
+import { jest } from '@jest/globals';
+import FakeQueue from '../helpers/fakeQueue.js';
+
+jest.unstable_mockModule('bull', () => ({ default: FakeQueue }));
+
+const { default: certificateArchiveService } =
+  await import('../../src/services/certificateArchive.service.js');
+const { default: certificateService } = await import('../../src/services/certificate.service.js');
+const { default: certificateController } =
+  await import('../../src/controllers/certificate.controller.js');
+const { certificateQueue } = await import('../../src/queues/index.js');
+const { Certificate, Event } = await import('../../src/models/index.js');
+
+/**
+ * Entries of a ZIP file by name, read from its central directory
+ */
+const readZip = buffer => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+
+  return Array.from({ length: count }).reduce(
+    ({ entries, offset }) => {
+      const method = buffer.readUInt16LE(offset + 10);
+      const size = buffer.readUInt32LE(offset + 20);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const skip = nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      const header = buffer.readUInt32LE(offset + 42);
+      const start =
+        header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+      const data = buffer.subarray(start, start + size);
+
+      return {
+        entries: { ...entries, [name]: method === 8 ? zlib.inflateRawSync(data) : data },
+        offset: offset + 46 + skip,
+      };
+    },
+    { entries: {}, offset: buffer.readUInt32LE(end + 16) }
+  ).entries;
+};
+
+// A one-page certificate PDF
+const makePdf = async () => {
+  const pdf = await PDFDocument.create();
+  pdf.addPage([842, 595]);
+  return Buffer.from(await pdf.save());
+};
+
+describe('certificateArchiveService.buildArchive', () => {
+  const event = new Event({ title: 'Digital Skills Forum, Kano' });
+  let dir;
+  let certificates;
+
+  beforeEach(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'certificate-archive-'));
+    jest.replaceProperty(certificateArchiveService, 'archiveDir', path.join(dir, 'exports'));
+    jest.replaceProperty(certificateService, 'certificatesDir', dir);
+
+    certificates = ['Amina Bello', 'Chidi Okafor'].map((recipientName, index) => ({
+      certificateNumber: `CERT-2026-${index + 1}`,
+      recipientName,
+      recipientEmail: `${recipientName.split(' ')[0].toLowerCase()}@example.com`,
+      issuedDate: new Date('2026-03-01T12:00:00Z'),
+      verificationUrl: `https://api.citad.org/verify/hash-${index + 1}`,
+      fileName: `certificate-${index + 1}.pdf`,
+    }));
+    await fsp.writeFile(path.join(dir, 'certificate-1.pdf'), await makePdf());
+    // The second certificate's PDF is gone
+
+    jest.spyOn(Event, 'findById').mockReturnValue({ select: async () => event });
+    jest.spyOn(Certificate, 'countDocuments').mockResolvedValue(certificates.length);
+    jest.spyOn(Certificate, 'find').mockReturnValue({
+      sort: () => ({
+        cursor: () => ({
+          eachAsync: fn =>
+            certificates.reduce(
+              (chain, certificate) => chain.then(() => fn(certificate)),
+              Promise.resolve()
+            ),
+        }),
+      }),
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  const manifestLines = [
+    'certificateNumber,recipientName,recipientEmail,issuedDate,verificationUrl,fileName,included',
+    'CERT-2026-1,Amina Bello,amina@example.com,2026-03-01T12:00:00.000Z,https://api.citad.org/verify/hash-1,CERT-2026-1.pdf,yes',
+    'CERT-2026-2,Chidi Okafor,chidi@example.com,2026-03-01T12:00:00.000Z,https://api.citad.org/verify/hash-2,,no (file missing)',
+  ];
+
+  it('zips the PDFs that exist with a manifest of every certificate', async () => {
+    const onProgress = jest.fn();
+
+    const result = await certificateArchiveService.buildArchive(
+      { eventId: event._id, format: 'zip', onProgress },
+      '7'
+    );
+
+    expect(result).toEqual({
+      fileName: '7-certificates-digital-skills-forum-kano.zip',
+      manifestFileName: '7-certificates-digital-skills-forum-kano-manifest.csv',
+      total: 2,
+      included: 1,
+      missing: 1,
+    });
+    expect(Certificate.find).toHaveBeenCalledWith(
+      expect.objectContaining({ eventId: event._id, status: 'active' })
+    );
+    expect(onProgress.mock.calls).toEqual([[50], [99]]);
+
+    const entries = readZip(
+      await fsp.readFile(certificateArchiveService.getFilePath(result.fileName))
+    );
+    expect(Object.keys(entries).sort()).toEqual(['CERT-2026-1.pdf', 'manifest.csv']);
+    expect(entries['CERT-2026-1.pdf'].subarray(0, 5).toString()).toBe('%PDF-');
+    expect(entries['manifest.csv'].toString().trim().split('\n')).toEqual(manifestLines);
+
+    const manifest = await fsp.readFile(
+      certificateArchiveService.getFilePath(result.manifestFileName),
+      'utf8'
+    );
+    expect(manifest).toBe(entries['manifest.csv'].toString());
+  });
+
+  it('merges the PDFs into one document with the manifest attached', async () => {
+    await fsp.writeFile(path.join(dir, 'certificate-2.pdf'), await makePdf());
+
+    const result = await certificateArchiveService.buildArchive(
+      { eventId: event._id, format: 'pdf' },
+      '8'
+    );
+
+    expect(result).toMatchObject({ total: 2, included: 2, missing: 0 });
+    const merged = await fsp.readFile(certificateArchiveService.getFilePath(result.fileName));
+    const document = await PDFDocument.load(merged);
+    expect(document.getPageCount()).toBe(2);
+    expect(document.getTitle()).toBe('Certificates - Digital Skills Forum, Kano');
+
+    const [name, fileSpec] = document.catalog
+      .lookup(PDFName.of('Names'), PDFDict)
+      .lookup(PDFName.of('EmbeddedFiles'), PDFDict)
+      .lookup(PDFName.of('Names'), PDFArray)
+      .asArray();
+    const file = document.context
+      .lookup(fileSpec, PDFDict)
+      .lookup(PDFName.of('EF'), PDFDict)
+      .lookup(PDFName.of('F'), PDFRawStream);
+    expect(name.decodeText()).toBe('manifest.csv');
+    expect(Buffer.from(decodePDFRawStream(file).decode()).toString()).toContain(
+      'CERT-2026-2,Chidi Okafor'
+    );
+  });
+
+  it('reads certificate files only from the certificates directory', async () => {
+    certificates[0].fileName = '../../.env';
+    jest.spyOn(fsp, 'readFile');
+
+    await certificateArchiveService.buildArchive({ eventId: event._id, format: 'zip' }, '9');
+
+    expect(fsp.readFile).toHaveBeenCalledWith(path.join(dir, '.env'));
+  });
+
+  it('refuses unknown formats', async () => {
+    await expect(
+      certificateArchiveService.buildArchive({ eventId: event._id, format: 'tar' }, '10')
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('certificate archive jobs', () => {
+  const owner = { id: String(new mongoose.Types.ObjectId()), role: 'staff' };
+  let job;
+
+  // Run a controller method and return the response or the error it passed on
+  const run = async (method, req) => {
+    const res = {
+      locals: {},
+      status: jest.fn(() => res),
+      json: jest.fn(),
+      download: jest.fn(),
+    };
+    const next = jest.fn();
+    await certificateController[method]({ params: {}, query: {}, body: {}, ...req }, res, next);
+    return { res, error: next.mock.calls[0]?.[0] };
+  };
+
+  beforeEach(() => {
+    job = {
+      id: '12',
+      data: { type: 'build_archive', data: { eventId: 'e1', format: 'zip', adminId: owner.id } },
+      returnvalue: {
+        fileName: '12-certificates-forum.zip',
+        manifestFileName: '12-certificates-forum-manifest.csv',
+      },
+      getState: async () => 'completed',
+      progress: () => 100,
+    };
+    jest
+      .spyOn(certificateQueue, 'getJob')
+      .mockImplementation(async id => (id === job.id ? job : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('queues an archive for an event with certificates', async () => {
+    jest
+      .spyOn(Event, 'findById')
+      .mockReturnValue({ select: async () => new Event({ title: 'Forum' }) });
+    jest.spyOn(certificateArchiveService, 'countCertificates').mockResolvedValue(3);
+    jest.spyOn(certificateQueue, 'add');
+
+    const { res, error } = await run('createEventArchive', {
+      params: { eventId: 'e1' },
+      body: { format: 'pdf' },
+      user: owner,
+    });
+
+    expect(error).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(certificateQueue.add).toHaveBeenCalledWith(
+      {
+        type: 'build_archive',
+        data: { eventId: 'e1', format: 'pdf', totalCertificates: 3, adminId: owner.id },
+      },
+      expect.objectContaining({ attempts: 1 })
+    );
+    expect(res.locals.audit).toMatchObject({ action: 'certificate_archive', resourceId: 'e1' });
+  });
+
+  it('queues nothing for an event without certificates', async () => {
+    jest
+      .spyOn(Event, 'findById')
+      .mockReturnValue({ select: async () => new Event({ title: 'Forum' }) });
+    jest.spyOn(certificateArchiveService, 'countCertificates').mockResolvedValue(0);
+    jest.spyOn(certificateQueue, 'add');
+
+    const { error } = await run('createEventArchive', { params: { eventId: 'e1' }, user: owner });
+
+    expect(error).toMatchObject({ statusCode: 400 });
+    expect(certificateQueue.add).not.toHaveBeenCalled();
+  });
+
+  it('lets the admin who asked for an archive download it', async () => {
+    const { res, error } = await run('downloadArchive', {
+      params: { jobId: '12' },
+      query: { file: 'manifest' },
+      user: owner,
+    });
+
+    expect(error).toBeUndefined();
+    expect(res.download).toHaveBeenCalledWith(
+      certificateArchiveService.getFilePath('12-certificates-forum-manifest.csv'),
+      'certificates-forum-manifest.csv',
+      expect.any(Function)
+    );
+  });
+
+  it('lets a super admin see any archive', async () => {
+    const { res, error } = await run('getArchiveJob', {
+      params: { jobId: '12' },
+      user: { id: String(new mongoose.Types.ObjectId()), role: 'super_admin' },
+    });
+
+    expect(error).toBeUndefined();
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ jobId: '12', state: 'completed' });
+  });
+
+  it.each([
+    [
+      'another admin',
+      () => ({ params: { jobId: '12' }, user: { id: 'someone-else', role: 'staff' } }),
+    ],
+    [
+      'a job that is not an archive',
+      () => {
+        job.data.type = 'generate_single';
+        return { params: { jobId: '12' }, user: owner };
+      },
+    ],
+    ['an unknown job', () => ({ params: { jobId: '99' }, user: owner })],
+  ])('hides the archive from %s', async (name, makeRequest) => {
+    const req = makeRequest();
+
+    const [status, download] = await Promise.all([
+      run('getArchiveJob', req),
+      run('downloadArchive', req),
+    ]);
+
+    expect(status.error).toMatchObject({ statusCode: 404, message: 'Archive job not found' });
+    expect(download.error).toMatchObject({ statusCode: 404 });
+    expect(download.res.download).not.toHaveBeenCalled();
+  });
+
+  it('refuses downloads before the archive is ready', async () => {
+    job.getState = async () => 'active';
+
+    const { error } = await run('downloadArchive', { params: { jobId: '12' }, user: owner });
+
+    expect(error).toMatchObject({
+      statusCode: 409,
+      message: 'Archive is not ready (state: active)',
+    });
+  });
+});
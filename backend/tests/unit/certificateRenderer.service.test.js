@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { jest } from '@jest/globals';
+import certificateRenderer from '../../src/services/certificateRenderer.service.js';
+import storageService from '../../src/services/storage.service.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+describe('certificateRenderer.loadAsset', () => {
+  beforeEach(() => {
+    jest.replaceProperty(certificateRenderer, 'assetHosts', ['cdn.citad.org']);
+    jest.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(PNG));
+    jest.spyOn(storageService, 'getFile').mockResolvedValue(PNG);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('decodes data URLs', async () => {
+    const asset = await certificateRenderer.loadAsset(
+      `data:image/png;base64,${PNG.toString('base64')}`
+    );
+
+    expect(asset.equals(PNG)).toBe(true);
+  });
+
+  it('fetches from allowed hosts without following redirects', async () => {
+    await certificateRenderer.loadAsset('https://CDN.citad.org/logos/citad.png');
+
+    expect(fetch).toHaveBeenCalledWith(
+      'https://CDN.citad.org/logos/citad.png',
+      expect.objectContaining({ redirect: 'error' })
+    );
+  });
+
+  it.each([
+    'http://169.254.169.254/latest/meta-data/',
+    'http://localhost:27017/',
+    'https://cdn.citad.org.evil.example/logo.png',
+  ])('refuses to fetch %s', async url => {
+    await expect(certificateRenderer.loadAsset(url)).rejects.toThrow('Asset host is not allowed');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('reads our own upload URLs from storage instead of the network', async () => {
+    await certificateRenderer.loadAsset(`${storageService.publicUrl}/uploads/images/logo.png`);
+
+    expect(storageService.getFile).toHaveBeenCalledWith('/uploads/images/logo.png');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('refuses template paths outside the template directory', async () => {
+    await expect(certificateRenderer.loadAsset('/templates/../../.env')).rejects.toThrow(
+      'Asset path is outside the template directory'
+    );
+  });
+});
+
+describe('storageService.resolveLocalPath', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const root = path.resolve(storageService.baseDir);
+
+  it('resolves upload URLs inside the upload directory', () => {
+    expect(storageService.resolveLocalPath('/uploads/images/logo.png')).toBe(
+      path.join(root, 'images', 'logo.png')
+    );
+  });
+
+  it.each(['/uploads/../.env', '/uploads/images/../../../etc/passwd', '/etc/passwd', '/uploads/'])(
+    'refuses %s',
+    fileUrl => {
+      expect(() => storageService.resolveLocalPath(fileUrl)).toThrow(
+        'File path is outside the upload directory'
+      );
+    }
+  );
+
+  it('never reads files outside the upload directory', async () => {
+    jest.spyOn(fs, 'readFile');
+
+    await expect(storageService.getFile('/uploads/../../.env')).rejects.toThrow('File not found');
+    expect(fs.readFile).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import credentialService, {
+  PROOF_TYPE,
+  CRYPTOSUITE,
+} from '../../src/services/credential.service.js';
+import config from '../../src/config/index.js';
+
+const pemOf = privateKey => privateKey.export({ format: 'pem', type: 'pkcs8' });
+
+describe('credentialService', () => {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+
+  const unsigned = () => ({
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    type: ['VerifiableCredential', 'OpenBadgeCredential'],
+    issuer: { id: credentialService.getIssuerId(), name: 'CITAD' },
+    validFrom: '2026-03-02T09:00:00Z',
+    credentialSubject: { type: ['AchievementSubject'], name: 'Amina Bello' },
+  });
+
+  beforeEach(() => {
+    jest.replaceProperty(credentialService, 'privateKey', null);
+    jest.replaceProperty(credentialService, 'publicKey', null);
+    jest.replaceProperty(config.certificate, 'credentialSigningKey', pemOf(privateKey));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getKeys', () => {
+    it('signs with the configured key, given with escaped newlines', () => {
+      jest.replaceProperty(
+        config.certificate,
+        'credentialSigningKey',
+        pemOf(privateKey).replace(/\n/g, '\\n')
+      );
+
+      const keys = credentialService.getKeys();
+
+      expect(keys.privateKey.equals(privateKey)).toBe(true);
+      expect(credentialService.getIssuerId()).toMatch(/^did:key:z6Mk/);
+    });
+
+    it('refuses keys that are not Ed25519', () => {
+      const { privateKey: rsa } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      jest.replaceProperty(config.certificate, 'credentialSigningKey', pemOf(rsa));
+
+      expect(() => credentialService.getKeys()).toThrow(
+        expect.objectContaining({
+          statusCode: 500,
+          message: 'Credential signing key must be an Ed25519 key',
+        })
+      );
+      expect(credentialService.privateKey).toBeNull();
+    });
+
+    it('is unavailable in production without a key', () => {
+      jest.replaceProperty(config.certificate, 'credentialSigningKey', undefined);
+      jest.replaceProperty(config, 'isProduction', true);
+
+      expect(() => credentialService.sign({ type: ['VerifiableCredential'] })).toThrow(
+        expect.objectContaining({
+          statusCode: 503,
+          message: 'Credential signing is not configured',
+        })
+      );
+      expect(credentialService.privateKey).toBeNull();
+    });
+
+    it('uses a temporary key elsewhere', () => {
+      jest.replaceProperty(config.certificate, 'credentialSigningKey', undefined);
+      jest.replaceProperty(config, 'isProduction', false);
+
+      const { privateKey: temporary } = credentialService.getKeys();
+
+      expect(temporary.asymmetricKeyType).toBe('ed25519');
+      expect(credentialService.getKeys().privateKey).toBe(temporary);
+    });
+  });
+
+  describe('did:key', () => {
+    it('round-trips the public key', () => {
+      const { publicKey } = credentialService.getKeys();
+      const did = credentialService.toDidKey(publicKey);
+
+      const decoded = credentialService.fromDidKey(`${did}#${did.slice('did:key:'.length)}`);
+
+      expect(decoded.equals(publicKey)).toBe(true);
+    });
+
+    it.each([
+      'did:web:citad.org',
+      'did:key:z0OIl',
+      // A secp256k1 key, not Ed25519
+      'did:key:zQ3shokFTS3brHcDQrn82RUDfCZESWL1ZdCEJwekUDPQiYBme',
+    ])('does not read %s', verificationMethod => {
+      expect(credentialService.fromDidKey(verificationMethod)).toBeNull();
+    });
+  });
+
+  describe('canonicalize', () => {
+    it('sorts keys, drops undefined members and keeps arrays in order', () => {
+      expect(
+        credentialService.canonicalize({ b: [3, { z: 1, a: null }], a: 'x', c: undefined })
+      ).toBe('{"a":"x","b":[3,{"a":null,"z":1}]}');
+    });
+  });
+
+  describe('sign and verify', () => {
+    it('adds an eddsa-jcs-2022 proof that verifies', () => {
+      const credential = credentialService.sign(unsigned());
+
+      expect(credential.proof).toMatchObject({
+        type: PROOF_TYPE,
+        cryptosuite: CRYPTOSUITE,
+        proofPurpose: 'assertionMethod',
+        verificationMethod: credentialService.getVerificationMethod(),
+        proofValue: expect.stringMatching(/^z[1-9A-HJ-NP-Za-km-z]+$/),
+      });
+      expect(credentialService.verify(credential)).toEqual({
+        verified: true,
+        issuer: credentialService.getIssuerId(),
+        error: undefined,
+      });
+    });
+
+    it('verifies whatever the order of the members', () => {
+      const { proof, ...credential } = credentialService.sign(unsigned());
+      const reordered = Object.fromEntries(Object.entries(credential).reverse());
+
+      expect(credentialService.verify({ ...reordered, proof }).verified).toBe(true);
+    });
+
+    it('notices changes to the credential', () => {
+      const credential = credentialService.sign(unsigned());
+      credential.credentialSubject.name = 'Someone Else';
+
+      expect(credentialService.verify(credential)).toMatchObject({
+        verified: false,
+        error: 'Signature does not match the credential',
+      });
+    });
+
+    it('refuses proofs made by a key other than the issuer', () => {
+      const credential = credentialService.sign(unsigned());
+      const { publicKey: other } = crypto.generateKeyPairSync('ed25519');
+      credential.issuer.id = credentialService.toDidKey(other);
+
+      expect(credentialService.verify(credential).error).toBe(
+        'Proof was not made by the credential issuer'
+      );
+    });
+
+    it.each([
+      ['no proof', credential => ({ ...credential, proof: undefined }), 'Credential has no proof'],
+      [
+        'another cryptosuite',
+        credential => ({
+          ...credential,
+          proof: { ...credential.proof, cryptosuite: 'ecdsa-rdfc-2019' },
+        }),
+        'Unsupported proof type: ecdsa-rdfc-2019',
+      ],
+      [
+        'a did:web verification method',
+        credential => ({
+          ...credential,
+          proof: { ...credential.proof, verificationMethod: 'did:web:citad.org#key-1' },
+        }),
+        'Unsupported verification method',
+      ],
+      [
+        'a malformed proof value',
+        credential => ({ ...credential, proof: { ...credential.proof, proofValue: 'z0OIl' } }),
+        'Malformed proof value',
+      ],
+    ])('refuses a credential with %s', (name, alter, error) => {
+      const credential = alter(credentialService.sign(unsigned()));
+
+      expect(credentialService.verify(credential)).toMatchObject({ verified: false, error });
+    });
+  });
+});
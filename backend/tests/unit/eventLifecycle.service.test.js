@@ -0,0 +1,363 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import FakeQueue from '../helpers/fakeQueue.js';
+
+jest.unstable_mockModule('bull', () => ({ default: FakeQueue }));
+
+const { default: eventLifecycleService, MAX_STEP_ATTEMPTS } =
+  await import('../../src/services/eventLifecycle.service.js');
+const { default: emailService } = await import('../../src/services/email.service.js');
+const { scheduledQueue, certificateQueue } = await import('../../src/queues/index.js');
+const { SCHEDULED_JOB_TYPES, setupRecurringJobs } =
+  await import('../../src/queues/processors/scheduled.processor.js');
+const { Event, Feedback, Registration, User } = await import('../../src/models/index.js');
+
+const HOUR = 60 * 60 * 1000;
+
+// Event.findOneAndUpdate(...).select(...) resolving to the event
+const updatedTo = event => () => ({ select: async () => event });
+
+const makeEvent = (lifecycle = {}, fields = {}) =>
+  new Event({
+    title: 'Digital Skills Forum',
+    status: 'completed',
+    certificateEnabled: true,
+    feedbackEnabled: true,
+    certificateTemplateId: new mongoose.Types.ObjectId(),
+    lifecycle: { completedAt: new Date(), ...lifecycle },
+    ...fields,
+  });
+
+describe('eventLifecycleService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('advanceStatuses', () => {
+    it('starts events that have begun and completes those that have ended', async () => {
+      const now = new Date('2026-03-01T10:00:00Z');
+      jest
+        .spyOn(Event, 'updateMany')
+        .mockResolvedValueOnce({ modifiedCount: 2 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+
+      expect(await eventLifecycleService.advanceStatuses(now)).toEqual({
+        started: 2,
+        completed: 1,
+      });
+      expect(Event.updateMany.mock.calls).toEqual([
+        [
+          { status: 'published', startDateTime: { $lte: now }, endDateTime: { $gt: now } },
+          {
+            $set: { status: 'ongoing', 'lifecycle.startedAt': now },
+            $inc: { calendarSequence: 1 },
+          },
+        ],
+        [
+          // Published events that were never seen ongoing complete directly
+          { status: { $in: ['published', 'ongoing'] }, endDateTime: { $lte: now } },
+          {
+            $set: { status: 'completed', 'lifecycle.completedAt': now },
+            $inc: { calendarSequence: 1 },
+          },
+        ],
+      ]);
+    });
+  });
+
+  describe('isStepDue', () => {
+    it.each([
+      [{}, true],
+      [{ status: 'pending' }, true],
+      [{ status: 'failed', attempts: MAX_STEP_ATTEMPTS - 1 }, true],
+      [{ status: 'failed', attempts: MAX_STEP_ATTEMPTS }, false],
+      [{ status: 'queued', attempts: 1 }, false],
+      [{ status: 'completed', attempts: 1 }, false],
+      [{ status: 'skipped' }, false],
+    ])('certificates %p: %p', (certificates, due) => {
+      expect(eventLifecycleService.isStepDue(makeEvent({ certificates }), 'certificates')).toBe(
+        due
+      );
+    });
+
+    it('keeps feedback requests due until they complete or are skipped', () => {
+      // Feedback requests run in the job itself, so there is no queued state to wait for
+      expect(eventLifecycleService.dueStepQuery('feedbackRequests')).toEqual({
+        'lifecycle.feedbackRequests.status': { $nin: ['completed', 'skipped'] },
+        'lifecycle.feedbackRequests.attempts': { $not: { $gte: MAX_STEP_ATTEMPTS } },
+      });
+    });
+  });
+
+  describe('getPendingEvents', () => {
+    it('finds completed events with a step left, skipping ones from before the pipeline', async () => {
+      const select = jest.fn(async () => []);
+      jest.spyOn(Event, 'find').mockReturnValue({ select });
+
+      await eventLifecycleService.getPendingEvents();
+
+      expect(Event.find).toHaveBeenCalledWith({
+        status: 'completed',
+        'lifecycle.completedAt': { $exists: true },
+        $or: [
+          eventLifecycleService.dueStepQuery('certificates'),
+          eventLifecycleService.dueStepQuery('feedbackRequests'),
+        ],
+      });
+    });
+  });
+
+  describe('runCertificateStep', () => {
+    const queueBulk = jest.fn();
+
+    beforeEach(() => {
+      queueBulk.mockReset().mockResolvedValue({ id: 42 });
+    });
+
+    it('claims the step, then queues one job per attempt', async () => {
+      const event = makeEvent();
+      jest
+        .spyOn(Event, 'findOneAndUpdate')
+        .mockImplementationOnce(
+          updatedTo(makeEvent({ certificates: { status: 'queued', attempts: 2 } }))
+        )
+        .mockImplementationOnce(
+          updatedTo(makeEvent({ certificates: { status: 'queued', attempts: 2, jobId: '42' } }))
+        );
+
+      const step = await eventLifecycleService.runCertificateStep(event, queueBulk);
+
+      expect(Event.findOneAndUpdate.mock.calls[0][0]).toEqual({
+        _id: event._id,
+        ...eventLifecycleService.dueStepQuery('certificates'),
+      });
+      expect(queueBulk).toHaveBeenCalledWith(
+        String(event._id),
+        String(event.certificateTemplateId),
+        { jobId: `post-event-certificates-${event._id}-2` }
+      );
+      expect(Event.findOneAndUpdate.mock.calls[1][1].$set).toMatchObject({
+        'lifecycle.certificates.jobId': '42',
+        'lifecycle.certificates.error': null,
+      });
+      expect(step).toMatchObject({ status: 'queued', jobId: '42' });
+    });
+
+    it('queues nothing when another run claimed the step first', async () => {
+      jest.spyOn(Event, 'findOneAndUpdate').mockImplementation(updatedTo(null));
+
+      expect(await eventLifecycleService.runCertificateStep(makeEvent(), queueBulk)).toBeNull();
+      expect(queueBulk).not.toHaveBeenCalled();
+    });
+
+    it('records a failure to queue so a later run retries', async () => {
+      queueBulk.mockRejectedValue(new Error('Redis is down'));
+      jest
+        .spyOn(Event, 'findOneAndUpdate')
+        .mockImplementation(updatedTo(makeEvent({ certificates: { attempts: 1 } })));
+
+      await eventLifecycleService.runCertificateStep(makeEvent(), queueBulk);
+
+      expect(Event.findOneAndUpdate.mock.calls[1][1].$set).toMatchObject({
+        'lifecycle.certificates.status': 'failed',
+        'lifecycle.certificates.error': 'Redis is down',
+      });
+    });
+
+    it('skips events without certificates', async () => {
+      jest.spyOn(Event, 'findOneAndUpdate').mockImplementation(updatedTo(makeEvent()));
+
+      await eventLifecycleService.runCertificateStep(
+        makeEvent({}, { certificateEnabled: false }),
+        queueBulk
+      );
+
+      expect(Event.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({
+        'lifecycle.certificates.status': 'skipped',
+      });
+      expect(queueBulk).not.toHaveBeenCalled();
+    });
+
+    it('leaves steps that are done alone', async () => {
+      jest.spyOn(Event, 'findOneAndUpdate');
+
+      const event = makeEvent({ certificates: { status: 'completed', attempts: 1 } });
+
+      expect(await eventLifecycleService.runCertificateStep(event, queueBulk)).toBeNull();
+      expect(Event.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordCertificateResult', () => {
+    beforeEach(() => {
+      jest.spyOn(Event, 'findOneAndUpdate').mockImplementation(updatedTo(makeEvent()));
+    });
+
+    it('records the counts of a finished job', async () => {
+      await eventLifecycleService.recordCertificateResult('e1', {
+        result: { generated: 8, skipped: 1, ineligible: 2, failed: 1 },
+      });
+
+      const [filter, { $set }] = Event.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'e1' });
+      expect($set).toMatchObject({
+        'lifecycle.certificates.status': 'completed',
+        'lifecycle.certificates.generated': 8,
+        'lifecycle.certificates.ineligible': 2,
+        'lifecycle.certificates.error': '1 certificates failed',
+      });
+    });
+
+    it('fails only a step the pipeline queued', async () => {
+      await eventLifecycleService.recordCertificateResult('e1', { error: new Error('Boom') });
+
+      const [filter, { $set }] = Event.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'e1', 'lifecycle.certificates.status': 'queued' });
+      expect($set).toMatchObject({ 'lifecycle.certificates.status': 'failed' });
+    });
+  });
+
+  describe('sendFeedbackRequests', () => {
+    let users;
+
+    beforeEach(() => {
+      users = ['Amina', 'Bello', 'Chidi'].map(
+        name => new User({ fullname: name, email: `${name.toLowerCase()}@example.com` })
+      );
+      const [, bello, chidi] = users;
+
+      jest.spyOn(Feedback, 'distinct').mockResolvedValue([chidi._id]);
+      jest.spyOn(Registration, 'distinct').mockResolvedValue(users.map(user => user._id));
+      jest.spyOn(User, 'find').mockImplementation(({ _id }) => ({
+        select: async () => users.filter(user => _id.$in.includes(user._id)),
+      }));
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest
+        .spyOn(emailService, 'sendFeedbackRequest')
+        .mockImplementation(async user => ({ success: user !== bello }));
+      jest
+        .spyOn(Event, 'findOneAndUpdate')
+        .mockImplementation(updatedTo(makeEvent({ feedbackRequests: { status: 'failed' } })));
+    });
+
+    it('emails attendees who have not given feedback, and releases failed sends', async () => {
+      const event = makeEvent();
+
+      await eventLifecycleService.sendFeedbackRequests(event);
+
+      expect(Registration.distinct).toHaveBeenCalledWith('userId', {
+        eventId: event._id,
+        checkInTime: { $exists: true },
+        feedbackRequestedAt: { $exists: false },
+      });
+      expect(emailService.sendFeedbackRequest.mock.calls.map(([user]) => user.fullname)).toEqual([
+        'Amina',
+        'Bello',
+      ]);
+      // Bello's send failed: the claim is released for the next run
+      expect(Registration.updateOne).toHaveBeenLastCalledWith(
+        { eventId: event._id, userId: users[1]._id },
+        { $unset: { feedbackRequestedAt: 1 } }
+      );
+      expect(Event.findOneAndUpdate.mock.calls[0][1]).toMatchObject({
+        $set: {
+          'lifecycle.feedbackRequests.status': 'failed',
+          'lifecycle.feedbackRequests.failed': 1,
+          'lifecycle.feedbackRequests.error': '1 emails failed',
+        },
+        $inc: { 'lifecycle.feedbackRequests.sent': 1, 'lifecycle.feedbackRequests.attempts': 1 },
+      });
+    });
+
+    it('does not email attendees another run has claimed', async () => {
+      Registration.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await eventLifecycleService.sendFeedbackRequests(makeEvent());
+
+      expect(emailService.sendFeedbackRequest).not.toHaveBeenCalled();
+      expect(Event.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({
+        'lifecycle.feedbackRequests.status': 'completed',
+      });
+    });
+
+    it.each([
+      [
+        'feedback is disabled',
+        { feedbackEnabled: false },
+        'Feedback is not enabled for this event',
+      ],
+      [
+        'the feedback period has closed',
+        { feedbackDeadline: new Date(Date.now() - HOUR) },
+        'The feedback period has closed',
+      ],
+    ])('skips the step when %s', async (name, fields, error) => {
+      await eventLifecycleService.sendFeedbackRequests(makeEvent({}, fields));
+
+      expect(Event.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({
+        'lifecycle.feedbackRequests.status': 'skipped',
+        'lifecycle.feedbackRequests.error': error,
+      });
+      expect(emailService.sendFeedbackRequest).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('event lifecycle job', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs every five minutes', async () => {
+    jest.spyOn(scheduledQueue, 'add');
+
+    await setupRecurringJobs();
+
+    expect(scheduledQueue.add).toHaveBeenCalledWith(
+      { type: SCHEDULED_JOB_TYPES.EVENT_LIFECYCLE },
+      expect.objectContaining({ repeat: { cron: '*/5 * * * *' }, jobId: 'event-lifecycle' })
+    );
+  });
+
+  it('advances statuses, then queues certificates before requesting feedback', async () => {
+    const event = makeEvent();
+    const calls = [];
+    jest
+      .spyOn(eventLifecycleService, 'advanceStatuses')
+      .mockResolvedValue({ started: 0, completed: 1 });
+    jest.spyOn(eventLifecycleService, 'getPendingEvents').mockResolvedValue([event]);
+    jest
+      .spyOn(eventLifecycleService, 'runCertificateStep')
+      .mockImplementation(async (e, queueBulk) => {
+        calls.push('certificates');
+        await queueBulk(String(e._id), undefined, { jobId: 'post-event-certificates' });
+        return { status: 'queued' };
+      });
+    jest.spyOn(eventLifecycleService, 'sendFeedbackRequests').mockImplementation(async () => {
+      calls.push('feedback');
+      return { status: 'completed' };
+    });
+    jest.spyOn(certificateQueue, 'add');
+
+    const result = await scheduledQueue.handler({
+      id: '1',
+      data: { type: SCHEDULED_JOB_TYPES.EVENT_LIFECYCLE },
+    });
+
+    expect(calls).toEqual(['certificates', 'feedback']);
+    expect(certificateQueue.add).toHaveBeenCalledWith(
+      { type: 'generate_bulk', data: { eventId: String(event._id), templateId: undefined } },
+      expect.objectContaining({ jobId: 'post-event-certificates' })
+    );
+    expect(result).toMatchObject({
+      completed: 1,
+      pipelines: [
+        {
+          eventId: event._id,
+          certificates: { status: 'queued' },
+          feedbackRequests: { status: 'completed' },
+        },
+      ],
+    });
+  });
+});
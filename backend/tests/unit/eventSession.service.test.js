@@ -0,0 +1,251 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import eventSessionService from '../../src/services/eventSession.service.js';
+import { Event, Registration } from '../../src/models/index.js';
+import standaloneSessions from '../helpers/transactions.js';
+
+const at = time => new Date(`2026-03-01T${time}:00Z`);
+
+const makeEvent = (fields = {}) =>
+  new Event({
+    title: 'Test Event',
+    status: 'published',
+    capacity: 50,
+    startDateTime: at('09:00'),
+    endDateTime: at('17:00'),
+    sessions: [
+      { title: 'Morning', startDateTime: at('09:00'), endDateTime: at('12:00'), capacity: 20 },
+      { title: 'Afternoon', startDateTime: at('13:00'), endDateTime: at('17:00') },
+    ],
+    ...fields,
+  });
+
+describe('eventSessionService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildSessions', () => {
+    const input = (fields = {}) => ({
+      title: 'Talk',
+      startDateTime: '2026-03-01T10:00:00Z',
+      endDateTime: '2026-03-01T11:00:00Z',
+      ...fields,
+    });
+
+    it('sorts sessions by start time', () => {
+      const built = eventSessionService.buildSessions(makeEvent(), [
+        input({
+          title: 'Late',
+          startDateTime: '2026-03-01T14:00:00Z',
+          endDateTime: '2026-03-01T15:00:00Z',
+        }),
+        input({ title: 'Early' }),
+      ]);
+
+      expect(built.map(session => session.title)).toEqual(['Early', 'Late']);
+    });
+
+    it.each([
+      [{ title: '' }, 'Session 1: title is required'],
+      [{ endDateTime: '2026-03-01T09:30:00Z' }, 'Session 1: must end after it starts'],
+      [
+        { startDateTime: '2026-03-01T08:00:00Z' },
+        "Session 1: must fall within the event's start and end",
+      ],
+      [{ capacity: 0 }, 'Session 1: capacity must be a whole number of at least 1'],
+      [{ speakers: [{ title: 'Dr' }] }, 'Session 1: every speaker needs a name'],
+    ])('refuses %j', (fields, message) => {
+      expect(() => eventSessionService.buildSessions(makeEvent(), [input(fields)])).toThrow(
+        message
+      );
+    });
+  });
+
+  describe('assertSessionsWithinEvent', () => {
+    it('accepts event dates that still cover every session', () => {
+      const event = makeEvent({ endDateTime: at('18:00') });
+
+      expect(() => eventSessionService.assertSessionsWithinEvent(event)).not.toThrow();
+    });
+
+    it('refuses event dates that leave a session outside', () => {
+      const event = makeEvent();
+      event.startDateTime = at('10:00');
+
+      expect(() => eventSessionService.assertSessionsWithinEvent(event)).toThrow(
+        "Sessions must fall within the event's start and end. Move these sessions first: Morning"
+      );
+    });
+  });
+
+  describe('resolveSession', () => {
+    it('uses the chosen session', () => {
+      const event = makeEvent();
+      const [, afternoon] = event.sessions;
+
+      expect(eventSessionService.resolveSession(event, String(afternoon._id), at('09:30'))).toBe(
+        afternoon
+      );
+    });
+
+    it('uses the session running at check-in time, from half an hour before it starts', () => {
+      const event = makeEvent();
+
+      expect(eventSessionService.resolveSession(event, null, at('12:45')).title).toBe('Afternoon');
+      expect(eventSessionService.resolveSession(event, null, at('11:59')).title).toBe('Morning');
+    });
+
+    it('refuses check-ins between sessions without a choice', () => {
+      expect(() => eventSessionService.resolveSession(makeEvent(), null, at('12:15'))).toThrow(
+        'No session is open for check-in now. Choose a session'
+      );
+    });
+
+    it('refuses unknown sessions', () => {
+      expect(() =>
+        eventSessionService.resolveSession(makeEvent(), String(new mongoose.Types.ObjectId()))
+      ).toThrow('Session not found');
+    });
+  });
+
+  describe('setSessions', () => {
+    let event;
+
+    beforeEach(() => {
+      standaloneSessions();
+      event = makeEvent();
+      jest.spyOn(Event, 'findById').mockResolvedValue(event);
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    const countsOf = counts => {
+      jest.spyOn(Registration, 'aggregate').mockReturnValue({
+        session: async () => counts,
+      });
+    };
+
+    it('writes the sessions with their attendance recounted from the registrations', async () => {
+      const [morning] = event.sessions;
+      countsOf([{ _id: morning._id, count: 7 }]);
+
+      const { event: updated, before } = await eventSessionService.setSessions(event._id, [
+        {
+          _id: String(morning._id),
+          title: 'Morning keynote',
+          startDateTime: morning.startDateTime,
+          endDateTime: morning.endDateTime,
+        },
+        { title: 'Workshop', startDateTime: at('14:00'), endDateTime: at('16:00') },
+      ]);
+
+      const [, update, options] = Event.updateOne.mock.calls[0];
+      const stored = update.$set.sessions;
+      expect(stored.map(session => [session.title, session.attendanceCount])).toEqual([
+        ['Morning keynote', 7],
+        ['Workshop', 0],
+      ]);
+      expect(String(stored[0]._id)).toBe(String(morning._id));
+      expect(stored[1]._id).toBeDefined();
+      expect(options).toMatchObject({ runValidators: true, session: null });
+
+      expect(updated.sessions.map(session => String(session._id))).toEqual(
+        stored.map(session => String(session._id))
+      );
+      expect(updated.isModified('sessions')).toBe(false);
+      expect(before.map(session => session.title)).toEqual(['Morning', 'Afternoon']);
+    });
+
+    it('refuses to remove sessions with attendance', async () => {
+      const [morning, afternoon] = event.sessions;
+      countsOf([{ _id: afternoon._id, count: 2 }]);
+
+      await expect(
+        eventSessionService.setSessions(event._id, [
+          {
+            _id: String(morning._id),
+            title: 'Morning',
+            startDateTime: morning.startDateTime,
+            endDateTime: morning.endDateTime,
+          },
+        ])
+      ).rejects.toThrow('Cannot remove sessions that already have attendance: Afternoon');
+      expect(Event.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses session IDs the event does not have', async () => {
+      countsOf([]);
+      const _id = String(new mongoose.Types.ObjectId());
+
+      await expect(
+        eventSessionService.setSessions(event._id, [
+          { _id, title: 'Ghost', startDateTime: at('10:00'), endDateTime: at('11:00') },
+        ])
+      ).rejects.toThrow(`Unknown session: ${_id}`);
+    });
+  });
+
+  describe('certificate eligibility', () => {
+    const attended = (event, count, durationMinutes) => ({
+      durationMinutes,
+      sessions: event.sessions.slice(0, count).map(session => ({ sessionId: session._id })),
+    });
+
+    it('requires the minimum number of sessions', () => {
+      const event = makeEvent({ minSessionsAttended: 2 });
+
+      expect(event.meetsAttendanceThreshold(attended(event, 1))).toBe(false);
+      expect(event.meetsAttendanceThreshold(attended(event, 2))).toBe(true);
+    });
+
+    it('caps the minimum at the number of sessions', () => {
+      const event = makeEvent({ minSessionsAttended: 5 });
+
+      expect(event.meetsAttendanceThreshold(attended(event, 2))).toBe(true);
+    });
+
+    it('ignores check-ins to sessions that were removed', () => {
+      const event = makeEvent({ minSessionsAttended: 2 });
+      const registration = attended(event, 1);
+      registration.sessions.push({ sessionId: new mongoose.Types.ObjectId() });
+
+      expect(event.countSessionsAttended(registration)).toBe(1);
+      expect(event.meetsAttendanceThreshold(registration)).toBe(false);
+    });
+
+    it('applies the minimum stay as well', () => {
+      const event = makeEvent({ minSessionsAttended: 1, minAttendanceMinutes: 60 });
+
+      expect(event.meetsAttendanceThreshold(attended(event, 1, 30))).toBe(false);
+      expect(event.meetsAttendanceThreshold(attended(event, 1, 90))).toBe(true);
+    });
+  });
+
+  describe('getAttendanceReport', () => {
+    it('reports attendance per session and across sessions', () => {
+      const event = makeEvent({ registrationCount: 4, minSessionsAttended: 2 });
+      event.sessions[0].attendanceCount = 3;
+      event.sessions[1].attendanceCount = 1;
+      const attendees = [
+        { sessions: event.sessions.map(session => ({ sessionId: session._id })) },
+        { sessions: [{ sessionId: event.sessions[0]._id }] },
+        { sessions: [{ sessionId: event.sessions[0]._id }] },
+      ];
+
+      const { sessions, aggregate } = eventSessionService.getAttendanceReport(event, attendees);
+
+      expect(sessions.map(session => [session.attended, session.attendanceRate])).toEqual([
+        [3, 75],
+        [1, 25],
+      ]);
+      expect(aggregate).toMatchObject({
+        sessions: 2,
+        registered: 4,
+        attendedAny: 3,
+        attendedAll: 1,
+        averageSessionsAttended: 1.33,
+        eligibleForCertificate: 1,
+      });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { Readable, Writable } from 'stream';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import exportService, { EXPORT_TYPES } from '../../src/services/export.service.js';
+import { Feedback, Registration } from '../../src/models/index.js';
+
+/**
+ * A find() chain whose cursor yields the given documents
+ */
+const fakeFind = docs => () => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: () => chain,
+    cursor: () => {
+      const cursor = Readable.from(docs);
+      cursor.eachAsync = async fn => {
+        docs.forEach(doc => fn(doc));
+      };
+      return cursor;
+    },
+  };
+  return chain;
+};
+
+const collect = () => {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  output.text = () => Buffer.concat(chunks).toString('utf8');
+  return output;
+};
+
+describe('exportService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('default columns', () => {
+    it.each(EXPORT_TYPES)('resolves the default columns of the %s export', type => {
+      expect(exportService.resolveColumns(type).length).toBeGreaterThan(0);
+    });
+
+    it.each(EXPORT_TYPES)('writes a %s CSV with the default columns', async type => {
+      const { model } = exportService.getDefinition(type);
+      jest
+        .spyOn(model, 'find')
+        .mockImplementation(fakeFind([{ _id: new mongoose.Types.ObjectId() }]));
+
+      const output = collect();
+      const rows = await exportService.writeExport({ type, format: 'csv', columns: [] }, output);
+      const [header] = output.text().split('\n');
+
+      expect(rows).toBe(1);
+      expect(header.split(',')).toEqual(exportService.resolveColumns(type));
+    });
+
+    it.each(EXPORT_TYPES)('writes a %s XLSX with the default columns', async type => {
+      const { model } = exportService.getDefinition(type);
+      jest
+        .spyOn(model, 'find')
+        .mockImplementation(fakeFind([{ _id: new mongoose.Types.ObjectId() }]));
+
+      const output = collect();
+      const rows = await exportService.writeExport({ type, format: 'xlsx', columns: [] }, output);
+
+      expect(rows).toBe(1);
+      // XLSX files are zip archives
+      expect(output.text().startsWith('PK')).toBe(true);
+    });
+  });
+
+  describe('hidden fields', () => {
+    it.each([
+      'password',
+      'resetToken',
+      'resetTokenExpiration',
+      'verificationToken',
+      'passwordHistory',
+      'twoFactorSecret',
+      'twoFactorRecoveryCodes',
+      'sessions',
+      'calendarFeedToken',
+    ])('refuses to export users.%s', column => {
+      expect(() => exportService.resolveColumns('users', [column])).toThrow(
+        `Column cannot be exported: ${column}`
+      );
+    });
+
+    it('expands an allowed nested prefix to its fields', () => {
+      expect(exportService.resolveColumns('users', ['address'])).toEqual([
+        'address.street',
+        'address.city',
+        'address.state',
+        'address.country',
+      ]);
+    });
+
+    it.each([
+      ['events', 'waitlist'],
+      ['registrations', 'qrSignature'],
+      ['certificates', 'verificationHash'],
+    ])('refuses to export %s.%s', (type, column) => {
+      expect(() => exportService.resolveColumns(type, [column])).toThrow(
+        `Column cannot be exported: ${column}`
+      );
+    });
+
+    it('rejects unknown columns', () => {
+      expect(() => exportService.resolveColumns('events', ['nope'])).toThrow(
+        'Unknown column for events export: nope'
+      );
+    });
+  });
+
+  describe('feedback', () => {
+    it('exports anonymous feedback without its author', async () => {
+      const author = new mongoose.Types.ObjectId();
+      jest.spyOn(Feedback, 'find').mockImplementation(
+        fakeFind([
+          { _id: 'f1', userId: author, isAnonymous: false, ipAddress: '10.0.0.1' },
+          { _id: 'f2', userId: author, isAnonymous: true, ipAddress: '10.0.0.2' },
+        ])
+      );
+
+      const output = collect();
+      await exportService.writeExport(
+        { type: 'feedback', format: 'csv', columns: ['_id', 'userId', 'ipAddress', 'isAnonymous'] },
+        output
+      );
+
+      expect(output.text().trim().split('\n')).toEqual([
+        '_id,userId,ipAddress,isAnonymous',
+        `f1,${author},10.0.0.1,false`,
+        'f2,,,true',
+      ]);
+    });
+  });
+
+  describe('escapeCSV', () => {
+    it.each(['=1+1', '+1', '-1', '@SUM(A1)', '\tx', '\rx'])('neutralises the formula %j', value => {
+      expect(exportService.escapeCSV(value).replace(/^"/, '')).toMatch(/^'/);
+    });
+
+    it('leaves numbers and plain text alone', () => {
+      expect(exportService.escapeCSV(-5)).toBe('-5');
+      expect(exportService.escapeCSV('Kano')).toBe('Kano');
+    });
+
+    it('quotes commas, quotes and line breaks', () => {
+      expect(exportService.escapeCSV('a,"b"')).toBe('"a,""b"""');
+    });
+  });
+
+  describe('buildQuery', () => {
+    it('filters users by their registrations for an event', async () => {
+      const eventId = new mongoose.Types.ObjectId();
+      const userId = new mongoose.Types.ObjectId();
+      jest.spyOn(Registration, 'distinct').mockResolvedValue([userId]);
+
+      const query = await exportService.buildQuery('users', { eventId: String(eventId) });
+
+      expect(Registration.distinct).toHaveBeenCalledWith('userId', { eventId });
+      expect(query).toEqual({ _id: { $in: [userId] } });
+    });
+
+    it('rejects an invalid event ID', async () => {
+      await expect(exportService.buildQuery('events', { eventId: 'nope' })).rejects.toThrow(
+        'Invalid event ID'
+      );
+    });
+  });
+});
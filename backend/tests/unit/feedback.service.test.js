@@ -0,0 +1,403 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import feedbackService from '../../src/services/feedback.service.js';
+import { Event, Feedback, Registration } from '../../src/models/index.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('feedbackService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('assertFeedbackOpen', () => {
+    it('takes feedback while enabled and before the deadline', () => {
+      const event = new Event({
+        feedbackEnabled: true,
+        feedbackDeadline: new Date(Date.now() + DAY),
+      });
+
+      expect(() => feedbackService.assertFeedbackOpen(event)).not.toThrow();
+      expect(() =>
+        feedbackService.assertFeedbackOpen(new Event({ feedbackEnabled: true }))
+      ).not.toThrow();
+    });
+
+    it('refuses feedback when disabled', () => {
+      expect(() =>
+        feedbackService.assertFeedbackOpen(new Event({ feedbackEnabled: false }))
+      ).toThrow(
+        expect.objectContaining({
+          statusCode: 403,
+          message: 'Feedback is not enabled for this event',
+        })
+      );
+    });
+
+    it('refuses feedback after the deadline', () => {
+      const feedbackDeadline = new Date('2026-03-10T00:00:00Z');
+      const event = new Event({ feedbackEnabled: true, feedbackDeadline });
+
+      expect(() =>
+        feedbackService.assertFeedbackOpen(event, new Date('2026-03-10T00:00:01Z'))
+      ).toThrow(
+        expect.objectContaining({
+          statusCode: 403,
+          message: 'The feedback period for this event closed on 2026-03-10T00:00:00.000Z',
+        })
+      );
+    });
+  });
+
+  describe('assertCanSubmit', () => {
+    const event = new Event({ feedbackEnabled: true });
+    const userId = id();
+
+    it('lets attendees who checked in give feedback', async () => {
+      jest.spyOn(Registration, 'exists').mockResolvedValue({ _id: id() });
+
+      await expect(feedbackService.assertCanSubmit(event, userId)).resolves.toBeUndefined();
+      expect(Registration.exists).toHaveBeenCalledWith({
+        eventId: event._id,
+        userId,
+        checkInTime: { $exists: true },
+      });
+    });
+
+    it('refuses users who did not check in', async () => {
+      jest.spyOn(Registration, 'exists').mockResolvedValue(null);
+
+      await expect(feedbackService.assertCanSubmit(event, userId)).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'Only attendees who checked in can give feedback for this event',
+      });
+    });
+
+    it('checks that feedback is open first', async () => {
+      jest.spyOn(Registration, 'exists');
+
+      await expect(
+        feedbackService.assertCanSubmit(new Event({ feedbackEnabled: false }), userId)
+      ).rejects.toThrow('Feedback is not enabled for this event');
+      expect(Registration.exists).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('toAdminView', () => {
+    const makeFeedback = isAnonymous =>
+      new Feedback({
+        eventId: id(),
+        userId: id(),
+        ratings: { overall: 4 },
+        isAnonymous,
+        ipAddress: '10.0.0.1',
+        metadata: { userAgent: 'Test Browser', language: 'ha' },
+      });
+
+    it('hides who wrote anonymous feedback', () => {
+      const view = feedbackService.toAdminView(makeFeedback(true));
+
+      expect(view).not.toHaveProperty('userId');
+      expect(view).not.toHaveProperty('ipAddress');
+      expect(view.metadata).toEqual({ language: 'ha' });
+      expect(view.ratings.overall).toBe(4);
+    });
+
+    it('leaves a lean document passed in untouched', () => {
+      const lean = makeFeedback(true).toObject();
+
+      const view = feedbackService.toAdminView(lean);
+
+      expect(view).not.toHaveProperty('userId');
+      expect(lean).toHaveProperty('userId');
+      expect(lean.metadata.userAgent).toBe('Test Browser');
+    });
+
+    it('shows named feedback as it is', () => {
+      const feedback = makeFeedback(false);
+
+      expect(feedbackService.toAdminView(feedback)).toMatchObject({
+        userId: feedback.userId,
+        ipAddress: '10.0.0.1',
+        metadata: { userAgent: 'Test Browser' },
+      });
+    });
+  });
+
+  describe('buildQuestions', () => {
+    it('normalises questions and fills in the defaults', () => {
+      const questionId = id();
+
+      const questions = feedbackService.buildQuestions([
+        { _id: questionId, question: '  How was the venue? ', questionType: 'rating' },
+        {
+          question: 'Which tracks did you attend?',
+          questionType: 'choice',
+          options: [' Data ', 'Policy', 'Data', ''],
+          allowMultiple: true,
+          required: true,
+        },
+        { question: 'Anything else?', questionType: 'text' },
+        { question: 'Would you come again?', questionType: 'boolean', required: 'yes' },
+      ]);
+
+      expect(questions).toEqual([
+        {
+          _id: questionId,
+          question: 'How was the venue?',
+          questionType: 'rating',
+          required: false,
+          scale: { min: 1, max: 5, minLabel: undefined, maxLabel: undefined },
+        },
+        {
+          question: 'Which tracks did you attend?',
+          questionType: 'choice',
+          required: true,
+          options: ['Data', 'Policy'],
+          allowMultiple: true,
+        },
+        { question: 'Anything else?', questionType: 'text', required: false, maxLength: 1000 },
+        { question: 'Would you come again?', questionType: 'boolean', required: false },
+      ]);
+    });
+
+    it('lists every problem at once', () => {
+      const questionId = String(id());
+
+      expect(() =>
+        feedbackService.buildQuestions([
+          { _id: questionId, question: '', questionType: 'essay' },
+          { _id: questionId, question: 'Pick one', questionType: 'choice', options: ['Only'] },
+          { question: 'Rate it', questionType: 'rating', scale: { min: 5, max: 5 } },
+          { _id: 'nope', question: 'Tell us', questionType: 'text', maxLength: 5000 },
+        ])
+      ).toThrow(
+        'Invalid feedback form. Question 1: question text is required. ' +
+          'Question 1: questionType must be one of text, rating, boolean, choice. ' +
+          'Question 2: a choice question needs at least two options. ' +
+          'Question 3: rating scale must be whole numbers with 0 <= min < max <= 10. ' +
+          'Question 4: invalid _id. Question 4: maxLength must be between 1 and 1000. ' +
+          'Question IDs must be unique'
+      );
+    });
+
+    it('refuses more than 30 questions', () => {
+      const questions = Array.from({ length: 31 }, (v, index) => ({
+        question: `Question ${index}`,
+        questionType: 'boolean',
+      }));
+
+      expect(() => feedbackService.buildQuestions(questions)).toThrow(
+        'A feedback form can have at most 30 questions'
+      );
+    });
+  });
+
+  describe('setForm', () => {
+    let event;
+
+    beforeEach(() => {
+      event = new Event({
+        title: 'Digital Skills Forum',
+        feedbackForm: { questions: [{ question: 'How was it?', questionType: 'rating' }] },
+      });
+      jest.spyOn(Event, 'findById').mockResolvedValue(event);
+      jest.spyOn(event, 'save').mockResolvedValue(event);
+    });
+
+    it('replaces the questions and returns the form as it was', async () => {
+      const [existing] = event.feedbackForm.questions;
+      jest.spyOn(Feedback, 'distinct').mockResolvedValue([existing._id]);
+      const adminId = id();
+
+      const { before } = await feedbackService.setForm(
+        event._id,
+        [
+          { _id: String(existing._id), question: 'How was the day?', questionType: 'rating' },
+          { question: 'Anything else?', questionType: 'text' },
+        ],
+        adminId
+      );
+
+      expect(before.questions[0].question).toBe('How was it?');
+      expect(event.feedbackForm.questions.map(question => question.question)).toEqual([
+        'How was the day?',
+        'Anything else?',
+      ]);
+      expect(String(event.feedbackForm.questions[0]._id)).toBe(String(existing._id));
+      expect(event.feedbackForm.updatedBy).toEqual(adminId);
+      expect(event.save).toHaveBeenCalled();
+    });
+
+    it('keeps the type of questions that already have answers', async () => {
+      const [existing] = event.feedbackForm.questions;
+      jest.spyOn(Feedback, 'distinct').mockResolvedValue([existing._id]);
+
+      await expect(
+        feedbackService.setForm(
+          event._id,
+          [{ _id: String(existing._id), question: 'How was it?', questionType: 'text' }],
+          id()
+        )
+      ).rejects.toThrow(
+        'Cannot change the type of questions that already have answers: How was it?'
+      );
+      expect(event.save).not.toHaveBeenCalled();
+    });
+
+    it('lets unanswered questions change type', async () => {
+      const [existing] = event.feedbackForm.questions;
+      jest.spyOn(Feedback, 'distinct').mockResolvedValue([]);
+
+      await feedbackService.setForm(
+        event._id,
+        [{ _id: String(existing._id), question: 'How was it?', questionType: 'text' }],
+        id()
+      );
+
+      expect(event.feedbackForm.questions[0].questionType).toBe('text');
+    });
+  });
+
+  describe('validateResponses', () => {
+    const form = {
+      questions: [
+        {
+          _id: id(),
+          question: 'Rating',
+          questionType: 'rating',
+          required: true,
+          scale: { min: 0, max: 10 },
+        },
+        {
+          _id: id(),
+          question: 'Tracks',
+          questionType: 'choice',
+          options: ['Data', 'Policy'],
+          allowMultiple: true,
+        },
+        { _id: id(), question: 'Lunch', questionType: 'choice', options: ['Rice', 'Yam'] },
+        { _id: id(), question: 'Again', questionType: 'boolean' },
+        { _id: id(), question: 'Notes', questionType: 'text', maxLength: 10 },
+      ],
+    };
+    const [rating, tracks, lunch, again, notes] = form.questions;
+
+    it('keeps answers in form order, converted to their type', () => {
+      const responses = feedbackService.validateResponses(form, [
+        { questionId: String(again._id), answer: 'false' },
+        { questionId: String(tracks._id), answer: ['Data', 'Data', 'Policy'] },
+        { questionId: String(rating._id), answer: '0' },
+        { questionId: String(notes._id), answer: '  Great  ' },
+        { questionId: String(lunch._id), answer: '' },
+      ]);
+
+      expect(responses.map(({ question, answer }) => [question, answer])).toEqual([
+        ['Rating', 0],
+        ['Tracks', ['Data', 'Policy']],
+        ['Again', false],
+        ['Notes', 'Great'],
+      ]);
+      expect(responses[0]).toMatchObject({ questionId: rating._id, questionType: 'rating' });
+    });
+
+    it('lists every invalid answer at once', () => {
+      const unknown = String(id());
+
+      expect(() =>
+        feedbackService.validateResponses(form, [
+          { questionId: unknown, answer: 'x' },
+          { questionId: String(rating._id), answer: 4.5 },
+          { questionId: String(tracks._id), answer: ['Sport'] },
+          { questionId: String(lunch._id), answer: ['Rice', 'Yam'] },
+          { questionId: String(again._id), answer: 'maybe' },
+          { questionId: String(notes._id), answer: 'Far too long' },
+        ])
+      ).toThrow(
+        `Invalid feedback responses. Unknown question: ${unknown}. ` +
+          'Rating: rating must be a whole number from 0 to 10. Tracks: invalid option: Sport. ' +
+          'Lunch: only one option can be selected. Again: answer must be true or false. ' +
+          'Notes: answer cannot exceed 10 characters'
+      );
+    });
+
+    it('requires answers to required questions', () => {
+      expect(() => feedbackService.validateResponses(form, [])).toThrow(
+        'Invalid feedback responses. Rating: an answer is required'
+      );
+    });
+
+    it('takes no answers without a form', () => {
+      expect(feedbackService.validateResponses(undefined)).toEqual([]);
+    });
+  });
+
+  describe('getQuestionAnalytics', () => {
+    const form = {
+      questions: [
+        { _id: id(), question: 'Rating', questionType: 'rating', required: true },
+        {
+          _id: id(),
+          question: 'Tracks',
+          questionType: 'choice',
+          options: ['Data', 'Policy'],
+          allowMultiple: true,
+        },
+        { _id: id(), question: 'Again', questionType: 'boolean' },
+        { _id: id(), question: 'Notes', questionType: 'text' },
+      ],
+    };
+    const [rating, tracks, again, notes] = form.questions;
+    const feedbackWith = (submittedAt, answers) => ({
+      submittedAt: new Date(submittedAt),
+      customResponses: answers.map(([question, answer]) => ({ questionId: question._id, answer })),
+    });
+
+    it('summarises each question by its type', () => {
+      const analytics = feedbackService.getQuestionAnalytics(form, [
+        feedbackWith('2026-03-01', [
+          [rating, 5],
+          [tracks, ['Data', 'Policy']],
+          [again, true],
+          [notes, 'First'],
+        ]),
+        feedbackWith('2026-03-03', [
+          [rating, 4],
+          [tracks, ['Data']],
+          [again, false],
+          [notes, 'Latest'],
+        ]),
+        feedbackWith('2026-03-02', [[rating, 4]]),
+      ]);
+
+      expect(analytics).toEqual([
+        {
+          questionId: rating._id,
+          question: 'Rating',
+          questionType: 'rating',
+          required: true,
+          responses: 3,
+          scale: { min: 1, max: 5 },
+          average: 4.33,
+          distribution: { 1: 0, 2: 0, 3: 0, 4: 2, 5: 1 },
+        },
+        expect.objectContaining({
+          responses: 2,
+          allowMultiple: true,
+          distribution: { Data: 2, Policy: 1 },
+          percentages: { Data: 100, Policy: 50 },
+        }),
+        expect.objectContaining({ responses: 2, yes: 1, no: 1, yesRate: 50 }),
+        expect.objectContaining({ responses: 2, recentAnswers: ['Latest', 'First'] }),
+      ]);
+    });
+
+    it('reports questions nobody answered', () => {
+      const [ratingSummary, choiceSummary] = feedbackService.getQuestionAnalytics(form, []);
+
+      expect(ratingSummary).toMatchObject({ responses: 0, average: null });
+      expect(choiceSummary.percentages).toEqual({ Data: 0, Policy: 0 });
+    });
+  });
+});
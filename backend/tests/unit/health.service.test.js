@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import FakeQueue from '../helpers/fakeQueue.js';
+
+const redis = { ping: jest.fn() };
+
+jest.unstable_mockModule('bull', () => ({ default: FakeQueue }));
+jest.unstable_mockModule('../../src/config/redis.js', () => ({
+  connectRedis: async () => redis,
+  getRedisClient: () => redis,
+  disconnectRedis: async () => {},
+}));
+
+const { default: request } = await import('supertest');
+const { default: config } = await import('../../src/config/index.js');
+const { emailQueue } = await import('../../src/queues/index.js');
+const { default: healthService } = await import('../../src/services/health.service.js');
+const { default: storageService } = await import('../../src/services/storage.service.js');
+const { default: emailService } = await import('../../src/services/email.service.js');
+const { default: smsService } = await import('../../src/services/sms.service.js');
+const { default: app } = await import('../../src/app.js');
+
+describe('healthService', () => {
+  const ping = jest.fn();
+
+  beforeEach(() => {
+    // Connected, without a server to connect to
+    jest.replaceProperty(mongoose.connection, '_readyState', 1);
+    mongoose.connection.db = { admin: () => ({ ping }) };
+    ping.mockReset().mockResolvedValue({ ok: 1 });
+    redis.ping.mockReset().mockResolvedValue('PONG');
+    jest.spyOn(storageService, 'checkWritable').mockResolvedValue(true);
+    jest.spyOn(emailService, 'isConfigured').mockReturnValue(true);
+    jest.spyOn(smsService, 'isConfigured').mockReturnValue(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete mongoose.connection.db;
+    emailQueue.counts.waiting = 0;
+    emailQueue.counts.failed = 0;
+  });
+
+  describe('getHealth', () => {
+    it('is healthy when every check passes, with SMS left optional', async () => {
+      const health = await healthService.getHealth();
+
+      expect(health.status).toBe('healthy');
+      expect(health.database).toMatchObject({ status: 'healthy', latencyMs: expect.any(Number) });
+      expect(health.redis.status).toBe('healthy');
+      expect(health.queues.queues).toHaveLength(6);
+      expect(health.storage).toMatchObject({ status: 'healthy', type: storageService.storageType });
+      expect(health.services.sms).toEqual({
+        provider: 'twilio',
+        configured: false,
+        status: 'healthy',
+      });
+    });
+
+    it('is unhealthy when MongoDB is down', async () => {
+      jest.replaceProperty(mongoose.connection, '_readyState', 0);
+
+      const health = await healthService.getHealth();
+
+      expect(health.status).toBe('unhealthy');
+      expect(health.database).toMatchObject({
+        status: 'unhealthy',
+        error: 'MongoDB is not connected',
+      });
+      expect(ping).not.toHaveBeenCalled();
+    });
+
+    it('is unhealthy when Redis answers wrongly or not in time', async () => {
+      redis.ping.mockResolvedValue('LOADING');
+      expect((await healthService.getHealth()).redis.error).toBe('Unexpected PING reply: LOADING');
+
+      jest.replaceProperty(healthService, 'timeoutMs', 10);
+      redis.ping.mockReturnValue(new Promise(() => {}));
+
+      const health = await healthService.getHealth();
+
+      expect(health.status).toBe('unhealthy');
+      expect(health.redis).toMatchObject({ status: 'unhealthy', error: 'Timed out after 10ms' });
+    });
+
+    it('is degraded when a queue backs up or keeps failing', async () => {
+      jest.replaceProperty(config.health, 'maxBacklog', 5);
+      jest.replaceProperty(config.health, 'maxFailed', 2);
+      emailQueue.counts.waiting = 6;
+      emailQueue.counts.failed = 3;
+
+      const health = await healthService.getHealth();
+
+      expect(health.status).toBe('degraded');
+      expect(health.queues.status).toBe('degraded');
+      expect(health.queues.queues.find(queue => queue.name === 'email')).toMatchObject({
+        status: 'degraded',
+        warnings: ['backlog of 6 jobs', '3 failed jobs'],
+      });
+    });
+
+    it('is degraded when uploads cannot be written or email is not configured', async () => {
+      storageService.checkWritable.mockRejectedValue(new Error('EACCES'));
+      expect(await healthService.getHealth()).toMatchObject({
+        status: 'degraded',
+        storage: { status: 'unhealthy', error: 'EACCES' },
+      });
+
+      storageService.checkWritable.mockResolvedValue(true);
+      emailService.isConfigured.mockReturnValue(false);
+      expect((await healthService.getHealth()).status).toBe('degraded');
+    });
+  });
+
+  describe('GET /readyz', () => {
+    it('is 200 when MongoDB and Redis are reachable', async () => {
+      const res = await request(app).get('/readyz');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        status: 'ready',
+        checks: { database: { status: 'healthy' }, redis: { status: 'healthy' } },
+      });
+    });
+
+    it.each([
+      ['MongoDB', () => ping.mockRejectedValue(new Error('not primary'))],
+      ['Redis', () => redis.ping.mockRejectedValue(new Error('ECONNREFUSED'))],
+    ])('is 503 when %s is down', async (name, breakIt) => {
+      breakIt();
+
+      const res = await request(app).get('/readyz');
+
+      expect(res.status).toBe(503);
+      expect(res.body.status).toBe('not_ready');
+    });
+
+    it('does not depend on queues, storage or integrations', async () => {
+      storageService.checkWritable.mockRejectedValue(new Error('EACCES'));
+      emailService.isConfigured.mockReturnValue(false);
+
+      expect((await request(app).get('/readyz')).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { jest } from '@jest/globals';
+import { Admin } from '../../src/models/index.js';
+import { ROLE_PERMISSIONS } from '../../src/models/Admin.js';
+import { ADDED_PERMISSIONS, backfillPermissions } from '../../src/utils/migrateAdminPermissions.js';
+
+describe('backfillPermissions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds manage_attendance to the roles that have it by default', async () => {
+    jest.spyOn(Admin, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    const count = await backfillPermissions();
+
+    const roles = Admin.updateMany.mock.calls.map(([filter]) => filter.role);
+    expect(roles.sort()).toEqual(['event_manager', 'staff', 'super_admin']);
+    expect(Admin.updateMany).toHaveBeenCalledWith(
+      { role: 'staff', permissions: { $not: { $all: ['manage_attendance'] } } },
+      { $addToSet: { permissions: { $each: ['manage_attendance'] } } }
+    );
+    expect(count).toBe(6);
+  });
+
+  it('only adds permissions that are role defaults', () => {
+    ADDED_PERMISSIONS.forEach(permission => {
+      expect(ROLE_PERMISSIONS.super_admin).toContain(permission);
+    });
+    expect(ROLE_PERMISSIONS.auditor).not.toContain('manage_attendance');
+  });
+});
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import { Admin, AuditLog } from '../../src/models/index.js';
+import { migrateAuditLog, toAuditEntry } from '../../src/utils/migrateAuditLog.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('migrateAuditLog', () => {
+  const timestamp = new Date('2025-11-03T08:00:00Z');
+  let admins;
+
+  // A raw admin document with its legacy actionsLog
+  const makeAdmin = actionsLog => ({
+    _id: id(),
+    email: 'admin@citad.org',
+    role: 'staff',
+    actionsLog,
+  });
+
+  beforeEach(() => {
+    admins = [
+      makeAdmin([
+        {
+          _id: id(),
+          action: 'update_event',
+          resource: 'event',
+          resourceId: id(),
+          details: { title: 'Forum' },
+          ipAddress: '10.0.0.1',
+          timestamp,
+        },
+        { _id: id(), action: 'login', timestamp },
+      ]),
+    ];
+
+    jest.spyOn(Admin.collection, 'distinct').mockImplementation(async () => admins.map(a => a._id));
+    jest
+      .spyOn(Admin.collection, 'findOne')
+      .mockImplementation(async ({ _id }) => admins.find(admin => admin._id === _id));
+    jest
+      .spyOn(AuditLog.collection, 'bulkWrite')
+      .mockImplementation(async operations => ({ upsertedCount: operations.length }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('toAuditEntry', () => {
+    it('keeps the actor, the action and its original time', () => {
+      const [admin] = admins;
+
+      expect(toAuditEntry(admin, admin.actionsLog[0])).toEqual({
+        actor: { adminId: admin._id, email: 'admin@citad.org', role: 'staff' },
+        action: 'update_event',
+        resource: 'event',
+        resourceId: String(admin.actionsLog[0].resourceId),
+        details: { title: 'Forum' },
+        request: { ip: '10.0.0.1' },
+        createdAt: timestamp,
+      });
+    });
+
+    it('files entries without a resource under the admin', () => {
+      const [admin] = admins;
+
+      expect(toAuditEntry(admin, admin.actionsLog[1])).toEqual({
+        actor: expect.any(Object),
+        action: 'login',
+        resource: 'admin',
+        createdAt: timestamp,
+      });
+    });
+  });
+
+  it('copies each entry once, under its own ID', async () => {
+    const result = await migrateAuditLog();
+
+    expect(result).toEqual({ admins: 1, copied: 2 });
+    expect(Admin.collection.distinct).toHaveBeenCalledWith('_id', {
+      'actionsLog.0': { $exists: true },
+    });
+    const [operations, options] = AuditLog.collection.bulkWrite.mock.calls[0];
+    expect(options).toEqual({ ordered: false });
+    expect(operations[0].updateOne).toEqual({
+      filter: { _id: admins[0].actionsLog[0]._id },
+      update: { $setOnInsert: toAuditEntry(admins[0], admins[0].actionsLog[0]) },
+      upsert: true,
+    });
+  });
+
+  it('counts only new entries when run again', async () => {
+    AuditLog.collection.bulkWrite.mockResolvedValue({ upsertedCount: 0 });
+
+    expect(await migrateAuditLog()).toEqual({ admins: 1, copied: 0 });
+  });
+
+  it('writes long logs in batches', async () => {
+    admins.push(
+      makeAdmin(Array.from({ length: 1200 }, () => ({ _id: id(), action: 'login', timestamp })))
+    );
+
+    const result = await migrateAuditLog();
+
+    const batchSizes = AuditLog.collection.bulkWrite.mock.calls.map(([batch]) => batch.length);
+    expect(batchSizes).toEqual([2, 500, 500, 200]);
+    expect(result).toEqual({ admins: 2, copied: 1202 });
+  });
+});
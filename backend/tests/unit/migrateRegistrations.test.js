@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import { Event, User, Registration } from '../../src/models/index.js';
+import {
+  collectFromEvent,
+  collectFromUser,
+  findMissing,
+  migrateRegistrations,
+} from '../../src/utils/migrateRegistrations.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A cursor over raw documents, as the driver returns them
+const cursorOf = documents => {
+  const remaining = [...documents];
+  return { next: async () => remaining.shift() || null };
+};
+
+describe('migrateRegistrations', () => {
+  const [amina, bello, chidi] = [id(), id(), id()];
+  const registeredAt = new Date('2026-02-01T10:00:00Z');
+  const checkInTime = new Date('2026-03-01T09:05:00Z');
+  let event;
+
+  beforeEach(() => {
+    const sessionId = id();
+    event = {
+      _id: id(),
+      registeredUsers: [
+        { userId: amina, status: 'confirmed', registeredAt, qrSignature: 'ticket-a' },
+        { userId: bello, status: 'pending', registeredAt },
+      ],
+      attendedUsers: [{ userId: amina, checkInTime, checkInMethod: 'qr' }],
+      sessions: [
+        {
+          _id: sessionId,
+          attendees: [{ userId: chidi, checkInTime, checkInMethod: 'manual' }],
+        },
+      ],
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('collectFromEvent', () => {
+    it('merges registrations, attendance and session check-ins per user', () => {
+      const [first, second, third] = collectFromEvent(event);
+
+      expect(first).toEqual({
+        userId: amina,
+        eventId: event._id,
+        status: 'confirmed',
+        registeredAt,
+        qrSignature: 'ticket-a',
+        checkInTime,
+        checkInMethod: 'qr',
+        sessions: [],
+      });
+      expect(second).toMatchObject({ userId: bello, status: 'pending' });
+      expect(third).toEqual({
+        userId: chidi,
+        eventId: event._id,
+        status: 'confirmed',
+        checkInTime,
+        sessions: [{ sessionId: event.sessions[0]._id, checkInTime, checkInMethod: 'manual' }],
+      });
+    });
+  });
+
+  describe('collectFromUser', () => {
+    it('takes registrations and attendance recorded on the user', () => {
+      const user = {
+        _id: amina,
+        registeredEvents: [{ eventId: event._id, status: 'confirmed', registeredAt }],
+        attendedEvents: [
+          { eventId: event._id, attendedAt: checkInTime, checkInMethod: 'qr' },
+          { attendedAt: checkInTime },
+        ],
+      };
+
+      expect(collectFromUser(user)).toEqual([
+        {
+          userId: amina,
+          eventId: event._id,
+          status: 'confirmed',
+          registeredAt,
+          checkInTime,
+          checkInMethod: 'qr',
+        },
+      ]);
+    });
+  });
+
+  describe('findMissing', () => {
+    it('lists users registered on the event without a Registration document', async () => {
+      jest.spyOn(Registration, 'distinct').mockResolvedValue([amina, chidi]);
+
+      expect(await findMissing(event)).toEqual([bello]);
+      expect(Registration.distinct).toHaveBeenCalledWith('userId', {
+        eventId: event._id,
+        userId: { $in: [amina, bello, chidi] },
+      });
+    });
+
+    it('has nothing to check for events without registrations', async () => {
+      jest.spyOn(Registration, 'distinct');
+
+      expect(await findMissing({ _id: id() })).toEqual([]);
+      expect(Registration.distinct).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('migrateRegistrations', () => {
+    let users;
+
+    beforeEach(() => {
+      users = [
+        {
+          _id: amina,
+          registeredEvents: [
+            { eventId: event._id, status: 'confirmed' },
+            { eventId: id(), status: 'confirmed' },
+          ],
+        },
+      ];
+
+      jest.spyOn(Event.collection, 'find').mockImplementation(() => cursorOf([event]));
+      jest.spyOn(User.collection, 'find').mockImplementation(() => cursorOf(users));
+      jest.spyOn(Event.collection, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Event.collection, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(User.collection, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest
+        .spyOn(Registration, 'bulkWrite')
+        .mockImplementation(async operations => ({ upsertedCount: operations.length }));
+      jest
+        .spyOn(Registration, 'countDocuments')
+        .mockImplementation(async filter => (filter.status ? 2 : 1));
+      jest
+        .spyOn(Registration, 'aggregate')
+        .mockReturnValue({ session: async () => [{ _id: event.sessions[0]._id, count: 1 }] });
+    });
+
+    it('inserts registrations from events, then from users for events that still exist', async () => {
+      jest.spyOn(Registration, 'distinct').mockResolvedValue([amina, bello, chidi]);
+
+      const result = await migrateRegistrations();
+
+      expect(Registration.bulkWrite).toHaveBeenCalledTimes(2);
+      const [fromUser] = Registration.bulkWrite.mock.calls[1][0];
+      expect(fromUser.updateOne).toMatchObject({
+        filter: { userId: amina, eventId: event._id },
+        update: { $setOnInsert: { status: 'confirmed' } },
+        upsert: true,
+      });
+      expect(result).toEqual({
+        events: 1,
+        users: 1,
+        fromEvents: 3,
+        fromUsers: 1,
+        incomplete: [],
+        pruned: false,
+      });
+    });
+
+    it('recounts every event from its registrations', async () => {
+      jest.spyOn(Registration, 'distinct').mockResolvedValue([amina, bello, chidi]);
+
+      await migrateRegistrations();
+
+      expect(Event.collection.updateOne).toHaveBeenCalledWith(
+        { _id: event._id },
+        {
+          $set: {
+            registrationCount: 2,
+            attendanceCount: 1,
+            'sessions.0.attendanceCount': 1,
+          },
+        }
+      );
+    });
+
+    it('prunes the embedded arrays once every registration is in the collection', async () => {
+      jest.spyOn(Registration, 'distinct').mockResolvedValue([amina, bello, chidi]);
+
+      const result = await migrateRegistrations({ prune: true });
+
+      expect(result.pruned).toBe(true);
+      expect(Event.collection.updateMany).toHaveBeenCalledWith(
+        {},
+        { $unset: { registeredUsers: 1, attendedUsers: 1 } }
+      );
+      expect(Event.collection.updateMany).toHaveBeenCalledWith(
+        { 'sessions.0': { $exists: true } },
+        { $unset: { 'sessions.$[].attendees': 1 } }
+      );
+      expect(User.collection.updateMany).toHaveBeenCalledWith(
+        {},
+        { $unset: { registeredEvents: 1, attendedEvents: 1 } }
+      );
+    });
+
+    it('prunes nothing while any event has a registration missing from the collection', async () => {
+      jest.spyOn(Registration, 'distinct').mockResolvedValue([amina, chidi]);
+
+      const result = await migrateRegistrations({ prune: true });
+
+      expect(result.pruned).toBe(false);
+      expect(result.incomplete).toEqual([{ eventId: event._id, missing: [bello] }]);
+      expect(Event.collection.updateMany).not.toHaveBeenCalled();
+      expect(User.collection.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('reads events past the first batch of the cursor', async () => {
+      const events = Array.from({ length: 250 }, () => ({ _id: id() }));
+      Event.collection.find.mockImplementation(() => cursorOf(events));
+
+      const result = await migrateRegistrations();
+
+      expect(result.events).toBe(250);
+      expect(Event.collection.updateOne).toHaveBeenCalledTimes(250);
+    });
+
+    it('keeps the embedded arrays without --prune', async () => {
+      jest.spyOn(Registration, 'distinct').mockResolvedValue([amina, bello, chidi]);
+
+      await migrateRegistrations();
+
+      expect(Event.collection.updateMany).not.toHaveBeenCalled();
+      expect(User.collection.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
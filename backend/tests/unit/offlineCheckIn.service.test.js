@@ -0,0 +1,483 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import offlineCheckInService, {
+  ROSTER_VERSION,
+} from '../../src/services/offlineCheckIn.service.js';
+import attendanceService from '../../src/services/attendance.service.js';
+import qrService from '../../src/services/qr.service.js';
+import { Event, User, Registration } from '../../src/models/index.js';
+import { AppError } from '../../src/middleware/errorHandler.js';
+import standaloneSessions from '../helpers/transactions.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const makeUser = name =>
+  new User({ fullname: name, email: `${name.toLowerCase()}@example.com`, status: 'active' });
+
+describe('offlineCheckInService', () => {
+  let event;
+  let users;
+  let registrations;
+  let tickets;
+
+  const setUp = (fields = {}) => {
+    event = new Event({
+      title: 'Test Event',
+      status: 'ongoing',
+      checkInEnabled: true,
+      startDateTime: new Date(Date.now() - 3 * HOUR),
+      endDateTime: new Date(Date.now() + HOUR),
+      ...fields,
+    });
+    users = [makeUser('Amina'), makeUser('Bello')];
+    tickets = users.map(user => qrService.generateUserTicketQRData(user, event));
+    registrations = users.map(
+      (user, index) =>
+        new Registration({
+          userId: user._id,
+          eventId: event._id,
+          status: 'confirmed',
+          qrSignature: tickets[index].signature,
+        })
+    );
+
+    jest.spyOn(Event, 'findById').mockReturnValue({ select: async () => event });
+    jest.spyOn(User, 'find').mockReturnValue({ select: async () => users });
+    jest.spyOn(Registration, 'find').mockResolvedValue(registrations);
+  };
+
+  beforeEach(() => {
+    standaloneSessions();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRoster', () => {
+    it('signs the roster with the event ticket key', async () => {
+      setUp();
+      registrations[0].checkInTime = new Date(Date.now() - HOUR);
+
+      const { roster, signature, key } = await offlineCheckInService.getRoster(event._id);
+
+      expect(roster.version).toBe(ROSTER_VERSION);
+      expect(key.value).toBe(qrService.getEventTicketKey(String(event._id)));
+      expect(qrService.verifySignature(JSON.stringify(roster), signature, key.value)).toBe(true);
+      expect(roster.attendees).toEqual([
+        expect.objectContaining({
+          userId: String(users[0]._id),
+          checkedIn: true,
+          ticketSignature: tickets[0].signature,
+        }),
+        expect.objectContaining({ userId: String(users[1]._id), checkedIn: false }),
+      ]);
+    });
+
+    it('lists the sessions and who checked in to each', async () => {
+      setUp({
+        sessions: [
+          {
+            title: 'Morning',
+            startDateTime: new Date(Date.now() - 3 * HOUR),
+            endDateTime: new Date(Date.now() - HOUR),
+            capacity: 40,
+          },
+        ],
+      });
+      const [morning] = event.sessions;
+      registrations[0].sessions.push({ sessionId: morning._id });
+
+      const { roster } = await offlineCheckInService.getRoster(event._id);
+
+      expect(roster.sessions).toEqual([
+        {
+          sessionId: String(morning._id),
+          title: 'Morning',
+          room: null,
+          startDateTime: morning.startDateTime.toISOString(),
+          endDateTime: morning.endDateTime.toISOString(),
+          capacity: 40,
+        },
+      ]);
+      expect(roster.attendees.map(attendee => attendee.sessionsCheckedIn)).toEqual([
+        [String(morning._id)],
+        [],
+      ]);
+    });
+
+    it('refuses events with check-in disabled', async () => {
+      setUp({ checkInEnabled: false });
+
+      await expect(offlineCheckInService.getRoster(event._id)).rejects.toThrow(
+        'Check-in is disabled for this event'
+      );
+    });
+    it('gives each event its own key', async () => {
+      setUp();
+      const other = new Event({ title: 'Other Event' });
+
+      const { roster, signature } = await offlineCheckInService.getRoster(event._id);
+
+      const otherKey = qrService.getEventTicketKey(String(other._id));
+      expect(otherKey).not.toBe(qrService.getEventTicketKey(String(event._id)));
+      expect(qrService.verifySignature(JSON.stringify(roster), signature, otherKey)).toBe(false);
+    });
+
+    it('lists only confirmed registrations', async () => {
+      setUp();
+
+      await offlineCheckInService.getRoster(event._id);
+
+      expect(Registration.find).toHaveBeenCalledWith({ eventId: event._id, status: 'confirmed' });
+    });
+
+    it.each(['draft', 'completed', 'cancelled'])('refuses %s events', async status => {
+      setUp({ status });
+
+      await expect(offlineCheckInService.getRoster(event._id)).rejects.toThrow(
+        `Offline check-in is not available for ${status} events`
+      );
+    });
+  });
+
+  describe('sync', () => {
+    const resultsOf = ({ results }) => results.map(({ status, reason }) => ({ status, reason }));
+
+    it('checks users in with the time recorded on the device', async () => {
+      setUp();
+      jest.spyOn(attendanceService, 'recordCheckIn').mockResolvedValue(true);
+      const checkInTime = new Date(Date.now() - 2 * HOUR);
+
+      const result = await offlineCheckInService.sync(
+        event._id,
+        { deviceId: 'gate-1', checkIns: [{ checkInTime, qrData: tickets[0].data }] },
+        'admin'
+      );
+
+      expect(result.summary).toMatchObject({ total: 1, checkedIn: 1 });
+      expect(attendanceService.recordCheckIn).toHaveBeenCalledWith(
+        event,
+        registrations[0],
+        expect.objectContaining({ checkInTime, checkInMethod: 'qr', deviceId: 'gate-1' }),
+        null
+      );
+      expect(event.attendanceCount).toBe(1);
+    });
+
+    it('sorts out duplicates, conflicts and rejections', async () => {
+      setUp();
+      jest.spyOn(attendanceService, 'recordCheckIn').mockResolvedValue(true);
+      const earlier = new Date(Date.now() - 2 * HOUR);
+      const later = new Date(Date.now() - HOUR);
+      const stranger = makeUser('Chidi');
+
+      const result = await offlineCheckInService.sync(
+        event._id,
+        {
+          checkIns: [
+            { checkInTime: later, qrData: tickets[0].data },
+            { checkInTime: earlier, userId: String(users[0]._id) },
+            { checkInTime: earlier, userId: String(stranger._id) },
+            {
+              checkInTime: earlier,
+              qrData: tickets[1].data.replace(String(users[1]._id), String(stranger._id)),
+            },
+            { checkInTime: new Date(Date.now() + HOUR), userId: String(users[1]._id) },
+          ],
+        },
+        'admin'
+      );
+
+      expect(resultsOf(result)).toEqual([
+        { status: 'duplicate', reason: 'Scanned more than once in this upload' },
+        { status: 'checked_in', reason: undefined },
+        { status: 'conflict', reason: 'User is not registered for this event' },
+        {
+          status: 'rejected',
+          reason: 'QR code signature is invalid. Possible tampering detected.',
+        },
+        { status: 'rejected', reason: 'Check-in time is outside the event window' },
+      ]);
+    });
+
+    it('keeps the earlier time for users already checked in', async () => {
+      setUp();
+      jest.spyOn(attendanceService, 'recordCheckIn').mockResolvedValue(false);
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const checkInTime = new Date(Date.now() - 2 * HOUR);
+
+      const result = await offlineCheckInService.sync(
+        event._id,
+        { checkIns: [{ checkInTime, userId: String(users[0]._id) }] },
+        'admin'
+      );
+
+      expect(resultsOf(result)).toEqual([
+        { status: 'duplicate', reason: 'Already checked in; kept the earlier offline time' },
+      ]);
+      expect(Registration.updateOne).toHaveBeenCalledWith(
+        { _id: registrations[0]._id, checkInTime: { $gt: checkInTime } },
+        { $set: { checkInTime } }
+      );
+    });
+
+    it('refuses tickets for another event, replaced or expired tickets and bad input', async () => {
+      setUp({
+        status: 'completed',
+        startDateTime: new Date(Date.now() - 6 * HOUR),
+        endDateTime: new Date(Date.now() - 4 * HOUR),
+      });
+      jest.replaceProperty(qrService, 'ticketGraceMs', HOUR);
+      jest.spyOn(attendanceService, 'recordCheckIn').mockResolvedValue(true);
+      const during = new Date(Date.now() - 5 * HOUR);
+      const otherEvent = new Event({ title: 'Other Event', endDateTime: new Date() });
+      registrations[1].qrSignature = 'newer-ticket';
+
+      const result = await offlineCheckInService.sync(
+        event._id,
+        {
+          checkIns: [
+            {
+              checkInTime: during,
+              qrData: qrService.generateUserTicketQRData(users[0], otherEvent).data,
+            },
+            { checkInTime: during, qrData: tickets[1].data },
+            { checkInTime: new Date(Date.now() - 2 * HOUR), qrData: tickets[0].data },
+            { checkInTime: 'yesterday', userId: String(users[0]._id) },
+            { checkInTime: during },
+          ],
+        },
+        'admin'
+      );
+
+      expect(resultsOf(result)).toEqual([
+        { status: 'conflict', reason: 'Ticket is for another event' },
+        { status: 'rejected', reason: 'Ticket has been replaced by a newer one' },
+        { status: 'rejected', reason: 'Ticket has expired' },
+        { status: 'rejected', reason: 'Invalid check-in time' },
+        { status: 'rejected', reason: 'Either qrData or userId is required' },
+      ]);
+      expect(result.summary).toEqual({
+        total: 5,
+        checkedIn: 0,
+        duplicates: 0,
+        conflicts: 1,
+        rejected: 4,
+      });
+      expect(attendanceService.recordCheckIn).not.toHaveBeenCalled();
+    });
+
+    it('counts nothing twice when the same upload is synced again', async () => {
+      setUp();
+      registrations[0].checkInTime = new Date(Date.now() - 2 * HOUR);
+      jest.spyOn(attendanceService, 'recordCheckIn').mockResolvedValue(false);
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      const result = await offlineCheckInService.sync(
+        event._id,
+        {
+          checkIns: [{ checkInTime: registrations[0].checkInTime, qrData: tickets[0].data }],
+        },
+        'admin'
+      );
+
+      expect(resultsOf(result)).toEqual([{ status: 'duplicate', reason: 'Already checked in' }]);
+      expect(result.results[0].checkInTime).toEqual(registrations[0].checkInTime);
+      expect(event.attendanceCount).toBe(0);
+    });
+
+    it('refuses uploads for draft events', async () => {
+      setUp({ status: 'draft' });
+
+      await expect(
+        offlineCheckInService.sync(event._id, { checkIns: [] }, 'admin')
+      ).rejects.toThrow('Offline check-in is not available for draft events');
+    });
+
+    describe('for events with sessions', () => {
+      let morning;
+      let afternoon;
+
+      beforeEach(() => {
+        setUp({
+          sessions: [
+            {
+              title: 'Morning',
+              startDateTime: new Date(Date.now() - 3 * HOUR),
+              endDateTime: new Date(Date.now() - 2 * HOUR),
+            },
+            {
+              title: 'Afternoon',
+              startDateTime: new Date(Date.now() - HOUR),
+              endDateTime: new Date(Date.now() + HOUR),
+              capacity: 1,
+            },
+          ],
+        });
+        [morning, afternoon] = event.sessions;
+      });
+
+      it('checks users in to the session chosen or running at the time', async () => {
+        jest
+          .spyOn(attendanceService, 'recordSessionCheckIn')
+          .mockResolvedValueOnce({ added: true, firstCheckIn: true })
+          .mockResolvedValueOnce({ added: true, firstCheckIn: false });
+
+        const result = await offlineCheckInService.sync(
+          event._id,
+          {
+            checkIns: [
+              {
+                checkInTime: new Date(Date.now() - 170 * MINUTE),
+                qrData: tickets[0].data,
+              },
+              {
+                checkInTime: new Date(Date.now() - 30 * MINUTE),
+                userId: String(users[0]._id),
+                sessionId: String(afternoon._id),
+              },
+            ],
+          },
+          'admin'
+        );
+
+        expect(result.results.map(({ status, sessionId }) => [status, sessionId])).toEqual([
+          ['checked_in', String(morning._id)],
+          ['checked_in', String(afternoon._id)],
+        ]);
+        const sessionsUsed = attendanceService.recordSessionCheckIn.mock.calls.map(
+          ([, , eventSession]) => eventSession.title
+        );
+        expect(sessionsUsed).toEqual(['Morning', 'Afternoon']);
+        expect(event.attendanceCount).toBe(1);
+      });
+
+      it('reports full sessions as conflicts', async () => {
+        jest
+          .spyOn(attendanceService, 'recordSessionCheckIn')
+          .mockRejectedValue(new AppError('Session is full: Afternoon', 400));
+
+        const result = await offlineCheckInService.sync(
+          event._id,
+          {
+            checkIns: [
+              {
+                checkInTime: new Date(Date.now() - 30 * MINUTE),
+                userId: String(users[1]._id),
+                sessionId: String(afternoon._id),
+              },
+            ],
+          },
+          'admin'
+        );
+
+        expect(resultsOf(result)).toEqual([
+          { status: 'conflict', reason: 'Session is full: Afternoon' },
+        ]);
+      });
+
+      it('keeps the earlier time for users already checked in to the session', async () => {
+        jest
+          .spyOn(attendanceService, 'recordSessionCheckIn')
+          .mockResolvedValue({ added: false, firstCheckIn: false });
+        jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+        const checkInTime = new Date(Date.now() - 30 * MINUTE);
+
+        const result = await offlineCheckInService.sync(
+          event._id,
+          { checkIns: [{ checkInTime, userId: String(users[0]._id) }] },
+          'admin'
+        );
+
+        expect(resultsOf(result)).toEqual([
+          { status: 'duplicate', reason: 'Already checked in to this session' },
+        ]);
+        expect(Registration.updateOne).toHaveBeenCalledWith(
+          {
+            _id: registrations[0]._id,
+            sessions: {
+              $elemMatch: { sessionId: afternoon._id, checkInTime: { $gt: checkInTime } },
+            },
+          },
+          { $set: { 'sessions.$.checkInTime': checkInTime } }
+        );
+      });
+
+      it('counts one check-in per user and session in an upload', async () => {
+        jest
+          .spyOn(attendanceService, 'recordSessionCheckIn')
+          .mockResolvedValue({ added: true, firstCheckIn: false });
+        const userId = String(users[0]._id);
+
+        const result = await offlineCheckInService.sync(
+          event._id,
+          {
+            checkIns: [
+              { checkInTime: new Date(Date.now() - 170 * MINUTE), userId },
+              { checkInTime: new Date(Date.now() - 30 * MINUTE), userId },
+              { checkInTime: new Date(Date.now() - 20 * MINUTE), userId },
+            ],
+          },
+          'admin'
+        );
+
+        expect(result.results.map(({ status }) => status)).toEqual([
+          'checked_in',
+          'checked_in',
+          'duplicate',
+        ]);
+      });
+
+      it('refuses unknown sessions and check-ins between sessions', async () => {
+        const userId = String(users[0]._id);
+
+        const result = await offlineCheckInService.sync(
+          event._id,
+          {
+            checkIns: [
+              {
+                checkInTime: new Date(Date.now() - 30 * MINUTE),
+                userId,
+                sessionId: String(new mongoose.Types.ObjectId()),
+              },
+              { checkInTime: new Date(Date.now() - 110 * MINUTE), userId },
+            ],
+          },
+          'admin'
+        );
+
+        expect(resultsOf(result)).toEqual([
+          { status: 'rejected', reason: 'Session not found' },
+          {
+            status: 'rejected',
+            reason: 'No session is open for check-in now. Choose a session',
+          },
+        ]);
+      });
+    });
+
+    it('refuses a session for an event without sessions', async () => {
+      setUp();
+
+      const result = await offlineCheckInService.sync(
+        event._id,
+        {
+          checkIns: [
+            {
+              checkInTime: new Date(Date.now() - HOUR),
+              userId: String(users[0]._id),
+              sessionId: String(new mongoose.Types.ObjectId()),
+            },
+          ],
+        },
+        'admin'
+      );
+
+      expect(resultsOf(result)).toEqual([
+        { status: 'rejected', reason: 'This event has no sessions' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import qrService from '../../src/services/qr.service.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const makeEvent = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Test Event',
+  startDateTime: new Date(Date.now() + HOUR),
+  endDateTime: new Date(Date.now() + 2 * HOUR),
+  venue: { name: 'Main Hall' },
+  ...fields,
+});
+
+const makeUser = () => ({ _id: new mongoose.Types.ObjectId() });
+
+describe('qrService', () => {
+  let event;
+  let user;
+
+  beforeEach(() => {
+    event = makeEvent();
+    user = makeUser();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('tickets', () => {
+    it('issues compact tickets that verify', () => {
+      const ticket = qrService.generateUserTicketQRData(user, event);
+      const verification = qrService.verifyQRCode(ticket.data);
+
+      expect(ticket.data.startsWith('T2.')).toBe(true);
+      expect(verification).toMatchObject({
+        valid: true,
+        signature: ticket.signature,
+        data: { type: 'ticket', eventId: String(event._id), userId: String(user._id) },
+      });
+    });
+
+    it('rejects tickets that were altered', () => {
+      const { data } = qrService.generateUserTicketQRData(user, event);
+      const otherUser = String(makeUser()._id);
+      const altered = data.replace(String(user._id), otherUser);
+
+      expect(qrService.verifyQRCode(altered)).toEqual({
+        valid: false,
+        error: 'QR code signature is invalid. Possible tampering detected.',
+      });
+    });
+
+    it('rejects tickets moved to another event', () => {
+      const { data } = qrService.generateUserTicketQRData(user, event);
+      const moved = data.replace(String(event._id), String(makeEvent()._id));
+
+      expect(qrService.verifyQRCode(moved).valid).toBe(false);
+    });
+
+    it('rejects malformed tickets', () => {
+      expect(qrService.verifyQRCode('T2.nope').error).toBe('Invalid QR code format');
+      expect(qrService.verifyQRCode('not json').error).toBe('Failed to verify QR code');
+    });
+
+    it('verifies signed JSON tickets from before compact tickets', () => {
+      const qrData = { type: 'ticket', eventId: String(event._id), userId: String(user._id) };
+      const data = JSON.stringify(qrData);
+      const signature = qrService.generateSignature(
+        data,
+        qrService.getEventTicketKey(qrData.eventId)
+      );
+
+      expect(qrService.verifyQRCode(JSON.stringify({ data, signature }))).toEqual({
+        valid: true,
+        data: qrData,
+        signature,
+      });
+    });
+  });
+
+  describe('checkTicket', () => {
+    const verifyFor = ticketEvent => {
+      const ticket = qrService.generateUserTicketQRData(user, ticketEvent);
+      return { ticket, verification: qrService.verifyQRCode(ticket.data) };
+    };
+
+    it('accepts the current ticket of a confirmed registration', () => {
+      const { ticket, verification } = verifyFor(event);
+      const registration = { qrSignature: ticket.signature };
+
+      expect(qrService.checkTicket(event, registration, verification)).toEqual({ valid: true });
+    });
+
+    it('refuses a ticket that was re-issued', () => {
+      const { verification } = verifyFor(event);
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60 * 1000);
+      const { ticket: reissued } = verifyFor(event);
+      const registration = { qrSignature: reissued.signature };
+
+      expect(qrService.checkTicket(event, registration, verification)).toMatchObject({
+        valid: false,
+        code: 'revoked',
+      });
+    });
+
+    it('refuses a ticket without a confirmed registration', () => {
+      const { verification } = verifyFor(event);
+
+      expect(qrService.checkTicket(event, null, verification).code).toBe('not_registered');
+    });
+
+    it('refuses a ticket for another event', () => {
+      const { ticket, verification } = verifyFor(makeEvent());
+
+      expect(
+        qrService.checkTicket(event, { qrSignature: ticket.signature }, verification).code
+      ).toBe('wrong_event');
+    });
+
+    it('accepts tickets until the grace period after the event has ended', () => {
+      const { ticket, verification } = verifyFor(event);
+      const registration = { qrSignature: ticket.signature };
+      const graceEnds = event.endDateTime.getTime() + qrService.ticketGraceMs;
+
+      expect(
+        qrService.checkTicket(event, registration, verification, new Date(graceEnds)).valid
+      ).toBe(true);
+      expect(
+        qrService.checkTicket(event, registration, verification, new Date(graceEnds + 1000)).code
+      ).toBe('expired');
+    });
+  });
+
+  describe('event QR codes', () => {
+    it('verify while they are less than a day old', () => {
+      const { data, signature, qrData } = qrService.generateEventQRData(event);
+      const content = JSON.stringify({ data, signature });
+
+      expect(qrService.verifyQRCode(content)).toEqual({ valid: true, data: qrData });
+      expect(
+        qrService.verifyQRCode(content, { at: new Date(qrData.timestamp + 25 * HOUR) }).error
+      ).toBe('QR code has expired');
+    });
+  });
+});
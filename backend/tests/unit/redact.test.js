@@ -0,0 +1,75 @@
+import redact from '../../src/utils/redact.js';
+
+describe('redact', () => {
+  it('masks PII keys at any depth', () => {
+    expect(redact({ user: { email: 'a@b.co', fullname: 'Amina Bello' }, eventId: 'e1' })).toEqual({
+      user: { email: '[REDACTED]', fullname: '[REDACTED]' },
+      eventId: 'e1',
+    });
+  });
+
+  it('masks tokens, secrets and passwords under any key name', () => {
+    expect(
+      redact({
+        verificationToken: 'abc',
+        resetToken: 'def',
+        refreshToken: 'ghi',
+        clientSecret: 'jkl',
+        passwordHistory: ['x'],
+      })
+    ).toEqual({
+      verificationToken: '[REDACTED]',
+      resetToken: '[REDACTED]',
+      refreshToken: '[REDACTED]',
+      clientSecret: '[REDACTED]',
+      passwordHistory: '[REDACTED]',
+    });
+  });
+
+  it('masks SMS and custom email bodies', () => {
+    expect(
+      redact({
+        type: 'CUSTOM',
+        subject: 'Hello Amina',
+        html: '<p>Your code is 1234</p>',
+        text: 'Your code is 1234',
+        message: 'Amina, your seat is confirmed',
+      })
+    ).toEqual({
+      type: 'CUSTOM',
+      subject: '[REDACTED]',
+      html: '[REDACTED]',
+      text: '[REDACTED]',
+      message: '[REDACTED]',
+    });
+  });
+
+  it('masks email addresses and phone numbers inside other strings', () => {
+    const stacktrace = [
+      'Error: Mailjet rejected amina.bello@example.com\n    at send (/app/src/services/email.service.js:120:15)',
+      'Error: Twilio could not reach +234 801 234 5678',
+    ];
+
+    expect(redact(stacktrace)).toEqual([
+      'Error: Mailjet rejected [REDACTED]\n    at send (/app/src/services/email.service.js:120:15)',
+      'Error: Twilio could not reach [REDACTED]',
+    ]);
+    expect(redact('SMS to 08012345678 failed')).toBe('SMS to [REDACTED] failed');
+  });
+
+  it('keeps dates, times and IDs in strings', () => {
+    const reason =
+      'Event 6530a1f2c4e5d6b7a8c9d0e1 ended 2026-10-18 at 2026-10-18T22:04:14.000Z after 120 minutes';
+    expect(redact(reason)).toBe(reason);
+  });
+
+  it('leaves other values alone', () => {
+    const at = new Date();
+    expect(redact({ at, attempts: 3, ok: true, none: null })).toEqual({
+      at,
+      attempts: 3,
+      ok: true,
+      none: null,
+    });
+  });
+});
@@ -0,0 +1,537 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import registrationService from '../../src/services/registration.service.js';
+import qrService from '../../src/services/qr.service.js';
+import notificationService from '../../src/services/notification.service.js';
+import { Event, User, Registration } from '../../src/models/index.js';
+import standaloneSessions from '../helpers/transactions.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const makeEvent = (fields = {}) =>
+  new Event({
+    title: 'Test Event',
+    status: 'published',
+    capacity: 2,
+    registrationCount: 0,
+    waitlistEnabled: true,
+    startDateTime: new Date(Date.now() + DAY),
+    endDateTime: new Date(Date.now() + 2 * DAY),
+    ...fields,
+  });
+
+const makeUser = () =>
+  new User({ fullname: 'Test User', email: 'user@example.com', status: 'active' });
+
+const TICKET = { qrCodeUrl: '/uploads/qrcodes/ticket.png', qrSignature: 'signature' };
+
+describe('registrationService', () => {
+  let user;
+
+  beforeEach(() => {
+    user = makeUser();
+    standaloneSessions();
+    jest.spyOn(qrService, 'generateUserTicketQR').mockResolvedValue(TICKET);
+    jest.spyOn(qrService, 'deleteQRCode').mockResolvedValue(undefined);
+    jest.spyOn(notificationService, 'sendEventRegistrationNotification').mockResolvedValue(null);
+    jest.spyOn(notificationService, 'sendWaitlistPromotionNotification').mockResolvedValue(null);
+    jest.spyOn(Registration, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Event.prototype, 'save').mockImplementation(async function save() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('register', () => {
+    it('confirms the registration and counts it while a seat is free', async () => {
+      const event = makeEvent();
+      const registration = new Registration({ userId: user._id, eventId: event._id });
+      jest.spyOn(Registration, 'findOneAndUpdate').mockResolvedValue(registration);
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await registrationService.register(user, event);
+
+      expect(result).toEqual({ status: 'confirmed', registration });
+      expect(event.registrationCount).toBe(1);
+      expect(event.isModified('registrationCount')).toBe(false);
+      expect(notificationService.sendEventRegistrationNotification).toHaveBeenCalled();
+    });
+
+    it('only counts the registration while the event has a seat free', async () => {
+      const event = makeEvent();
+      jest.spyOn(Registration, 'findOneAndUpdate').mockResolvedValue(new Registration());
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await registrationService.register(user, event);
+
+      const [filter, update] = Event.updateOne.mock.calls[0];
+      expect(filter._id).toBe(event._id);
+      expect(filter.$expr.$lte[1]).toBe('$capacity');
+      expect(update).toEqual({ $inc: { registrationCount: 1 } });
+    });
+
+    it('waitlists the user when the event is full', async () => {
+      const event = makeEvent({ registrationCount: 2 });
+      jest.spyOn(Registration, 'findOneAndUpdate');
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await registrationService.register(user, event);
+
+      expect(result).toEqual({ status: 'waitlisted', position: 1 });
+      expect(Registration.findOneAndUpdate).not.toHaveBeenCalled();
+      const [filter, update] = Event.updateOne.mock.calls[0];
+      expect(filter.waitlist).toEqual({
+        $not: { $elemMatch: { userId: user._id, status: { $in: ['waiting', 'offered'] } } },
+      });
+      expect(update.$push.waitlist).toMatchObject({ userId: user._id, status: 'waiting' });
+      expect(event.isModified('waitlist')).toBe(false);
+      expect(Event.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses a second place on the waitlist added meanwhile', async () => {
+      const event = makeEvent({ registrationCount: 2 });
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(registrationService.register(user, event)).rejects.toThrow(
+        'Already on the waitlist for this event'
+      );
+      expect(event.waitlist).toHaveLength(0);
+    });
+
+    it('counts seats held by waitlist offers as taken', async () => {
+      const event = makeEvent({
+        registrationCount: 1,
+        waitlist: [{ userId: new mongoose.Types.ObjectId(), status: 'offered' }],
+      });
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await registrationService.register(user, event);
+
+      expect(result.status).toBe('waitlisted');
+    });
+
+    it('rejects registrations when the event is full and has no waitlist', async () => {
+      const event = makeEvent({ registrationCount: 2, waitlistEnabled: false });
+
+      await expect(registrationService.register(user, event)).rejects.toThrow('Event is full');
+    });
+
+    it('undoes the registration and waitlists the user when the last seat was taken meanwhile', async () => {
+      const event = makeEvent({ registrationCount: 1 });
+      const registration = new Registration({ userId: user._id, eventId: event._id });
+      jest.spyOn(Registration, 'findOneAndUpdate').mockResolvedValue(registration);
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest
+        .spyOn(Event, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+
+      const result = await registrationService.register(user, event);
+
+      expect(Registration.updateOne).toHaveBeenCalledWith(
+        { _id: registration._id },
+        { $set: { status: 'cancelled' }, $unset: { qrCode: 1, qrSignature: 1 } },
+        { session: null }
+      );
+      expect(qrService.deleteQRCode).toHaveBeenCalledWith(TICKET.qrCodeUrl);
+      expect(result).toEqual({ status: 'waitlisted', position: 1 });
+      expect(event.registrationCount).toBe(1);
+      expect(notificationService.sendEventRegistrationNotification).not.toHaveBeenCalled();
+    });
+
+    it('reports the event as full when the last seat was taken meanwhile and there is no waitlist', async () => {
+      const event = makeEvent({ registrationCount: 1, waitlistEnabled: false });
+      jest.spyOn(Registration, 'findOneAndUpdate').mockResolvedValue(new Registration());
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(registrationService.register(user, event)).rejects.toThrow('Event is full');
+      expect(event.waitlist).toHaveLength(0);
+    });
+
+    it('refuses a second registration', async () => {
+      const event = makeEvent();
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      jest.spyOn(Registration, 'findOneAndUpdate').mockRejectedValue(duplicate);
+
+      await expect(registrationService.register(user, event)).rejects.toThrow(
+        'Already registered for this event'
+      );
+    });
+
+    it('keeps registrations that need approval pending and uncounted', async () => {
+      const event = makeEvent({ requireApproval: true });
+      jest
+        .spyOn(Registration, 'findOneAndUpdate')
+        .mockResolvedValue(new Registration({ status: 'pending' }));
+      jest.spyOn(Event, 'updateOne');
+
+      const result = await registrationService.register(user, event);
+
+      expect(result.status).toBe('pending');
+      expect(Event.updateOne).not.toHaveBeenCalled();
+      expect(qrService.generateUserTicketQR).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reviewing pending registrations', () => {
+    const admin = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com' };
+    let event;
+    let users;
+    let pending;
+
+    beforeEach(() => {
+      event = makeEvent({ requireApproval: true });
+      users = [makeUser(), makeUser()];
+      pending = users.map(
+        (pendingUser, index) =>
+          new Registration({
+            userId: pendingUser._id,
+            eventId: event._id,
+            status: 'pending',
+            registeredAt: new Date(Date.now() - (2 - index) * 1000),
+          })
+      );
+      jest.spyOn(Registration, 'find').mockResolvedValue(pending);
+      jest.spyOn(User, 'find').mockResolvedValue(users);
+      jest
+        .spyOn(notificationService, 'sendRegistrationRejectedNotification')
+        .mockResolvedValue(null);
+    });
+
+    const userIds = () => users.map(pendingUser => pendingUser._id.toString());
+
+    it('approves registrations while seats remain', async () => {
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest
+        .spyOn(Event, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+
+      const result = await registrationService.approveRegistrations(event, userIds(), admin);
+
+      expect(result).toEqual({
+        approved: [userIds()[0]],
+        failed: [{ userId: userIds()[1], reason: 'Event is full' }],
+      });
+      expect(Registration.updateOne).toHaveBeenLastCalledWith(
+        { _id: pending[1]._id },
+        {
+          $set: { status: 'pending' },
+          $unset: { qrCode: 1, qrSignature: 1, reviewedAt: 1, reviewedBy: 1 },
+        },
+        { session: null }
+      );
+      expect(event.registrationCount).toBe(1);
+      expect(notificationService.sendEventRegistrationNotification).toHaveBeenCalledTimes(1);
+      expect(qrService.deleteQRCode).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not approve registrations that stopped being pending', async () => {
+      jest
+        .spyOn(Registration, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await registrationService.approveRegistrations(event, userIds(), admin);
+
+      expect(result.approved).toEqual([userIds()[0]]);
+      expect(result.failed).toEqual([
+        { userId: userIds()[1], reason: 'Registration is no longer pending' },
+      ]);
+      expect(Event.updateOne).toHaveBeenCalledTimes(1);
+      expect(notificationService.sendEventRegistrationNotification).toHaveBeenCalledTimes(1);
+    });
+
+    it('only approves as many registrations as there are seats', async () => {
+      event.registrationCount = 1;
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await registrationService.approveRegistrations(event, userIds(), admin);
+
+      expect(result.approved).toEqual([userIds()[0]]);
+      expect(result.failed).toEqual([{ userId: userIds()[1], reason: 'Event is full' }]);
+      expect(qrService.generateUserTicketQR).toHaveBeenCalledTimes(1);
+    });
+
+    it('only rejects and notifies registrations that were still pending', async () => {
+      jest
+        .spyOn(Registration, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+
+      const result = await registrationService.rejectRegistrations(
+        event,
+        userIds(),
+        admin,
+        'No seats for walk-ins'
+      );
+
+      expect(result).toEqual({
+        rejected: [userIds()[0]],
+        failed: [{ userId: userIds()[1], reason: 'Registration is no longer pending' }],
+      });
+      expect(User.find).toHaveBeenCalledWith({ _id: { $in: [pending[0].userId] } });
+      expect(Registration.updateOne).toHaveBeenCalledWith(
+        { _id: pending[0]._id, status: 'pending' },
+        {
+          $set: expect.objectContaining({
+            status: 'rejected',
+            rejectionReason: 'No seats for walk-ins',
+          }),
+        }
+      );
+    });
+  });
+
+  describe('promoteFromWaitlist', () => {
+    it('offers a free seat to the longest-waiting user', async () => {
+      const event = makeEvent({
+        registrationCount: 1,
+        waitlist: [
+          { userId: new mongoose.Types.ObjectId(), status: 'waiting', joinedAt: new Date() },
+          { userId: user._id, status: 'waiting', joinedAt: new Date(Date.now() - DAY) },
+        ],
+      });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const promoted = await registrationService.promoteFromWaitlist(event);
+
+      expect(promoted).toHaveLength(1);
+      expect(promoted[0].userId).toEqual(user._id);
+      expect(promoted[0].status).toBe('offered');
+      expect(promoted[0].qrSignature).toBe(TICKET.qrSignature);
+      expect(event.isFull).toBe(true);
+      expect(notificationService.sendWaitlistPromotionNotification).toHaveBeenCalledWith(
+        user,
+        event,
+        promoted[0].offerExpiresAt
+      );
+    });
+
+    it('only makes the offer while a seat is free', async () => {
+      const event = makeEvent({
+        registrationCount: 1,
+        waitlist: [{ userId: user._id, status: 'waiting', joinedAt: new Date() }],
+      });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      const promoted = await registrationService.promoteFromWaitlist(event);
+
+      const [filter] = Event.updateOne.mock.calls[0];
+      expect(filter.waitlist.$elemMatch.status).toBe('waiting');
+      expect(filter.$expr).toBeDefined();
+      expect(promoted).toEqual([]);
+      expect(event.waitlist[0].status).toBe('waiting');
+      expect(qrService.deleteQRCode).toHaveBeenCalledWith(TICKET.qrCodeUrl);
+    });
+
+    it('skips users who are no longer active', async () => {
+      const event = makeEvent({
+        registrationCount: 1,
+        waitlist: [{ userId: user._id, status: 'waiting', joinedAt: new Date() }],
+      });
+      user.status = 'suspended';
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const promoted = await registrationService.promoteFromWaitlist(event);
+
+      expect(promoted).toEqual([]);
+      expect(Event.updateOne).toHaveBeenCalledWith(
+        {
+          _id: event._id,
+          waitlist: { $elemMatch: { _id: event.waitlist[0]._id, status: 'waiting' } },
+        },
+        { $set: { 'waitlist.$.status': 'cancelled' } }
+      );
+      expect(event.waitlist[0].status).toBe('cancelled');
+      expect(Event.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('offers nothing while the event is full', async () => {
+      const event = makeEvent({
+        registrationCount: 2,
+        waitlist: [{ userId: user._id, status: 'waiting', joinedAt: new Date() }],
+      });
+      jest.spyOn(User, 'findById');
+
+      expect(await registrationService.promoteFromWaitlist(event)).toEqual([]);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reissueTicket', () => {
+    it('replaces the ticket and deletes the old QR code', async () => {
+      const event = makeEvent();
+      const registration = new Registration({
+        userId: user._id,
+        eventId: event._id,
+        status: 'confirmed',
+        qrCode: '/uploads/qrcodes/old.png',
+        qrSignature: 'old-signature',
+      });
+      Registration.findOne.mockResolvedValue(registration);
+      jest.spyOn(registration, 'save').mockResolvedValue(registration);
+
+      await registrationService.reissueTicket(user, event);
+
+      expect(registration.qrSignature).toBe(TICKET.qrSignature);
+      expect(registration.save).toHaveBeenCalled();
+      expect(qrService.deleteQRCode).toHaveBeenCalledWith('/uploads/qrcodes/old.png');
+    });
+
+    it('refuses registrations that are not confirmed', async () => {
+      Registration.findOne.mockResolvedValue(new Registration({ status: 'pending' }));
+
+      await expect(registrationService.reissueTicket(user, makeEvent())).rejects.toThrow(
+        'No confirmed registration for this event'
+      );
+    });
+
+    it('refuses events that have ended', async () => {
+      Registration.findOne.mockResolvedValue(new Registration({ status: 'confirmed' }));
+      const event = makeEvent({ endDateTime: new Date(Date.now() - 1000) });
+
+      await expect(registrationService.reissueTicket(user, event)).rejects.toThrow(
+        'Tickets can no longer be issued for this event'
+      );
+    });
+  });
+
+  describe('confirmWaitlistOffer', () => {
+    const offeredEvent = expiresAt =>
+      makeEvent({
+        registrationCount: 1,
+        waitlist: [
+          {
+            userId: user._id,
+            status: 'offered',
+            offerExpiresAt: expiresAt,
+            qrCode: TICKET.qrCodeUrl,
+            qrSignature: TICKET.qrSignature,
+          },
+        ],
+      });
+
+    it('turns the offer into a confirmed registration', async () => {
+      const event = offeredEvent(new Date(Date.now() + DAY));
+      const registration = new Registration({ userId: user._id, eventId: event._id });
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Registration, 'findOneAndUpdate').mockResolvedValue(registration);
+
+      expect(await registrationService.confirmWaitlistOffer(user, event)).toBe(registration);
+      expect(Event.updateOne.mock.calls[0][1]).toEqual({
+        $set: { 'waitlist.$.status': 'accepted' },
+      });
+      expect(Event.updateOne.mock.calls[1][1]).toEqual({ $inc: { registrationCount: 1 } });
+      expect(event.registrationCount).toBe(2);
+    });
+
+    it('rejects an expired offer', async () => {
+      const event = offeredEvent(new Date(Date.now() - 1000));
+
+      await expect(registrationService.confirmWaitlistOffer(user, event)).rejects.toThrow(
+        'Your seat offer has expired'
+      );
+    });
+
+    it('rejects an offer accepted or withdrawn meanwhile', async () => {
+      const event = offeredEvent(new Date(Date.now() + DAY));
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(Registration, 'findOneAndUpdate');
+
+      await expect(registrationService.confirmWaitlistOffer(user, event)).rejects.toThrow(
+        'No pending seat offer for this event'
+      );
+      expect(Registration.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+  describe('expireWaitlistOffers', () => {
+    const expiredOffer = () => ({
+      userId: new mongoose.Types.ObjectId(),
+      status: 'offered',
+      offerExpiresAt: new Date(Date.now() - 1000),
+      qrCode: TICKET.qrCodeUrl,
+      qrSignature: TICKET.qrSignature,
+    });
+
+    it('expires offers that are still open and offers the seats again', async () => {
+      const event = makeEvent({ registrationCount: 1, waitlist: [expiredOffer()] });
+      jest.spyOn(Event, 'find').mockResolvedValue([event]);
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(registrationService, 'promoteFromWaitlist').mockResolvedValue([{}]);
+
+      const totals = await registrationService.expireWaitlistOffers();
+
+      expect(totals).toEqual({ expired: 1, promoted: 1 });
+      expect(Event.updateOne).toHaveBeenCalledWith(
+        {
+          _id: event._id,
+          waitlist: { $elemMatch: { _id: event.waitlist[0]._id, status: 'offered' } },
+        },
+        {
+          $set: { 'waitlist.$.status': 'expired' },
+          $unset: { 'waitlist.$.qrCode': 1, 'waitlist.$.qrSignature': 1 },
+        }
+      );
+      expect(event.waitlist[0].status).toBe('expired');
+      expect(event.waitlist[0].qrCode).toBeUndefined();
+      expect(event.isModified('waitlist')).toBe(false);
+      expect(qrService.deleteQRCode).toHaveBeenCalledWith(TICKET.qrCodeUrl);
+      expect(Event.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('leaves an offer accepted meanwhile, with its ticket and seat', async () => {
+      const event = makeEvent({ registrationCount: 1, waitlist: [expiredOffer()] });
+      jest.spyOn(Event, 'find').mockResolvedValue([event]);
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(registrationService, 'promoteFromWaitlist');
+
+      const totals = await registrationService.expireWaitlistOffers();
+
+      expect(totals).toEqual({ expired: 0, promoted: 0 });
+      expect(event.waitlist[0].status).toBe('offered');
+      expect(qrService.deleteQRCode).not.toHaveBeenCalled();
+      expect(registrationService.promoteFromWaitlist).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unregister from the waitlist', () => {
+    it('cancels the place in line only while it is unchanged', async () => {
+      const event = makeEvent({
+        registrationCount: 2,
+        waitlist: [{ userId: user._id, status: 'waiting', joinedAt: new Date() }],
+      });
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      expect(await registrationService.unregister(user, event)).toEqual({ cancelled: 'waitlist' });
+      expect(Event.updateOne.mock.calls[0][0]).toEqual({
+        _id: event._id,
+        waitlist: { $elemMatch: { _id: event.waitlist[0]._id, status: 'waiting' } },
+      });
+      expect(event.waitlist[0].status).toBe('cancelled');
+      expect(Event.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses when the offer was accepted or expired meanwhile', async () => {
+      const event = makeEvent({
+        registrationCount: 1,
+        waitlist: [{ userId: user._id, status: 'offered', qrCode: TICKET.qrCodeUrl }],
+      });
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(registrationService.unregister(user, event)).rejects.toThrow(
+        'Waitlist entry has changed, please try again'
+      );
+      expect(qrService.deleteQRCode).not.toHaveBeenCalled();
+    });
+  });
+});
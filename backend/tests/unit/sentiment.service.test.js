@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import sentimentService from '../../src/services/sentiment.service.js';
+import config from '../../src/config/index.js';
+import { Feedback } from '../../src/models/index.js';
+
+const makeFeedback = (comments = {}, fields = {}) =>
+  new Feedback({
+    eventId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    ratings: { overall: 4 },
+    comments,
+    ...fields,
+  });
+
+describe('sentimentService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('analyze', () => {
+    it.each([
+      ['The speakers were excellent and the venue was great', 'positive', 'en'],
+      ['The venue was terrible and the sound was awful', 'negative', 'en'],
+      ['Taron yana da kyau sosai', 'positive', 'ha'],
+      ['We met at nine', 'neutral', 'en'],
+    ])('scores "%s" as %s', (text, label, language) => {
+      const result = sentimentService.analyze(text);
+
+      expect(result).toMatchObject({ label, language });
+      expect(result.score).toBeGreaterThanOrEqual(-1);
+      expect(result.score).toBeLessThanOrEqual(1);
+    });
+
+    it('turns negated words around in English and Hausa', () => {
+      expect(sentimentService.analyze('The talk was good').label).toBe('positive');
+      expect(sentimentService.analyze('The talk was not good').label).toBe('negative');
+      expect(sentimentService.analyze('Bai yi kyau ba').label).toBe('negative');
+    });
+
+    it('weighs what follows "but" more', () => {
+      expect(sentimentService.analyze('The venue was good but the sound was terrible').label).toBe(
+        'negative'
+      );
+    });
+
+    it('matches Hausa words written without hooked letters', () => {
+      const hooked = sentimentService.analyze('Yayi daɗi');
+
+      expect(hooked.label).toBe('positive');
+      expect(hooked.score).toBe(sentimentService.analyze('Yayi dadi').score);
+    });
+  });
+
+  describe('analyzeFeedback', () => {
+    it('falls back to the ratings when the comments carry no sentiment', () => {
+      const { sentiment } = sentimentService.analyzeFeedback(
+        makeFeedback({ generalComments: 'We met at nine' }, { ratings: { overall: 5 } })
+      );
+
+      expect(sentiment).toMatchObject({ score: 1, label: 'positive', method: 'ratings' });
+    });
+
+    it('lists the comments at or below the flag threshold', () => {
+      const { sentiment, negative } = sentimentService.analyzeFeedback(
+        makeFeedback({
+          whatYouLiked: 'The speakers were excellent',
+          generalComments: 'The venue was terrible and the sound was awful',
+        })
+      );
+
+      expect(sentiment.method).toBe('lexicon');
+      expect(negative).toEqual([{ field: 'generalComments', score: expect.any(Number) }]);
+      expect(negative[0].score).toBeLessThanOrEqual(config.feedback.sentimentFlagThreshold);
+    });
+
+    it('uses the configured threshold, including zero', () => {
+      jest.replaceProperty(config.feedback, 'sentimentFlagThreshold', 0);
+
+      const { negative } = sentimentService.analyzeFeedback(
+        makeFeedback({ generalComments: 'The talk was not good' })
+      );
+
+      expect(negative).toHaveLength(1);
+    });
+  });
+
+  describe('updateFeedbackSentiment', () => {
+    beforeEach(() => {
+      jest.spyOn(Feedback, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('flags strongly negative feedback for review', async () => {
+      const feedback = makeFeedback({
+        generalComments: 'The venue was terrible and the sound was awful',
+      });
+
+      const { flagged } = await sentimentService.updateFeedbackSentiment(feedback);
+
+      expect(flagged).toBe(true);
+      const [filter, update, options] = Feedback.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: feedback._id });
+      expect(update.$set).toMatchObject({
+        isFlagged: true,
+        flagSource: 'sentiment',
+        flagReason: expect.stringMatching(
+          /^Strongly negative comment: generalComments \(-0\.\d+\)$/
+        ),
+      });
+      expect(options).toEqual({ timestamps: false });
+    });
+
+    it('clears its own flag once the negative comment is edited away', async () => {
+      const feedback = makeFeedback(
+        { generalComments: 'The venue was great' },
+        { isFlagged: true, flagSource: 'sentiment', flagReason: 'Strongly negative comment' }
+      );
+
+      const { flagged } = await sentimentService.updateFeedbackSentiment(feedback);
+
+      expect(flagged).toBe(false);
+      expect(Feedback.updateOne.mock.calls[0][1]).toMatchObject({
+        $set: { isFlagged: false },
+        $unset: { flagReason: 1, flagSource: 1 },
+      });
+    });
+
+    it('leaves flags set by an admin alone', async () => {
+      const feedback = makeFeedback(
+        { generalComments: 'The venue was great' },
+        { isFlagged: true, flagSource: 'admin', flagReason: 'Spam' }
+      );
+
+      const { flagged } = await sentimentService.updateFeedbackSentiment(feedback);
+
+      expect(flagged).toBe(true);
+      expect(Feedback.updateOne.mock.calls[0][1]).toEqual({
+        $set: { sentiment: expect.any(Object) },
+      });
+    });
+  });
+
+  describe('backfill', () => {
+    let feedbacks;
+
+    beforeEach(() => {
+      feedbacks = [
+        makeFeedback({ generalComments: 'The venue was terrible and the sound was awful' }),
+        makeFeedback({ generalComments: 'The speakers were excellent' }),
+      ];
+      jest.spyOn(Feedback, 'countDocuments').mockResolvedValue(feedbacks.length);
+      jest.spyOn(Feedback, 'find').mockReturnValue({
+        cursor: () => ({
+          eachAsync: async fn => {
+            await feedbacks.reduce(
+              (chain, feedback) => chain.then(() => fn(feedback)),
+              Promise.resolve()
+            );
+          },
+        }),
+      });
+      jest.spyOn(Feedback, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('scores feedback without a score and counts the newly flagged', async () => {
+      const onProgress = jest.fn();
+
+      const stats = await sentimentService.backfill({ onProgress });
+
+      expect(Feedback.find).toHaveBeenCalledWith({ 'sentiment.analyzedAt': { $exists: false } });
+      expect(stats).toEqual({ total: 2, processed: 2, flagged: 1 });
+      expect(onProgress.mock.calls).toEqual([
+        [1, 2],
+        [2, 2],
+      ]);
+    });
+
+    it('rescores everything when forced', async () => {
+      feedbacks[0].isFlagged = true;
+
+      const stats = await sentimentService.backfill({ force: true });
+
+      expect(Feedback.countDocuments).toHaveBeenCalledWith({});
+      expect(Feedback.find).toHaveBeenCalledWith({});
+      expect(stats.flagged).toBe(0);
+    });
+  });
+});
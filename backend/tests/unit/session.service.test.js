@@ -0,0 +1,165 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import sessionService from '../../src/services/session.service.js';
+import config from '../../src/config/index.js';
+import { User } from '../../src/models/index.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const req = { ip: '10.0.0.1', get: () => 'Test Browser' };
+
+describe('sessionService', () => {
+  let user;
+
+  // A session entry as createSession stores it, with its refresh token
+  const addSession = (fields = {}) => {
+    const sid = new mongoose.Types.ObjectId();
+    const { refreshToken } = sessionService.signTokens(user._id, 'user', String(sid));
+    user.sessions.push({
+      _id: sid,
+      tokenHash: sessionService.hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + HOUR),
+      ...fields,
+    });
+    return { sid: String(sid), refreshToken };
+  };
+
+  beforeEach(() => {
+    user = new User({ fullname: 'Test User', email: 'user@example.com', status: 'active' });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createSession', () => {
+    it('stores the refresh token hashed and binds both tokens to the session', async () => {
+      const { accessToken, refreshToken, sessionId } = await sessionService.createSession(
+        user,
+        'user',
+        req
+      );
+
+      expect(jwt.verify(accessToken, config.jwt.secret)).toMatchObject({ sid: sessionId });
+      expect(jwt.verify(refreshToken, config.jwt.refreshSecret)).toMatchObject({ sid: sessionId });
+      const [, [, { $push }]] = User.updateOne.mock.calls;
+      expect($push.sessions).toMatchObject({
+        tokenHash: sessionService.hashToken(refreshToken),
+        device: 'Test Browser',
+        ip: '10.0.0.1',
+      });
+      expect(String($push.sessions._id)).toBe(sessionId);
+    });
+  });
+
+  describe('rotate', () => {
+    it('issues a new token pair and replaces the stored hash', async () => {
+      const { sid, refreshToken } = addSession();
+
+      const rotated = await sessionService.rotate(refreshToken, req);
+
+      expect(rotated.sessionId).toBe(sid);
+      expect(rotated.refreshToken).not.toBe(refreshToken);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        {
+          _id: user._id,
+          sessions: {
+            $elemMatch: { _id: sid, tokenHash: sessionService.hashToken(refreshToken) },
+          },
+        },
+        {
+          $set: expect.objectContaining({
+            'sessions.$.tokenHash': sessionService.hashToken(rotated.refreshToken),
+          }),
+        }
+      );
+    });
+
+    it('revokes the session when a rotated token is presented again', async () => {
+      const { sid, refreshToken } = addSession();
+      const rotated = await sessionService.rotate(refreshToken, req);
+      user.sessions.id(sid).tokenHash = sessionService.hashToken(rotated.refreshToken);
+      User.updateOne.mockClear();
+
+      await expect(sessionService.rotate(refreshToken, req)).rejects.toThrow(
+        'Refresh token has already been used. Please login again.'
+      );
+      expect(User.updateOne).toHaveBeenCalledTimes(1);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: user._id, sessions: { $elemMatch: { _id: sid, revokedAt: null } } },
+        {
+          $set: {
+            'sessions.$.revokedAt': expect.any(Date),
+            'sessions.$.revokedReason': 'refresh_token_reuse',
+          },
+        }
+      );
+    });
+
+    it('revokes the session when another request rotated the token first', async () => {
+      const { sid, refreshToken } = addSession();
+      User.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+      await expect(sessionService.rotate(refreshToken, req)).rejects.toThrow(
+        'Refresh token has already been used. Please login again.'
+      );
+      expect(User.updateOne.mock.calls[1][1].$set).toMatchObject({
+        'sessions.$.revokedReason': 'refresh_token_reuse',
+      });
+      expect(User.updateOne.mock.calls[1][0].sessions.$elemMatch._id).toBe(sid);
+    });
+
+    it('refuses revoked and expired sessions', async () => {
+      const revoked = addSession({ revokedAt: new Date() });
+      const expired = addSession({ expiresAt: new Date(Date.now() - HOUR) });
+
+      await expect(sessionService.rotate(revoked.refreshToken, req)).rejects.toThrow(
+        'Session expired. Please login again.'
+      );
+      await expect(sessionService.rotate(expired.refreshToken, req)).rejects.toThrow(
+        'Session expired. Please login again.'
+      );
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeAllSessions', () => {
+    it('revokes every active session', async () => {
+      await sessionService.revokeAllSessions(user, 'user', 'password_reset');
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: user._id },
+        {
+          $set: {
+            'sessions.$[session].revokedAt': expect.any(Date),
+            'sessions.$[session].revokedReason': 'password_reset',
+          },
+        },
+        { arrayFilters: [{ 'session.revokedAt': null }] }
+      );
+    });
+
+    it('keeps the current session when asked', async () => {
+      const { sid } = addSession();
+
+      await sessionService.revokeAllSessions(user, 'user', 'password_changed', sid);
+
+      const [, , { arrayFilters }] = User.updateOne.mock.calls[0];
+      expect(arrayFilters).toEqual([
+        { 'session.revokedAt': null, 'session._id': { $ne: new mongoose.Types.ObjectId(sid) } },
+      ]);
+    });
+
+    it('leaves access tokens of revoked sessions unusable', () => {
+      const { sid } = addSession();
+      expect(sessionService.isActive(user, sid)).toBe(true);
+
+      user.sessions.id(sid).revokedAt = new Date();
+
+      expect(sessionService.isActive(user, sid)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import { withTransaction } from '../../src/utils/transaction.js';
+import attendanceService from '../../src/services/attendance.service.js';
+import registrationService from '../../src/services/registration.service.js';
+import { Event, Registration } from '../../src/models/index.js';
+import standaloneSessions from '../helpers/transactions.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * A session that runs the transaction body as often as asked, like a
+ * replica set retrying a transaction
+ */
+const replicaSetSession = (runs = 1) => {
+  const session = {
+    withTransaction: jest.fn(async body => {
+      await Array.from({ length: runs }).reduce(chain => chain.then(body), Promise.resolve());
+    }),
+    endSession: jest.fn(async () => {}),
+  };
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  return session;
+};
+
+// Runs in order: the last test switches the module to standalone mode for good
+describe('withTransaction', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs the work with the session and returns its result', async () => {
+    const session = replicaSetSession();
+
+    const result = await withTransaction(async received => {
+      expect(received).toBe(session);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('returns the result of the last run when a transaction is retried', async () => {
+    replicaSetSession(2);
+    let runs = 0;
+
+    const result = await withTransaction(async () => {
+      runs += 1;
+      return runs;
+    });
+
+    expect(result).toBe(2);
+  });
+
+  describe('check-in', () => {
+    const userId = new mongoose.Types.ObjectId();
+    let event;
+    let registration;
+
+    beforeEach(() => {
+      event = new Event({
+        title: 'Test Event',
+        status: 'ongoing',
+        attendanceCount: 0,
+        startDateTime: new Date(Date.now() - HOUR),
+        endDateTime: new Date(Date.now() + HOUR),
+      });
+      registration = new Registration({ userId, status: 'confirmed' });
+      jest.spyOn(registrationService, 'findConfirmed').mockResolvedValue(registration);
+      jest.spyOn(Registration, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('writes the registration and the counter in one transaction', async () => {
+      const session = replicaSetSession();
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await attendanceService.checkIn(event, userId, { method: 'qr' });
+
+      expect(Registration.updateOne.mock.calls[0][2]).toEqual({ session });
+      expect(Event.updateOne.mock.calls[0][2]).toEqual({ session });
+      expect(event.attendanceCount).toBe(1);
+    });
+
+    it('counts nothing when the transaction fails', async () => {
+      const session = replicaSetSession();
+      jest.spyOn(Event, 'updateOne').mockRejectedValue(new Error('WriteConflict'));
+
+      await expect(attendanceService.checkIn(event, userId, { method: 'qr' })).rejects.toThrow(
+        'WriteConflict'
+      );
+      expect(event.attendanceCount).toBe(0);
+      expect(session.endSession).toHaveBeenCalled();
+    });
+  });
+
+  it('runs the work without a session on a standalone server, from then on', async () => {
+    standaloneSessions();
+    const work = jest.fn(async session => session);
+
+    expect(await withTransaction(work)).toBeNull();
+    expect(await withTransaction(work)).toBeNull();
+
+    expect(work).toHaveBeenCalledTimes(2);
+    expect(mongoose.startSession).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,193 @@
+import speakeasy from 'speakeasy';
+import { jest } from '@jest/globals';
+import twoFactorService from '../../src/services/twoFactor.service.js';
+import config from '../../src/config/index.js';
+import { Admin, User } from '../../src/models/index.js';
+
+const currentStep = () => Math.floor(Date.now() / 1000 / config.otp.step);
+
+const codeFor = secret => speakeasy.totp({ secret, encoding: 'base32', step: config.otp.step });
+
+describe('twoFactorService', () => {
+  let secret;
+
+  beforeEach(() => {
+    secret = speakeasy.generateSecret({ length: 20 }).base32;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('matchStep', () => {
+    it('returns the time step of a current code', () => {
+      expect(twoFactorService.matchStep(secret, codeFor(secret))).toBe(currentStep());
+    });
+
+    it('accepts codes written with spaces', () => {
+      const code = codeFor(secret);
+      expect(twoFactorService.verifyCode(secret, `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(
+        true
+      );
+    });
+
+    it('rejects wrong and missing codes', () => {
+      const wrong = String((Number(codeFor(secret)) + 1) % 1000000).padStart(6, '0');
+
+      expect(twoFactorService.matchStep(secret, wrong)).toBeNull();
+      expect(twoFactorService.matchStep(secret, '')).toBeNull();
+      expect(twoFactorService.matchStep(undefined, codeFor(secret))).toBeNull();
+    });
+  });
+
+  describe('verifyAccount with a code', () => {
+    const makeUser = () =>
+      new User({
+        fullname: 'Test User',
+        email: 'user@example.com',
+        twoFactorEnabled: true,
+        twoFactorSecret: secret,
+      });
+
+    it('accepts a code once and records its time step', async () => {
+      const user = makeUser();
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const method = await twoFactorService.verifyAccount(user, 'user', { code: codeFor(secret) });
+
+      expect(method).toBe('totp');
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: user._id, twoFactorLastStep: { $not: { $gte: currentStep() } } },
+        { $set: { twoFactorLastStep: currentStep() } }
+      );
+      expect(user.twoFactorLastStep).toBe(currentStep());
+      expect(user.isModified('twoFactorLastStep')).toBe(false);
+    });
+
+    it('rejects a code that was already used', async () => {
+      const user = makeUser();
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      const method = await twoFactorService.verifyAccount(user, 'user', { code: codeFor(secret) });
+
+      expect(method).toBeNull();
+    });
+
+    it('does not record wrong codes', async () => {
+      const user = makeUser();
+      jest.spyOn(User, 'updateOne');
+
+      const method = await twoFactorService.verifyAccount(user, 'user', { code: '000000x' });
+
+      expect(method).toBeNull();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('uses the admin fields for admins', async () => {
+      const admin = new Admin({ fullname: 'Admin', email: 'admin@example.com', otpSecret: secret });
+      jest.spyOn(Admin, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      expect(await twoFactorService.consumeCode(admin, 'admin', codeFor(secret))).toBe(true);
+      expect(Admin.updateOne.mock.calls[0][0]).toHaveProperty('otpLastStep');
+    });
+  });
+
+  describe('recovery codes', () => {
+    const [plain, other] = twoFactorService.generateRecoveryCodes();
+
+    const makeAdmin = () =>
+      new Admin({
+        fullname: 'Admin',
+        email: 'admin@example.com',
+        otpEnabled: true,
+        otpSecret: secret,
+        backupCodes: [plain, other].map(code => twoFactorService.hashCode(code)),
+      });
+
+    it('generates ten codes in the xxxxx-xxxxx format', () => {
+      const codes = twoFactorService.generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      codes.forEach(code => expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/));
+    });
+
+    it('ignores case, spaces and dashes when hashing', () => {
+      expect(twoFactorService.hashCode(` ${plain.toUpperCase().replace('-', ' ')} `)).toBe(
+        twoFactorService.hashCode(plain)
+      );
+    });
+
+    it('removes a recovery code as it is used', async () => {
+      const admin = makeAdmin();
+      const hashed = twoFactorService.hashCode(plain);
+      jest.spyOn(Admin, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const method = await twoFactorService.verifyAccount(admin, 'admin', { recoveryCode: plain });
+
+      expect(method).toBe('recovery_code');
+      expect(Admin.updateOne).toHaveBeenCalledWith(
+        { _id: admin._id, backupCodes: hashed },
+        { $pull: { backupCodes: hashed } }
+      );
+      expect(admin.backupCodes).toEqual([twoFactorService.hashCode(other)]);
+      expect(admin.isModified('backupCodes')).toBe(false);
+    });
+
+    it('rejects a recovery code that is unknown or already used', async () => {
+      const admin = makeAdmin();
+      jest.spyOn(Admin, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      const method = await twoFactorService.verifyAccount(admin, 'admin', { recoveryCode: plain });
+
+      expect(method).toBeNull();
+      expect(admin.backupCodes).toHaveLength(2);
+    });
+
+    it('rejects requests with neither a code nor a recovery code', async () => {
+      expect(await twoFactorService.verifyAccount(makeAdmin(), 'admin', {})).toBeNull();
+    });
+  });
+
+  describe('enable', () => {
+    it('turns 2FA on with a first code and stores hashed recovery codes', async () => {
+      const user = new User({ fullname: 'Test User', email: 'user@example.com' });
+      user.twoFactorSecret = secret;
+      jest.spyOn(user, 'save').mockResolvedValue(user);
+
+      const recoveryCodes = await twoFactorService.enable(user, 'user', codeFor(secret));
+
+      expect(user.twoFactorEnabled).toBe(true);
+      expect(user.twoFactorLastStep).toBe(currentStep());
+      expect(user.twoFactorRecoveryCodes).toEqual(
+        recoveryCodes.map(code => twoFactorService.hashCode(code))
+      );
+    });
+
+    it('refuses a wrong first code', async () => {
+      const user = new User({ fullname: 'Test User', email: 'user@example.com' });
+      user.twoFactorSecret = secret;
+
+      await expect(twoFactorService.enable(user, 'user', '123')).rejects.toThrow(
+        'Invalid two-factor authentication code'
+      );
+      expect(user.twoFactorEnabled).toBe(false);
+    });
+  });
+
+  describe('challenge tokens', () => {
+    it('round-trips the account and role', () => {
+      const user = new User({ fullname: 'Test User', email: 'user@example.com' });
+      const decoded = twoFactorService.verifyChallenge(
+        twoFactorService.issueChallenge(user, 'user')
+      );
+
+      expect(decoded).toMatchObject({ id: String(user._id), role: 'user' });
+    });
+
+    it('rejects tokens signed with another key', () => {
+      expect(() => twoFactorService.verifyChallenge('not-a-token')).toThrow(
+        'Invalid or expired two-factor challenge. Please login again.'
+      );
+    });
+  });
+});
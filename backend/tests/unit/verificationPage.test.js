@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import FakeQueue from '../helpers/fakeQueue.js';
+
+jest.unstable_mockModule('bull', () => ({ default: FakeQueue }));
+
+const { default: request } = await import('supertest');
+const { Certificate } = await import('../../src/models/index.js');
+const { renderVerificationPage } = await import('../../src/utils/verificationPage.js');
+const { default: app } = await import('../../src/app.js');
+
+const makeCertificate = (fields = {}) => {
+  const certificate = new Certificate({
+    userId: new mongoose.Types.ObjectId(),
+    eventId: new mongoose.Types.ObjectId(),
+    certificateNumber: 'CITAD-2026-A1B2C3D4E5F6',
+    recipientName: 'Amina Bello',
+    recipientEmail: 'amina@example.com',
+    eventTitle: 'Digital Skills Forum',
+    eventDate: new Date('2026-03-01T09:00:00Z'),
+    issuedDate: new Date('2026-03-02T09:00:00Z'),
+    ...fields,
+  });
+  jest.spyOn(certificate, 'incrementVerificationCount').mockResolvedValue(certificate);
+  return certificate;
+};
+
+describe('certificate verification page', () => {
+  let certificate;
+
+  beforeEach(() => {
+    certificate = makeCertificate();
+    jest.spyOn(Certificate, 'findOne').mockImplementation(async () => certificate);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verification hashes', () => {
+    it('are salted, so they cannot be derived from the user and event', () => {
+      // Same certificate, same instant: only the salt differs
+      jest.spyOn(Date, 'now').mockReturnValue(new Date('2026-03-02T09:00:00Z').getTime());
+
+      const hashes = [
+        certificate.generateVerificationHash(),
+        certificate.generateVerificationHash(),
+      ];
+
+      expect(hashes[0]).toMatch(/^[0-9a-f]{64}$/);
+      expect(hashes[1]).not.toBe(hashes[0]);
+    });
+  });
+
+  describe('GET /verify/:hash', () => {
+    const hash = 'a'.repeat(64);
+
+    it('looks the certificate up by its hash and shows it', async () => {
+      const res = await request(app).get(`/verify/${hash}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/html/);
+      expect(res.headers['cache-control']).toBe('no-store');
+      expect(res.headers['x-robots-tag']).toBe('noindex');
+      expect(Certificate.findOne).toHaveBeenCalledWith({ verificationHash: hash });
+      expect(certificate.incrementVerificationCount).toHaveBeenCalled();
+      expect(res.text).toContain('Valid certificate');
+      expect(res.text).toContain('<td>Amina Bello</td>');
+      expect(res.text).toContain('<td>CITAD-2026-A1B2C3D4E5F6</td>');
+    });
+
+    it('is 404 for an unknown hash', async () => {
+      certificate = null;
+
+      const res = await request(app).get(`/verify/${hash}`);
+
+      expect(res.status).toBe(404);
+      expect(res.text).toContain('Certificate not found');
+    });
+
+    it('shows when and why a certificate was revoked', async () => {
+      certificate = makeCertificate({
+        status: 'revoked',
+        revokedAt: new Date('2026-04-10T09:00:00Z'),
+        revokeReason: 'Issued in error',
+      });
+
+      const res = await request(app).get(`/verify/${hash}`);
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('Certificate revoked');
+      expect(res.text).toContain('Revoked on 10 April 2026. Reason: Issued in error');
+    });
+  });
+
+  describe('GET /verify?number=', () => {
+    it('looks the certificate up by its printed number', async () => {
+      const res = await request(app).get('/verify').query({ number: ' citad-2026-a1b2c3d4e5f6 ' });
+
+      expect(res.status).toBe(200);
+      expect(Certificate.findOne).toHaveBeenCalledWith({
+        certificateNumber: 'CITAD-2026-A1B2C3D4E5F6',
+      });
+    });
+
+    it('shows only the form without a number', async () => {
+      const res = await request(app).get('/verify');
+
+      expect(res.status).toBe(200);
+      expect(Certificate.findOne).not.toHaveBeenCalled();
+      expect(res.text).toContain('<form method="get" action="/verify">');
+    });
+  });
+
+  describe('escaping', () => {
+    it('escapes certificate fields', async () => {
+      certificate = makeCertificate({
+        recipientName: '<script>alert(1)</script>',
+        status: 'revoked',
+        revokedAt: new Date(),
+        revokeReason: `"Fraud" & <b>'abuse'</b>`,
+      });
+
+      const res = await request(app).get(`/verify/${'b'.repeat(64)}`);
+
+      expect(res.text).not.toContain('<script>');
+      expect(res.text).toContain('<td>&lt;script&gt;alert(1)&lt;/script&gt;</td>');
+      expect(res.text).toContain(
+        'Reason: &quot;Fraud&quot; &amp; &lt;b&gt;&#39;abuse&#39;&lt;/b&gt;'
+      );
+    });
+
+    it('escapes the number typed into the form', async () => {
+      certificate = null;
+
+      const res = await request(app)
+        .get('/verify')
+        .query({ number: '"><script>alert(1)</script>' });
+
+      expect(res.status).toBe(404);
+      expect(res.text).not.toContain('<script>');
+      expect(res.text).toContain('value="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;"');
+    });
+
+    it('renders nothing but the form without a result', () => {
+      const html = renderVerificationPage({ number: `O'Brien` });
+
+      expect(html).not.toContain('class="status"');
+      expect(html).toContain('value="O&#39;Brien"');
+    });
+  });
+});